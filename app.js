@@ -9,22 +9,81 @@
 const state = {
     currentView: 'timeline',
     currentDecade: '1990s',
+    decadeStats: {},
+    timeline: {
+        decade: null,
+        memories: [],
+        lastDoc: null,
+        hasMore: false,
+        loading: false,
+        requestId: 0
+    },
     inviteEmails: [],
+    invites: [],
     uploadedFiles: [],
-    memoryType: 'photo'
+    suggestedPhotoYear: null,
+    duplicatePhotos: [],
+    recording: null,
+    memoryType: 'photo',
+    submitting: false,
+    pendingUpload: null,
+    currentDraftId: null,
+    draftAutosaveTimer: null,
+    draftSave: null,
+    draftSession: 0,
+    taggedPeople: [],
+    tagSuggestions: [],
+    tagSuggestionIndex: -1,
+    alumniDirectoryPromise: null,
+    memoryDetail: null,
+    documentViewer: null,
+    mediaPlayer: null,
+    gallery: null,
+    lightbox: null,
+    pendingRoute: null,
+    memoryOpenedInApp: false,
+    searchTimer: null,
+    searchRequestId: 0,
+    savingPreferences: false,
+    inbox: {
+        items: [],
+        unsubscribe: null,
+        loaded: false
+    },
+    sendingInvites: false,
+    inviteToken: null,
+    roster: null,
+    profiles: new Map(),
+    profile: null,
+    profileRequestId: 0,
+    profileEdit: null,
+    moderation: {
+        tab: null,
+        requestId: 0,
+        members: [],
+        edit: null
+    },
+    reportTarget: null,
+    memoryEdit: null,
+    reactionPalette: DatabaseModule.DEFAULT_REACTIONS,
+    reactionPopover: null,
+    mention: null
 };
 
-// Decade data (would come from API in production)
-const decadeData = {
-    '1950s': { tagline: 'The Founding Years', memories: 12, contributors: 8, championships: 1 },
-    '1960s': { tagline: 'Building Tradition', memories: 28, contributors: 15, championships: 2 },
-    '1970s': { tagline: 'The Rise', memories: 45, contributors: 22, championships: 3 },
-    '1980s': { tagline: 'Dynasty Beginnings', memories: 67, contributors: 31, championships: 5 },
-    '1990s': { tagline: 'The Golden Era', memories: 89, contributors: 34, championships: 7 },
-    '2000s': { tagline: 'New Millennium', memories: 124, contributors: 52, championships: 6 },
-    '2010s': { tagline: 'Modern Excellence', memories: 156, contributors: 78, championships: 8 },
-    '2020s': { tagline: 'The New Wave', memories: 43, contributors: 35, championships: 2 }
-};
+// Number of memory cards fetched per "Dive Deeper" page
+const MEMORIES_PAGE_SIZE = 12;
+
+// Delay after the last keystroke before a draft is autosaved
+const DRAFT_AUTOSAVE_DELAY = 2000;
+
+// Longest publishing or deleting a draft waits for a draft save under way
+const DRAFT_SAVE_WAIT = 1500;
+
+// Delay after typing before a search runs
+const SEARCH_DEBOUNCE_DELAY = 250;
+
+// Reaction buttons shown on a timeline card, most used first
+const CARD_REACTION_LIMIT = 2;
 
 // ================================
 // DOM Elements
@@ -40,8 +99,10 @@ const elements = {
     decadeTagline: document.querySelector('.decade-tagline'),
     decadeStats: document.querySelectorAll('.decade-stats .stat-number'),
 
-    // Memory cards
-    memoryCards: document.querySelectorAll('.memory-card'),
+    // Archive grid
+    archiveGrid: document.getElementById('archive-grid'),
+    archiveStatus: document.getElementById('archive-status'),
+    loadMoreBtn: document.querySelector('.load-more-btn'),
 
     // Contribute form
     contributeForm: document.getElementById('contribute-form'),
@@ -49,8 +110,23 @@ const elements = {
     uploadZone: document.getElementById('upload-zone'),
     fileInput: document.getElementById('file-input'),
     uploadedPreview: document.getElementById('uploaded-preview'),
+    duplicateWarning: document.getElementById('duplicate-warning'),
+    recorder: document.getElementById('recorder'),
+    recorderActions: document.getElementById('recorder-actions'),
+    recorderLive: document.getElementById('recorder-live'),
+    recorderPreview: document.getElementById('recorder-preview'),
+    recorderTime: document.getElementById('recorder-time'),
+    storyLabel: document.getElementById('story-label'),
     storyInput: document.getElementById('story-input'),
     charCount: document.querySelector('.char-count'),
+    uploadProgress: document.getElementById('upload-progress'),
+    saveDraftBtn: document.getElementById('save-draft-btn'),
+    draftStatus: document.getElementById('draft-status'),
+    draftsPanel: document.getElementById('drafts-panel'),
+    draftsList: document.getElementById('drafts-list'),
+    tagsInput: document.getElementById('tags-input'),
+    tagSuggestions: document.getElementById('tag-suggestions'),
+    tagsContainer: document.getElementById('tags-container'),
 
     // Invite form
     inviteForm: document.getElementById('invite-form'),
@@ -58,14 +134,96 @@ const elements = {
     addEmailBtn: document.getElementById('add-email-btn'),
     emailList: document.getElementById('email-list'),
     sendInvitesBtn: document.getElementById('send-invites-btn'),
+    pendingList: document.getElementById('pending-list'),
+    inviteCredit: document.getElementById('invite-credit'),
+    inviteBanner: document.getElementById('invite-banner'),
+    rosterFile: document.getElementById('roster-file'),
+    rosterPreview: document.getElementById('roster-preview'),
+    rosterSummary: document.getElementById('roster-summary'),
+    rosterRows: document.getElementById('roster-rows'),
+    rosterSendBtn: document.getElementById('roster-send-btn'),
+    rosterReportBtn: document.getElementById('roster-report-btn'),
+    rosterClearBtn: document.getElementById('roster-clear-btn'),
+
+    // Profile
+    profileHeader: document.getElementById('profile-header'),
+    profileDetails: document.getElementById('profile-details'),
+    profileContributed: document.getElementById('profile-contributed'),
+    profileTagged: document.getElementById('profile-tagged'),
+    profileForm: document.getElementById('profile-form'),
+    profilePhotoPreview: document.getElementById('profile-photo-preview'),
+    profilePhotoInput: document.getElementById('profile-photo-input'),
+    profilePhotoRemove: document.getElementById('profile-photo-remove'),
+    profileRoles: document.getElementById('profile-roles'),
+    profileAddRole: document.getElementById('profile-add-role'),
+    profileFormError: document.getElementById('profile-form-error'),
+    profileSaveBtn: document.getElementById('profile-save-btn'),
+
+    // Moderation
+    moderationNavBtn: document.querySelector('.nav-btn[data-view="moderation"]'),
+    moderationTabs: document.querySelectorAll('.moderation-tab'),
+    moderationPanel: document.getElementById('moderation-panel'),
+    moderationSetting: document.getElementById('moderation-setting'),
+    reviewSettingToggle: document.getElementById('review-setting-toggle'),
+    moderationMembersToolbar: document.getElementById('moderation-members-toolbar'),
+    moderationMemberSearch: document.getElementById('moderation-member-search'),
+    moderationQueueCount: document.getElementById('moderation-queue-count'),
+    moderationReportCount: document.getElementById('moderation-report-count'),
+    moderationEditForm: document.getElementById('moderation-edit-form'),
+    moderationEditSave: document.getElementById('moderation-edit-save'),
+    reportForm: document.getElementById('report-form'),
+    reportReasons: document.getElementById('report-reasons'),
+    reportSubmitBtn: document.getElementById('report-submit-btn'),
+    memoryReportBtn: document.getElementById('memory-report-btn'),
+    memoryEditBtn: document.getElementById('memory-edit-btn'),
+    memoryDeleteBtn: document.getElementById('memory-delete-btn'),
+    memoryHistoryBtn: document.getElementById('memory-history-btn'),
+    memoryHistory: document.getElementById('memory-history'),
+    memoryHistoryList: document.getElementById('memory-history-list'),
+    memoryHistoryDiff: document.getElementById('memory-history-diff'),
+    memoryEditForm: document.getElementById('memory-edit-form'),
+    memoryEditPhotos: document.getElementById('memory-edit-photos'),
+    memoryEditFiles: document.getElementById('memory-edit-files'),
+    memoryEditSave: document.getElementById('memory-edit-save'),
 
     // Modals
     notificationModal: document.getElementById('notification-modal'),
     memoryModal: document.getElementById('memory-modal'),
+    commentForm: document.getElementById('comment-form'),
+    commentsList: document.getElementById('comments-list'),
+    memoryComments: document.getElementById('memory-comments'),
+    mentionSuggestions: document.getElementById('mention-suggestions'),
+    memoryDetailMedia: document.getElementById('memory-detail-media'),
+    memoryDetailReactions: document.getElementById('memory-detail-reactions'),
+    reactionPopover: document.getElementById('reaction-popover'),
+    lightbox: document.getElementById('lightbox'),
+    lightboxStage: document.getElementById('lightbox-stage'),
+    lightboxImage: document.getElementById('lightbox-image'),
+    lightboxCaption: document.getElementById('lightbox-caption'),
+    lightboxCounter: document.getElementById('lightbox-counter'),
     notificationBtn: document.querySelector('.notification-btn'),
+    notificationBadge: document.querySelector('.notification-badge'),
+    notificationPanel: document.getElementById('notification-panel'),
+    notificationList: document.getElementById('notification-list'),
+    markAllReadBtn: document.getElementById('mark-all-read-btn'),
+    notificationSettingsBtn: document.getElementById('notification-settings-btn'),
+    notificationForm: document.getElementById('notification-form'),
+    decadeFollowList: document.getElementById('decade-follow-list'),
+    preferenceIssues: document.getElementById('preference-issues'),
+    eraDesc: document.getElementById('era-desc'),
     modalCloses: document.querySelectorAll('.modal-close'),
     modalCancels: document.querySelectorAll('.modal-cancel'),
 
+    // Search
+    searchForm: document.getElementById('search-form'),
+    searchInput: document.getElementById('search-input'),
+    searchDecade: document.getElementById('search-decade'),
+    searchYear: document.getElementById('search-year'),
+    searchType: document.getElementById('search-type'),
+    searchContributor: document.getElementById('search-contributor'),
+    searchSummary: document.getElementById('search-summary'),
+    searchResults: document.getElementById('search-results'),
+
     // Toast
     toastContainer: document.getElementById('toast-container')
 };
@@ -85,6 +243,352 @@ function switchView(viewName) {
     elements.views.forEach(view => {
         view.classList.toggle('active', view.id === `${viewName}-view`);
     });
+
+    if (viewName === 'contribute') {
+        renderDraftsList();
+    } else if (viewName === 'invite') {
+        loadMyInvites();
+    } else if (viewName === 'moderation') {
+        openModerationView();
+    }
+}
+
+// ================================
+// Routing Functions
+// ================================
+// Views reachable by URL; protected views need a signed-in user
+const ROUTES = {
+    timeline: { protected: false },
+    contribute: { protected: true, signInMessage: 'Sign in to add memories to the archive.' },
+    invite: { protected: true, signInMessage: 'Sign in to invite your teammates.' },
+    search: { protected: false },
+    profile: { protected: false, signInMessage: 'Sign in to see and edit your profile.' },
+    moderation: { protected: true, role: 'classRep', signInMessage: 'Sign in to moderate the archive.' }
+};
+
+function getDecades() {
+    return Array.from(elements.decadeMarkers).map(marker => marker.dataset.decade);
+}
+
+/**
+ * Parse a hash like #/timeline/1980s or #/memory/abc123
+ */
+function parseRoute(hash) {
+    const [name = '', param = ''] = hash
+        .replace(/^#\/?/, '')
+        .split('/')
+        .map(part => decodeURIComponent(part));
+
+    if (name === 'memory' && param) {
+        return { view: null, memoryId: param };
+    }
+
+    if (name === 'join' && param) {
+        return { view: null, inviteToken: param };
+    }
+
+    if (name === 'search') {
+        return { view: 'search', query: param || undefined };
+    }
+
+    if (name === 'profile') {
+        return { view: 'profile', userId: param || null };
+    }
+
+    if (name === 'timeline' || name === '') {
+        return { view: 'timeline', decade: getDecades().includes(param) ? param : null };
+    }
+
+    if (ROUTES[name]) {
+        return { view: name };
+    }
+
+    return null;
+}
+
+function navigate(path, replace = false) {
+    if (location.hash === path) {
+        handleRoute();
+    } else if (replace) {
+        history.replaceState(null, '', path);
+        handleRoute();
+    } else {
+        location.hash = path;
+    }
+}
+
+function getBaseRoute() {
+    if (state.currentView === 'timeline') {
+        return `#/timeline/${state.currentDecade}`;
+    }
+
+    if (state.currentView === 'profile' && state.profile) {
+        return `#/profile/${encodeURIComponent(state.profile.userId)}`;
+    }
+
+    const query = state.currentView === 'search' ? elements.searchInput.value.trim() : '';
+    return query ? `#/search/${encodeURIComponent(query)}` : `#/${state.currentView}`;
+}
+
+function handleRoute() {
+    const route = parseRoute(location.hash);
+
+    // Unknown URLs and the bare page get a canonical timeline URL
+    if (!route || !location.hash) {
+        navigate(`#/timeline/${state.currentDecade}`, true);
+        return;
+    }
+
+    if (route.inviteToken) {
+        handleInviteLink(route.inviteToken);
+        return;
+    }
+
+    if (route.memoryId) {
+        // Keep something sensible behind the modal on a fresh page load
+        if (!state.timeline.decade) {
+            switchDecade(state.currentDecade);
+        }
+        if (state.memoryDetail?.id !== route.memoryId) {
+            openMemoryDetail(route.memoryId);
+        }
+        return;
+    }
+
+    // Leaving a memory URL (e.g. browser back) closes its modal
+    if (state.memoryDetail) {
+        state.memoryOpenedInApp = false;
+        closeModal('memory-modal');
+    }
+
+    // #/profile on its own means "my profile", which needs an account
+    const config = ROUTES[route.view];
+    const ownProfile = route.view === 'profile' && !route.userId;
+    if ((config.protected || ownProfile) && !isSignedIn()) {
+        state.pendingRoute = location.hash;
+        navigate(ROUTES[state.currentView].protected ? `#/timeline/${state.currentDecade}` : getBaseRoute(), true);
+        requireSignIn(config.signInMessage);
+        return;
+    }
+
+    if (config.role && !AuthModule.hasRole(config.role)) {
+        navigate(`#/timeline/${state.currentDecade}`, true);
+        showToast('Moderators Only', 'Your account doesn\'t have access to that page.', '🔒');
+        return;
+    }
+
+    if (ownProfile) {
+        navigate(`#/profile/${encodeURIComponent(firebase.auth().currentUser.uid)}`, true);
+        return;
+    }
+
+    switchView(route.view);
+
+    if (route.view === 'timeline') {
+        const decade = route.decade || state.currentDecade;
+        if (decade !== state.timeline.decade) {
+            switchDecade(decade);
+        }
+    } else if (route.view === 'search') {
+        if (route.query !== undefined && route.query !== elements.searchInput.value) {
+            elements.searchInput.value = route.query;
+        }
+        runSearch();
+    } else if (route.view === 'profile' && (route.userId !== state.profile?.userId || !state.profile.profile)) {
+        loadProfileView(route.userId);
+    }
+}
+
+/**
+ * Called when the memory modal closes so the URL stops pointing at it
+ */
+function leaveMemoryRoute() {
+    if (!parseRoute(location.hash)?.memoryId) return;
+
+    if (state.memoryOpenedInApp) {
+        state.memoryOpenedInApp = false;
+        history.back();
+    } else {
+        navigate(getBaseRoute(), true);
+    }
+}
+
+function handleAuthRouteChange(user) {
+    if (user && state.pendingRoute) {
+        const pending = state.pendingRoute;
+        state.pendingRoute = null;
+        navigate(pending);
+        return;
+    }
+
+    // Signing out while on a protected view sends you back to the timeline
+    const route = parseRoute(location.hash);
+    if (!user && route?.view && ROUTES[route.view].protected) {
+        navigate(`#/timeline/${state.currentDecade}`, true);
+    }
+}
+
+function initRouter() {
+    window.addEventListener('hashchange', handleRoute);
+
+    // Wait for the initial auth state so a refresh on a protected view isn't bounced
+    if (typeof AuthModule !== 'undefined' && typeof firebase !== 'undefined') {
+        let firstAuthState = true;
+        AuthModule.onAuthChange((user) => {
+            if (firstAuthState) {
+                firstAuthState = false;
+                handleRoute();
+            } else {
+                handleAuthRouteChange(user);
+            }
+        });
+    } else {
+        handleRoute();
+    }
+}
+
+// ================================
+// Rendering Helpers
+// ================================
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function getInitials(name) {
+    return String(name || '?')
+        .split(/[\s@]+/)
+        .filter(Boolean)
+        .slice(0, 2)
+        .map(part => part[0].toUpperCase())
+        .join('');
+}
+
+/**
+ * Avatar markup showing initials; hydrateAvatars() swaps in the user's
+ * profile photo once it's known
+ */
+function renderAvatar(userId, name, sizeClass = '', photoURL = null) {
+    const className = sizeClass ? `avatar ${sizeClass}` : 'avatar';
+
+    if (photoURL) {
+        return `<span class="${className}"><img src="${escapeHtml(photoURL)}" alt="" loading="lazy"></span>`;
+    }
+
+    const userAttr = userId ? ` data-user-id="${escapeHtml(userId)}"` : '';
+    return `<span class="${className}"${userAttr}>${escapeHtml(getInitials(name))}</span>`;
+}
+
+/**
+ * Fetch a profile once per page load; concurrent callers share the request
+ */
+function loadProfile(userId) {
+    if (!state.profiles.has(userId)) {
+        const request = typeof DatabaseModule === 'undefined'
+            ? Promise.resolve(null)
+            : DatabaseModule.getUserProfile(userId).catch(() => {
+                // Allow a retry next time instead of caching the failure
+                state.profiles.delete(userId);
+                return null;
+            });
+        state.profiles.set(userId, request);
+    }
+    return state.profiles.get(userId);
+}
+
+function applyAvatar(avatar, profile) {
+    if (profile.photoURL) {
+        avatar.innerHTML = `<img src="${escapeHtml(profile.photoURL)}" alt="" loading="lazy">`;
+    } else {
+        avatar.textContent = getInitials(profile.displayName);
+    }
+}
+
+/**
+ * Fill every avatar under root that names a user with that user's photo or initials
+ */
+function hydrateAvatars(root) {
+    root.querySelectorAll('.avatar[data-user-id]').forEach(async (avatar) => {
+        const userId = avatar.dataset.userId;
+        const profile = await loadProfile(userId);
+
+        // The avatar was reused for someone else while the profile loaded
+        if (profile && avatar.dataset.userId === userId) {
+            applyAvatar(avatar, profile);
+        }
+    });
+}
+
+function truncateText(text, maxLength) {
+    const value = String(text || '').trim();
+    if (value.length <= maxLength) return value;
+    return `${value.slice(0, maxLength).replace(/\s+\S*$/, '')}...`;
+}
+
+function toDate(timestamp) {
+    if (!timestamp) return null;
+    if (timestamp instanceof Date) return timestamp;
+    if (typeof timestamp.toDate === 'function') return timestamp.toDate();
+    return new Date(timestamp);
+}
+
+function formatRelativeTime(timestamp) {
+    const date = toDate(timestamp);
+    if (!date) return 'just now';
+
+    const seconds = Math.round((Date.now() - date.getTime()) / 1000);
+    const units = [
+        ['year', 365 * 24 * 3600],
+        ['month', 30 * 24 * 3600],
+        ['week', 7 * 24 * 3600],
+        ['day', 24 * 3600],
+        ['hour', 3600],
+        ['minute', 60]
+    ];
+
+    for (const [unit, size] of units) {
+        const value = Math.floor(Math.abs(seconds) / size);
+        if (value >= 1) {
+            const label = `${value} ${unit}${value === 1 ? '' : 's'}`;
+            return seconds >= 0 ? `${label} ago` : `in ${label}`;
+        }
+    }
+
+    return 'just now';
+}
+
+/**
+ * Seconds as "3:05", or "1:02:09" past an hour
+ */
+function formatDuration(seconds) {
+    if (!Number.isFinite(seconds) || seconds < 0) return '0:00';
+
+    const total = Math.floor(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = String(total % 60).padStart(2, '0');
+
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+function isSignedIn() {
+    return typeof firebase !== 'undefined' && Boolean(firebase.auth().currentUser);
+}
+
+/**
+ * Prompt for sign-in when an action needs an account
+ * @returns {boolean} - Whether the user is already signed in
+ */
+function requireSignIn(message) {
+    if (isSignedIn()) return true;
+
+    showToast('Sign In Required', message, 'ℹ️');
+    openModal('auth-modal');
+    return false;
 }
 
 // ================================
@@ -92,7 +596,6 @@ function switchView(viewName) {
 // ================================
 function switchDecade(decade) {
     state.currentDecade = decade;
-    const data = decadeData[decade];
 
     // Update decade markers
     elements.decadeMarkers.forEach(marker => {
@@ -108,200 +611,5417 @@ function switchDecade(decade) {
 
     setTimeout(() => {
         decadeDisplay.textContent = decade;
-        decadeTagline.textContent = `"${data.tagline}"`;
-
-        // Update stats
-        elements.decadeStats[0].textContent = data.memories;
-        elements.decadeStats[1].textContent = data.contributors;
-        elements.decadeStats[2].textContent = data.championships;
+        renderDecadeHero();
 
         decadeDisplay.style.opacity = '1';
         decadeTagline.style.opacity = '1';
     }, 200);
 
-    // Re-animate memory cards
-    animateMemoryCards();
+    loadDecadeMemories();
 }
 
-function animateMemoryCards() {
-    elements.memoryCards.forEach((card, index) => {
-        card.style.animation = 'none';
-        card.offsetHeight; // Trigger reflow
-        card.style.animation = `cardFadeIn 0.5s ease forwards ${index * 0.1}s`;
+async function loadDecadeStats() {
+    if (typeof DatabaseModule === 'undefined') return;
+
+    state.decadeStats = await DatabaseModule.getDecadeStats();
+    renderDecadeMarkers();
+    renderDecadeHero();
+}
+
+function renderDecadeMarkers() {
+    elements.decadeMarkers.forEach(marker => {
+        const stats = state.decadeStats[marker.dataset.decade];
+        const count = marker.querySelector('.decade-count');
+        if (stats && count) {
+            const total = stats.memoryCount || 0;
+            count.textContent = `${total} ${total === 1 ? 'memory' : 'memories'}`;
+        }
     });
 }
 
-// ================================
-// Contribute Form Functions
-// ================================
-function switchMemoryType(type) {
-    state.memoryType = type;
+function renderDecadeHero() {
+    const stats = state.decadeStats[state.currentDecade];
+    if (!stats) return;
 
-    elements.typeBtns.forEach(btn => {
-        btn.classList.toggle('active', btn.dataset.type === type);
-    });
+    elements.decadeTagline.textContent = stats.tagline ? `"${stats.tagline}"` : '';
+    elements.decadeStats[0].textContent = stats.memoryCount || 0;
+    elements.decadeStats[1].textContent = stats.contributorCount || 0;
+    elements.decadeStats[2].textContent = stats.championships || 0;
+}
 
-    // Show/hide upload section based on type
-    const uploadSection = document.getElementById('upload-section');
+async function loadDecadeMemories(append = false) {
+    const timeline = state.timeline;
+    const decade = state.currentDecade;
+    const requestId = ++timeline.requestId;
+
+    if (typeof DatabaseModule === 'undefined') {
+        renderTimelineStatus('empty');
+        return;
+    }
+
+    timeline.loading = true;
+    timeline.decade = decade;
+
+    if (append) {
+        elements.loadMoreBtn.disabled = true;
+        elements.loadMoreBtn.querySelector('span').textContent = 'Loading...';
+    } else {
+        timeline.memories = [];
+        timeline.lastDoc = null;
+        timeline.hasMore = false;
+        elements.archiveGrid.innerHTML = '';
+        elements.loadMoreBtn.hidden = true;
+        renderTimelineStatus('loading');
+    }
+
+    try {
+        const result = await DatabaseModule.getMemoriesByDecade(
+            decade,
+            MEMORIES_PAGE_SIZE,
+            append ? timeline.lastDoc : null
+        );
+
+        // A newer request (e.g. another decade click) superseded this one
+        if (requestId !== timeline.requestId) return;
+
+        const startIndex = timeline.memories.length;
+        timeline.memories.push(...result.memories);
+        timeline.lastDoc = result.lastDoc;
+        timeline.hasMore = result.hasMore;
+
+        const cards = result.memories.map((memory, i) => renderMemoryCard(memory, startIndex + i));
+        cards.forEach(card => elements.archiveGrid.appendChild(card));
+        animateMemoryCards(cards);
+
+        renderTimelineStatus(timeline.memories.length === 0 ? 'empty' : null);
+    } catch (error) {
+        if (requestId !== timeline.requestId) return;
+
+        if (append) {
+            showToast('Could Not Load More', 'Something went wrong fetching more memories. Please try again.', '⚠️');
+        } else {
+            renderTimelineStatus('error');
+        }
+    } finally {
+        if (requestId === timeline.requestId) {
+            timeline.loading = false;
+            elements.loadMoreBtn.disabled = false;
+            elements.loadMoreBtn.querySelector('span').textContent = 'Dive Deeper';
+            elements.loadMoreBtn.hidden = !timeline.hasMore;
+        }
+    }
+}
+
+function loadMoreMemories() {
+    if (state.timeline.loading || !state.timeline.hasMore) return;
+    loadDecadeMemories(true);
+}
+
+function renderTimelineStatus(status) {
+    const container = elements.archiveStatus;
+    const decade = escapeHtml(state.currentDecade);
+
+    container.hidden = !status;
+    container.className = status ? `archive-status ${status}` : 'archive-status';
+
+    if (status === 'loading') {
+        container.innerHTML = `
+            <div class="archive-spinner" aria-hidden="true"></div>
+            <p>Loading memories from the ${decade}...</p>
+        `;
+    } else if (status === 'empty') {
+        container.innerHTML = `
+            <span class="status-icon">🏊</span>
+            <p>No memories from the ${decade} yet. Be the first to add one!</p>
+            <button type="button" class="btn-secondary" data-action="contribute">Contribute a Memory</button>
+        `;
+    } else if (status === 'error') {
+        container.innerHTML = `
+            <span class="status-icon">⚠️</span>
+            <p>We couldn't load memories from the ${decade}. Check your connection and try again.</p>
+            <button type="button" class="btn-secondary" data-action="retry">Try Again</button>
+        `;
+    } else {
+        container.innerHTML = '';
+    }
+}
+
+// Shown on cards that only their author and moderators can see
+const MEMORY_STATUS_LABELS = {
+    pending: 'In review',
+    hidden: 'Hidden'
+};
+
+/**
+ * The picture shown for a memory on cards: the first page of its first
+ * document, or its first photo
+ */
+function getMemoryCover(memory) {
+    const firstDocument = (memory.documents || []).find(doc => doc.thumbnailUrl);
+    if (firstDocument) return { url: firstDocument.thumbnailUrl };
+
+    const images = getMemoryImages(memory);
+    return images.length > 0 ? images[0] : null;
+}
+
+/**
+ * A memory's photos as { url, caption }, cover first
+ */
+function getMemoryImages(memory) {
+    return DatabaseModule.normalizeImages(memory.images);
+}
+
+// How wide photos are drawn, for choosing among their smaller copies
+const IMAGE_SIZES = {
+    card: '(max-width: 768px) 100vw, (max-width: 1200px) 50vw, 400px',
+    featured: '(max-width: 768px) 100vw, 800px',
+    detail: '(max-width: 768px) 100vw, 450px',
+    thumb: '64px',
+    full: '100vw'
+};
+
+/**
+ * src, srcset and sizes attributes for a photo, so the browser downloads
+ * the smallest copy that fills the space. Older photos only have src.
+ */
+function renderImageSources(image, sizes) {
+    const variants = image.variants || [];
+    if (!variants.length) return `src="${escapeHtml(image.url)}"`;
+
+    const candidates = variants.map(variant => `${escapeHtml(variant.url)} ${variant.width}w`);
+    if (image.width) candidates.push(`${escapeHtml(image.url)} ${image.width}w`);
+
+    return `src="${escapeHtml(image.url)}" srcset="${candidates.join(', ')}" sizes="${sizes}"`;
+}
+
+/**
+ * Show a photo's tiny placeholder, blurred by scaling, until it loads
+ */
+function renderImagePlaceholder(image) {
+    return image.placeholder
+        ? ` style="background-image: url('${escapeHtml(image.placeholder)}')"`
+        : '';
+}
+
+/**
+ * Page count for documents, running time for oral histories and the
+ * number of photos in a gallery
+ */
+function renderCardBadge(memory) {
+    if ((memory.media || []).length > 0) {
+        const duration = memory.media.reduce((total, item) => total + (item.duration || 0), 0);
+        return duration > 0 ? `<span class="card-badge">▶ ${formatDuration(duration)}</span>` : '';
+    }
+
+    if (memory.type === 'document') {
+        const pageCount = buildViewerPages(memory).length;
+        return pageCount > 1 ? `<span class="card-badge">${pageCount} pages</span>` : '';
+    }
+
+    const photoCount = (memory.images || []).length;
+    return photoCount > 1 ? `<span class="card-badge">📷 ${photoCount}</span>` : '';
+}
+
+function renderMemoryCard(memory, index) {
+    const card = document.createElement('article');
+    const type = memory.type || 'photo';
+    const cover = getMemoryCover(memory);
+    const yearBadge = `<span class="year-badge">${escapeHtml(memory.year || memory.decade)}</span>`;
+    const isLongStory = (memory.story || '').length > 400;
+
+    card.className = `memory-card ${type}-card`;
+    card.dataset.id = memory.id;
+    card.dataset.reactions = JSON.stringify(memory.reactions || {});
+
+    if (type === 'photo' && index === 0) {
+        card.classList.add('featured');
+    } else if (type === 'story' && isLongStory) {
+        card.classList.add('tall');
+    }
+
+    let header;
     if (type === 'story') {
-        uploadSection.style.display = 'none';
+        header = `
+            <div class="story-header">
+                <span class="story-icon">📖</span>
+                ${yearBadge}
+            </div>
+        `;
     } else {
-        uploadSection.style.display = 'block';
+        const placeholder = MEMORY_PLACEHOLDERS[type] || MEMORY_PLACEHOLDERS.photo;
+        const sizes = card.classList.contains('featured') ? IMAGE_SIZES.featured : IMAGE_SIZES.card;
+        const media = cover
+            ? `<img class="image-placeholder" ${renderImageSources(cover, sizes)} alt="${escapeHtml(memory.title)}" loading="lazy" decoding="async"${renderImagePlaceholder(cover)}>`
+            : `<div class="placeholder-image ${placeholder.className}">
+                    <span class="image-icon">${placeholder.icon}</span>
+               </div>`;
+        header = `
+            <div class="card-image">
+                ${media}
+                <div class="image-overlay">
+                    ${yearBadge}
+                    ${renderCardBadge(memory)}
+                </div>
+            </div>
+        `;
     }
+
+    const statusLabel = MEMORY_STATUS_LABELS[memory.status];
+
+    card.innerHTML = `
+        ${header}
+        <div class="card-content">
+            ${statusLabel ? `<span class="card-status ${memory.status}">${statusLabel}</span>` : ''}
+            <h4>${escapeHtml(memory.title)}</h4>
+            <p class="memory-excerpt">${escapeHtml(truncateText(memory.story, card.classList.contains('tall') ? 400 : 160))}</p>
+            <div class="card-meta">
+                <span class="contributor">
+                    ${renderAvatar(memory.authorId, memory.authorName)}
+                    ${escapeHtml(memory.authorName)}
+                </span>
+                <span class="reactions">
+                    ${renderReactionButtons(memory.reactions, null, CARD_REACTION_LIMIT)}
+                </span>
+            </div>
+        </div>
+    `;
+
+    hydrateAvatars(card);
+    return card;
 }
 
-function handleFileUpload(files) {
-    Array.from(files).forEach(file => {
-        if (!file.type.startsWith('image/')) {
-            showToast('Invalid File', 'Please upload image files only.', '⚠️');
-            return;
-        }
+function handleMemoryGridClick(e) {
+    const reactionBtn = e.target.closest('.reaction-btn');
+    if (reactionBtn) {
+        e.stopPropagation();
+        const card = reactionBtn.closest('.memory-card');
 
-        if (file.size > 10 * 1024 * 1024) {
-            showToast('File Too Large', 'Please upload files under 10MB.', '⚠️');
-            return;
+        if (reactionBtn.classList.contains('add-reaction')) {
+            openReactionPicker(reactionBtn, type => toggleCardReaction(card, type));
+        } else {
+            closeReactionPopover();
+            toggleCardReaction(card, reactionBtn.dataset.reaction);
         }
+        return;
+    }
 
-        state.uploadedFiles.push(file);
+    const card = e.target.closest('.memory-card');
+    if (card) {
+        state.memoryOpenedInApp = true;
+        navigate(`#/memory/${encodeURIComponent(card.dataset.id)}`);
+    }
+}
 
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            const previewItem = document.createElement('div');
-            previewItem.className = 'preview-item';
-            previewItem.innerHTML = `
-                <img src="${e.target.result}" alt="Upload preview">
-                <button type="button" class="preview-remove" data-index="${state.uploadedFiles.length - 1}">&times;</button>
-            `;
-            elements.uploadedPreview.appendChild(previewItem);
-        };
-        reader.readAsDataURL(file);
+function animateMemoryCards(cards = elements.archiveGrid.querySelectorAll('.memory-card')) {
+    Array.from(cards).forEach((card, index) => {
+        card.style.animation = 'none';
+        card.offsetHeight; // Trigger reflow
+        card.style.animation = `cardFadeIn 0.5s ease forwards ${index * 0.1}s`;
     });
 }
 
+// ================================
+// Memory Detail Functions
+// ================================
+const MEMORY_PLACEHOLDERS = {
+    photo: { className: 'pool-scene', icon: '📸' },
+    story: { className: 'team-photo', icon: '📖' },
+    document: { className: 'document-scan', icon: '📄' },
+    'oral-history': { className: 'oral-history-scene', icon: '🎙️' }
+};
+
+async function openMemoryDetail(memoryId) {
+    teardownMemoryDetail();
+
+    const detail = {
+        id: memoryId,
+        memory: null,
+        comments: [],
+        myReaction: null,
+        replyTo: null,
+        editing: null,
+        drafts: {},
+        photoTags: [],
+        revisions: null,
+        selectedRevision: 0,
+        unsubscribers: []
+    };
+    state.memoryDetail = detail;
+
+    renderMemoryDetailLoading();
+    openModal('memory-modal');
+
+    try {
+        const memory = await DatabaseModule.getMemory(memoryId);
+
+        // The modal was closed or another memory opened while loading
+        if (state.memoryDetail !== detail) return;
+        if (redirectMergedMemory(memory)) return;
+
+        if (!memory || !canViewMemory(memory)) {
+            closeModal('memory-modal');
+            showToast('Memory Not Found', 'This memory may have been removed from the archive.', '⚠️');
+            return;
+        }
+
+        // Comments and reactions are only readable once the memory is
+        const [comments, myReaction] = await Promise.all([
+            DatabaseModule.getComments(memoryId),
+            DatabaseModule.getMyReaction(memoryId)
+        ]);
+        if (state.memoryDetail !== detail) return;
+
+        detail.memory = memory;
+        detail.comments = comments;
+        detail.myReaction = myReaction;
+        renderMemoryDetail();
+        renderMemoryComments();
+
+        // Keep comments and reaction counts live for everyone viewing
+        detail.unsubscribers.push(
+            DatabaseModule.subscribeToMemory(memoryId, (updated) => {
+                if (state.memoryDetail !== detail) return;
+                if (redirectMergedMemory(updated)) return;
+                if (!updated || !canViewMemory(updated)) {
+                    closeModal('memory-modal');
+                    showToast('Memory Removed', 'This memory is no longer in the archive.', 'ℹ️');
+                    return;
+                }
+                const edited = revisionKey(updated) !== revisionKey(detail.memory);
+                detail.memory = updated;
+                renderMemoryDetail();
+                updateCardReactions(updated);
+                if (edited && !elements.memoryHistory.hidden) {
+                    loadMemoryHistory();
+                }
+            }),
+            DatabaseModule.subscribeToComments(memoryId, (updatedComments) => {
+                if (state.memoryDetail !== detail) return;
+                detail.comments = updatedComments;
+                renderMemoryComments();
+            }),
+            DatabaseModule.subscribeToPhotoTags(memoryId, (photoTags) => {
+                if (state.memoryDetail !== detail) return;
+                detail.photoTags = photoTags;
+                renderPhotoTags();
+            })
+        );
+    } catch (error) {
+        if (state.memoryDetail !== detail) return;
+        document.getElementById('memory-detail-story').innerHTML =
+            '<p class="detail-error">We couldn\'t load this memory. Please try again.</p>';
+    }
+}
+
+/**
+ * Memories awaiting review or hidden are only shown to their author and moderators
+ */
+function canViewMemory(memory) {
+    if (DatabaseModule.isPublished(memory)) return true;
+    return isSignedIn() && (memory.authorId === firebase.auth().currentUser.uid || AuthModule.hasRole('moderator'));
+}
+
+/**
+ * Send visitors on from a memory a moderator merged into another. Its
+ * author and moderators can still open it, with a link across.
+ * @returns {boolean} - Whether it redirected
+ */
+function redirectMergedMemory(memory) {
+    if (!memory || memory.status !== 'merged' || !memory.mergedInto || canViewMemory(memory)) return false;
+
+    navigate(`#/memory/${encodeURIComponent(memory.mergedInto)}`, true);
+    return true;
+}
+
+function teardownMemoryDetail() {
+    if (!state.memoryDetail) return;
+
+    hideMentionSuggestions();
+    closeDocumentViewer();
+    closeMediaPlayer();
+    closeLightbox();
+    state.gallery = null;
+    state.memoryDetail.unsubscribers.forEach(unsubscribe => unsubscribe());
+    state.memoryDetail = null;
+}
+
+function renderMemoryDetailLoading() {
+    closeDocumentViewer();
+    closeMediaPlayer();
+    state.gallery = null;
+    elements.memoryDetailMedia.innerHTML = `
+        <div class="placeholder-image pool-scene large">
+            <div class="archive-spinner" aria-hidden="true"></div>
+        </div>
+    `;
+    document.getElementById('memory-detail-year').textContent = '';
+    document.getElementById('memory-detail-title').textContent = 'Loading memory...';
+    setDetailAuthor(null, '');
+    document.getElementById('memory-detail-role').textContent = '';
+    document.getElementById('memory-detail-story').innerHTML = '';
+    document.getElementById('memory-comments-heading').textContent = 'Comments';
+    document.getElementById('memory-detail-status').hidden = true;
+    elements.memoryReportBtn.hidden = true;
+    setMemoryHistoryOpen(false);
+    elements.memoryEditBtn.hidden = true;
+    elements.memoryDeleteBtn.hidden = true;
+    elements.memoryDetailReactions.innerHTML = '';
+    elements.commentsList.innerHTML = '';
+}
+
+function renderMemoryDetail() {
+    const memory = state.memoryDetail.memory;
+    const placeholder = MEMORY_PLACEHOLDERS[memory.type] || MEMORY_PLACEHOLDERS.photo;
+
+    let view = 'placeholder';
+    if ((memory.media || []).length > 0) {
+        view = 'player';
+    } else if (hasDocumentViewer(memory)) {
+        view = 'viewer';
+    } else if ((memory.images || []).length > 0) {
+        view = 'gallery';
+    }
+
+    if (view !== 'player') closeMediaPlayer();
+    if (view !== 'viewer') closeDocumentViewer();
+    if (view !== 'gallery') state.gallery = null;
+
+    if (view === 'player') {
+        renderMediaPlayer(memory);
+    } else if (view === 'viewer') {
+        renderDocumentViewer(memory);
+    } else if (view === 'gallery') {
+        renderGallery(memory);
+    } else {
+        elements.memoryDetailMedia.innerHTML = `
+            <div class="placeholder-image ${placeholder.className} large">
+                <span class="image-icon">${placeholder.icon}</span>
+            </div>
+        `;
+    }
+
+    document.getElementById('memory-detail-year').textContent = memory.year || memory.decade;
+    document.getElementById('memory-detail-title').textContent = memory.title;
+    setDetailAuthor(memory.authorId, memory.authorName);
+    renderContributorRole(memory);
+    renderMemoryStatus(memory);
+
+    document.getElementById('memory-detail-story').innerHTML = String(memory.story || '')
+        .split(/\n\s*\n/)
+        .filter(paragraph => paragraph.trim())
+        .map(paragraph => `<p>${escapeHtml(paragraph.trim()).replace(/\n/g, '<br>')}</p>`)
+        .join('');
+
+    renderMemoryReactions();
+}
+
+function setDetailAuthor(userId, name) {
+    const avatar = document.getElementById('memory-detail-avatar');
+    const author = document.getElementById('memory-detail-author');
+    const href = userId ? `#/profile/${encodeURIComponent(userId)}` : null;
+
+    [avatar, author].forEach(link => {
+        if (href) {
+            link.setAttribute('href', href);
+        } else {
+            link.removeAttribute('href');
+        }
+    });
+
+    author.textContent = name;
+    avatar.textContent = getInitials(name);
+    if (userId) {
+        avatar.dataset.userId = userId;
+        hydrateAvatars(avatar.parentElement);
+    } else {
+        delete avatar.dataset.userId;
+    }
+}
+
+/**
+ * The role the contributor held when the memory happened, e.g.
+ * "Team Captain, 1994-95", falling back to their class year
+ */
+function describeContributorRole(profile, year) {
+    if (!profile) return '';
+
+    const memoryYear = parseInt(year, 10);
+    const role = memoryYear && profile.roles.find(({ season }) => {
+        const start = parseSeasonStart(season);
+        return start && (memoryYear === start || memoryYear === start + 1);
+    });
+
+    if (role) return `${role.title}, ${role.season}`;
+    return profile.classYear ? `Class of ${formatClassYear(profile.classYear)}` : '';
+}
+
+function renderContributorRole(memory) {
+    const roleEl = document.getElementById('memory-detail-role');
+    const shared = `Shared ${formatRelativeTime(memory.createdAt)}`;
+    roleEl.textContent = shared;
+
+    if (!memory.authorId) return;
+
+    loadProfile(memory.authorId).then(profile => {
+        if (state.memoryDetail?.memory !== memory) return;
+        roleEl.textContent = [describeContributorRole(profile, memory.year), shared].filter(Boolean).join(' · ');
+    });
+}
+
+const MEMORY_STATUS_NOTES = {
+    pending: 'Awaiting moderator review. Only you and the moderators can see this memory for now.',
+    hidden: 'Hidden by a moderator. It no longer appears on the timeline or in search.',
+    merged: 'Merged by a moderator into another memory with the same photo. It no longer appears on the timeline or in search.'
+};
+
+function renderMemoryStatus(memory) {
+    const banner = document.getElementById('memory-detail-status');
+    const note = MEMORY_STATUS_NOTES[memory.status];
+    const reason = memory.status === 'hidden' && memory.hiddenReason ? ` Reason: ${memory.hiddenReason}` : '';
+
+    banner.textContent = note ? note + reason : '';
+    if (memory.status === 'merged' && memory.mergedInto) {
+        banner.insertAdjacentHTML('beforeend', ` <a href="#/memory/${encodeURIComponent(memory.mergedInto)}">Open that memory</a>`);
+    }
+    banner.className = `memory-status-banner ${memory.status || ''}`;
+    banner.hidden = !note;
+
+    // Authors manage their own memories; anyone else signed in can report them
+    const isAuthor = isSignedIn() && memory.authorId === firebase.auth().currentUser.uid;
+    elements.memoryEditBtn.hidden = !isAuthor;
+    elements.memoryDeleteBtn.hidden = !isAuthor;
+    elements.memoryReportBtn.hidden = !isSignedIn() || isAuthor;
+}
+
+function renderMemoryReactions() {
+    const { memory, myReaction } = state.memoryDetail;
+    const reactions = memory.reactions || {};
+    const hasReactions = state.reactionPalette.some(({ type }) => reactions[type] > 0);
+
+    elements.memoryDetailReactions.innerHTML = renderReactionButtons(reactions, myReaction) +
+        (hasReactions ? '<button type="button" class="reaction-who" aria-haspopup="true">Who reacted?</button>' : '');
+}
+
+function renderMemoryComments() {
+    const detail = state.memoryDetail;
+    const isModerator = AuthModule.hasRole('moderator');
+
+    // Keep the caret in an open reply or edit box when the list re-renders
+    const active = document.activeElement;
+    const focusKey = elements.commentsList.contains(active) && active.dataset.draftKey
+        ? { key: active.dataset.draftKey, caret: active.selectionStart }
+        : null;
+
+    const visibleCount = detail.comments.filter(comment => !comment.hidden && !comment.deleted).length;
+    document.getElementById('memory-comments-heading').textContent =
+        visibleCount > 0 ? `Comments (${visibleCount})` : 'Comments';
+
+    // Replies whose parent is gone are shown at the top level
+    const ids = new Set(detail.comments.map(comment => comment.id));
+    const children = new Map();
+    detail.comments.forEach(comment => {
+        const parentId = comment.parentId && ids.has(comment.parentId) ? comment.parentId : null;
+        if (!children.has(parentId)) children.set(parentId, []);
+        children.get(parentId).push(comment);
+    });
+
+    const threads = (children.get(null) || [])
+        .map(comment => renderCommentThread(comment, children, isModerator))
+        .join('');
+
+    elements.commentsList.innerHTML = threads || '<p class="comments-empty">No comments yet. Share what you remember!</p>';
+    hydrateAvatars(elements.commentsList);
+
+    if (state.mention && !state.mention.input.isConnected) {
+        hideMentionSuggestions();
+    }
+
+    if (focusKey) {
+        const input = elements.commentsList.querySelector(`[data-draft-key="${focusKey.key}"]`);
+        if (input) {
+            input.focus();
+            input.setSelectionRange(focusKey.caret, focusKey.caret);
+        }
+    }
+}
+
+/**
+ * A comment with its replies. Hidden and deleted comments only stay in the
+ * thread as placeholders when something replies to them; moderators still
+ * see hidden comments so they can restore them.
+ */
+function renderCommentThread(comment, children, isModerator) {
+    const detail = state.memoryDetail;
+    const userId = isSignedIn() ? firebase.auth().currentUser.uid : null;
+    const replies = (children.get(comment.id) || [])
+        .map(reply => renderCommentThread(reply, children, isModerator))
+        .join('');
+
+    const removed = comment.deleted || (comment.hidden && !isModerator);
+    if (removed && !replies) return '';
+
+    let body;
+    if (removed) {
+        body = `
+            <div class="comment removed-comment" data-comment-id="${escapeHtml(comment.id)}">
+                <div class="comment-content">
+                    <p>${comment.deleted ? 'This comment was deleted.' : 'This comment was hidden by a moderator.'}</p>
+                </div>
+            </div>
+        `;
+    } else {
+        const isAuthor = userId && comment.authorId === userId;
+        const editing = detail.editing === comment.id;
+        const editKey = `edit:${comment.id}`;
+
+        body = `
+            <div class="comment${comment.hidden ? ' hidden-comment' : ''}" data-comment-id="${escapeHtml(comment.id)}">
+                ${renderAvatar(comment.authorId, comment.authorName, 'small')}
+                <div class="comment-content">
+                    ${comment.authorId
+                        ? `<a class="comment-author" href="#/profile/${encodeURIComponent(comment.authorId)}">${escapeHtml(comment.authorName)}</a>`
+                        : `<span class="comment-author">${escapeHtml(comment.authorName)}</span>`}
+                    ${editing ? `
+                        <form class="comment-form comment-edit-form" data-comment-id="${escapeHtml(comment.id)}">
+                            <input type="text" class="comment-input" maxlength="1000" aria-label="Edit comment" autocomplete="off" data-draft-key="${escapeHtml(editKey)}" value="${escapeHtml(detail.drafts[editKey] ?? comment.text)}">
+                            <button type="submit" class="comment-submit">Save</button>
+                            <button type="button" class="comment-cancel" data-comment-action="cancel">Cancel</button>
+                        </form>
+                    ` : `<p>${renderCommentText(comment)}</p>`}
+                    <span class="comment-time">${formatRelativeTime(comment.createdAt)}${comment.editedAt ? ' · edited' : ''}${comment.hidden ? ' · Hidden' : ''}</span>
+                    <span class="comment-actions">
+                        ${userId && !comment.hidden ? '<button type="button" data-comment-action="reply">Reply</button>' : ''}
+                        ${isAuthor && !editing ? '<button type="button" data-comment-action="edit">Edit</button>' : ''}
+                        ${userId && !isAuthor ? '<button type="button" data-comment-action="report">Report</button>' : ''}
+                        ${isModerator ? `<button type="button" data-comment-action="${comment.hidden ? 'restore' : 'hide'}">${comment.hidden ? 'Restore' : 'Hide'}</button>` : ''}
+                        ${isAuthor || isModerator ? '<button type="button" data-comment-action="delete">Delete</button>' : ''}
+                    </span>
+                </div>
+            </div>
+        `;
+    }
+
+    const replyKey = `reply:${comment.id}`;
+    const replyForm = detail.replyTo === comment.id ? `
+        <form class="comment-form reply-form" data-parent-id="${escapeHtml(comment.id)}">
+            <input type="text" class="comment-input" placeholder="Write a reply..." maxlength="1000" aria-label="Reply to ${escapeHtml(comment.authorName)}" autocomplete="off" data-draft-key="${escapeHtml(replyKey)}" value="${escapeHtml(detail.drafts[replyKey] || '')}">
+            <button type="submit" class="comment-submit">Reply</button>
+            <button type="button" class="comment-cancel" data-comment-action="cancel">Cancel</button>
+        </form>
+    ` : '';
+
+    return `
+        <div class="comment-thread">
+            ${body}
+            ${replyForm}
+            ${replies ? `<div class="comment-replies">${replies}</div>` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Comment text with each @mention linked to that alumnus's profile
+ */
+function renderCommentText(comment) {
+    let html = escapeHtml(comment.text);
+
+    // Longest names first, with linked mentions marked by a placeholder
+    // until the end, so "@Bob" can't match inside a linked "@Bob Smith"
+    [...(comment.mentions || [])]
+        .sort((a, b) => b.name.length - a.name.length)
+        .forEach(({ userId, name }) => {
+            const mention = `@${escapeHtml(name)}`;
+            html = html.split(mention).join(
+                `<a class="comment-mention" href="#/profile/${encodeURIComponent(userId)}">\u0000${escapeHtml(name)}</a>`
+            );
+        });
+
+    return html.replace(/\u0000/g, '@');
+}
+
+async function handleCommentAction(action, commentId) {
+    const detail = state.memoryDetail;
+    if (!detail) return;
+
+    const comment = detail.comments.find(({ id }) => id === commentId);
+
+    if (action === 'report') {
+        openReportModal({ memoryId: detail.id, commentId });
+        return;
+    }
+
+    if (action === 'reply') {
+        if (!requireSignIn('Sign in to join the conversation.')) return;
+
+        // Replies at the deepest level join the thread, so say who they answer
+        const key = `reply:${commentId}`;
+        if (detail.drafts[key] === undefined && (comment.depth || 0) >= DatabaseModule.COMMENT_MAX_DEPTH) {
+            detail.drafts[key] = `@${comment.authorName} `;
+        }
+        openCommentForm({ replyTo: commentId, editing: null }, key);
+        return;
+    }
+
+    if (action === 'edit') {
+        openCommentForm({ replyTo: null, editing: commentId }, `edit:${commentId}`);
+        return;
+    }
+
+    if (action === 'cancel') {
+        delete detail.drafts[detail.replyTo ? `reply:${detail.replyTo}` : `edit:${detail.editing}`];
+        detail.replyTo = null;
+        detail.editing = null;
+        hideMentionSuggestions();
+        renderMemoryComments();
+        return;
+    }
+
+    const isAuthor = comment && isSignedIn() && comment.authorId === firebase.auth().currentUser.uid;
+    if (action === 'delete' && !confirm(isAuthor ? 'Delete your comment?' : 'Delete this comment permanently?')) return;
+
+    try {
+        if (action === 'delete') {
+            await (isAuthor
+                ? DatabaseModule.deleteComment(detail.id, commentId)
+                : ModerationModule.deleteComment(detail.id, commentId));
+        } else {
+            await ModerationModule.setCommentHidden(detail.id, commentId, action === 'hide');
+        }
+    } catch (error) {
+        showToast('Action Failed', error.message, '⚠️');
+    }
+}
+
+/**
+ * Open the reply or edit box for a comment, closing any other one
+ */
+function openCommentForm(target, draftKey) {
+    const detail = state.memoryDetail;
+    detail.replyTo = target.replyTo;
+    detail.editing = target.editing;
+    renderMemoryComments();
+
+    const input = elements.commentsList.querySelector(`[data-draft-key="${draftKey}"]`);
+    if (input) {
+        input.focus();
+        input.setSelectionRange(input.value.length, input.value.length);
+    }
+}
+
+async function handleCommentFormSubmit(e) {
+    const form = e.target;
+    if (!form.matches('.reply-form, .comment-edit-form')) return;
+    e.preventDefault();
+
+    const detail = state.memoryDetail;
+    const input = form.querySelector('.comment-input');
+    const submitBtn = form.querySelector('.comment-submit');
+    const text = input.value.trim();
+
+    if (!detail || !text || submitBtn.disabled) return;
+
+    submitBtn.disabled = true;
+
+    try {
+        const mentions = await findMentions(text);
+
+        if (form.matches('.reply-form')) {
+            await DatabaseModule.addComment(detail.id, text, { parentId: form.dataset.parentId, mentions });
+            delete detail.drafts[`reply:${form.dataset.parentId}`];
+            detail.replyTo = null;
+        } else {
+            await DatabaseModule.updateComment(detail.id, form.dataset.commentId, text, mentions);
+            delete detail.drafts[`edit:${form.dataset.commentId}`];
+            detail.editing = null;
+        }
+
+        if (state.memoryDetail === detail) renderMemoryComments();
+    } catch (error) {
+        submitBtn.disabled = false;
+        showToast('Comment Failed', error.message, '⚠️');
+    }
+}
+
+async function toggleDetailReaction(reactionType) {
+    const detail = state.memoryDetail;
+    if (!detail || !detail.memory) return;
+    if (!requireSignIn('Sign in to react to memories.')) return;
+
+    try {
+        const { type } = await DatabaseModule.addReaction(detail.id, reactionType);
+
+        // The card's counts catch up through the memory listener below
+        const card = elements.archiveGrid.querySelector(`.memory-card[data-id="${detail.id}"]`);
+        if (card) card.dataset.myReaction = type || '';
+
+        if (state.memoryDetail !== detail) return;
+
+        // Counts arrive through the memory listener; only our own choice is tracked here
+        detail.myReaction = type;
+        renderMemoryReactions();
+    } catch (error) {
+        showToast('Reaction Failed', 'Your reaction could not be saved. Please try again.', '⚠️');
+    }
+}
+
+async function handleCommentSubmit(e) {
+    e.preventDefault();
+
+    const detail = state.memoryDetail;
+    const input = elements.commentForm.querySelector('.comment-input');
+    const submitBtn = elements.commentForm.querySelector('.comment-submit');
+    const text = input.value.trim();
+
+    if (!detail || !detail.memory || !text) return;
+    if (!requireSignIn('Sign in to join the conversation.')) return;
+
+    submitBtn.disabled = true;
+
+    try {
+        const mentions = await findMentions(text);
+        await DatabaseModule.addComment(detail.id, text, { mentions });
+        input.value = '';
+    } catch (error) {
+        showToast('Comment Failed', error.message, '⚠️');
+    } finally {
+        submitBtn.disabled = false;
+    }
+}
+
+/**
+ * Keep a timeline card's reaction counts in sync with live updates
+ */
+function updateCardReactions(memory) {
+    const card = elements.archiveGrid.querySelector(`.memory-card[data-id="${memory.id}"]`);
+    if (!card) return;
+
+    setCardReactions(card, memory.reactions || {});
+}
+
+// ================================
+// Reaction Functions
+// ================================
+async function loadReactionPalette() {
+    state.reactionPalette = await DatabaseModule.getReactionPalette();
+    refreshReactionDisplays();
+}
+
+/**
+ * Re-render every visible set of reactions, e.g. after the palette changes
+ */
+function refreshReactionDisplays() {
+    document.querySelectorAll('.memory-card[data-reactions]').forEach(card => {
+        setCardReactions(card, JSON.parse(card.dataset.reactions));
+    });
+    if (state.memoryDetail?.memory) {
+        renderMemoryReactions();
+    }
+}
+
+/**
+ * Buttons for the palette reactions a memory has, followed by the "+" that
+ * opens the full palette. With a limit, the most used reactions come first.
+ */
+function renderReactionButtons(reactions = {}, myReaction = null, limit = null) {
+    let shown = state.reactionPalette
+        .map((reaction, order) => ({ ...reaction, order, count: reactions[reaction.type] || 0 }))
+        .filter(({ type, count }) => count > 0 || type === myReaction);
+
+    if (limit) {
+        shown = shown.sort((a, b) => (b.count - a.count) || (a.order - b.order)).slice(0, limit);
+    }
+
+    return shown.map(({ type, emoji, label, count }) => `
+        <button type="button" class="reaction-btn${type === myReaction ? ' active' : ''}" data-reaction="${escapeHtml(type)}" aria-pressed="${type === myReaction}" title="${escapeHtml(label)}">${escapeHtml(emoji)} ${count}</button>
+    `).join('') + '<button type="button" class="reaction-btn add-reaction" aria-label="Add a reaction" aria-haspopup="true">+</button>';
+}
+
+/**
+ * Update a card's counts and, once known, the signed-in user's reaction on it
+ */
+function setCardReactions(card, reactions, myReaction = card.dataset.myReaction || null) {
+    card.dataset.reactions = JSON.stringify(reactions);
+    card.dataset.myReaction = myReaction || '';
+    card.querySelector('.reactions').innerHTML = renderReactionButtons(reactions, myReaction, CARD_REACTION_LIMIT);
+}
+
+async function toggleCardReaction(card, reactionType) {
+    if (!requireSignIn('Sign in to react to memories.')) return;
+    if (card.dataset.reacting) return;
+
+    card.dataset.reacting = 'true';
+
+    try {
+        const { type, previous } = await DatabaseModule.addReaction(card.dataset.id, reactionType);
+
+        // Picking a reaction replaces any other one this user had on the memory
+        const reactions = JSON.parse(card.dataset.reactions);
+        if (previous) reactions[previous] = Math.max(0, (reactions[previous] || 0) - 1);
+        if (type) reactions[type] = (reactions[type] || 0) + 1;
+        setCardReactions(card, reactions, type);
+    } catch (error) {
+        showToast('Reaction Failed', 'Your reaction could not be saved. Please try again.', '⚠️');
+    } finally {
+        delete card.dataset.reacting;
+    }
+}
+
+function showReactionPopover(anchor, html, onPick = null) {
+    const popover = elements.reactionPopover;
+    state.reactionPopover = { anchor, onPick };
+
+    popover.innerHTML = html;
+    popover.hidden = false;
+
+    // Below the anchor if it fits, otherwise above, kept inside the viewport
+    const rect = anchor.getBoundingClientRect();
+    const { offsetWidth: width, offsetHeight: height } = popover;
+    const top = rect.bottom + 6 + height > window.innerHeight ? rect.top - height - 6 : rect.bottom + 6;
+    const left = Math.min(Math.max(8, rect.left), window.innerWidth - width - 8);
+    popover.style.top = `${Math.max(8, top)}px`;
+    popover.style.left = `${Math.max(8, left)}px`;
+}
+
+function closeReactionPopover() {
+    if (!state.reactionPopover) return;
+
+    state.reactionPopover = null;
+    elements.reactionPopover.hidden = true;
+    elements.reactionPopover.innerHTML = '';
+}
+
+/**
+ * Open the reaction palette under the "+" button; clicking it again closes it
+ */
+function openReactionPicker(anchor, onPick) {
+    if (state.reactionPopover?.anchor === anchor) {
+        closeReactionPopover();
+        return;
+    }
+
+    showReactionPopover(anchor, `
+        <div class="reaction-palette" role="menu" aria-label="Choose a reaction">
+            ${state.reactionPalette.map(({ type, emoji, label }) => `
+                <button type="button" class="reaction-choice" role="menuitem" data-reaction="${escapeHtml(type)}" title="${escapeHtml(label)}" aria-label="${escapeHtml(label)}">${escapeHtml(emoji)}</button>
+            `).join('')}
+        </div>
+    `, onPick);
+}
+
+/**
+ * List who reacted to the open memory, grouped by reaction
+ */
+async function openWhoReacted(anchor) {
+    const detail = state.memoryDetail;
+    if (!detail?.memory) return;
+
+    if (state.reactionPopover?.anchor === anchor) {
+        closeReactionPopover();
+        return;
+    }
+
+    showReactionPopover(anchor, '<p class="reaction-who-empty">Loading...</p>');
+    const popover = state.reactionPopover;
+
+    try {
+        const reactions = await DatabaseModule.getReactions(detail.id);
+        if (state.reactionPopover !== popover) return;
+
+        const groups = state.reactionPalette
+            .map(reaction => ({ ...reaction, people: reactions.filter(({ type }) => type === reaction.type) }))
+            .filter(({ people }) => people.length > 0);
+
+        showReactionPopover(anchor, groups.length === 0
+            ? '<p class="reaction-who-empty">No reactions yet.</p>'
+            : `<div class="reaction-who-list">${groups.map(({ emoji, label, people }) => `
+                <section class="reaction-group">
+                    <h5>${escapeHtml(emoji)} ${escapeHtml(label)} <span>${people.length}</span></h5>
+                    <ul>${people.map(person => `
+                        <li>
+                            <a href="#/profile/${encodeURIComponent(person.userId)}">
+                                ${renderAvatar(person.userId, person.userName, 'small')}
+                                ${escapeHtml(person.userName)}
+                            </a>
+                        </li>
+                    `).join('')}</ul>
+                </section>
+            `).join('')}</div>`);
+        hydrateAvatars(elements.reactionPopover);
+    } catch (error) {
+        if (state.reactionPopover !== popover) return;
+        elements.reactionPopover.innerHTML = '<p class="reaction-who-empty">We couldn\'t load reactions. Please try again.</p>';
+    }
+}
+
+function handleReactionPopoverClick(e) {
+    const choice = e.target.closest('.reaction-choice');
+    if (choice && state.reactionPopover?.onPick) {
+        const { onPick } = state.reactionPopover;
+        closeReactionPopover();
+        onPick(choice.dataset.reaction);
+    } else if (e.target.closest('a[href^="#/profile/"]')) {
+        closeReactionPopover();
+    }
+}
+
+// ================================
+// Mention Functions
+// ================================
+/**
+ * Alumni @mentioned in comment text, matched against the directory by
+ * display name. Longer names win, so "@Bob Smith" isn't also read as "@Bob".
+ * @returns {Array} - { userId, name } per mentioned alumnus
+ */
+async function findMentions(text) {
+    if (!text.includes('@')) return [];
+
+    const alumni = await loadAlumniDirectory();
+    let remaining = text;
+
+    return [...alumni]
+        .sort((a, b) => b.displayName.length - a.displayName.length)
+        .filter(alumnus => {
+            const mention = `@${alumnus.displayName}`;
+            const index = remaining.indexOf(mention);
+            if (index === -1) return false;
+
+            // The name has to end where a word ends
+            if (/[\p{L}\p{N}]/u.test(remaining.charAt(index + mention.length))) return false;
+
+            remaining = remaining.split(mention).join(' ');
+            return true;
+        })
+        .map(alumnus => ({ userId: alumnus.id, name: alumnus.displayName }));
+}
+
+/**
+ * Suggest alumni while an @mention is being typed before the caret
+ */
+async function updateMentionSuggestions(input) {
+    const caret = input.selectionStart;
+    const before = input.value.slice(0, caret);
+    const match = before.match(/(?:^|\s)@([^\s@]+(?: [^\s@]*){0,2})$/);
+
+    if (!match) {
+        hideMentionSuggestions();
+        return;
+    }
+
+    const alumni = await loadAlumniDirectory();
+
+    // The text changed while the directory was loading
+    if (input.value.slice(0, input.selectionStart) !== before || document.activeElement !== input) return;
+
+    const excludeIds = new Set(isSignedIn() ? [firebase.auth().currentUser.uid] : []);
+    const suggestions = findAlumniMatches(match[1], alumni, excludeIds);
+
+    if (!suggestions.length) {
+        hideMentionSuggestions();
+        return;
+    }
+
+    state.mention = { input, start: caret - match[1].length - 1, end: caret, suggestions, index: 0 };
+    renderMentionSuggestions();
+}
+
+function renderMentionSuggestions() {
+    const { input, suggestions, index } = state.mention;
+    const list = elements.mentionSuggestions;
+
+    list.innerHTML = suggestions.map((alumnus, i) => `
+        <li class="tag-suggestion${i === index ? ' highlighted' : ''}" role="option" id="mention-option-${i}" data-index="${i}" aria-selected="${i === index}">
+            ${renderAvatar(alumnus.id, alumnus.displayName, 'small', alumnus.photoURL)}
+            <span class="suggestion-name">${escapeHtml(alumnus.displayName)}</span>
+            <span class="suggestion-year">${escapeHtml(formatClassYear(alumnus.classYear))}</span>
+        </li>
+    `).join('');
+    list.hidden = false;
+
+    // Under the comment box, or above it when it's near the bottom of the screen
+    const rect = input.getBoundingClientRect();
+    list.style.left = `${rect.left}px`;
+    list.style.width = `${rect.width}px`;
+    list.style.top = rect.bottom + 4 + list.offsetHeight > window.innerHeight
+        ? `${Math.max(8, rect.top - list.offsetHeight - 4)}px`
+        : `${rect.bottom + 4}px`;
+
+    input.setAttribute('aria-expanded', 'true');
+    input.setAttribute('aria-controls', 'mention-suggestions');
+    input.setAttribute('aria-activedescendant', `mention-option-${index}`);
+}
+
+function hideMentionSuggestions() {
+    if (state.mention) {
+        state.mention.input.setAttribute('aria-expanded', 'false');
+        state.mention.input.removeAttribute('aria-activedescendant');
+    }
+    state.mention = null;
+    elements.mentionSuggestions.hidden = true;
+}
+
+/**
+ * Replace the @text being typed with the chosen alumnus's full name
+ */
+function pickMention(index) {
+    const { input, start, end, suggestions } = state.mention;
+    const text = `@${suggestions[index].displayName} `;
+
+    input.value = input.value.slice(0, start) + text + input.value.slice(end);
+    input.setSelectionRange(start + text.length, start + text.length);
+    hideMentionSuggestions();
+    input.focus();
+    recordCommentDraft(input);
+}
+
+function handleMentionKeydown(e) {
+    const mention = state.mention;
+    if (!mention || mention.input !== e.target) return;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        mention.index = (mention.index + step + mention.suggestions.length) % mention.suggestions.length;
+        renderMentionSuggestions();
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault();
+        pickMention(mention.index);
+    } else if (e.key === 'Escape') {
+        // Close the suggestions, not the memory
+        e.stopPropagation();
+        hideMentionSuggestions();
+    }
+}
+
+/**
+ * Remember what's typed in a reply or edit box so live updates don't lose it
+ */
+function recordCommentDraft(input) {
+    if (input.dataset.draftKey && state.memoryDetail) {
+        state.memoryDetail.drafts[input.dataset.draftKey] = input.value;
+    }
+}
+
+// ================================
+// Document Viewer Functions
+// ================================
+const VIEWER_ZOOM_LEVELS = [0.5, 0.75, 1, 1.25, 1.5, 2, 3];
+const VIEWER_DEFAULT_ZOOM = 2;
+
+/**
+ * Document memories, and any memory with a PDF, open in the paged viewer
+ */
+function hasDocumentViewer(memory) {
+    return (memory.documents || []).length > 0 ||
+        (memory.type === 'document' && (memory.images || []).length > 0);
+}
+
+/**
+ * Every page of a memory in reading order: each page of each PDF, then
+ * the scanned images
+ * @param {Object} pageCounts - Page counts found by opening PDFs, by URL
+ */
+function buildViewerPages(memory, pageCounts = {}) {
+    const pages = [];
+
+    (memory.documents || []).forEach(doc => {
+        const count = pageCounts[doc.url] || doc.pageCount || 1;
+        for (let page = 1; page <= count; page++) {
+            pages.push({ doc, page });
+        }
+    });
+
+    return pages.concat(getMemoryImages(memory).map(({ url }) => ({ url })));
+}
+
+function renderDocumentViewer(memory) {
+    const key = JSON.stringify([memory.images || [], memory.documents || []]);
+    const current = state.documentViewer;
+
+    // Live updates such as new reactions shouldn't reset the page or zoom
+    if (current && current.memoryId === memory.id && current.key === key) return;
+
+    closeDocumentViewer();
+    state.documentViewer = {
+        memoryId: memory.id,
+        key,
+        memory,
+        pages: buildViewerPages(memory),
+        pageCounts: {},
+        pdfs: {},
+        index: 0,
+        zoomIndex: VIEWER_DEFAULT_ZOOM,
+        renderId: 0
+    };
+
+    elements.memoryDetailMedia.innerHTML = `
+        <div class="document-viewer" tabindex="0" aria-label="Document pages. Use the arrow keys to turn pages and + or - to zoom.">
+            <div class="document-toolbar">
+                <button type="button" class="viewer-btn" data-viewer-action="prev" aria-label="Previous page">‹</button>
+                <span class="viewer-page" aria-live="polite"></span>
+                <button type="button" class="viewer-btn" data-viewer-action="next" aria-label="Next page">›</button>
+                <span class="viewer-zoom">
+                    <button type="button" class="viewer-btn" data-viewer-action="zoom-out" aria-label="Zoom out">−</button>
+                    <span class="viewer-zoom-level"></span>
+                    <button type="button" class="viewer-btn" data-viewer-action="zoom-in" aria-label="Zoom in">+</button>
+                </span>
+                <a class="viewer-open" target="_blank" rel="noopener"></a>
+            </div>
+            <div class="document-stage"></div>
+        </div>
+    `;
+
+    showViewerPage();
+}
+
+function closeDocumentViewer() {
+    const viewer = state.documentViewer;
+    if (!viewer) return;
+
+    Object.values(viewer.pdfs).forEach(promise => {
+        promise.then(pdf => pdf.destroy()).catch(() => {});
+    });
+    state.documentViewer = null;
+}
+
+function getViewerPdf(viewer, doc) {
+    if (!viewer.pdfs[doc.url]) {
+        viewer.pdfs[doc.url] = DocumentsModule.openPdf(doc.url).catch(error => {
+            // Let the next visit to this page try again
+            delete viewer.pdfs[doc.url];
+            throw error;
+        });
+    }
+    return viewer.pdfs[doc.url];
+}
+
+function updateViewerToolbar() {
+    const viewer = state.documentViewer;
+    const root = elements.memoryDetailMedia.querySelector('.document-viewer');
+    const page = viewer.pages[viewer.index];
+    const zoom = VIEWER_ZOOM_LEVELS[viewer.zoomIndex];
+
+    root.querySelector('.viewer-page').textContent = `Page ${viewer.index + 1} of ${viewer.pages.length}`;
+    root.querySelector('[data-viewer-action="prev"]').disabled = viewer.index === 0;
+    root.querySelector('[data-viewer-action="next"]').disabled = viewer.index === viewer.pages.length - 1;
+    root.querySelector('.viewer-zoom-level').textContent = `${Math.round(zoom * 100)}%`;
+    root.querySelector('[data-viewer-action="zoom-out"]').disabled = viewer.zoomIndex === 0;
+    root.querySelector('[data-viewer-action="zoom-in"]').disabled = viewer.zoomIndex === VIEWER_ZOOM_LEVELS.length - 1;
+
+    const openLink = root.querySelector('.viewer-open');
+    openLink.href = page.doc ? page.doc.url : page.url;
+    openLink.textContent = page.doc ? 'Open PDF' : 'Open image';
+}
+
+async function showViewerPage() {
+    const viewer = state.documentViewer;
+    const page = viewer.pages[viewer.index];
+    const zoom = VIEWER_ZOOM_LEVELS[viewer.zoomIndex];
+    const stage = elements.memoryDetailMedia.querySelector('.document-stage');
+    const renderId = ++viewer.renderId;
+    const alt = `${viewer.memory.title}, page ${viewer.index + 1} of ${viewer.pages.length}`;
+
+    updateViewerToolbar();
+
+    if (!page.doc) {
+        stage.innerHTML = `<img class="document-page" src="${escapeHtml(page.url)}" alt="${escapeHtml(alt)}" style="width: ${zoom * 100}%">`;
+        return;
+    }
+
+    if (!stage.querySelector('canvas')) {
+        stage.innerHTML = '<div class="archive-spinner" aria-hidden="true"></div>';
+    }
+
+    try {
+        const pdf = await getViewerPdf(viewer, page.doc);
+        if (state.documentViewer !== viewer || viewer.renderId !== renderId) return;
+
+        // The page count wasn't known when the PDF was uploaded, or was wrong
+        if (pdf.numPages !== (viewer.pageCounts[page.doc.url] || page.doc.pageCount || 1)) {
+            viewer.pageCounts[page.doc.url] = pdf.numPages;
+            viewer.pages = buildViewerPages(viewer.memory, viewer.pageCounts);
+            updateViewerToolbar();
+        }
+
+        // Draw off-screen and swap in, so zooming doesn't flash an empty stage
+        const canvas = document.createElement('canvas');
+        canvas.className = 'document-page';
+        canvas.setAttribute('role', 'img');
+        canvas.setAttribute('aria-label', alt);
+        const stageWidth = stage.clientWidth - 2 * parseFloat(getComputedStyle(stage).paddingLeft || 0);
+        await DocumentsModule.renderPage(pdf, page.page, canvas, (stageWidth > 0 ? stageWidth : 600) * zoom);
+        if (state.documentViewer !== viewer || viewer.renderId !== renderId) return;
+
+        stage.innerHTML = '';
+        stage.appendChild(canvas);
+    } catch (error) {
+        if (state.documentViewer !== viewer || viewer.renderId !== renderId) return;
+        stage.innerHTML = `
+            <p class="detail-error">
+                This document couldn't be shown here.
+                <a href="${escapeHtml(page.doc.url)}" target="_blank" rel="noopener">Open the PDF</a> instead.
+            </p>
+        `;
+    }
+}
+
+function turnViewerPage(step) {
+    const viewer = state.documentViewer;
+    const index = Math.min(Math.max(viewer.index + step, 0), viewer.pages.length - 1);
+    if (index === viewer.index) return;
+
+    viewer.index = index;
+    elements.memoryDetailMedia.querySelector('.document-stage').scrollTop = 0;
+    showViewerPage();
+}
+
+function zoomViewer(step) {
+    const viewer = state.documentViewer;
+    const zoomIndex = Math.min(Math.max(viewer.zoomIndex + step, 0), VIEWER_ZOOM_LEVELS.length - 1);
+    if (zoomIndex === viewer.zoomIndex) return;
+
+    viewer.zoomIndex = zoomIndex;
+    showViewerPage();
+}
+
+function handleDocumentViewerClick(e) {
+    const button = e.target.closest('[data-viewer-action]');
+    if (!button || !state.documentViewer) return;
+
+    const actions = {
+        prev: () => turnViewerPage(-1),
+        next: () => turnViewerPage(1),
+        'zoom-out': () => zoomViewer(-1),
+        'zoom-in': () => zoomViewer(1)
+    };
+    actions[button.dataset.viewerAction]();
+}
+
+function handleDocumentViewerKeydown(e) {
+    if (!state.documentViewer || !e.target.closest('.document-viewer')) return;
+
+    const actions = {
+        ArrowLeft: () => turnViewerPage(-1),
+        ArrowRight: () => turnViewerPage(1),
+        '-': () => zoomViewer(-1),
+        '+': () => zoomViewer(1),
+        '=': () => zoomViewer(1)
+    };
+    if (actions[e.key]) {
+        e.preventDefault();
+        actions[e.key]();
+    }
+}
+
+// ================================
+// Gallery Functions
+// ================================
+function renderGallery(memory) {
+    const key = JSON.stringify(memory.images);
+    const current = state.gallery;
+
+    // Keep the selected photo through live updates such as new reactions
+    if (current && current.memoryId === memory.id && current.key === key) {
+        current.memory = memory;
+        return;
+    }
+
+    state.gallery = {
+        memoryId: memory.id,
+        key,
+        memory,
+        index: 0,
+        tagging: false,
+        draft: null,
+        drawing: null,
+        selectedTagId: null,
+        person: null,
+        matches: [],
+        matchIndex: -1
+    };
+    showGalleryImage(0);
+}
+
+function showGalleryImage(index) {
+    const gallery = state.gallery;
+    const { memory } = gallery;
+    const images = getMemoryImages(memory);
+    const image = images[index];
+    gallery.index = index;
+    gallery.draft = null;
+    gallery.selectedTagId = null;
+
+    elements.memoryDetailMedia.innerHTML = `
+        <div class="memory-gallery">
+            <div class="gallery-stage">
+                <button type="button" class="gallery-main" data-gallery-open aria-label="View photo ${index + 1} full screen">
+                    <img ${renderImageSources(image, IMAGE_SIZES.detail)} alt="${escapeHtml(image.caption || memory.title)}">
+                </button>
+                <div class="photo-tag-layer"></div>
+                ${isSignedIn() ? '<button type="button" class="photo-tag-toggle" data-photo-tag-toggle aria-pressed="false">🏷️ Tag people</button>' : ''}
+            </div>
+            ${image.caption ? `<p class="gallery-caption">${escapeHtml(image.caption)}</p>` : ''}
+            <p class="photo-tag-names" hidden></p>
+            <div class="photo-tag-panel" hidden></div>
+            ${images.length > 1 ? `
+                <div class="gallery-thumbs">
+                    ${images.map((thumb, thumbIndex) => `
+                        <button type="button" class="gallery-thumb${thumbIndex === index ? ' active' : ''}" data-gallery-index="${thumbIndex}" aria-label="Photo ${thumbIndex + 1} of ${images.length}" aria-pressed="${thumbIndex === index}">
+                            <img class="image-placeholder" src="${escapeHtml(StorageModule.getThumbnailUrl(thumb))}" alt="" loading="lazy"${renderImagePlaceholder(thumb)}>
+                        </button>
+                    `).join('')}
+                </div>
+            ` : ''}
+        </div>
+    `;
+
+    const img = elements.memoryDetailMedia.querySelector('.gallery-main img');
+    img.addEventListener('load', layoutPhotoTagLayer);
+    layoutPhotoTagLayer();
+    renderPhotoTags();
+}
+
+function handleGalleryClick(e) {
+    const gallery = state.gallery;
+    if (!gallery) return;
+
+    const thumb = e.target.closest('[data-gallery-index]');
+    if (thumb) {
+        showGalleryImage(parseInt(thumb.dataset.galleryIndex, 10));
+        return;
+    }
+
+    if (e.target.closest('[data-gallery-open]')) {
+        openLightbox(getMemoryImages(gallery.memory), gallery.index, gallery.memory.title);
+        return;
+    }
+
+    handlePhotoTagClick(e);
+}
+
+// ================================
+// Photo Tag Functions
+// ================================
+// Smallest box worth keeping, as a fraction of the photo's width and height
+const PHOTO_TAG_MIN_SIZE = 0.03;
+
+function getGalleryPhotoTags() {
+    const gallery = state.gallery;
+    const image = getMemoryImages(gallery.memory)[gallery.index];
+    return (state.memoryDetail?.photoTags || []).filter(tag => tag.imageUrl === image.url);
+}
+
+function photoTagBoxStyle(box) {
+    return `left: ${box.x * 100}%; top: ${box.y * 100}%; width: ${box.width * 100}%; height: ${box.height * 100}%;`;
+}
+
+/**
+ * Lay the tag layer over the photo itself, which is letterboxed inside the
+ * stage, so boxes stored as fractions of the photo land on the right faces
+ */
+function layoutPhotoTagLayer() {
+    const media = elements.memoryDetailMedia;
+    const img = media.querySelector('.gallery-main img');
+    const layer = media.querySelector('.photo-tag-layer');
+    if (!img || !layer || !img.naturalWidth) return;
+
+    const frame = img.parentElement;
+    const scale = Math.min(frame.clientWidth / img.naturalWidth, frame.clientHeight / img.naturalHeight);
+    const width = img.naturalWidth * scale;
+    const height = img.naturalHeight * scale;
+
+    layer.style.left = `${frame.offsetLeft + (frame.clientWidth - width) / 2}px`;
+    layer.style.top = `${frame.offsetTop + (frame.clientHeight - height) / 2}px`;
+    layer.style.width = `${width}px`;
+    layer.style.height = `${height}px`;
+}
+
+function renderPhotoTags() {
+    const gallery = state.gallery;
+    const media = elements.memoryDetailMedia;
+    const layer = media.querySelector('.photo-tag-layer');
+    if (!gallery || !layer) return;
+
+    const tags = getGalleryPhotoTags();
+    if (gallery.selectedTagId && !tags.some(tag => tag.id === gallery.selectedTagId)) {
+        gallery.selectedTagId = null;
+    }
+
+    layer.classList.toggle('tagging', gallery.tagging);
+    layer.innerHTML = tags.map(tag => {
+        const suggestionCount = Object.keys(tag.suggestions || {}).length;
+        const label = tag.confirmed ? escapeHtml(tag.name) : 'Who is this?';
+
+        return `
+            <button type="button" class="photo-tag ${tag.confirmed ? 'confirmed' : 'unknown'}${tag.id === gallery.selectedTagId ? ' selected' : ''}" data-photo-tag-id="${tag.id}" style="${photoTagBoxStyle(tag.box)}" aria-label="${tag.confirmed ? escapeHtml(tag.name) : 'Unknown person'}">
+                <span class="photo-tag-label">${label}${!tag.confirmed && suggestionCount ? ` · ${suggestionCount} suggested` : ''}</span>
+            </button>
+        `;
+    }).join('') + (gallery.draft ? `<div class="photo-tag draft" style="${photoTagBoxStyle(gallery.draft)}"></div>` : '');
+
+    const named = tags.filter(tag => tag.confirmed);
+    const names = media.querySelector('.photo-tag-names');
+    names.innerHTML = named.length ? `In this photo: ${named.map(tag => (tag.userId
+        ? `<a href="#/profile/${encodeURIComponent(tag.userId)}">${escapeHtml(tag.name)}</a>`
+        : escapeHtml(tag.name))).join(', ')}` : '';
+    names.hidden = !named.length;
+
+    const toggle = media.querySelector('[data-photo-tag-toggle]');
+    if (toggle) {
+        toggle.textContent = gallery.tagging ? 'Done tagging' : '🏷️ Tag people';
+        toggle.setAttribute('aria-pressed', String(gallery.tagging));
+    }
+
+    renderPhotoTagPanel();
+}
+
+function renderPhotoTagPicker(submitLabel) {
+    return `
+        <div class="photo-tag-picker">
+            <input type="text" class="form-input photo-tag-input" placeholder="Name or class year" aria-label="Who is this?" autocomplete="off" maxlength="100" aria-expanded="false">
+            <ul class="tag-suggestions photo-tag-matches" role="listbox" hidden></ul>
+        </div>
+        <button type="button" class="btn-primary" data-photo-tag-action="save">${submitLabel}</button>
+    `;
+}
+
+/**
+ * The panel under the photo for naming a new box, or for reviewing,
+ * suggesting and confirming who's in an existing one
+ */
+function renderPhotoTagPanel() {
+    const gallery = state.gallery;
+    const panel = elements.memoryDetailMedia.querySelector('.photo-tag-panel');
+    const tag = gallery.selectedTagId && state.memoryDetail.photoTags.find(item => item.id === gallery.selectedTagId);
+
+    if ((!gallery.draft || gallery.drawing) && !tag) {
+        panel.hidden = true;
+        panel.innerHTML = '';
+        return;
+    }
+
+    // Keep what's being typed through live updates
+    const input = panel.querySelector('.photo-tag-input');
+    const typed = input ? input.value : '';
+    const focused = input && document.activeElement === input;
+
+    const manager = DatabaseModule.canManagePhotoTags(gallery.memory);
+    const uid = isSignedIn() ? firebase.auth().currentUser.uid : null;
+    let html;
+
+    if (gallery.draft) {
+        html = `
+            <p class="photo-tag-heading">Who is this?</p>
+            ${renderPhotoTagPicker(manager ? 'Save tag' : 'Suggest')}
+            <button type="button" class="btn-secondary" data-photo-tag-action="unknown">${manager ? 'Save as unknown' : 'Ask who this is'}</button>
+            <button type="button" class="btn-secondary" data-photo-tag-action="cancel">Cancel</button>
+            ${manager ? '' : '<p class="photo-tag-hint">The contributor confirms suggestions before they appear.</p>'}
+        `;
+    } else if (tag.confirmed) {
+        html = `
+            <p class="photo-tag-heading">${tag.userId
+                ? `<a href="#/profile/${encodeURIComponent(tag.userId)}">${escapeHtml(tag.name)}</a>`
+                : escapeHtml(tag.name)}</p>
+            ${manager ? '<button type="button" class="btn-secondary" data-photo-tag-action="remove">Remove tag</button>' : ''}
+            <button type="button" class="btn-secondary" data-photo-tag-action="cancel">Close</button>
+        `;
+    } else {
+        const suggestions = Object.entries(tag.suggestions || {});
+        const mine = uid && tag.suggestions?.[uid];
+
+        html = `
+            <p class="photo-tag-heading">Who is this?</p>
+            ${suggestions.length ? `
+                <ul class="photo-tag-suggestions">
+                    ${suggestions.map(([suggesterId, suggestion]) => `
+                        <li>
+                            <span><strong>${escapeHtml(suggestion.name)}</strong>, suggested by ${escapeHtml(suggestion.suggestedByName)}</span>
+                            ${manager ? `<button type="button" class="btn-primary" data-photo-tag-action="confirm" data-suggester-id="${escapeHtml(suggesterId)}">Confirm</button>` : ''}
+                            ${manager || suggesterId === uid ? `<button type="button" class="btn-secondary" data-photo-tag-action="dismiss" data-suggester-id="${escapeHtml(suggesterId)}">${manager ? 'Dismiss' : 'Withdraw'}</button>` : ''}
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : '<p class="photo-tag-hint">Nobody has named this person yet.</p>'}
+            ${uid ? renderPhotoTagPicker(manager ? 'Save tag' : (mine ? 'Change suggestion' : 'Suggest')) : '<p class="photo-tag-hint">Sign in to suggest who this is.</p>'}
+            ${manager ? '<button type="button" class="btn-secondary" data-photo-tag-action="remove">Remove box</button>' : ''}
+            <button type="button" class="btn-secondary" data-photo-tag-action="cancel">Close</button>
+        `;
+    }
+
+    panel.innerHTML = html;
+    panel.hidden = false;
+
+    const newInput = panel.querySelector('.photo-tag-input');
+    if (newInput && typed) newInput.value = typed;
+    if (newInput && focused) newInput.focus();
+}
+
+function closePhotoTagPanel() {
+    const gallery = state.gallery;
+    gallery.draft = null;
+    gallery.selectedTagId = null;
+    gallery.person = null;
+    gallery.matches = [];
+    renderPhotoTags();
+}
+
+async function updatePhotoTagMatches(input) {
+    const gallery = state.gallery;
+    const query = input.value.trim();
+    gallery.person = null;
+
+    const alumni = query ? await loadAlumniDirectory() : [];
+
+    // The text changed while the directory was loading
+    if (state.gallery !== gallery || input.value.trim() !== query) return;
+
+    gallery.matches = query ? findAlumniMatches(query, alumni).map(alumnus => ({
+        userId: alumnus.id,
+        name: alumnus.displayName,
+        classYear: alumnus.classYear,
+        photoURL: alumnus.photoURL
+    })) : [];
+    if (query && !gallery.matches.some(person => person.name.toLowerCase() === query.toLowerCase())) {
+        gallery.matches.push({ userId: null, name: query, classYear: null });
+    }
+    gallery.matchIndex = gallery.matches.length ? 0 : -1;
+    renderPhotoTagMatches();
+}
+
+function renderPhotoTagMatches() {
+    const gallery = state.gallery;
+    const panel = elements.memoryDetailMedia.querySelector('.photo-tag-panel');
+    const list = panel.querySelector('.photo-tag-matches');
+    if (!list) return;
+
+    list.innerHTML = gallery.matches.map((person, index) => `
+        <li class="tag-suggestion${index === gallery.matchIndex ? ' highlighted' : ''}" role="option" data-match-index="${index}" aria-selected="${index === gallery.matchIndex}">
+            ${person.userId
+                ? `${renderAvatar(person.userId, person.name, 'small', person.photoURL)}
+                   <span class="suggestion-name">${escapeHtml(person.name)}</span>
+                   <span class="suggestion-year">${escapeHtml(formatClassYear(person.classYear))}</span>`
+                : `<span class="suggestion-name">"${escapeHtml(person.name)}"</span>
+                   <span class="suggestion-year">not on the archive yet</span>`}
+        </li>
+    `).join('');
+    list.hidden = gallery.matches.length === 0;
+    panel.querySelector('.photo-tag-input').setAttribute('aria-expanded', String(!list.hidden));
+}
+
+function pickPhotoTagMatch(index) {
+    const gallery = state.gallery;
+    const input = elements.memoryDetailMedia.querySelector('.photo-tag-input');
+    gallery.person = gallery.matches[index];
+    gallery.matches = [];
+    input.value = gallery.person.name;
+    input.focus();
+    renderPhotoTagMatches();
+}
+
+async function savePhotoTag(action, suggesterId = null) {
+    const gallery = state.gallery;
+    const detail = state.memoryDetail;
+    const manager = DatabaseModule.canManagePhotoTags(gallery.memory);
+    const tag = detail.photoTags.find(item => item.id === gallery.selectedTagId);
+    const input = elements.memoryDetailMedia.querySelector('.photo-tag-input');
+    let person = null;
+
+    if (action === 'save') {
+        const name = input.value.trim();
+        if (!name) {
+            showToast('Add a Name', 'Type a name or pick an alumnus first.', '⚠️');
+            input.focus();
+            return;
+        }
+        person = gallery.person && gallery.person.name === name ? gallery.person : { userId: null, name };
+    } else if (action === 'confirm') {
+        const suggestion = tag.suggestions[suggesterId];
+        person = { userId: suggestion.userId, name: suggestion.name };
+    }
+
+    try {
+        if (gallery.draft) {
+            const image = getMemoryImages(gallery.memory)[gallery.index];
+            await DatabaseModule.addPhotoTag(detail.id, { imageUrl: image.url, box: gallery.draft, person });
+        } else if (action === 'remove') {
+            await DatabaseModule.removePhotoTag(detail.id, tag.id);
+        } else if (action === 'dismiss') {
+            await DatabaseModule.dismissPhotoTagSuggestion(detail.id, tag.id, suggesterId);
+            return;
+        } else if (manager) {
+            await DatabaseModule.confirmPhotoTag(detail.id, tag.id, person);
+        } else {
+            await DatabaseModule.suggestPhotoTag(detail.id, tag.id, person);
+        }
+
+        if (person && !manager) {
+            showToast('Suggestion Sent', 'Thanks! The contributor will confirm who this is.', '🏷️');
+        }
+        if (state.gallery === gallery) closePhotoTagPanel();
+    } catch (error) {
+        showToast('Tag Not Saved', error.message, '⚠️');
+    }
+}
+
+function handlePhotoTagClick(e) {
+    const gallery = state.gallery;
+
+    if (e.target.closest('[data-photo-tag-toggle]')) {
+        gallery.tagging = !gallery.tagging;
+        if (!gallery.tagging) gallery.draft = null;
+        renderPhotoTags();
+        return;
+    }
+
+    const match = e.target.closest('[data-match-index]');
+    if (match) {
+        pickPhotoTagMatch(parseInt(match.dataset.matchIndex, 10));
+        return;
+    }
+
+    const action = e.target.closest('[data-photo-tag-action]');
+    if (action) {
+        if (action.dataset.photoTagAction === 'cancel') {
+            closePhotoTagPanel();
+        } else {
+            savePhotoTag(action.dataset.photoTagAction, action.dataset.suggesterId || null);
+        }
+        return;
+    }
+
+    const box = e.target.closest('[data-photo-tag-id]');
+    if (box) {
+        gallery.draft = null;
+        gallery.selectedTagId = box.dataset.photoTagId === gallery.selectedTagId ? null : box.dataset.photoTagId;
+        renderPhotoTags();
+    }
+}
+
+function handlePhotoTagKeydown(e) {
+    const gallery = state.gallery;
+    if (!gallery) return;
+
+    const input = e.target.closest('.photo-tag-input');
+    const matchesOpen = input && gallery.matches.length > 0;
+
+    if (matchesOpen && (e.key === 'ArrowDown' || e.key === 'ArrowUp')) {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        gallery.matchIndex = (gallery.matchIndex + step + gallery.matches.length) % gallery.matches.length;
+        renderPhotoTagMatches();
+    } else if (input && e.key === 'Enter') {
+        e.preventDefault();
+        if (matchesOpen && gallery.matchIndex >= 0) {
+            pickPhotoTagMatch(gallery.matchIndex);
+        } else {
+            savePhotoTag('save');
+        }
+    } else if (e.key === 'Escape' && (matchesOpen || gallery.draft || gallery.selectedTagId || gallery.tagging)) {
+        // Step back out of tagging, not out of the memory
+        e.stopPropagation();
+        if (matchesOpen) {
+            gallery.matches = [];
+            renderPhotoTagMatches();
+        } else if (gallery.draft || gallery.selectedTagId) {
+            closePhotoTagPanel();
+        } else {
+            gallery.tagging = false;
+            renderPhotoTags();
+        }
+    }
+}
+
+function photoTagPoint(e, layer) {
+    const rect = layer.getBoundingClientRect();
+    return {
+        x: Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1),
+        y: Math.min(Math.max((e.clientY - rect.top) / rect.height, 0), 1)
+    };
+}
+
+/**
+ * Drag out a box on the photo while tagging
+ */
+function handlePhotoTagPointerDown(e) {
+    const gallery = state.gallery;
+    const layer = e.target.closest('.photo-tag-layer');
+    if (!gallery?.tagging || !layer || e.button !== 0 || e.target.closest('[data-photo-tag-id]')) return;
+
+    e.preventDefault();
+    layer.setPointerCapture(e.pointerId);
+    gallery.drawing = { origin: photoTagPoint(e, layer), pointerId: e.pointerId };
+    gallery.draft = { ...gallery.drawing.origin, width: 0, height: 0 };
+    gallery.selectedTagId = null;
+    renderPhotoTags();
+}
+
+function handlePhotoTagPointerMove(e) {
+    const gallery = state.gallery;
+    if (!gallery?.drawing || gallery.drawing.pointerId !== e.pointerId) return;
+
+    const layer = e.target.closest('.photo-tag-layer');
+    const point = photoTagPoint(e, layer);
+    const { origin } = gallery.drawing;
+    gallery.draft = {
+        x: Math.min(origin.x, point.x),
+        y: Math.min(origin.y, point.y),
+        width: Math.abs(point.x - origin.x),
+        height: Math.abs(point.y - origin.y)
+    };
+    layer.querySelector('.photo-tag.draft').style.cssText = photoTagBoxStyle(gallery.draft);
+}
+
+function handlePhotoTagPointerUp(e) {
+    const gallery = state.gallery;
+    if (!gallery?.drawing || gallery.drawing.pointerId !== e.pointerId) return;
+
+    gallery.drawing = null;
+    if (gallery.draft.width < PHOTO_TAG_MIN_SIZE || gallery.draft.height < PHOTO_TAG_MIN_SIZE) {
+        gallery.draft = null;
+    }
+    renderPhotoTags();
+    elements.memoryDetailMedia.querySelector('.photo-tag-input')?.focus();
+}
+
+// ================================
+// Lightbox Functions
+// ================================
+const LIGHTBOX_MAX_SCALE = 4;
+
+function openLightbox(images, index, title) {
+    state.lightbox = {
+        images,
+        index,
+        title,
+        scale: 1,
+        x: 0,
+        y: 0,
+        drag: null,
+        returnFocus: document.activeElement
+    };
+
+    elements.lightbox.hidden = false;
+    document.body.classList.add('lightbox-open');
+    showLightboxImage(index);
+    elements.lightbox.querySelector('[data-lightbox-action="close"]').focus();
+}
+
+function closeLightbox() {
+    const lightbox = state.lightbox;
+    if (!lightbox) return;
+
+    state.lightbox = null;
+    elements.lightbox.hidden = true;
+    elements.lightboxImage.removeAttribute('src');
+    document.body.classList.remove('lightbox-open');
+
+    if (lightbox.returnFocus && document.contains(lightbox.returnFocus)) {
+        lightbox.returnFocus.focus();
+    }
+}
+
+function showLightboxImage(index) {
+    const lightbox = state.lightbox;
+    const image = lightbox.images[index];
+
+    lightbox.index = index;
+    lightbox.scale = 1;
+    lightbox.x = 0;
+    lightbox.y = 0;
+
+    // Start from a copy sized to the screen; zooming in swaps in the original
+    const sources = (image.variants || []).map(variant => `${variant.url} ${variant.width}w`);
+    if (sources.length && image.width) {
+        elements.lightboxImage.srcset = [...sources, `${image.url} ${image.width}w`].join(', ');
+        elements.lightboxImage.sizes = IMAGE_SIZES.full;
+    } else {
+        elements.lightboxImage.removeAttribute('srcset');
+        elements.lightboxImage.removeAttribute('sizes');
+    }
+    elements.lightboxImage.src = image.url;
+    elements.lightboxImage.alt = image.caption || lightbox.title;
+    elements.lightboxCaption.textContent = image.caption;
+    elements.lightboxCaption.hidden = !image.caption;
+    elements.lightboxCounter.textContent = lightbox.images.length > 1 ? `${index + 1} / ${lightbox.images.length}` : '';
+    elements.lightbox.querySelector('[data-lightbox-action="prev"]').hidden = lightbox.images.length < 2;
+    elements.lightbox.querySelector('[data-lightbox-action="next"]').hidden = lightbox.images.length < 2;
+
+    applyLightboxTransform();
+}
+
+/**
+ * Keep the zoomed photo covering the stage, then draw it
+ */
+function applyLightboxTransform() {
+    const lightbox = state.lightbox;
+    const image = elements.lightboxImage;
+    const maxX = (image.clientWidth * (lightbox.scale - 1)) / 2;
+    const maxY = (image.clientHeight * (lightbox.scale - 1)) / 2;
+
+    lightbox.x = Math.min(Math.max(lightbox.x, -maxX), maxX);
+    lightbox.y = Math.min(Math.max(lightbox.y, -maxY), maxY);
+
+    image.style.transform = `translate(${lightbox.x}px, ${lightbox.y}px) scale(${lightbox.scale})`;
+    image.classList.toggle('zoomed', lightbox.scale > 1);
+    elements.lightbox.querySelector('[data-lightbox-action="zoom-out"]').disabled = lightbox.scale <= 1;
+    elements.lightbox.querySelector('[data-lightbox-action="zoom-in"]').disabled = lightbox.scale >= LIGHTBOX_MAX_SCALE;
+}
+
+/**
+ * Zoom by a factor, keeping the point under the cursor (or the centre) still
+ * @param {number} originX - Offset from the stage centre in pixels
+ * @param {number} originY - Offset from the stage centre in pixels
+ */
+function zoomLightbox(factor, originX = 0, originY = 0) {
+    const lightbox = state.lightbox;
+    const scale = Math.min(Math.max(lightbox.scale * factor, 1), LIGHTBOX_MAX_SCALE);
+    const ratio = scale / lightbox.scale;
+
+    lightbox.x = originX - (originX - lightbox.x) * ratio;
+    lightbox.y = originY - (originY - lightbox.y) * ratio;
+    lightbox.scale = scale;
+    if (scale > 1) elements.lightboxImage.removeAttribute('srcset');
+    applyLightboxTransform();
+}
+
+function turnLightbox(step) {
+    const lightbox = state.lightbox;
+    const count = lightbox.images.length;
+    if (count < 2) return;
+
+    showLightboxImage((lightbox.index + step + count) % count);
+}
+
+/**
+ * Offset of a pointer event from the centre of the lightbox stage
+ */
+function lightboxOrigin(e) {
+    const rect = elements.lightboxStage.getBoundingClientRect();
+    return [e.clientX - rect.left - rect.width / 2, e.clientY - rect.top - rect.height / 2];
+}
+
+function handleLightboxClick(e) {
+    const button = e.target.closest('[data-lightbox-action]');
+
+    if (!button) {
+        // Clicking the dark backdrop closes, like the modals
+        if (e.target === elements.lightbox || e.target === elements.lightboxStage) closeLightbox();
+        return;
+    }
+
+    const actions = {
+        close: closeLightbox,
+        prev: () => turnLightbox(-1),
+        next: () => turnLightbox(1),
+        'zoom-in': () => zoomLightbox(1.5),
+        'zoom-out': () => zoomLightbox(1 / 1.5),
+        reset: () => zoomLightbox(1 / state.lightbox.scale)
+    };
+    actions[button.dataset.lightboxAction]();
+}
+
+function handleLightboxKeydown(e) {
+    const actions = {
+        Escape: closeLightbox,
+        ArrowLeft: () => turnLightbox(-1),
+        ArrowRight: () => turnLightbox(1),
+        '+': () => zoomLightbox(1.5),
+        '=': () => zoomLightbox(1.5),
+        '-': () => zoomLightbox(1 / 1.5),
+        '0': () => zoomLightbox(1 / state.lightbox.scale)
+    };
+
+    if (actions[e.key]) {
+        e.preventDefault();
+        actions[e.key]();
+    } else if (e.key === 'Tab') {
+        // Keep focus inside the lightbox while it's open
+        const focusable = [...elements.lightbox.querySelectorAll('button:not([hidden]):not(:disabled)')];
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+}
+
+function handleLightboxWheel(e) {
+    if (!state.lightbox) return;
+
+    e.preventDefault();
+    zoomLightbox(e.deltaY < 0 ? 1.25 : 1 / 1.25, ...lightboxOrigin(e));
+}
+
+function handleLightboxDoubleClick(e) {
+    if (!state.lightbox) return;
+
+    if (state.lightbox.scale > 1) {
+        zoomLightbox(1 / state.lightbox.scale);
+    } else {
+        zoomLightbox(2, ...lightboxOrigin(e));
+    }
+}
+
+function handleLightboxPointerDown(e) {
+    const lightbox = state.lightbox;
+    if (!lightbox || lightbox.scale <= 1) return;
+
+    e.preventDefault();
+    lightbox.drag = { pointerId: e.pointerId, startX: e.clientX - lightbox.x, startY: e.clientY - lightbox.y };
+    elements.lightboxStage.setPointerCapture(e.pointerId);
+    elements.lightboxImage.classList.add('dragging');
+}
+
+function handleLightboxPointerMove(e) {
+    const drag = state.lightbox?.drag;
+    if (!drag || drag.pointerId !== e.pointerId) return;
+
+    state.lightbox.x = e.clientX - drag.startX;
+    state.lightbox.y = e.clientY - drag.startY;
+    applyLightboxTransform();
+}
+
+function handleLightboxPointerUp(e) {
+    const lightbox = state.lightbox;
+    if (!lightbox?.drag || lightbox.drag.pointerId !== e.pointerId) return;
+
+    lightbox.drag = null;
+    elements.lightboxImage.classList.remove('dragging');
+}
+
+// ================================
+// Oral History Player Functions
+// ================================
+function renderMediaPlayer(memory) {
+    const key = JSON.stringify([memory.media, memory.images || []]);
+    const current = state.mediaPlayer;
+
+    // Live updates such as new reactions shouldn't interrupt playback
+    if (current && current.memoryId === memory.id && current.key === key) return;
+
+    closeMediaPlayer();
+    state.mediaPlayer = { memoryId: memory.id, key, memory, index: 0, element: null };
+    loadMediaTrack(0);
+}
+
+function closeMediaPlayer() {
+    const player = state.mediaPlayer;
+    if (!player) return;
+
+    if (player.element) {
+        player.element.pause();
+    }
+    state.mediaPlayer = null;
+}
+
+/**
+ * Show one recording with a play button, scrubber and running time.
+ * Memories with several recordings list them as parts underneath.
+ */
+function loadMediaTrack(index) {
+    const player = state.mediaPlayer;
+    const { memory } = player;
+    const item = memory.media[index];
+    const cover = getMemoryCover(memory);
+
+    if (player.element) {
+        player.element.pause();
+    }
+    player.index = index;
+
+    const screen = item.kind === 'video'
+        ? `<video class="media-element" src="${escapeHtml(item.url)}" preload="metadata" playsinline></video>`
+        : `<audio class="media-element" src="${escapeHtml(item.url)}" preload="metadata"></audio>
+           ${cover
+                ? `<img ${renderImageSources(cover, IMAGE_SIZES.detail)} alt="${escapeHtml(memory.title)}">`
+                : `<div class="placeholder-image oral-history-scene large"><span class="image-icon">🎙️</span></div>`}`;
+
+    elements.memoryDetailMedia.innerHTML = `
+        <div class="media-player ${item.kind === 'video' ? 'video' : 'audio'}">
+            <div class="media-screen">${screen}</div>
+            <div class="player-controls">
+                <button type="button" class="player-toggle" data-player-action="toggle" aria-label="Play">▶</button>
+                <input type="range" class="player-scrubber" min="0" max="${item.duration || 0}" step="0.1" value="0" aria-label="Position in the recording">
+                <span class="player-time">0:00 / ${formatDuration(item.duration)}</span>
+            </div>
+            ${memory.media.length > 1 ? `
+                <ol class="player-tracks">
+                    ${memory.media.map((track, trackIndex) => `
+                        <li>
+                            <button type="button" class="player-track${trackIndex === index ? ' active' : ''}" data-player-track="${trackIndex}" aria-pressed="${trackIndex === index}">
+                                ${track.kind === 'video' ? '🎥' : '🎙️'} Part ${trackIndex + 1}
+                                <span class="player-track-time">${track.duration ? formatDuration(track.duration) : ''}</span>
+                            </button>
+                        </li>
+                    `).join('')}
+                </ol>
+            ` : ''}
+        </div>
+    `;
+
+    const media = elements.memoryDetailMedia.querySelector('.media-element');
+    const toggle = elements.memoryDetailMedia.querySelector('.player-toggle');
+    const scrubber = elements.memoryDetailMedia.querySelector('.player-scrubber');
+    const time = elements.memoryDetailMedia.querySelector('.player-time');
+    let duration = item.duration || 0;
+    player.element = media;
+
+    const updateTime = () => {
+        scrubber.value = media.currentTime;
+        time.textContent = `${formatDuration(media.currentTime)} / ${formatDuration(duration)}`;
+    };
+    const setPlaying = (playing) => {
+        toggle.textContent = playing ? '❚❚' : '▶';
+        toggle.setAttribute('aria-label', playing ? 'Pause' : 'Play');
+    };
+
+    // Recordings made in the browser may not know their length until loaded
+    media.addEventListener('loadedmetadata', () => {
+        if (Number.isFinite(media.duration)) {
+            duration = media.duration;
+            scrubber.max = duration;
+            updateTime();
+        }
+    });
+    media.addEventListener('timeupdate', updateTime);
+    media.addEventListener('play', () => setPlaying(true));
+    media.addEventListener('pause', () => setPlaying(false));
+    media.addEventListener('ended', () => setPlaying(false));
+    scrubber.addEventListener('input', () => {
+        media.currentTime = Number(scrubber.value);
+        updateTime();
+    });
+}
+
+function handleMediaPlayerClick(e) {
+    const player = state.mediaPlayer;
+    if (!player) return;
+
+    if (e.target.closest('[data-player-action="toggle"]')) {
+        if (player.element.paused) {
+            player.element.play().catch(() => {});
+        } else {
+            player.element.pause();
+        }
+        return;
+    }
+
+    const track = e.target.closest('[data-player-track]');
+    if (track) {
+        loadMediaTrack(parseInt(track.dataset.playerTrack, 10));
+        player.element.play().catch(() => {});
+    }
+}
+
+// ================================
+// Edit Memory Functions
+// ================================
+function openMemoryEditor() {
+    const memory = state.memoryDetail?.memory;
+    if (!memory) return;
+
+    resetMemoryEditor();
+    state.memoryEdit = {
+        memory,
+        // Photos in display order, kept and newly added; the first is the cover
+        photos: getMemoryImages(memory).map(image => ({ ...image, file: null, previewUrl: null })),
+        keptDocuments: [...(memory.documents || [])],
+        keptMedia: [...(memory.media || [])],
+        // New PDFs and recordings, which have no place in the photo order
+        newFiles: []
+    };
+
+    const form = elements.memoryEditForm;
+    form.elements.title.value = memory.title || '';
+    form.elements.decade.value = memory.decade;
+    form.elements.year.value = memory.year || '';
+    form.elements.story.value = memory.story || '';
+    document.getElementById('memory-edit-photos-section').hidden = memory.type === 'story';
+    elements.memoryEditFiles.accept = getUploadAccept(memory.type);
+
+    renderMemoryEditPhotos();
+    openModal('memory-edit-modal');
+}
+
+function resetMemoryEditor() {
+    if (state.memoryEdit) {
+        state.memoryEdit.photos.forEach(photo => {
+            if (photo.previewUrl) URL.revokeObjectURL(photo.previewUrl);
+        });
+    }
+    state.memoryEdit = null;
+    elements.memoryEditFiles.value = '';
+}
+
+function renderMemoryEditPhotos() {
+    const { photos, keptDocuments, keptMedia, newFiles } = state.memoryEdit;
+
+    const photoRows = photos.map((photo, index) => `
+        <div class="edit-photo${photo.file ? ' new' : ''}">
+            <img src="${escapeHtml(photo.previewUrl || StorageModule.getThumbnailUrl(photo))}" alt="Photo ${index + 1}">
+            <div class="edit-photo-details">
+                ${index === 0 ? '<span class="edit-photo-cover">Cover photo</span>' : ''}
+                <input type="text" class="form-input edit-photo-caption" data-photo-index="${index}" maxlength="200" placeholder="Add a caption" aria-label="Caption for photo ${index + 1}" value="${escapeHtml(photo.caption)}">
+            </div>
+            <div class="edit-photo-actions">
+                <button type="button" data-photo-action="cover" data-photo-index="${index}" aria-label="Use photo ${index + 1} as the cover" title="Use as cover" ${index === 0 ? 'disabled' : ''}>★</button>
+                <button type="button" data-photo-action="up" data-photo-index="${index}" aria-label="Move photo ${index + 1} earlier" title="Move earlier" ${index === 0 ? 'disabled' : ''}>↑</button>
+                <button type="button" data-photo-action="down" data-photo-index="${index}" aria-label="Move photo ${index + 1} later" title="Move later" ${index === photos.length - 1 ? 'disabled' : ''}>↓</button>
+                <button type="button" data-photo-action="remove" data-photo-index="${index}" aria-label="Remove photo ${index + 1}" title="Remove">&times;</button>
+            </div>
+        </div>
+    `);
+    const documents = keptDocuments.map((doc, index) => `
+        <div class="preview-item">
+            ${doc.thumbnailUrl
+                ? `<img src="${escapeHtml(doc.thumbnailUrl)}" alt="${escapeHtml(doc.name)}">`
+                : `<span class="preview-file">📄 ${escapeHtml(doc.name)}</span>`}
+            <button type="button" class="preview-remove" data-kept-document-index="${index}" aria-label="Remove ${escapeHtml(doc.name)}">&times;</button>
+        </div>
+    `);
+    const recordings = keptMedia.map((item, index) => `
+        <div class="preview-item">
+            <span class="preview-file">${item.kind === 'video' ? '🎥' : '🎙️'} ${escapeHtml(item.name)}</span>
+            ${item.duration ? `<span class="preview-badge">${formatDuration(item.duration)}</span>` : ''}
+            <button type="button" class="preview-remove" data-kept-media-index="${index}" aria-label="Remove ${escapeHtml(item.name)}">&times;</button>
+        </div>
+    `);
+    const added = newFiles.map((file, index) => `
+        <div class="preview-item new">
+            <span class="preview-file">${StorageModule.isMediaFile(file) ? '🎙️' : '📄'} ${escapeHtml(file.name)}</span>
+            <button type="button" class="preview-remove" data-new-index="${index}" aria-label="Remove ${escapeHtml(file.name)}">&times;</button>
+        </div>
+    `);
+
+    elements.memoryEditPhotos.innerHTML = [...photoRows, ...documents, ...recordings, ...added].join('') ||
+        '<p class="memory-edit-empty">No photos yet.</p>';
+}
+
+function addMemoryEditFiles(files) {
+    const edit = state.memoryEdit;
+    if (!edit) return;
+
+    Array.from(files).forEach(file => {
+        const options = UPLOAD_OPTIONS[edit.memory.type] || UPLOAD_OPTIONS.photo;
+        if (!options.accepts(file)) {
+            showToast('File Skipped', `"${file.name}" can't be added to this memory. ${options.invalidMessage}`, '⚠️');
+            return;
+        }
+        const validation = StorageModule.validateFile(file);
+        if (!validation.valid) {
+            showToast('File Skipped', validation.error, '⚠️');
+            return;
+        }
+        if (file.type.startsWith('image/')) {
+            edit.photos.push({ url: null, caption: '', file, previewUrl: URL.createObjectURL(file) });
+        } else {
+            edit.newFiles.push(file);
+        }
+    });
+
+    elements.memoryEditFiles.value = '';
+    renderMemoryEditPhotos();
+}
+
+function removeMemoryEditPhoto(button) {
+    const edit = state.memoryEdit;
+
+    if (button.dataset.keptDocumentIndex !== undefined) {
+        edit.keptDocuments.splice(parseInt(button.dataset.keptDocumentIndex, 10), 1);
+    } else if (button.dataset.keptMediaIndex !== undefined) {
+        edit.keptMedia.splice(parseInt(button.dataset.keptMediaIndex, 10), 1);
+    } else {
+        edit.newFiles.splice(parseInt(button.dataset.newIndex, 10), 1);
+    }
+
+    renderMemoryEditPhotos();
+}
+
+/**
+ * Choose the cover, reorder or remove a photo in the editor
+ */
+function handleEditPhotoAction(button) {
+    const { photos } = state.memoryEdit;
+    const index = parseInt(button.dataset.photoIndex, 10);
+    const action = button.dataset.photoAction;
+
+    if (action === 'cover') {
+        photos.unshift(...photos.splice(index, 1));
+    } else if (action === 'up' || action === 'down') {
+        const target = action === 'up' ? index - 1 : index + 1;
+        [photos[index], photos[target]] = [photos[target], photos[index]];
+    } else if (action === 'remove') {
+        const [photo] = photos.splice(index, 1);
+        if (photo.previewUrl) URL.revokeObjectURL(photo.previewUrl);
+    }
+
+    renderMemoryEditPhotos();
+
+    // Keep keyboard focus on the same control after re-rendering
+    const newIndex = action === 'cover' ? 0 : action === 'up' ? index - 1 : action === 'down' ? index + 1 : null;
+    if (newIndex !== null) {
+        const control = elements.memoryEditPhotos.querySelector(`[data-photo-action="${action}"][data-photo-index="${newIndex}"]`);
+        (control && !control.disabled ? control : elements.memoryEditPhotos.querySelector(`.edit-photo-caption[data-photo-index="${newIndex}"]`)).focus();
+    }
+}
+
+async function handleMemoryEditSubmit(e) {
+    e.preventDefault();
+
+    const edit = state.memoryEdit;
+    if (!edit || elements.memoryEditSave.disabled) return;
+
+    const form = elements.memoryEditForm;
+    const title = form.elements.title.value.trim();
+    const decade = form.elements.decade.value;
+    const year = form.elements.year.value ? parseInt(form.elements.year.value, 10) : null;
+    const story = form.elements.story.value.trim();
+    const hasRecording = edit.keptMedia.length > 0 || edit.newFiles.some(file => StorageModule.isMediaFile(file));
+
+    if (!title || (!story && !hasRecording)) {
+        showToast('Missing Information', 'A memory needs a title and a story.', '⚠️');
+        return;
+    }
+
+    if (year && !isYearInDecade(year, decade)) {
+        showToast('Check the Year', `${year} isn't in the ${decade}. Please fix the year or decade.`, '⚠️');
+        return;
+    }
+
+    const { memory } = edit;
+    elements.memoryEditSave.disabled = true;
+    elements.memoryEditSave.textContent = 'Saving...';
+
+    try {
+        let documents = [...edit.keptDocuments];
+        let media = [...edit.keptMedia];
+        let failedCount = 0;
+
+        // New photos keep their place in the order; ones that fail are left out
+        const newPhotos = edit.photos.filter(photo => photo.file && !photo.url);
+        const uploads = [...newPhotos.map(photo => photo.file), ...edit.newFiles];
+
+        if (uploads.length > 0) {
+            const results = await StorageModule.uploadMultipleFiles(uploads, memory.id);
+            newPhotos.forEach((photo, index) => {
+                if (!results[index].error) Object.assign(photo, imageFromUpload(results[index]), { caption: photo.caption });
+            });
+            const uploaded = splitUploadResults(results.slice(newPhotos.length));
+            documents = documents.concat(uploaded.documents);
+            media = media.concat(uploaded.media);
+            failedCount = results.filter(result => result.error).length;
+        }
+
+        const images = edit.photos
+            .filter(photo => photo.url)
+            .map(({ file, previewUrl, ...image }) => ({ ...image, caption: image.caption.trim() }));
+
+        await DatabaseModule.updateMemory(memory.id, { title, decade, year, story, images, documents, media });
+
+        // Removed files stay in storage so earlier revisions can still be
+        // restored; they go when the memory itself is deleted
+        closeModal('memory-edit-modal');
+        if (failedCount > 0) {
+            showToast('Memory Updated', `${failedCount} new file(s) couldn't be uploaded. Try adding them again.`, '⚠️');
+        } else {
+            showToast('Memory Updated', 'Your changes have been saved.', '✓');
+        }
+
+        refreshDecadeListings(memory.decade, decade);
+    } catch (error) {
+        showToast('Could Not Save', error.message, '⚠️');
+    } finally {
+        elements.memoryEditSave.disabled = false;
+        elements.memoryEditSave.textContent = 'Save Changes';
+    }
+}
+
+async function deleteOwnMemory() {
+    const memory = state.memoryDetail?.memory;
+    if (!memory) return;
+
+    if (!confirm(`Delete "${memory.title}"? Its photos, comments and reactions will be removed too. This can't be undone.`)) return;
+
+    elements.memoryDeleteBtn.disabled = true;
+
+    try {
+        await DatabaseModule.deleteMemory(memory.id);
+
+        // Stop listening before the memory listener reports it missing
+        teardownMemoryDetail();
+        closeModal('memory-modal');
+        showToast('Memory Deleted', `"${memory.title}" has been removed from the archive.`, '🗑️');
+
+        refreshDecadeListings(memory.decade);
+        if (state.currentView === 'profile' && state.profile?.userId === memory.authorId) {
+            loadProfileView(memory.authorId);
+        }
+    } catch (error) {
+        showToast('Could Not Delete', error.message, '⚠️');
+    } finally {
+        elements.memoryDeleteBtn.disabled = false;
+    }
+}
+
+/**
+ * Reload decade counts, and the timeline if it's showing one of these decades
+ */
+function refreshDecadeListings(...decades) {
+    loadDecadeStats();
+    if (decades.includes(state.currentDecade)) {
+        loadDecadeMemories();
+    }
+}
+
+// ================================
+// Revision History Functions
+// ================================
+const REVISION_FIELD_LABELS = {
+    title: 'title',
+    story: 'story',
+    decade: 'decade',
+    year: 'year',
+    tags: 'people tagged',
+    images: 'photos',
+    documents: 'documents',
+    media: 'recordings'
+};
+
+function revisionKey(memory) {
+    return JSON.stringify(DatabaseModule.revisionSnapshot(memory));
+}
+
+function setMemoryHistoryOpen(open) {
+    elements.memoryHistory.hidden = !open;
+    elements.memoryHistoryBtn.setAttribute('aria-expanded', String(open));
+}
+
+function toggleMemoryHistory() {
+    const open = elements.memoryHistory.hidden;
+    setMemoryHistoryOpen(open);
+    if (open) {
+        loadMemoryHistory();
+    }
+}
+
+async function loadMemoryHistory() {
+    const detail = state.memoryDetail;
+    if (!detail?.memory) return;
+
+    if (!detail.revisions) {
+        elements.memoryHistoryList.innerHTML = '<li class="history-empty">Loading history...</li>';
+        elements.memoryHistoryDiff.innerHTML = '';
+    }
+
+    try {
+        const revisions = await DatabaseModule.getRevisions(detail.id);
+        if (state.memoryDetail !== detail) return;
+
+        detail.revisions = revisions;
+        detail.selectedRevision = 0;
+        renderMemoryHistory();
+    } catch (error) {
+        if (state.memoryDetail !== detail) return;
+        elements.memoryHistoryList.innerHTML = '<li class="history-empty">We couldn\'t load the history. Please try again.</li>';
+    }
+}
+
+function canRestoreRevisions(memory) {
+    return isSignedIn() && (memory.authorId === firebase.auth().currentUser.uid || AuthModule.hasRole('moderator'));
+}
+
+function describeRevision(revision, isOriginal) {
+    if (revision.restoredFrom) return 'restored an earlier version';
+    if (isOriginal) return 'shared the original';
+    return `changed the ${revision.changedFields.map(field => REVISION_FIELD_LABELS[field] || field).join(', ')}`;
+}
+
+function renderMemoryHistory() {
+    const { memory, revisions, selectedRevision } = state.memoryDetail;
+
+    if (!revisions.length) {
+        elements.memoryHistoryList.innerHTML = '<li class="history-empty">This memory hasn\'t been edited since it was shared.</li>';
+        elements.memoryHistoryDiff.innerHTML = '';
+        return;
+    }
+
+    const canRestore = canRestoreRevisions(memory);
+
+    elements.memoryHistoryList.innerHTML = revisions.map((revision, index) => `
+        <li class="history-item${index === selectedRevision ? ' selected' : ''}">
+            <button type="button" class="history-select" data-revision-index="${index}" aria-pressed="${index === selectedRevision}">
+                <strong>${escapeHtml(revision.editorName || 'Unknown')}</strong>
+                ${escapeHtml(describeRevision(revision, index === revisions.length - 1))}
+                <span class="history-time">${formatRelativeTime(revision.createdAt)}</span>
+            </button>
+            ${index === 0
+                ? '<span class="history-current">Current</span>'
+                : canRestore ? `<button type="button" class="history-restore" data-revision-id="${escapeHtml(revision.id)}">Restore</button>` : ''}
+        </li>
+    `).join('');
+
+    renderRevisionDiff();
+}
+
+/**
+ * Show what the selected revision changed compared with the one before it
+ */
+function renderRevisionDiff() {
+    const { revisions, selectedRevision } = state.memoryDetail;
+    const revision = revisions[selectedRevision];
+    const previous = revisions[selectedRevision + 1];
+
+    if (!previous) {
+        elements.memoryHistoryDiff.innerHTML = `
+            <p class="history-diff-note">The original version as it was shared.</p>
+            <div class="history-diff-story">${escapeHtml(revision.story)}</div>
+        `;
+        return;
+    }
+
+    const fieldChanges = ['title', 'decade', 'year', 'tags']
+        .filter(field => JSON.stringify(previous[field]) !== JSON.stringify(revision[field]))
+        .map(field => {
+            const format = value => (Array.isArray(value) ? value.join(', ') : value) || 'none';
+            return `
+                <li>
+                    <span class="history-field">${REVISION_FIELD_LABELS[field]}</span>
+                    <del>${escapeHtml(format(previous[field]))}</del> → <ins>${escapeHtml(format(revision[field]))}</ins>
+                </li>
+            `;
+        });
+
+    // Revisions recorded before documents and recordings existed lack those fields
+    ['images', 'documents', 'media'].forEach(field => {
+        const urls = revisionEntry => (revisionEntry[field] || []).map(item => item.url || item);
+        const before = urls(previous);
+        const after = urls(revision);
+        const added = after.filter(url => !before.includes(url)).length;
+        const removed = before.filter(url => !after.includes(url)).length;
+        const parts = [added && `${added} added`, removed && `${removed} removed`];
+
+        if (field === 'images') {
+            const captions = images => new Map(DatabaseModule.normalizeImages(images).map(image => [image.url, image.caption]));
+            const beforeCaptions = captions(previous.images);
+            const afterCaptions = captions(revision.images);
+            const kept = after.filter(url => before.includes(url));
+            parts.push(
+                kept.join() !== before.filter(url => after.includes(url)).join() && 'reordered',
+                kept.some(url => beforeCaptions.get(url) !== afterCaptions.get(url)) && 'captions edited'
+            );
+        }
+
+        if (parts.some(Boolean)) {
+            fieldChanges.push(`<li><span class="history-field">${REVISION_FIELD_LABELS[field]}</span> ${parts.filter(Boolean).join(', ')}</li>`);
+        }
+    });
+
+    const storyDiff = previous.story === revision.story
+        ? '<p class="history-diff-note">The story wasn\'t changed.</p>'
+        : `<div class="history-diff-story">${diffWords(previous.story, revision.story).map(({ type, text }) => {
+            if (type === 'added') return `<ins>${escapeHtml(text)}</ins>`;
+            if (type === 'removed') return `<del>${escapeHtml(text)}</del>`;
+            return escapeHtml(text);
+        }).join('')}</div>`;
+
+    elements.memoryHistoryDiff.innerHTML = `
+        ${fieldChanges.length ? `<ul class="history-field-changes">${fieldChanges.join('')}</ul>` : ''}
+        ${storyDiff}
+    `;
+}
+
+/**
+ * Word-level diff of two texts using the longest common subsequence of
+ * words and whitespace runs
+ * @returns {Array} - { type: 'same' | 'added' | 'removed', text } runs in order
+ */
+function diffWords(before, after) {
+    const a = String(before || '').split(/(\s+)/).filter(Boolean);
+    const b = String(after || '').split(/(\s+)/).filter(Boolean);
+
+    // lengths[i][j] is the LCS length of a[i..] and b[j..]
+    const lengths = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i] === b[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const runs = [];
+    const push = (type, text) => {
+        const last = runs[runs.length - 1];
+        if (last && last.type === type) {
+            last.text += text;
+        } else {
+            runs.push({ type, text });
+        }
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            push('same', a[i]);
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            push('removed', a[i++]);
+        } else {
+            push('added', b[j++]);
+        }
+    }
+    while (i < a.length) push('removed', a[i++]);
+    while (j < b.length) push('added', b[j++]);
+
+    return runs;
+}
+
+async function handleHistoryClick(e) {
+    const select = e.target.closest('.history-select');
+    if (select) {
+        state.memoryDetail.selectedRevision = parseInt(select.dataset.revisionIndex, 10);
+        renderMemoryHistory();
+        return;
+    }
+
+    const restore = e.target.closest('.history-restore');
+    if (!restore || restore.disabled) return;
+
+    const { memory } = state.memoryDetail;
+    if (!confirm('Restore this version? The current version will stay in the history.')) return;
+
+    restore.disabled = true;
+
+    try {
+        const isAuthor = memory.authorId === firebase.auth().currentUser.uid;
+        const updated = isAuthor
+            ? await DatabaseModule.restoreRevision(memory.id, restore.dataset.revisionId)
+            : await ModerationModule.restoreRevision(memory.id, restore.dataset.revisionId);
+
+        showToast('Version Restored', `"${updated.title}" is back to an earlier version.`, '↩️');
+        refreshDecadeListings(memory.decade, updated.decade);
+        loadMemoryHistory();
+    } catch (error) {
+        restore.disabled = false;
+        showToast('Could Not Restore', error.message, '⚠️');
+    }
+}
+
+// ================================
+// Search Functions
+// ================================
+function getSearchFilters() {
+    const year = parseInt(elements.searchYear.value, 10);
+
+    return {
+        decade: elements.searchDecade.value || null,
+        year: Number.isNaN(year) ? null : year,
+        type: elements.searchType.value || null,
+        contributor: elements.searchContributor.value || null
+    };
+}
+
+function scheduleSearch() {
+    clearTimeout(state.searchTimer);
+    state.searchTimer = setTimeout(() => {
+        // Keep the query in the URL so searches can be shared and revisited
+        const query = elements.searchInput.value.trim();
+        history.replaceState(null, '', query ? `#/search/${encodeURIComponent(query)}` : '#/search');
+        runSearch();
+    }, SEARCH_DEBOUNCE_DELAY);
+}
+
+async function runSearch() {
+    if (typeof SearchModule === 'undefined') return;
+
+    const requestId = ++state.searchRequestId;
+    const query = elements.searchInput.value.trim();
+    const filters = getSearchFilters();
+    const hasFilters = Object.values(filters).some(Boolean);
+
+    if (!query && !hasFilters) {
+        elements.searchSummary.textContent = 'Type a name, place or moment to search every decade.';
+        elements.searchResults.innerHTML = '';
+        return;
+    }
+
+    elements.searchSummary.textContent = 'Searching...';
+
+    try {
+        const results = await SearchModule.search(query, filters);
+        if (requestId !== state.searchRequestId) return;
+
+        renderSearchContributors();
+        elements.searchSummary.textContent = results.length === 0
+            ? 'No memories matched. Try fewer words or different filters.'
+            : `${results.length}${results.length === 50 ? '+' : ''} ${results.length === 1 ? 'memory' : 'memories'} found`;
+        elements.searchResults.innerHTML = results.map(renderSearchResult).join('');
+    } catch (error) {
+        if (requestId !== state.searchRequestId) return;
+        elements.searchSummary.textContent = 'Search is unavailable right now. Please try again.';
+        elements.searchResults.innerHTML = '';
+    }
+}
+
+function renderHighlighted(text, matchedStems) {
+    return SearchModule.highlight(text, matchedStems)
+        .map(segment => segment.match ? `<mark>${escapeHtml(segment.text)}</mark>` : escapeHtml(segment.text))
+        .join('');
+}
+
+function renderSearchResult({ memoryId, record, matchedStems }) {
+    const placeholder = MEMORY_PLACEHOLDERS[record.type] || MEMORY_PLACEHOLDERS.photo;
+    const snippet = SearchModule.snippet(record.story, matchedStems);
+    const tags = (record.tags || []).filter(tag => SearchModule.highlight(tag, matchedStems).some(s => s.match));
+
+    return `
+        <li class="search-result">
+            <a href="#/memory/${encodeURIComponent(memoryId)}" class="search-result-link">
+                <span class="search-result-icon">${placeholder.icon}</span>
+                <div class="search-result-body">
+                    <h4>${renderHighlighted(record.title, matchedStems)}</h4>
+                    <span class="search-result-meta">
+                        ${escapeHtml(record.year || record.decade)} &middot; ${renderHighlighted(record.authorName, matchedStems)}
+                        ${tags.length > 0 ? ` &middot; with ${tags.map(tag => renderHighlighted(tag, matchedStems)).join(', ')}` : ''}
+                    </span>
+                    <p class="search-result-snippet">${renderHighlighted(snippet, matchedStems)}</p>
+                </div>
+            </a>
+        </li>
+    `;
+}
+
+function renderSearchContributors() {
+    const select = elements.searchContributor;
+    const selected = select.value;
+    const contributors = SearchModule.getContributors();
+
+    // Only rebuild when the set of contributors changed
+    if (select.options.length === contributors.length + 1) return;
+
+    select.innerHTML = '<option value="">All contributors</option>' + contributors.map(contributor => `
+        <option value="${escapeHtml(contributor.id)}">${escapeHtml(contributor.name)}</option>
+    `).join('');
+    select.value = selected;
+}
+
+// ================================
+// Contribute Form Functions
+// ================================
+// Upload zone wording and accepted files for each memory type with uploads
+const UPLOAD_OPTIONS = {
+    photo: {
+        label: 'Upload your photo',
+        prompt: 'Drag photos here or',
+        hint: 'JPG, PNG up to 10MB',
+        accept: 'image/*',
+        accepts: file => file.type.startsWith('image/'),
+        invalidMessage: 'Please upload image files only.'
+    },
+    document: {
+        label: 'Upload your document',
+        prompt: 'Drag a PDF or scanned pages here or',
+        hint: 'PDF, or JPG/PNG scans in page order, up to 10MB each',
+        accept: 'image/*,application/pdf',
+        accepts: file => file.type.startsWith('image/') || DocumentsModule.isPdf(file),
+        invalidMessage: 'Please upload PDFs or image scans.'
+    },
+    'oral-history': {
+        label: 'Record or upload your story',
+        prompt: 'Drag audio, video or photos here or',
+        hint: 'Recordings up to 500MB, photos up to 10MB',
+        accept: 'audio/*,video/*,image/*',
+        accepts: file => file.type.startsWith('image/') || StorageModule.isMediaFile(file),
+        invalidMessage: 'Please upload audio, video or photos.'
+    }
+};
+
+function getUploadAccept(type) {
+    return (UPLOAD_OPTIONS[type] || UPLOAD_OPTIONS.photo).accept;
+}
+
+function switchMemoryType(type) {
+    state.memoryType = type;
+
+    elements.typeBtns.forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.type === type);
+    });
+
+    // Show/hide upload section based on type
+    const uploadSection = document.getElementById('upload-section');
+    if (type === 'story') {
+        uploadSection.style.display = 'none';
+    } else {
+        uploadSection.style.display = 'block';
+    }
+
+    const options = UPLOAD_OPTIONS[type] || UPLOAD_OPTIONS.photo;
+    document.getElementById('upload-label').textContent = options.label;
+    document.getElementById('upload-prompt').textContent = options.prompt;
+    document.getElementById('upload-hint').textContent = options.hint;
+    elements.fileInput.accept = options.accept;
+
+    // A recording can stand in for the written story
+    elements.recorder.hidden = type !== 'oral-history';
+    elements.storyLabel.textContent = type === 'oral-history' ? 'A few words about the recording (optional)' : 'Your story';
+    if (type !== 'oral-history') {
+        stopRecording(true);
+    }
+
+    if (type !== 'story') {
+        const removed = state.uploadedFiles.filter(file => !options.accepts(file));
+        if (removed.length > 0) {
+            state.uploadedFiles = state.uploadedFiles.filter(file => options.accepts(file));
+            renderUploadedPreviews();
+            showToast('Files Removed', `${removed.length} file(s) can't be added to this type of memory.`, 'ℹ️');
+        }
+    }
+}
+
+function handleFileUpload(files) {
+    const options = UPLOAD_OPTIONS[state.memoryType] || UPLOAD_OPTIONS.photo;
+    const accepted = [];
+
+    Array.from(files).forEach(file => {
+        if (!options.accepts(file)) {
+            showToast('Invalid File', options.invalidMessage, '⚠️');
+            return;
+        }
+
+        const validation = StorageModule.validateFile(file);
+        if (!validation.valid) {
+            showToast('File Skipped', validation.error, '⚠️');
+            return;
+        }
+
+        state.uploadedFiles.push(file);
+        accepted.push(file);
+        elements.uploadedPreview.appendChild(createUploadPreview(file, state.uploadedFiles.length - 1));
+    });
+
+    suggestYearFromPhotos(accepted);
+    checkForDuplicatePhotos(accepted);
+}
+
+/**
+ * Offer to fill in the year from when the earliest of the photos was taken.
+ * Only asks while the year is blank and the decade doesn't disagree, and
+ * only once per year, so adding more photos from the same day doesn't nag.
+ */
+async function suggestYearFromPhotos(files) {
+    const photos = files.filter(file => file.type === 'image/jpeg');
+    if (photos.length === 0) return;
+
+    const dates = (await Promise.all(photos.map(file => MetadataModule.read(file))))
+        .map(metadata => metadata.takenAt)
+        .filter(Boolean);
+    if (dates.length === 0) return;
+
+    const year = Math.min(...dates.map(date => date.getFullYear()));
+    const decade = `${Math.floor(year / 10) * 10}s`;
+    const yearInput = document.getElementById('year-input');
+    const decadeSelect = document.getElementById('decade-select');
+
+    if (year < 1950 || year > new Date().getFullYear()) return;
+    if (yearInput.value || (decadeSelect.value && decadeSelect.value !== decade)) return;
+    if (state.suggestedPhotoYear === year) return;
+    state.suggestedPhotoYear = year;
+
+    const when = photos.length === 1 ? 'This photo was' : 'These photos were';
+    if (!confirm(`${when} taken in ${year}, according to the camera. Use ${year} for this memory?`)) return;
+
+    yearInput.value = year;
+    decadeSelect.value = decade;
+    scheduleDraftAutosave();
+}
+
+/**
+ * Warn when a photo looks like one already in the archive, linking to that
+ * memory so the contributor can comment or react there instead
+ */
+async function checkForDuplicatePhotos(files) {
+    const photos = files.filter(file => file.type.startsWith('image/'));
+
+    for (const file of photos) {
+        const hash = await StorageModule.hashImageFile(file);
+        if (!hash) continue;
+
+        let matches;
+        try {
+            matches = await SearchModule.findSimilarPhotos(hash);
+        } catch (error) {
+            // Only a courtesy; the photo can still be added
+            return;
+        }
+
+        // It may have been removed while it was being checked
+        if (matches.length === 0 || !state.uploadedFiles.includes(file)) continue;
+
+        state.duplicatePhotos.push({ file, match: matches[0] });
+        renderDuplicatePhotoWarning();
+    }
+}
+
+function renderDuplicatePhotoWarning() {
+    state.duplicatePhotos = state.duplicatePhotos.filter(({ file }) => state.uploadedFiles.includes(file));
+
+    elements.duplicateWarning.hidden = state.duplicatePhotos.length === 0;
+    elements.duplicateWarning.innerHTML = state.duplicatePhotos.map(({ file, match }, index) => `
+        <div class="duplicate-warning-item">
+            <p>
+                “${escapeHtml(file.name)}” looks like a photo already in the ${escapeHtml(match.record.decade)} archive:
+                <a href="#/memory/${encodeURIComponent(match.memoryId)}">${escapeHtml(match.record.title)}</a>,
+                shared by ${escapeHtml(match.record.authorName)}. You could add a comment or reaction there instead.
+            </p>
+            <div class="duplicate-warning-actions">
+                <button type="button" class="btn-secondary" data-duplicate-action="remove" data-index="${index}">Remove this photo</button>
+                <button type="button" class="btn-secondary" data-duplicate-action="keep" data-index="${index}">Add it anyway</button>
+            </div>
+        </div>
+    `).join('');
+}
+
+function handleDuplicatePhotoAction(button) {
+    const duplicate = state.duplicatePhotos[parseInt(button.dataset.index, 10)];
+    if (!duplicate) return;
+
+    if (button.dataset.duplicateAction === 'remove') {
+        removeUploadedFile(state.uploadedFiles.indexOf(duplicate.file));
+    } else {
+        state.duplicatePhotos = state.duplicatePhotos.filter(item => item !== duplicate);
+        renderDuplicatePhotoWarning();
+    }
+}
+
 function removeUploadedFile(index) {
     state.uploadedFiles.splice(index, 1);
     renderUploadedPreviews();
 }
 
-function renderUploadedPreviews() {
-    elements.uploadedPreview.innerHTML = '';
-    state.uploadedFiles.forEach((file, index) => {
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            const previewItem = document.createElement('div');
-            previewItem.className = 'preview-item';
-            previewItem.innerHTML = `
-                <img src="${e.target.result}" alt="Upload preview">
-                <button type="button" class="preview-remove" data-index="${index}">&times;</button>
-            `;
-            elements.uploadedPreview.appendChild(previewItem);
-        };
-        reader.readAsDataURL(file);
-    });
+function renderUploadedPreviews() {
+    elements.uploadedPreview.innerHTML = '';
+    state.uploadedFiles.forEach((file, index) => {
+        elements.uploadedPreview.appendChild(createUploadPreview(file, index));
+    });
+    renderDuplicatePhotoWarning();
+}
+
+/**
+ * A preview tile for a file waiting to be uploaded. PDFs show their name
+ * until the first page has been rendered.
+ */
+function createUploadPreview(file, index) {
+    const previewItem = document.createElement('div');
+    previewItem.className = 'preview-item';
+    previewItem.innerHTML = `
+        <button type="button" class="preview-remove" data-index="${index}" aria-label="Remove ${escapeHtml(file.name)}">&times;</button>
+    `;
+
+    const showImage = (blob, pageCount = null) => {
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            previewItem.querySelector('.preview-file')?.remove();
+            previewItem.insertAdjacentHTML('afterbegin', `
+                <img src="${e.target.result}" alt="${escapeHtml(file.name)}">
+                ${pageCount ? `<span class="preview-badge">${pageCount} ${pageCount === 1 ? 'page' : 'pages'}</span>` : ''}
+            `);
+        };
+        reader.readAsDataURL(blob);
+    };
+
+    if (DocumentsModule.isPdf(file)) {
+        previewItem.insertAdjacentHTML('afterbegin', `<span class="preview-file">📄 ${escapeHtml(file.name)}</span>`);
+        DocumentsModule.createThumbnail(file, 240)
+            .then(({ blob, pageCount }) => showImage(blob, pageCount))
+            .catch(() => {});
+    } else if (StorageModule.isMediaFile(file)) {
+        const icon = file.type.startsWith('video/') ? '🎥' : '🎙️';
+        previewItem.insertAdjacentHTML('afterbegin', `<span class="preview-file">${icon} ${escapeHtml(file.name)}</span>`);
+        StorageModule.getMediaDuration(file)
+            .then(duration => {
+                if (duration) {
+                    previewItem.insertAdjacentHTML('beforeend', `<span class="preview-badge">${formatDuration(duration)}</span>`);
+                }
+            })
+            .catch(() => {});
+    } else {
+        showImage(file);
+    }
+
+    return previewItem;
+}
+
+// ================================
+// Recording Functions
+// ================================
+// Formats to try, best first; browsers support different containers
+const RECORDING_TYPES = {
+    audio: ['audio/webm;codecs=opus', 'audio/mp4', 'audio/ogg;codecs=opus'],
+    video: ['video/webm;codecs=vp8,opus', 'video/mp4']
+};
+
+const RECORDING_EXTENSIONS = {
+    'audio/webm': 'webm',
+    'audio/mp4': 'm4a',
+    'audio/ogg': 'ogg',
+    'video/webm': 'webm',
+    'video/mp4': 'mp4'
+};
+
+async function startRecording(kind) {
+    if (state.recording) return;
+
+    if (!navigator.mediaDevices?.getUserMedia || typeof MediaRecorder === 'undefined') {
+        showToast('Recording Not Supported', 'This browser can\'t record. You can upload a recording instead.', '⚠️');
+        return;
+    }
+
+    let stream;
+    try {
+        stream = await navigator.mediaDevices.getUserMedia(kind === 'video' ? { audio: true, video: true } : { audio: true });
+    } catch (error) {
+        const devices = kind === 'video' ? 'camera and microphone' : 'microphone';
+        showToast(
+            'Can\'t Start Recording',
+            error.name === 'NotAllowedError'
+                ? `Allow the archive to use your ${devices} to record.`
+                : `No ${devices} could be found.`,
+            '⚠️'
+        );
+        return;
+    }
+
+    const mimeType = RECORDING_TYPES[kind].find(type => MediaRecorder.isTypeSupported(type));
+    const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+    const recording = { kind, recorder, stream, chunks: [], size: 0, startedAt: Date.now(), timer: null, discard: false };
+    const maxSize = StorageModule.UPLOAD_POLICIES.media.maxSize;
+
+    recorder.ondataavailable = (e) => {
+        if (!e.data.size) return;
+        recording.chunks.push(e.data);
+        recording.size += e.data.size;
+
+        if (recording.size >= maxSize && recorder.state === 'recording') {
+            showToast('Recording Stopped', `Recordings can be up to ${StorageModule.UPLOAD_POLICIES.media.sizeLabel}.`, 'ℹ️');
+            recorder.stop();
+        }
+    };
+    recorder.onstop = () => finishRecording(recording);
+
+    // Collect data every second so a long recording never sits in one buffer
+    recorder.start(1000);
+    state.recording = recording;
+
+    recording.timer = setInterval(() => {
+        elements.recorderTime.textContent = formatDuration((Date.now() - recording.startedAt) / 1000);
+    }, 500);
+
+    elements.recorderTime.textContent = '0:00';
+    elements.recorderActions.hidden = true;
+    elements.recorderLive.hidden = false;
+    elements.recorderPreview.hidden = kind !== 'video';
+    if (kind === 'video') {
+        elements.recorderPreview.srcObject = stream;
+        elements.recorderPreview.play().catch(() => {});
+    }
+}
+
+/**
+ * Stop the current recording and add it to the upload, or throw it away
+ */
+function stopRecording(discard = false) {
+    const recording = state.recording;
+    if (!recording) return;
+
+    recording.discard = discard;
+    if (recording.recorder.state !== 'inactive') {
+        recording.recorder.stop();
+    } else {
+        finishRecording(recording);
+    }
+}
+
+function finishRecording(recording) {
+    clearInterval(recording.timer);
+    recording.stream.getTracks().forEach(track => track.stop());
+
+    if (state.recording === recording) {
+        state.recording = null;
+        elements.recorderPreview.srcObject = null;
+        elements.recorderPreview.hidden = true;
+        elements.recorderLive.hidden = true;
+        elements.recorderActions.hidden = false;
+    }
+
+    if (recording.discard || recording.chunks.length === 0) return;
+
+    const type = (recording.recorder.mimeType || recording.chunks[0].type || `${recording.kind}/webm`).split(';')[0];
+    const stamp = new Date(recording.startedAt).toISOString().slice(0, 16).replace(/[T:]/g, '-');
+    const file = new File(recording.chunks, `${recording.kind}-recording-${stamp}.${RECORDING_EXTENSIONS[type] || 'webm'}`, {
+        type,
+        lastModified: Date.now()
+    });
+
+    handleFileUpload([file]);
+}
+
+function updateCharCount() {
+    const count = elements.storyInput.value.length;
+    elements.charCount.textContent = `${count} / 2000`;
+
+    if (count > 2000) {
+        elements.charCount.style.color = '#dc3545';
+    } else if (count > 1800) {
+        elements.charCount.style.color = '#ffc107';
+    } else {
+        elements.charCount.style.color = '';
+    }
+}
+
+function isYearInDecade(year, decade) {
+    const start = parseInt(decade, 10);
+    return year >= start && year < start + 10;
+}
+
+function setContributeSubmitting(submitting) {
+    state.submitting = submitting;
+
+    const submitBtn = elements.contributeForm.querySelector('button[type="submit"]');
+    submitBtn.disabled = submitting;
+    submitBtn.querySelector('span').textContent = submitting ? 'Adding...' : 'Add to Archive';
+}
+
+function resetContributeForm() {
+    clearTimeout(state.draftAutosaveTimer);
+    state.draftSession++;
+    stopRecording(true);
+    elements.contributeForm.reset();
+    state.uploadedFiles = [];
+    state.suggestedPhotoYear = null;
+    state.currentDraftId = null;
+    state.taggedPeople = [];
+    renderTaggedPeople();
+    elements.uploadedPreview.innerHTML = '';
+    renderDuplicatePhotoWarning();
+    elements.draftStatus.textContent = '';
+    updateCharCount();
+}
+
+function getContributeFormData() {
+    const yearValue = document.getElementById('year-input').value;
+
+    return {
+        title: document.getElementById('title-input').value.trim(),
+        decade: document.getElementById('decade-select').value,
+        year: yearValue ? parseInt(yearValue, 10) : null,
+        type: state.memoryType,
+        story: elements.storyInput.value.trim(),
+        tags: state.taggedPeople.map(person => person.name),
+        taggedUserIds: state.taggedPeople.filter(person => person.userId).map(person => person.userId)
+    };
+}
+
+async function handleContributeSubmit(e) {
+    e.preventDefault();
+
+    if (state.submitting) return;
+
+    if (state.recording) {
+        showToast('Still Recording', 'Stop the recording before adding your memory.', '🎙️');
+        return;
+    }
+
+    const memoryData = getContributeFormData();
+    const { title, decade, year, story } = memoryData;
+
+    // Oral histories can be told entirely in the recording
+    const hasRecording = state.memoryType === 'oral-history' &&
+        state.uploadedFiles.some(file => StorageModule.isMediaFile(file));
+
+    if (!title || !decade || (!story && !hasRecording)) {
+        showToast('Missing Information', 'Please fill in all required fields.', '⚠️');
+        return;
+    }
+
+    if (story.length > 2000) {
+        showToast('Story Too Long', 'Please keep your story under 2000 characters.', '⚠️');
+        return;
+    }
+
+    if (year && !isYearInDecade(year, decade)) {
+        showToast('Check the Year', `${year} isn't in the ${decade}. Please fix the year or decade.`, '⚠️');
+        return;
+    }
+
+    if (!requireSignIn('Sign in to add your memory to the archive.')) return;
+
+    const files = state.memoryType === 'story' ? [] : [...state.uploadedFiles];
+
+    clearTimeout(state.draftAutosaveTimer);
+    setContributeSubmitting(true);
+
+    // Let an autosave that's under way finish first, so a draft it creates
+    // is known here and removed rather than landing after publishing
+    const pendingSave = state.draftSave;
+    await waitForDraftSave();
+    const draftId = state.currentDraftId;
+
+    state.pendingUpload = null;
+    renderUploadProgress(files);
+
+    try {
+        const { memoryId, failedFiles, status } = await submitMemoryToFirebase(memoryData, files, updateUploadProgress);
+
+        resetContributeForm();
+        loadDecadeStats();
+
+        // The draft has been promoted to a memory
+        if (draftId) {
+            removeDraft(draftId, true);
+        } else if (pendingSave) {
+            pendingSave.then(draft => DraftsModule.remove(draft.id)).catch(() => {});
+        }
+        if (decade === state.currentDecade) {
+            loadDecadeMemories();
+        }
+
+        if (failedFiles.length > 0) {
+            state.pendingUpload = { memoryId, title, decade, files: failedFiles };
+            renderUploadRetry();
+            showToast(
+                'Memory Saved',
+                `${failedFiles.length} of ${files.length} file(s) failed to upload. You can retry them below.`,
+                '⚠️'
+            );
+        } else if (status === 'pending') {
+            elements.uploadProgress.hidden = true;
+            showToast('Submitted for Review', 'A moderator will publish your memory shortly. Thanks for sharing!', '🕓');
+        } else {
+            elements.uploadProgress.hidden = true;
+            showToast('Memory Added!', 'Your contribution has been added to the archive.', '🎉');
+        }
+    } catch (error) {
+        elements.uploadProgress.hidden = true;
+        showToast('Submission Failed', error.message, '⚠️');
+    } finally {
+        setContributeSubmitting(false);
+    }
+}
+
+// ================================
+// Teammate Tagging Functions
+// ================================
+function formatClassYear(classYear) {
+    return classYear ? `'${String(classYear).slice(-2)}` : '';
+}
+
+function loadAlumniDirectory() {
+    if (!state.alumniDirectoryPromise) {
+        state.alumniDirectoryPromise = typeof DatabaseModule === 'undefined'
+            ? Promise.resolve([])
+            : DatabaseModule.getAlumniDirectory().then(alumni => {
+                // Allow a retry next time if the directory couldn't be loaded
+                if (alumni.length === 0) state.alumniDirectoryPromise = null;
+                return alumni;
+            });
+    }
+    return state.alumniDirectoryPromise;
+}
+
+function findAlumniMatches(query, alumni, excludeIds = new Set()) {
+    const tokens = query.toLowerCase().replace(/'/g, '').split(/\s+/).filter(Boolean);
+
+    return alumni
+        .filter(alumnus => !excludeIds.has(alumnus.id))
+        .map(alumnus => {
+            const name = (alumnus.displayName || '').toLowerCase();
+            const year = String(alumnus.classYear || '');
+            const words = [...name.split(/\s+/), year, year.slice(-2)].filter(Boolean);
+            const matches = tokens.every(token => words.some(word => word.startsWith(token)));
+
+            return { alumnus, matches, exact: name.startsWith(tokens.join(' ')) };
+        })
+        .filter(result => result.matches)
+        .sort((a, b) => (b.exact - a.exact) || a.alumnus.displayName.localeCompare(b.alumnus.displayName))
+        .slice(0, 8)
+        .map(result => result.alumnus);
+}
+
+async function updateTagSuggestions() {
+    const query = elements.tagsInput.value.trim();
+    if (!query) {
+        hideTagSuggestions();
+        return;
+    }
+
+    const alumni = await loadAlumniDirectory();
+
+    // The input changed while the directory was loading
+    if (elements.tagsInput.value.trim() !== query) return;
+
+    const taggedIds = new Set(state.taggedPeople.map(person => person.userId).filter(Boolean));
+    const matches = findAlumniMatches(query, alumni, taggedIds).map(alumnus => ({
+        userId: alumnus.id,
+        name: alumnus.displayName,
+        classYear: alumnus.classYear,
+        photoURL: alumnus.photoURL
+    }));
+
+    const alreadyTagged = state.taggedPeople.some(person => person.name.toLowerCase() === query.toLowerCase());
+    if (!alreadyTagged) {
+        matches.push({ userId: null, name: query, classYear: null });
+    }
+
+    state.tagSuggestions = matches;
+    state.tagSuggestionIndex = matches.length > 0 ? 0 : -1;
+    renderTagSuggestions();
+}
+
+function renderTagSuggestions() {
+    const list = elements.tagSuggestions;
+
+    list.innerHTML = state.tagSuggestions.map((person, index) => `
+        <li class="tag-suggestion${index === state.tagSuggestionIndex ? ' highlighted' : ''}" role="option" data-index="${index}" aria-selected="${index === state.tagSuggestionIndex}">
+            ${person.userId
+                ? `${renderAvatar(person.userId, person.name, 'small', person.photoURL)}
+                   <span class="suggestion-name">${escapeHtml(person.name)}</span>
+                   <span class="suggestion-year">${escapeHtml(formatClassYear(person.classYear))}</span>`
+                : `<span class="suggestion-name">Tag "${escapeHtml(person.name)}"</span>
+                   <span class="suggestion-year">not on the archive yet</span>`}
+        </li>
+    `).join('');
+
+    list.hidden = state.tagSuggestions.length === 0;
+    elements.tagsInput.setAttribute('aria-expanded', String(!list.hidden));
+}
+
+function hideTagSuggestions() {
+    state.tagSuggestions = [];
+    state.tagSuggestionIndex = -1;
+    elements.tagSuggestions.hidden = true;
+    elements.tagsInput.setAttribute('aria-expanded', 'false');
+}
+
+function addTaggedPerson(person) {
+    const name = person.name.trim();
+    if (!name) return;
+
+    const duplicate = state.taggedPeople.some(existing =>
+        (person.userId && existing.userId === person.userId) ||
+        (!person.userId && existing.name.toLowerCase() === name.toLowerCase())
+    );
+
+    if (!duplicate) {
+        state.taggedPeople.push({ ...person, name });
+        renderTaggedPeople();
+        scheduleDraftAutosave();
+    }
+
+    elements.tagsInput.value = '';
+    hideTagSuggestions();
+}
+
+function removeTaggedPerson(index) {
+    state.taggedPeople.splice(index, 1);
+    renderTaggedPeople();
+    scheduleDraftAutosave();
+}
+
+function renderTaggedPeople() {
+    elements.tagsContainer.innerHTML = state.taggedPeople.map((person, index) => `
+        <span class="tag${person.userId ? '' : ' free-text'}" title="${person.userId ? 'Archive member' : 'Not on the archive yet'}">
+            ${escapeHtml(person.name)} ${escapeHtml(formatClassYear(person.classYear))}
+            <button type="button" class="tag-remove" data-index="${index}" aria-label="Remove ${escapeHtml(person.name)}">&times;</button>
+        </span>
+    `).join('');
+}
+
+function handleTagsKeydown(e) {
+    const suggestionsOpen = !elements.tagSuggestions.hidden;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        if (!suggestionsOpen) return;
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        const count = state.tagSuggestions.length;
+        state.tagSuggestionIndex = (state.tagSuggestionIndex + step + count) % count;
+        renderTagSuggestions();
+    } else if (e.key === 'Enter') {
+        // Never submit the whole form from the tag field
+        e.preventDefault();
+        if (suggestionsOpen && state.tagSuggestionIndex >= 0) {
+            addTaggedPerson(state.tagSuggestions[state.tagSuggestionIndex]);
+        } else {
+            addTaggedPerson({ userId: null, name: elements.tagsInput.value, classYear: null });
+        }
+    } else if (e.key === ',') {
+        e.preventDefault();
+        addTaggedPerson({ userId: null, name: elements.tagsInput.value, classYear: null });
+    } else if (e.key === 'Backspace' && !elements.tagsInput.value && state.taggedPeople.length > 0) {
+        removeTaggedPerson(state.taggedPeople.length - 1);
+    } else if (e.key === 'Escape' && suggestionsOpen) {
+        e.stopPropagation();
+        hideTagSuggestions();
+    }
+}
+
+// ================================
+// Draft Functions
+// ================================
+function hasDraftContent(data) {
+    return Boolean(data.title || data.story || data.decade || state.uploadedFiles.length > 0);
+}
+
+async function saveDraft(autosave = false) {
+    // Nothing saves over a memory that's being published
+    if (typeof DraftsModule === 'undefined' || state.submitting) return;
+
+    clearTimeout(state.draftAutosaveTimer);
+
+    const data = getContributeFormData();
+    if (!hasDraftContent(data)) {
+        if (!autosave) {
+            showToast('Nothing to Save', 'Add a title or start your story before saving a draft.', 'ℹ️');
+        }
+        return;
+    }
+
+    elements.draftStatus.textContent = 'Saving draft...';
+
+    const session = state.draftSession;
+    const save = DraftsModule.save({
+        ...data,
+        id: state.currentDraftId,
+        taggedPeople: [...state.taggedPeople],
+        files: [...state.uploadedFiles]
+    });
+    state.draftSave = save;
+
+    try {
+        const draft = await save;
+
+        // The form was published, cleared or switched to another draft meanwhile
+        if (session !== state.draftSession) return;
+
+        state.currentDraftId = draft.id;
+        elements.draftStatus.textContent = `Draft saved at ${new Date(draft.updatedAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}`;
+
+        if (!autosave) {
+            showToast('Draft Saved', 'You can pick up where you left off from My Drafts.', '💾');
+        }
+        renderDraftsList();
+    } catch (error) {
+        console.error('Error saving draft:', error);
+        if (session !== state.draftSession) return;
+
+        elements.draftStatus.textContent = 'Draft not saved';
+        if (!autosave) {
+            showToast('Draft Not Saved', error.message, '⚠️');
+        }
+    } finally {
+        if (state.draftSave === save) {
+            state.draftSave = null;
+        }
+    }
+}
+
+/**
+ * Wait for a draft save under way, but no longer than DRAFT_SAVE_WAIT:
+ * the local draft is optional and mustn't hold up publishing
+ */
+function waitForDraftSave() {
+    if (!state.draftSave) return Promise.resolve();
+
+    return Promise.race([
+        state.draftSave.catch(() => {}),
+        new Promise(resolve => setTimeout(resolve, DRAFT_SAVE_WAIT))
+    ]);
+}
+
+function scheduleDraftAutosave() {
+    clearTimeout(state.draftAutosaveTimer);
+    state.draftAutosaveTimer = setTimeout(() => saveDraft(true), DRAFT_AUTOSAVE_DELAY);
+}
+
+async function renderDraftsList() {
+    if (typeof DraftsModule === 'undefined') return;
+
+    let drafts = [];
+    try {
+        drafts = await DraftsModule.list();
+    } catch (error) {
+        console.error('Error loading drafts:', error);
+    }
+
+    elements.draftsPanel.hidden = drafts.length === 0;
+    elements.draftsList.innerHTML = drafts.map(draft => `
+        <li class="draft-item${draft.id === state.currentDraftId ? ' current' : ''}">
+            <div class="draft-info">
+                <span class="draft-title">${escapeHtml(draft.title || 'Untitled draft')}</span>
+                <span class="draft-meta">
+                    ${draft.decade ? `${escapeHtml(draft.decade)} &middot; ` : ''}Saved ${formatRelativeTime(draft.updatedAt)}
+                </span>
+            </div>
+            <div class="draft-actions">
+                <button type="button" class="btn-secondary" data-action="resume-draft" data-id="${escapeHtml(draft.id)}">Resume</button>
+                <button type="button" class="draft-delete" data-action="delete-draft" data-id="${escapeHtml(draft.id)}" aria-label="Delete draft">&times;</button>
+            </div>
+        </li>
+    `).join('');
+}
+
+async function resumeDraft(draftId) {
+    const draft = await DraftsModule.get(draftId);
+    if (!draft) {
+        showToast('Draft Not Found', 'This draft may have been deleted on another device.', '⚠️');
+        renderDraftsList();
+        return;
+    }
+
+    resetContributeForm();
+    state.currentDraftId = draft.id;
+
+    switchMemoryType(draft.type || 'photo');
+    document.getElementById('title-input').value = draft.title || '';
+    document.getElementById('decade-select').value = draft.decade || '';
+    document.getElementById('year-input').value = draft.year || '';
+    state.taggedPeople = draft.taggedPeople ||
+        (draft.tags || []).map(name => ({ userId: null, name, classYear: null }));
+    renderTaggedPeople();
+    elements.storyInput.value = draft.story || '';
+    updateCharCount();
+
+    state.uploadedFiles = draft.files;
+    renderUploadedPreviews();
+    checkForDuplicatePhotos(draft.files);
+
+    if ((draft.fileCount || 0) > draft.files.length) {
+        showToast('Photos Not on This Device', 'Photos added on another device need to be selected again here.', 'ℹ️');
+    }
+
+    elements.draftStatus.textContent = `Editing draft saved ${formatRelativeTime(draft.updatedAt)}`;
+    renderDraftsList();
+}
+
+async function removeDraft(draftId, silent = false) {
+    if (!silent && !confirm('Delete this draft? This cannot be undone.')) return;
+
+    try {
+        // A save still under way would write the draft back after it's gone
+        await waitForDraftSave();
+        await DraftsModule.remove(draftId);
+        if (state.currentDraftId === draftId) {
+            state.currentDraftId = null;
+            elements.draftStatus.textContent = '';
+        }
+    } catch (error) {
+        if (!silent) {
+            showToast('Delete Failed', error.message, '⚠️');
+        }
+    }
+
+    renderDraftsList();
+}
+
+// ================================
+// Upload Progress Functions
+// ================================
+function renderUploadProgress(files) {
+    const container = elements.uploadProgress;
+
+    container.hidden = files.length === 0;
+    container.innerHTML = files.map((file, index) => `
+        <div class="upload-progress-item" data-index="${index}">
+            <div class="upload-progress-header">
+                <span class="upload-progress-name">${escapeHtml(file.name)}</span>
+                <span class="upload-progress-status">Waiting...</span>
+            </div>
+            <div class="progress-bar">
+                <div class="progress-fill" style="width: 0%"></div>
+            </div>
+        </div>
+    `).join('');
+}
+
+function updateUploadProgress(index, percent, status = 'uploading', error = '') {
+    const item = elements.uploadProgress.querySelector(`.upload-progress-item[data-index="${index}"]`);
+    if (!item) return;
+
+    const labels = {
+        uploading: `${Math.round(percent)}%`,
+        done: 'Uploaded',
+        failed: 'Failed'
+    };
+
+    item.className = `upload-progress-item ${status}`;
+    item.querySelector('.progress-fill').style.width = `${percent}%`;
+    item.querySelector('.upload-progress-status').textContent = labels[status];
+    item.title = error;
+}
+
+function renderUploadRetry() {
+    const pending = state.pendingUpload;
+    if (!pending) return;
+
+    const footer = document.createElement('div');
+    footer.className = 'upload-retry';
+    footer.innerHTML = `
+        <p>"${escapeHtml(pending.title)}" was saved, but ${pending.files.length} photo(s) didn't upload.</p>
+        <div class="upload-retry-actions">
+            <button type="button" class="btn-secondary" data-action="dismiss-uploads">Dismiss</button>
+            <button type="button" class="btn-primary" data-action="retry-uploads">Retry Failed Uploads</button>
+        </div>
+    `;
+    elements.uploadProgress.appendChild(footer);
+}
+
+async function retryFailedUploads() {
+    const pending = state.pendingUpload;
+    if (!pending) return;
+
+    renderUploadProgress(pending.files);
+
+    try {
+        const failedFiles = await uploadMemoryFiles(pending.memoryId, pending.files, updateUploadProgress);
+
+        if (failedFiles.length > 0) {
+            pending.files = failedFiles;
+            renderUploadRetry();
+            showToast('Some Uploads Failed', `${failedFiles.length} photo(s) still couldn't be uploaded.`, '⚠️');
+            return;
+        }
+
+        state.pendingUpload = null;
+        elements.uploadProgress.hidden = true;
+        showToast('Photos Uploaded', `All photos were added to "${pending.title}".`, '🎉');
+
+        if (pending.decade === state.currentDecade) {
+            loadDecadeMemories();
+        }
+    } catch (error) {
+        renderUploadRetry();
+        showToast('Upload Failed', error.message, '⚠️');
+    }
+}
+
+function dismissFailedUploads() {
+    state.pendingUpload = null;
+    elements.uploadProgress.hidden = true;
+    elements.uploadProgress.innerHTML = '';
+}
+
+// ================================
+// Invite Functions
+// ================================
+function addInviteEmail() {
+    const email = elements.inviteEmail.value.trim();
+
+    if (!email) return;
+
+    if (!isValidEmail(email)) {
+        showToast('Invalid Email', 'Please enter a valid email address.', '⚠️');
+        return;
+    }
+
+    if (state.inviteEmails.includes(email)) {
+        showToast('Duplicate Email', 'This email has already been added.', '⚠️');
+        return;
+    }
+
+    state.inviteEmails.push(email);
+    renderEmailList();
+    elements.inviteEmail.value = '';
+    updateSendButton();
+}
+
+function removeInviteEmail(email) {
+    state.inviteEmails = state.inviteEmails.filter(e => e !== email);
+    renderEmailList();
+    updateSendButton();
+}
+
+function renderEmailList() {
+    elements.emailList.innerHTML = state.inviteEmails.map(email => `
+        <div class="email-item">
+            <span>${escapeHtml(email)}</span>
+            <button type="button" class="remove-email" data-email="${escapeHtml(email)}">&times;</button>
+        </div>
+    `).join('');
+}
+
+function updateSendButton() {
+    elements.sendInvitesBtn.disabled = state.inviteEmails.length === 0 || state.sendingInvites;
+}
+
+async function handleInviteSubmit(e) {
+    e.preventDefault();
+
+    if (state.inviteEmails.length === 0 || state.sendingInvites) return;
+
+    const message = document.getElementById('invite-message').value.trim();
+
+    state.sendingInvites = true;
+    updateSendButton();
+
+    try {
+        const failed = await sendInvitesToFirebase(state.inviteEmails, message);
+        const sentCount = state.inviteEmails.length - failed.length;
+
+        if (sentCount) {
+            showToast('Invitations Sent!', `${sentCount} invitation${sentCount === 1 ? ' is' : 's are'} on the way.`, '📧');
+        }
+        failed.forEach(({ email, error }) => {
+            showToast('Invite Not Sent', `${email}: ${error.message}`, '⚠️');
+        });
+
+        // Keep failed addresses in the list so they can be fixed or removed
+        state.inviteEmails = failed.map(({ email }) => email);
+        renderEmailList();
+        if (!failed.length) {
+            document.getElementById('invite-message').value = '';
+        }
+        loadMyInvites();
+    } catch (error) {
+        showToast('Error', 'Failed to send invitations. Please try again.', '⚠️');
+    } finally {
+        state.sendingInvites = false;
+        updateSendButton();
+    }
+}
+
+async function loadMyInvites() {
+    if (!isSignedIn()) return;
+
+    const invites = await DatabaseModule.getMyInvites();
+    state.invites = invites;
+    renderPendingInvites();
+}
+
+function describeInviteStatus(invite) {
+    const status = DatabaseModule.getInviteStatus(invite);
+
+    if (status === 'expired') {
+        return `Expired ${formatRelativeTime(invite.expiresAt)}`;
+    }
+    if (!invite.lastSentAt) {
+        return invite.sendRequested ? 'Sending...' : `Created ${formatRelativeTime(invite.createdAt)}`;
+    }
+
+    const sent = `Sent ${formatRelativeTime(invite.lastSentAt)}`;
+    const resending = invite.sendRequested ? ' · resending' : '';
+    return `${sent}${resending} · expires ${formatRelativeTime(invite.expiresAt)}`;
+}
+
+function renderPendingInvites() {
+    const invites = state.invites;
+    const open = invites.filter(invite => ['pending', 'expired'].includes(DatabaseModule.getInviteStatus(invite)));
+    const accepted = invites.filter(invite => invite.status === 'accepted').length;
+
+    elements.inviteCredit.hidden = accepted === 0;
+    elements.inviteCredit.textContent = `${accepted} ${accepted === 1 ? 'teammate has' : 'teammates have'} joined through your invites.`;
+
+    if (!open.length) {
+        elements.pendingList.innerHTML = '<li class="pending-item pending-empty">No pending invites.</li>';
+        return;
+    }
+
+    elements.pendingList.innerHTML = open.map(invite => {
+        const status = DatabaseModule.getInviteStatus(invite);
+        const resendAt = DatabaseModule.getInviteResendAvailableAt(invite);
+        const canResend = !resendAt && !invite.sendRequested;
+        const resendTitle = resendAt ? `You can resend ${formatRelativeTime(resendAt)}` : 'Email a new link';
+
+        return `
+            <li class="pending-item${status === 'expired' ? ' expired' : ''}" data-id="${escapeHtml(invite.id)}">
+                <div class="pending-info">
+                    <span class="pending-email">${escapeHtml(invite.email)}</span>
+                    <span class="pending-status">${escapeHtml(describeInviteStatus(invite))}</span>
+                </div>
+                <div class="pending-actions">
+                    <button type="button" class="pending-action" data-action="resend" title="${escapeHtml(resendTitle)}" ${canResend ? '' : 'disabled'}>Resend</button>
+                    <button type="button" class="pending-action" data-action="revoke">Revoke</button>
+                </div>
+            </li>
+        `;
+    }).join('');
+}
+
+async function handlePendingInviteAction(action, inviteId) {
+    const invite = state.invites.find(entry => entry.id === inviteId);
+    if (!invite) return;
+
+    try {
+        if (action === 'resend') {
+            await DatabaseModule.resendInvite(inviteId);
+            showToast('Invite Resent', `A new link is on its way to ${invite.email}.`, '📧');
+        } else if (action === 'revoke') {
+            if (!confirm(`Revoke the invite to ${invite.email}? Their link will stop working.`)) return;
+            await DatabaseModule.revokeInvite(inviteId);
+            showToast('Invite Revoked', `The invite to ${invite.email} no longer works.`, '✓');
+        }
+    } catch (error) {
+        showToast('Error', error.message, '⚠️');
+    }
+
+    loadMyInvites();
+}
+
+/**
+ * Check an accept link, then pre-fill the registration form from it
+ */
+async function handleInviteLink(token) {
+    // Don't leave the token sitting in the address bar or history
+    navigate(`#/timeline/${state.currentDecade}`, true);
+
+    if (isSignedIn()) {
+        showToast('Already Signed In', 'This invite is for a new account. Sign out first to use it.', 'ℹ️');
+        return;
+    }
+
+    try {
+        const invite = await DatabaseModule.getInviteByToken(token);
+        state.inviteToken = token;
+
+        elements.inviteBanner.innerHTML = `
+            <strong>${escapeHtml(invite.inviterName)}</strong> invited you to the archive.
+            ${invite.personalMessage ? `<blockquote>${escapeHtml(invite.personalMessage)}</blockquote>` : ''}
+        `;
+        elements.inviteBanner.hidden = false;
+        document.getElementById('register-email').value = invite.email;
+        if (invite.inviteeName) {
+            document.getElementById('register-name').value = invite.inviteeName;
+        }
+        if (invite.inviteeClassYear) {
+            document.getElementById('register-class-year').value = invite.inviteeClassYear;
+        }
+
+        openModal('auth-modal');
+        document.querySelector('.auth-tab[data-tab="register"]').click();
+    } catch (error) {
+        showToast('Invite Unavailable', error.message, '⚠️');
+    }
+}
+
+/**
+ * Accept the invite the user arrived with, once their account exists
+ */
+async function acceptPendingInvite() {
+    const token = state.inviteToken;
+    if (!token) return;
+
+    state.inviteToken = null;
+    elements.inviteBanner.hidden = true;
+
+    try {
+        const invite = await DatabaseModule.acceptInvite(token);
+        showToast('Invite Accepted', `${invite.inviterName} will be glad you made it.`, '🤝');
+    } catch (error) {
+        showToast('Invite Not Accepted', error.message, '⚠️');
+    }
+}
+
+function isValidEmail(email) {
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+// ================================
+// Roster Import Functions
+// ================================
+const ROSTER_STATUS_LABELS = {
+    ready: 'Ready',
+    invalid: 'Invalid email',
+    duplicate: 'Duplicate',
+    invited: 'Already invited',
+    joined: 'Already joined',
+    registered: 'Already registered',
+    sent: 'Sent',
+    failed: 'Failed'
+};
+
+/**
+ * Parse an uploaded roster and flag rows that shouldn't be invited
+ */
+async function handleRosterFile(file) {
+    if (!file) return;
+
+    let parsed;
+    try {
+        parsed = RosterModule.parse(await file.text());
+    } catch (error) {
+        showToast('Import Failed', 'That file could not be read.', '⚠️');
+        return;
+    }
+
+    if (!parsed.rows.length) {
+        showToast('Empty Roster', 'No rows were found in that file.', '⚠️');
+        return;
+    }
+
+    const seen = new Map();
+    const rows = parsed.rows.map(row => {
+        if (!row.email || !isValidEmail(row.email)) {
+            return { ...row, status: 'invalid', detail: row.email ? '' : 'No email' };
+        }
+        if (seen.has(row.email)) {
+            return { ...row, status: 'duplicate', detail: `Same as row ${seen.get(row.email)}` };
+        }
+        seen.set(row.email, row.line);
+        return { ...row, status: 'ready', detail: '' };
+    });
+
+    const roster = {
+        fileName: file.name,
+        rows,
+        truncated: parsed.truncated,
+        checked: false,
+        sending: false,
+        progress: null,
+        sent: false
+    };
+    state.roster = roster;
+    renderRosterPreview();
+
+    try {
+        const existing = await DatabaseModule.checkInviteEmails([...seen.keys()]);
+        rows.forEach(row => {
+            if (row.status === 'ready' && existing.has(row.email)) {
+                row.status = existing.get(row.email);
+            }
+        });
+    } catch (error) {
+        if (state.roster === roster) {
+            showToast('Import Failed', 'Could not check the roster against existing invites. Please try again.', '⚠️');
+            clearRoster();
+        }
+        return;
+    }
+
+    // A different file may have been chosen while this one was checked
+    if (state.roster !== roster) return;
+
+    roster.checked = true;
+    renderRosterPreview();
+}
+
+function renderRosterPreview() {
+    const roster = state.roster;
+    elements.rosterPreview.hidden = !roster;
+    if (!roster) return;
+
+    const counts = {};
+    roster.rows.forEach(row => {
+        counts[row.status] = (counts[row.status] || 0) + 1;
+    });
+    const ready = counts.ready || 0;
+
+    let summary;
+    if (!roster.checked) {
+        summary = `Checking ${roster.rows.length} rows from ${roster.fileName}...`;
+    } else if (roster.sending) {
+        summary = `Sending ${roster.progress.done} of ${roster.progress.total} invites...`;
+    } else {
+        summary = `${roster.rows.length} rows from ${roster.fileName}: ` + Object.keys(ROSTER_STATUS_LABELS)
+            .filter(status => counts[status])
+            .map(status => `${counts[status]} ${ROSTER_STATUS_LABELS[status].toLowerCase()}`)
+            .join(', ');
+    }
+    if (roster.truncated) {
+        summary += ` Only the first ${RosterModule.MAX_ROWS} rows were imported.`;
+    }
+    elements.rosterSummary.textContent = summary;
+
+    elements.rosterRows.innerHTML = roster.rows.map(row => `
+        <tr class="roster-row ${row.status}">
+            <td>${row.line}</td>
+            <td>${escapeHtml(row.name)}</td>
+            <td>${row.classYearText
+                ? `<span class="roster-flag" title="Not a class year; the invite will go without one">${escapeHtml(row.classYearText)}</span>`
+                : escapeHtml(formatClassYear(row.classYear))}</td>
+            <td>${escapeHtml(row.email)}</td>
+            <td><span class="roster-status ${row.status}" title="${escapeHtml(row.detail)}">${ROSTER_STATUS_LABELS[row.status]}</span></td>
+        </tr>
+    `).join('');
+
+    elements.rosterSendBtn.disabled = !roster.checked || roster.sending || ready === 0;
+    elements.rosterSendBtn.textContent = ready ? `Send ${ready} ${ready === 1 ? 'invite' : 'invites'}` : 'Send invites';
+    elements.rosterClearBtn.disabled = roster.sending;
+    elements.rosterReportBtn.hidden = !roster.sent;
+}
+
+async function sendRosterInvites() {
+    const roster = state.roster;
+    if (!roster || roster.sending) return;
+
+    const readyRows = roster.rows.filter(row => row.status === 'ready');
+    if (!readyRows.length) return;
+
+    const message = document.getElementById('invite-message').value.trim();
+
+    roster.sending = true;
+    roster.progress = { done: 0, total: readyRows.length };
+    renderRosterPreview();
+
+    const results = await RosterModule.sendInvites(readyRows, message, (done, total) => {
+        roster.progress = { done, total };
+        renderRosterPreview();
+    });
+
+    results.forEach(({ row, status, error }) => {
+        row.status = status;
+        row.detail = error ? error.message : '';
+    });
+
+    roster.sending = false;
+    roster.sent = true;
+    renderRosterPreview();
+
+    const sentCount = results.filter(result => result.status === 'sent').length;
+    const failedCount = results.length - sentCount;
+    showToast(
+        'Roster Invites Sent',
+        `${sentCount} sent${failedCount ? `, ${failedCount} failed` : ''}. Download the report for details.`,
+        failedCount ? '⚠️' : '📧'
+    );
+
+    loadMyInvites();
+}
+
+function downloadRosterReport() {
+    const roster = state.roster;
+    if (!roster) return;
+
+    const csv = RosterModule.toCsv([
+        ['Row', 'Name', 'Class Year', 'Email', 'Result', 'Detail'],
+        ...roster.rows.map(row => [
+            row.line,
+            row.name,
+            row.classYear || '',
+            row.email,
+            ROSTER_STATUS_LABELS[row.status],
+            row.detail
+        ])
+    ]);
+
+    const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `invite-report-${new Date().toISOString().slice(0, 10)}.csv`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+function clearRoster() {
+    state.roster = null;
+    elements.rosterFile.value = '';
+    renderRosterPreview();
+}
+
+// ================================
+// Notification Center Functions
+// ================================
+const INBOX_ICONS = {
+    new_memory: '📸',
+    tagged: '🏷️',
+    tag_suggestion: '🔍',
+    memory_merged: '🔗',
+    comment: '💬',
+    reply: '↩️',
+    mention: '@',
+    invite_accepted: '🤝'
+};
+
+function describeInboxItem(item) {
+    const actor = escapeHtml(item.actorName || 'Someone');
+    const title = `<strong>${escapeHtml(item.memoryTitle || 'a memory')}</strong>`;
+
+    switch (item.type) {
+        case 'tagged':
+            return `${actor} tagged you in ${title}`;
+        case 'tag_suggestion':
+            return `${actor} suggested who's in a photo on ${title}`;
+        case 'comment':
+            return `${actor} commented on ${title}`;
+        case 'reply':
+            return `${actor} replied on ${title}`;
+        case 'mention':
+            return `${actor} mentioned you on ${title}`;
+        case 'invite_accepted':
+            return `${actor} joined the archive from your invite`;
+        case 'memory_merged':
+            return `${actor} merged your memory <strong>${escapeHtml(item.mergedTitle || 'a memory')}</strong> into ${title}, which has the same photo. Add your story there as a comment.`;
+        default:
+            return `${actor} added ${title} to the ${escapeHtml(item.decade)}`;
+    }
+}
+
+/**
+ * Start or stop the live inbox as the user signs in and out
+ */
+function handleAuthInboxChange(user) {
+    if (state.inbox.unsubscribe) {
+        state.inbox.unsubscribe();
+    }
+    state.inbox = { items: [], unsubscribe: null, loaded: false };
+    toggleNotificationPanel(false);
+    renderNotificationBadge();
+
+    if (!user) return;
+
+    state.inbox.unsubscribe = DatabaseModule.subscribeToInbox((items) => {
+        // Toast anything that arrives while the page is open
+        if (state.inbox.loaded) {
+            const knownIds = new Set(state.inbox.items.map(item => item.id));
+            const arrived = items.filter(item => !knownIds.has(item.id) && !item.read);
+            if (arrived.length === 1) {
+                // describeInboxItem escapes its values, so it's safe as toast HTML
+                showToast('New Notification', describeInboxItem(arrived[0]), INBOX_ICONS[arrived[0].type] || '🔔');
+            } else if (arrived.length > 1) {
+                showToast('New Notifications', `You have ${arrived.length} new notifications.`, '🔔');
+            }
+        }
+
+        state.inbox.items = items;
+        state.inbox.loaded = true;
+        renderNotificationBadge();
+        if (!elements.notificationPanel.hidden) {
+            renderNotificationList();
+        }
+    });
+
+    showVisitSummary();
+}
+
+function renderNotificationBadge() {
+    const unread = state.inbox.items.filter(item => !item.read).length;
+    const badge = elements.notificationBadge;
+
+    badge.textContent = unread > 9 ? '9+' : String(unread);
+    badge.hidden = unread === 0;
+    elements.notificationBtn.setAttribute('aria-label', unread ? `Notifications (${unread} unread)` : 'Notifications');
+}
+
+function renderNotificationList() {
+    const items = state.inbox.items;
+
+    elements.markAllReadBtn.disabled = !items.some(item => !item.read);
+
+    if (!state.inbox.loaded) {
+        elements.notificationList.innerHTML = '<li class="notification-empty">Loading...</li>';
+        return;
+    }
+
+    if (!items.length) {
+        elements.notificationList.innerHTML = '<li class="notification-empty">You\'re all caught up. New memories from decades you follow, tags, and comments will show up here.</li>';
+        return;
+    }
+
+    elements.notificationList.innerHTML = items.map(item => `
+        <li>
+            <a class="notification-item${item.read ? '' : ' unread'}" href="${item.memoryId ? `#/memory/${encodeURIComponent(item.memoryId)}` : '#/invite'}" data-id="${escapeHtml(item.id)}">
+                <span class="notification-icon">${INBOX_ICONS[item.type] || '🔔'}</span>
+                <span class="notification-body">
+                    <span class="notification-text">${describeInboxItem(item)}</span>
+                    ${item.excerpt ? `<span class="notification-excerpt">"${escapeHtml(truncateText(item.excerpt, 80))}"</span>` : ''}
+                    <span class="notification-time">${escapeHtml(formatRelativeTime(item.createdAt))}</span>
+                </span>
+            </a>
+        </li>
+    `).join('');
+}
+
+function toggleNotificationPanel(open = elements.notificationPanel.hidden) {
+    if (open && !requireSignIn('Sign in to see your notifications.')) return;
+
+    elements.notificationPanel.hidden = !open;
+    elements.notificationBtn.setAttribute('aria-expanded', String(open));
+
+    if (open) {
+        renderNotificationList();
+    }
+}
+
+async function openInboxItem(itemId) {
+    const item = state.inbox.items.find(entry => entry.id === itemId);
+    toggleNotificationPanel(false);
+    state.memoryOpenedInApp = Boolean(item?.memoryId);
+
+    if (item && !item.read) {
+        try {
+            await DatabaseModule.markInboxItemRead(itemId);
+        } catch (error) {
+            // The link still opens; the item just stays unread
+        }
+    }
+}
+
+async function markAllNotificationsRead() {
+    elements.markAllReadBtn.disabled = true;
+
+    try {
+        await DatabaseModule.markAllInboxRead();
+    } catch (error) {
+        showToast('Error', 'Could not mark notifications as read. Please try again.', '⚠️');
+        elements.markAllReadBtn.disabled = false;
+    }
+}
+
+/**
+ * Greet returning users with how much was added since their last visit
+ */
+async function showVisitSummary() {
+    const lastSeen = await DatabaseModule.recordVisit();
+    if (!lastSeen) return;
+
+    const count = await DatabaseModule.countMemoriesSince(lastSeen);
+    if (!count) return;
+
+    const amount = count >= 100 ? '100+' : String(count);
+    showToast(
+        'Welcome Back!',
+        `There ${count === 1 ? 'is 1 new memory' : `are ${amount} new memories`} since your last visit.`,
+        '👋'
+    );
+}
+
+// ================================
+// Notification Preference Functions
+// ================================
+
+// Matches the defaults AuthModule writes for new accounts
+const DEFAULT_NOTIFICATION_PREFERENCES = {
+    newMemoriesFromEra: true,
+    taggedInMemory: true,
+    allNewUploads: false,
+    weeklyDigest: true,
+    emailFrequency: 'daily',
+    followedDecades: []
+};
+
+/**
+ * Decades a swimmer was on the team, e.g. class of 1984 swam 1980-1983
+ */
+function getEraDecades(classYear) {
+    const year = parseInt(classYear, 10);
+    if (!year) return [];
+
+    const decades = new Set();
+    for (let y = year - 4; y <= year - 1; y++) {
+        decades.add(`${Math.floor(y / 10) * 10}s`);
+    }
+    return [...decades];
+}
+
+async function openNotificationPreferences() {
+    if (!requireSignIn('Sign in to manage your notification preferences.')) return;
+
+    const form = elements.notificationForm;
+    form.reset();
+    renderPreferenceIssues({ errors: [], warnings: [] });
+    elements.decadeFollowList.innerHTML = '';
+    setNotificationFormDisabled(true);
+    openModal('notification-modal');
+
+    const profile = AuthModule.userProfile ||
+        await AuthModule.loadUserProfile(firebase.auth().currentUser.uid);
+
+    if (!profile) {
+        showToast('Error', 'Could not load your notification preferences. Please try again.', '⚠️');
+        closeModal('notification-modal');
+        return;
+    }
+
+    populateNotificationForm(profile);
+    setNotificationFormDisabled(false);
+}
+
+function setNotificationFormDisabled(disabled) {
+    Array.from(elements.notificationForm.elements).forEach(input => {
+        input.disabled = disabled;
+    });
+    document.querySelector('.modal-save').disabled = disabled;
+}
+
+function populateNotificationForm(profile) {
+    const preferences = { ...DEFAULT_NOTIFICATION_PREFERENCES, ...(profile.notificationPreferences || {}) };
+    const form = elements.notificationForm;
+    const eraDecades = getEraDecades(profile.classYear);
+
+    ['newMemoriesFromEra', 'taggedInMemory', 'allNewUploads', 'weeklyDigest'].forEach(name => {
+        form.elements[name].checked = Boolean(preferences[name]);
+    });
+    form.elements.emailFrequency.value = preferences.emailFrequency;
+
+    elements.eraDesc.textContent = eraDecades.length
+        ? `When someone adds content from the ${eraDecades.join(' or ')}`
+        : 'Add your class year to your profile to use this';
+
+    elements.decadeFollowList.innerHTML = getDecades().map(decade => {
+        const isEra = eraDecades.includes(decade);
+        return `
+            <label class="decade-follow${isEra ? ' era' : ''}">
+                <input type="checkbox" name="followedDecades" value="${escapeHtml(decade)}"
+                    ${preferences.followedDecades.includes(decade) ? 'checked' : ''}>
+                <span>${escapeHtml(decade)}${isEra ? ' <small>your era</small>' : ''}</span>
+            </label>
+        `;
+    }).join('');
+
+    renderPreferenceIssues(validateNotificationPreferences(getNotificationFormData(), profile));
+}
+
+function getNotificationFormData() {
+    const form = elements.notificationForm;
+
+    return {
+        newMemoriesFromEra: form.elements.newMemoriesFromEra.checked,
+        taggedInMemory: form.elements.taggedInMemory.checked,
+        allNewUploads: form.elements.allNewUploads.checked,
+        weeklyDigest: form.elements.weeklyDigest.checked,
+        emailFrequency: form.elements.emailFrequency.value,
+        followedDecades: Array.from(form.querySelectorAll('input[name="followedDecades"]:checked'))
+            .map(input => input.value)
+    };
+}
+
+/**
+ * Check for combinations that can't be saved (errors) or that are
+ * probably not what the user meant (warnings)
+ */
+function validateNotificationPreferences(preferences, profile) {
+    const errors = [];
+    const warnings = [];
+    const eraDecades = getEraDecades(profile?.classYear);
+
+    if (preferences.emailFrequency === 'instant' && preferences.weeklyDigest) {
+        errors.push('Instant emails already cover every update. Turn off the weekly digest or choose a daily or weekly frequency.');
+    }
+
+    if (preferences.emailFrequency === 'weekly' && preferences.weeklyDigest) {
+        warnings.push("You'll get two weekly emails: your digest and the Sunday summary.");
+    }
+
+    if (preferences.newMemoriesFromEra && !eraDecades.length) {
+        warnings.push("We don't know your class year yet, so there's no era to follow. Pick decades below instead.");
+    }
+
+    if (preferences.allNewUploads && (preferences.followedDecades.length || preferences.newMemoriesFromEra)) {
+        warnings.push('"All new uploads" already includes every decade, so decade follows won\'t add anything.');
+    }
+
+    const redundant = preferences.newMemoriesFromEra
+        ? preferences.followedDecades.filter(decade => eraDecades.includes(decade))
+        : [];
+    if (redundant.length && !preferences.allNewUploads) {
+        warnings.push(`You already hear about the ${redundant.join(' and ')} through "New memories from your era".`);
+    }
+
+    const receivesAnything = preferences.newMemoriesFromEra || preferences.taggedInMemory ||
+        preferences.allNewUploads || preferences.weeklyDigest || preferences.followedDecades.length;
+    if (!receivesAnything) {
+        warnings.push("With everything turned off you won't receive any archive emails.");
+    }
+
+    return { errors, warnings };
+}
+
+function renderPreferenceIssues({ errors, warnings }) {
+    const list = elements.preferenceIssues;
+
+    list.innerHTML = [
+        ...errors.map(message => `<li class="error">${escapeHtml(message)}</li>`),
+        ...warnings.map(message => `<li class="warning">${escapeHtml(message)}</li>`)
+    ].join('');
+    list.hidden = !errors.length && !warnings.length;
+}
+
+async function handleNotificationSubmit(e) {
+    e.preventDefault();
+    if (state.savingPreferences) return;
+
+    const preferences = getNotificationFormData();
+    const result = validateNotificationPreferences(preferences, AuthModule.userProfile);
+    renderPreferenceIssues(result);
+    if (result.errors.length) return;
+
+    state.savingPreferences = true;
+    setNotificationFormDisabled(true);
+
+    try {
+        await AuthModule.updateNotificationPreferences(preferences);
+        closeModal('notification-modal');
+    } catch (error) {
+        showToast('Error', 'Failed to save your preferences. Please try again.', '⚠️');
+    } finally {
+        state.savingPreferences = false;
+        setNotificationFormDisabled(false);
+    }
+}
+
+// ================================
+// Profile Functions
+// ================================
+// Limits on list fields, enforced by the editor
+const PROFILE_MAX_EVENTS = 20;
+const PROFILE_MAX_ROLES = 20;
+
+/**
+ * First year of a season written like "1994-95", or null if malformed
+ */
+function parseSeasonStart(season) {
+    const match = /^(\d{4})-(\d{2})$/.exec(String(season || '').trim());
+    if (!match) return null;
+
+    const start = parseInt(match[1], 10);
+    return (start + 1) % 100 === parseInt(match[2], 10) ? start : null;
+}
+
+function isOwnProfile(userId) {
+    return isSignedIn() && firebase.auth().currentUser.uid === userId;
+}
+
+async function loadProfileView(userId) {
+    const requestId = ++state.profileRequestId;
+    state.profile = { userId, profile: null, contributed: [], tagged: [] };
+
+    elements.profileHeader.innerHTML = '<div class="archive-spinner" aria-hidden="true"></div>';
+    elements.profileDetails.innerHTML = '';
+    elements.profileContributed.innerHTML = '';
+    elements.profileTagged.innerHTML = '';
+
+    try {
+        const [profile, contributed, tagged] = await Promise.all([
+            DatabaseModule.getUserProfile(userId),
+            DatabaseModule.getMemoriesByAuthor(userId),
+            DatabaseModule.getMemoriesTaggingUser(userId)
+        ]);
+
+        if (requestId !== state.profileRequestId) return;
+
+        if (!profile) {
+            elements.profileHeader.innerHTML = '<p class="profile-empty">We couldn\'t find this alumnus in the archive.</p>';
+            return;
+        }
+
+        state.profiles.set(userId, Promise.resolve(profile));
+        state.profile = { userId, profile, contributed, tagged };
+        renderProfile();
+    } catch (error) {
+        if (requestId !== state.profileRequestId) return;
+        elements.profileHeader.innerHTML = '<p class="profile-empty">We couldn\'t load this profile. Please try again.</p>';
+    }
+}
+
+function renderProfile() {
+    const { userId, profile, contributed, tagged } = state.profile;
+    const own = isOwnProfile(userId);
+
+    elements.profileHeader.innerHTML = `
+        ${renderAvatar(null, profile.displayName, 'xlarge', profile.photoURL)}
+        <div class="profile-identity">
+            <h2>${escapeHtml(profile.displayName)}</h2>
+            ${profile.classYear ? `<p class="profile-class">Class of ${escapeHtml(profile.classYear)}</p>` : ''}
+        </div>
+        ${own ? `
+            <div class="profile-actions">
+                <button type="button" class="btn-secondary" data-action="edit-profile">Edit profile</button>
+                <button type="button" class="profile-sign-out" data-action="sign-out">Sign out</button>
+            </div>
+        ` : ''}
+    `;
+
+    const roles = [...profile.roles].sort((a, b) => (parseSeasonStart(b.season) || 0) - (parseSeasonStart(a.season) || 0));
+    const bio = profile.bio
+        ? profile.bio.split(/\n\s*\n/)
+            .filter(paragraph => paragraph.trim())
+            .map(paragraph => `<p>${escapeHtml(paragraph.trim()).replace(/\n/g, '<br>')}</p>`)
+            .join('')
+        : '';
+
+    elements.profileDetails.innerHTML = `
+        ${bio ? `<div class="profile-bio">${bio}</div>` : ''}
+        ${profile.events.length ? `
+            <h4>Events</h4>
+            <ul class="profile-events">
+                ${profile.events.map(event => `<li>${escapeHtml(event)}</li>`).join('')}
+            </ul>
+        ` : ''}
+        ${roles.length ? `
+            <h4>Team roles</h4>
+            <ul class="profile-role-list">
+                ${roles.map(role => `<li><span>${escapeHtml(role.title)}</span> <span class="profile-season">${escapeHtml(role.season)}</span></li>`).join('')}
+            </ul>
+        ` : ''}
+        ${!bio && !profile.events.length && !roles.length
+            ? `<p class="profile-empty">${own ? 'Add your events, team roles and a short bio so teammates know it\'s you.' : 'No details shared yet.'}</p>`
+            : ''}
+    `;
+
+    renderProfileGrid(elements.profileContributed, contributed, own
+        ? 'You haven\'t shared any memories yet.'
+        : 'No memories shared yet.');
+    renderProfileGrid(elements.profileTagged, tagged, own
+        ? 'Nobody has tagged you in a memory yet.'
+        : 'Not tagged in any memories yet.');
+}
+
+function renderProfileGrid(grid, memories, emptyMessage) {
+    grid.innerHTML = '';
+
+    if (memories.length === 0) {
+        grid.innerHTML = `<p class="profile-empty">${escapeHtml(emptyMessage)}</p>`;
+        return;
+    }
+
+    // Index 1 keeps the first photo from taking the timeline's featured slot
+    const cards = memories.map(memory => renderMemoryCard(memory, 1));
+    cards.forEach(card => grid.appendChild(card));
+    animateMemoryCards(cards);
+}
+
+async function openProfileEditor() {
+    if (!requireSignIn('Sign in to edit your profile.')) return;
+
+    const user = firebase.auth().currentUser;
+    resetProfileEditor();
+    elements.profileFormError.hidden = true;
+
+    try {
+        const profile = await DatabaseModule.getUserProfile(user.uid) || {
+            displayName: user.displayName || user.email.split('@')[0],
+            classYear: null,
+            photoURL: user.photoURL,
+            photoPath: null,
+            bio: '',
+            events: [],
+            roles: []
+        };
+
+        state.profileEdit = { profile, photoFile: null, removePhoto: false, previewUrl: null };
+
+        const form = elements.profileForm;
+        form.elements.displayName.value = profile.displayName;
+        form.elements.classYear.value = profile.classYear || '';
+        form.elements.events.value = profile.events.join(', ');
+        form.elements.bio.value = profile.bio;
+
+        elements.profileRoles.innerHTML = '';
+        profile.roles.forEach(addProfileRoleRow);
+
+        renderProfilePhotoPreview();
+        openModal('profile-modal');
+    } catch (error) {
+        showToast('Could Not Load Profile', 'Something went wrong loading your profile. Please try again.', '⚠️');
+    }
+}
+
+function resetProfileEditor() {
+    if (state.profileEdit?.previewUrl) {
+        URL.revokeObjectURL(state.profileEdit.previewUrl);
+    }
+    state.profileEdit = null;
+    elements.profilePhotoInput.value = '';
+}
+
+function renderProfilePhotoPreview() {
+    const { profile, photoFile, removePhoto, previewUrl } = state.profileEdit;
+    const name = elements.profileForm.elements.displayName.value || profile.displayName;
+    const photoURL = photoFile ? previewUrl : (removePhoto ? null : profile.photoURL);
+
+    if (photoURL) {
+        elements.profilePhotoPreview.innerHTML = `<img src="${escapeHtml(photoURL)}" alt="">`;
+    } else {
+        elements.profilePhotoPreview.textContent = getInitials(name);
+    }
+    elements.profilePhotoRemove.hidden = !photoURL;
+}
+
+function handleProfilePhoto(file) {
+    if (!file || !state.profileEdit) return;
+
+    if (!file.type.startsWith('image/')) {
+        showToast('Not an Image', 'Profile photos must be JPG, PNG, GIF or WebP images.', '⚠️');
+        elements.profilePhotoInput.value = '';
+        return;
+    }
+
+    const edit = state.profileEdit;
+    if (edit.previewUrl) URL.revokeObjectURL(edit.previewUrl);
+
+    edit.photoFile = file;
+    edit.previewUrl = URL.createObjectURL(file);
+    edit.removePhoto = false;
+    renderProfilePhotoPreview();
+}
+
+function removeProfilePhoto() {
+    const edit = state.profileEdit;
+    if (!edit) return;
+
+    if (edit.previewUrl) URL.revokeObjectURL(edit.previewUrl);
+    edit.photoFile = null;
+    edit.previewUrl = null;
+    edit.removePhoto = true;
+    elements.profilePhotoInput.value = '';
+    renderProfilePhotoPreview();
+}
+
+function addProfileRoleRow(role = { title: '', season: '' }) {
+    if (elements.profileRoles.children.length >= PROFILE_MAX_ROLES) return;
+
+    const row = document.createElement('div');
+    row.className = 'profile-role-row';
+    row.innerHTML = `
+        <input type="text" class="form-input" name="roleTitle" placeholder="e.g., Team Captain" maxlength="60" aria-label="Role" value="${escapeHtml(role.title)}">
+        <input type="text" class="form-input" name="roleSeason" placeholder="1994-95" maxlength="7" aria-label="Season" value="${escapeHtml(role.season)}">
+        <button type="button" class="profile-role-remove" aria-label="Remove role">&times;</button>
+    `;
+    elements.profileRoles.appendChild(row);
+    elements.profileAddRole.hidden = elements.profileRoles.children.length >= PROFILE_MAX_ROLES;
+}
+
+function getProfileFormData() {
+    const form = elements.profileForm;
+    const classYear = parseInt(form.elements.classYear.value, 10);
+    const events = form.elements.events.value
+        .split(',')
+        .map(event => event.trim())
+        .filter(Boolean);
+
+    return {
+        displayName: form.elements.displayName.value.trim(),
+        classYear: Number.isNaN(classYear) ? null : classYear,
+        events: [...new Set(events)],
+        roles: Array.from(elements.profileRoles.querySelectorAll('.profile-role-row'))
+            .map(row => ({
+                title: row.querySelector('[name="roleTitle"]').value.trim(),
+                season: row.querySelector('[name="roleSeason"]').value.trim()
+            }))
+            .filter(role => role.title || role.season),
+        bio: form.elements.bio.value.trim()
+    };
+}
+
+/**
+ * @returns {string|null} - The first problem with the profile, if any
+ */
+function validateProfile(profile) {
+    if (!profile.displayName) {
+        return 'Please enter your name.';
+    }
+    if (profile.classYear !== null && (profile.classYear < 1900 || profile.classYear > 2030)) {
+        return 'Class year should be between 1900 and 2030.';
+    }
+    if (profile.events.length > PROFILE_MAX_EVENTS) {
+        return `List at most ${PROFILE_MAX_EVENTS} events.`;
+    }
+
+    const badRole = profile.roles.find(role => !role.title || !parseSeasonStart(role.season));
+    if (badRole) {
+        return badRole.title
+            ? `Enter the season for "${badRole.title}" like 1994-95.`
+            : 'Every season needs a role title.';
+    }
+
+    return null;
+}
+
+async function handleProfileSubmit(e) {
+    e.preventDefault();
+
+    const edit = state.profileEdit;
+    if (!edit || elements.profileSaveBtn.disabled) return;
+
+    const updates = getProfileFormData();
+    const problem = validateProfile(updates);
+    elements.profileFormError.textContent = problem || '';
+    elements.profileFormError.hidden = !problem;
+    if (problem) return;
+
+    const user = firebase.auth().currentUser;
+    const previousPath = edit.profile.photoPath;
+
+    elements.profileSaveBtn.disabled = true;
+    elements.profileSaveBtn.textContent = 'Saving...';
+
+    try {
+        if (edit.photoFile) {
+            const upload = await StorageModule.uploadAvatar(edit.photoFile);
+            updates.photoURL = upload.url;
+            updates.photoPath = upload.path;
+        } else if (edit.removePhoto) {
+            updates.photoURL = null;
+            updates.photoPath = null;
+        }
+
+        await DatabaseModule.updateMyProfile(updates);
+
+        // The old photo is orphaned once the profile points elsewhere
+        if (previousPath && updates.photoPath !== undefined && updates.photoPath !== previousPath) {
+            StorageModule.deleteFile(previousPath).catch(() => {});
+        }
+
+        if (AuthModule.userProfile) {
+            Object.assign(AuthModule.userProfile, updates);
+        }
+        AuthModule.updateUI(user);
+        state.profiles.delete(user.uid);
+        state.alumniDirectoryPromise = null;
+
+        closeModal('profile-modal');
+        showToast('Profile Saved', 'Your profile has been updated.', '✓');
+
+        if (state.currentView === 'profile' && state.profile?.userId === user.uid) {
+            loadProfileView(user.uid);
+        }
+    } catch (error) {
+        elements.profileFormError.textContent = error.message || 'We couldn\'t save your profile. Please try again.';
+        elements.profileFormError.hidden = false;
+    } finally {
+        elements.profileSaveBtn.disabled = false;
+        elements.profileSaveBtn.textContent = 'Save Profile';
+    }
+}
+
+// ================================
+// Moderation Functions
+// ================================
+const AUDIT_ACTION_LABELS = {
+    approve: 'approved',
+    restore: 'restored',
+    hide: 'hid',
+    edit: 'edited',
+    restore_revision: 'restored an earlier version of',
+    reactions_updated: 'updated the reaction palette',
+    delete: 'deleted',
+    merge: 'merged duplicates into',
+    dismiss_reports: 'dismissed reports on',
+    verify_user: 'verified',
+    unverify_user: 'removed verification from',
+    set_role: 'changed the role of',
+    review_enabled: 'turned on review for unverified members',
+    review_disabled: 'turned off review for unverified members'
+};
+
+function updateModerationNav() {
+    elements.moderationNavBtn.hidden = !AuthModule.hasRole('classRep');
+}
+
+async function openModerationView() {
+    const isModerator = AuthModule.hasRole('moderator');
+    const isAdmin = AuthModule.hasRole('admin');
+
+    elements.moderationTabs.forEach(tab => {
+        tab.hidden = !AuthModule.hasRole(tab.dataset.role);
+    });
+    elements.moderationSetting.hidden = !isAdmin;
+
+    // Class reps only manage members
+    const tab = state.moderation.tab && AuthModule.hasRole(document.querySelector(`.moderation-tab[data-tab="${state.moderation.tab}"]`).dataset.role)
+        ? state.moderation.tab
+        : (isModerator ? 'queue' : 'members');
+    switchModerationTab(tab);
+
+    if (isAdmin) {
+        const settings = await ModerationModule.getSettings();
+        elements.reviewSettingToggle.checked = settings.reviewUnverifiedMembers;
+    }
+    if (isModerator) {
+        refreshModerationCounts();
+    }
+}
+
+async function refreshModerationCounts() {
+    try {
+        const [queue, reports] = await Promise.all([
+            ModerationModule.getReviewQueue(),
+            ModerationModule.getOpenReports()
+        ]);
+        elements.moderationQueueCount.textContent = queue.length || '';
+        elements.moderationReportCount.textContent = reports.length || '';
+    } catch (error) {
+        // The counts are a convenience; the tabs still load on their own
+    }
+}
+
+function switchModerationTab(tab) {
+    state.moderation.tab = tab;
+
+    elements.moderationTabs.forEach(btn => {
+        const active = btn.dataset.tab === tab;
+        btn.classList.toggle('active', active);
+        btn.setAttribute('aria-selected', String(active));
+    });
+    elements.moderationMembersToolbar.hidden = tab !== 'members';
+
+    loadModerationTab();
+}
+
+async function loadModerationTab() {
+    const tab = state.moderation.tab;
+    const requestId = ++state.moderation.requestId;
+    const panel = elements.moderationPanel;
+
+    panel.innerHTML = '<div class="archive-spinner" aria-hidden="true"></div>';
+
+    try {
+        let html;
+        if (tab === 'queue') {
+            const memories = await ModerationModule.getReviewQueue();
+            html = memories.length
+                ? memories.map(memory => renderModerationMemory(memory, ['approve', 'edit', 'hide', 'delete'])).join('')
+                : '<p class="moderation-empty">Nothing waiting for review.</p>';
+            elements.moderationQueueCount.textContent = memories.length || '';
+        } else if (tab === 'reports') {
+            const reports = await ModerationModule.getOpenReports();
+            html = reports.length
+                ? reports.map(renderModerationReport).join('')
+                : '<p class="moderation-empty">No open reports.</p>';
+            elements.moderationReportCount.textContent = reports.length || '';
+        } else if (tab === 'hidden') {
+            const memories = await ModerationModule.getHiddenMemories();
+            html = memories.length
+                ? memories.map(memory => renderModerationMemory(memory, ['restore', 'edit', 'delete'])).join('')
+                : '<p class="moderation-empty">No hidden memories.</p>';
+        } else if (tab === 'duplicates') {
+            const clusters = await ModerationModule.getDuplicateClusters();
+            html = clusters.length
+                ? `<p class="moderation-intro">These memories share a photo. Merging keeps the one you choose and moves the others' tagged teammates to it; their authors are told where it went.</p>
+                   ${clusters.map(renderDuplicateCluster).join('')}`
+                : '<p class="moderation-empty">No duplicate photos found.</p>';
+        } else if (tab === 'members') {
+            state.moderation.members = await DatabaseModule.getAlumniDirectory();
+            html = null;
+        } else if (tab === 'reactions') {
+            html = renderReactionPaletteEditor(await DatabaseModule.getReactionPalette());
+        } else {
+            const entries = await ModerationModule.getAuditLog();
+            html = entries.length
+                ? `<ul class="audit-log">${entries.map(renderAuditEntry).join('')}</ul>`
+                : '<p class="moderation-empty">No moderator actions yet.</p>';
+        }
+
+        if (requestId !== state.moderation.requestId) return;
+
+        if (tab === 'members') {
+            renderModerationMembers();
+        } else {
+            panel.innerHTML = html;
+            hydrateAvatars(panel);
+        }
+    } catch (error) {
+        if (requestId !== state.moderation.requestId) return;
+        panel.innerHTML = '<p class="moderation-empty">We couldn\'t load this list. Please try again.</p>';
+    }
+}
+
+function renderReactionPaletteEditor(palette) {
+    return `
+        <form class="reaction-palette-form" id="reaction-palette-form" novalidate>
+            <p class="moderation-intro">Choose the reactions members can add to memories. Removing one hides it without losing its counts, so adding it back with the same label brings them back.</p>
+            <ol class="reaction-palette-rows" id="reaction-palette-rows">
+                ${palette.map(renderReactionPaletteRow).join('')}
+            </ol>
+            <div class="reaction-palette-actions">
+                <button type="button" class="btn-secondary" data-palette-action="add">Add Reaction</button>
+                <button type="submit" class="btn-primary">Save Reactions</button>
+            </div>
+        </form>
+    `;
+}
+
+function renderReactionPaletteRow(reaction = { type: '', emoji: '', label: '' }) {
+    return `
+        <li class="reaction-palette-row" data-type="${escapeHtml(reaction.type)}">
+            <input type="text" class="form-input reaction-emoji-input" name="emoji" value="${escapeHtml(reaction.emoji)}" maxlength="8" placeholder="🏊" aria-label="Emoji">
+            <input type="text" class="form-input" name="label" value="${escapeHtml(reaction.label)}" maxlength="30" placeholder="e.g., Swim" aria-label="Label">
+            <button type="button" class="profile-role-remove" data-palette-action="remove" aria-label="Remove reaction">&times;</button>
+        </li>
+    `;
+}
+
+function handleReactionPaletteAction(button) {
+    const rows = document.getElementById('reaction-palette-rows');
+
+    if (button.dataset.paletteAction === 'add') {
+        if (rows.children.length >= ModerationModule.MAX_REACTIONS) {
+            showToast('Palette Full', `The palette holds up to ${ModerationModule.MAX_REACTIONS} reactions.`, 'ℹ️');
+            return;
+        }
+        rows.insertAdjacentHTML('beforeend', renderReactionPaletteRow());
+        rows.lastElementChild.querySelector('[name="emoji"]').focus();
+    } else {
+        button.closest('.reaction-palette-row').remove();
+    }
+}
+
+/**
+ * Read the palette form. Existing reactions keep their type so their counts
+ * carry over; new ones get a type made from their label.
+ */
+function getReactionPaletteFormData(form) {
+    const used = new Set();
+
+    return [...form.querySelectorAll('.reaction-palette-row')].map(row => {
+        const emoji = row.querySelector('[name="emoji"]').value.trim();
+        const label = row.querySelector('[name="label"]').value.trim();
+        const base = row.dataset.type || label.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'reaction';
+
+        let type = base;
+        for (let n = 2; used.has(type); n++) {
+            type = `${base}_${n}`;
+        }
+        used.add(type);
+
+        return { type, emoji, label };
+    });
+}
+
+async function handleReactionPaletteSubmit(e) {
+    e.preventDefault();
+
+    const form = e.target;
+    const submitBtn = form.querySelector('[type="submit"]');
+    const palette = getReactionPaletteFormData(form);
+
+    if (palette.some(({ emoji, label }) => !emoji || !label)) {
+        showToast('Missing Information', 'Every reaction needs an emoji and a label.', '⚠️');
+        return;
+    }
+
+    submitBtn.disabled = true;
+
+    try {
+        await ModerationModule.setReactionPalette(palette);
+        state.reactionPalette = palette;
+        refreshReactionDisplays();
+        showToast('Reactions Saved', 'Members will see the new reactions right away.', '✓');
+        loadModerationTab();
+    } catch (error) {
+        submitBtn.disabled = false;
+        showToast('Could Not Save', error.message, '⚠️');
+    }
+}
+
+const MODERATION_BUTTONS = {
+    approve: { label: 'Approve', className: 'btn-primary' },
+    restore: { label: 'Restore', className: 'btn-primary' },
+    edit: { label: 'Edit', className: 'btn-secondary' },
+    hide: { label: 'Hide', className: 'btn-secondary' },
+    dismiss: { label: 'Dismiss', className: 'btn-secondary' },
+    delete: { label: 'Delete', className: 'btn-secondary danger' }
+};
+
+function renderModerationActions(actions, memoryId, commentId = null) {
+    const commentAttr = commentId ? ` data-comment-id="${escapeHtml(commentId)}"` : '';
+
+    return `
+        <div class="moderation-actions">
+            ${actions.map(action => `
+                <button type="button" class="${MODERATION_BUTTONS[action].className}" data-mod-action="${action}" data-memory-id="${escapeHtml(memoryId)}"${commentAttr}>${MODERATION_BUTTONS[action].label}</button>
+            `).join('')}
+        </div>
+    `;
+}
+
+function renderModerationMemory(memory, actions) {
+    const thumbnail = getMemoryCover(memory);
+
+    return `
+        <article class="moderation-item">
+            ${thumbnail ? `<img class="moderation-thumb" src="${escapeHtml(StorageModule.getThumbnailUrl(thumbnail))}" alt="" loading="lazy">` : ''}
+            <div class="moderation-body">
+                <a class="moderation-title" href="#/memory/${encodeURIComponent(memory.id)}">${escapeHtml(memory.title)}</a>
+                <p class="moderation-meta">
+                    ${renderAvatar(memory.authorId, memory.authorName, 'small')}
+                    ${escapeHtml(memory.authorName)} · ${escapeHtml(memory.year || memory.decade)} · ${formatRelativeTime(memory.createdAt)}
+                </p>
+                <p class="moderation-excerpt">${escapeHtml(truncateText(memory.story, 280))}</p>
+                ${memory.hiddenReason ? `<p class="moderation-note">Hidden because: ${escapeHtml(memory.hiddenReason)}</p>` : ''}
+                ${renderModerationActions(actions, memory.id)}
+            </div>
+        </article>
+    `;
+}
+
+function renderDuplicateCluster(memories, index) {
+    return `
+        <article class="moderation-item duplicate-cluster">
+            <div class="moderation-body">
+                <p class="report-summary">${memories.length} memories with the same photo</p>
+                <p class="moderation-meta">Choose the memory to keep, and untick any that only look alike.</p>
+                <ul class="duplicate-memories">
+                    ${memories.map((memory, position) => {
+                        const thumbnail = getMemoryCover(memory);
+                        const photoCount = (memory.images || []).length;
+                        return `
+                            <li class="duplicate-memory">
+                                <span class="duplicate-choices">
+                                    <label><input type="radio" name="duplicate-keep-${index}" value="${escapeHtml(memory.id)}"${position === 0 ? ' checked' : ''}> Keep</label>
+                                    <label><input type="checkbox" class="duplicate-include" value="${escapeHtml(memory.id)}" checked${position === 0 ? ' disabled' : ''}> Merge</label>
+                                </span>
+                                ${thumbnail ? `<img class="moderation-thumb" src="${escapeHtml(StorageModule.getThumbnailUrl(thumbnail))}" alt="" loading="lazy">` : ''}
+                                <span class="moderation-body">
+                                    <a class="moderation-title" href="#/memory/${encodeURIComponent(memory.id)}">${escapeHtml(memory.title)}</a>
+                                    <span class="moderation-meta">
+                                        ${escapeHtml(memory.authorName)} · ${escapeHtml(memory.year || memory.decade)} · ${formatRelativeTime(memory.createdAt)}
+                                    </span>
+                                    <span class="moderation-meta">
+                                        ${photoCount} ${photoCount === 1 ? 'photo' : 'photos'} · ${memory.commentCount || 0} ${memory.commentCount === 1 ? 'comment' : 'comments'}
+                                    </span>
+                                </span>
+                            </li>
+                        `;
+                    }).join('')}
+                </ul>
+                <div class="moderation-actions">
+                    <button type="button" class="btn-primary" data-merge-cluster>Merge into Selected</button>
+                </div>
+            </div>
+        </article>
+    `;
+}
+
+/**
+ * The memory being kept can't also be merged away
+ */
+function handleDuplicateKeepChange(radio) {
+    radio.closest('.duplicate-cluster').querySelectorAll('.duplicate-include').forEach(checkbox => {
+        checkbox.disabled = checkbox.value === radio.value;
+    });
+}
+
+async function handleMergeCluster(button) {
+    const cluster = button.closest('.duplicate-cluster');
+    const keep = cluster.querySelector('input[type="radio"]:checked');
+    if (!keep) return;
+
+    const duplicateIds = Array.from(cluster.querySelectorAll('.duplicate-include:checked'))
+        .map(checkbox => checkbox.value)
+        .filter(memoryId => memoryId !== keep.value);
+    if (!duplicateIds.length) {
+        showToast('Nothing to Merge', 'Tick at least one memory to merge into the one you keep.', 'ℹ️');
+        return;
+    }
+
+    const title = keep.closest('.duplicate-memory').querySelector('.moderation-title').textContent;
+    if (!confirm(`Merge ${duplicateIds.length} ${duplicateIds.length === 1 ? 'memory' : 'memories'} into "${title}"? They'll be taken off the timeline and out of search.`)) return;
+
+    button.disabled = true;
+
+    try {
+        await ModerationModule.mergeMemories(keep.value, duplicateIds);
+        showToast('Memories Merged', `The duplicates now point to "${title}".`, '✓');
+        loadModerationTab();
+        loadDecadeStats();
+    } catch (error) {
+        button.disabled = false;
+        showToast('Merge Failed', error.message, '⚠️');
+    }
+}
+
+function renderModerationReport(item) {
+    const reasonCounts = {};
+    item.reports.forEach(report => {
+        reasonCounts[report.reason] = (reasonCounts[report.reason] || 0) + 1;
+    });
+    const reasons = Object.entries(reasonCounts)
+        .map(([reason, count]) => `${ModerationModule.REPORT_REASONS[reason] || reason}${count > 1 ? ` (${count})` : ''}`)
+        .join(', ');
+    const notes = item.reports
+        .filter(report => report.details)
+        .map(report => `<li>“${escapeHtml(report.details)}” <span class="moderation-meta">${escapeHtml(report.reporterName)}</span></li>`)
+        .join('');
+
+    let target;
+    let actions;
+    if (!item.memory || (item.commentId && !item.comment)) {
+        target = '<p class="moderation-excerpt">This content has already been deleted.</p>';
+        actions = ['dismiss'];
+    } else if (item.comment) {
+        target = `
+            <p class="moderation-meta">
+                Comment by ${escapeHtml(item.comment.authorName)} on
+                <a href="#/memory/${encodeURIComponent(item.memoryId)}">${escapeHtml(item.memory.title)}</a>
+                ${item.comment.hidden ? ' · Hidden' : ''}
+            </p>
+            <p class="moderation-excerpt">${escapeHtml(item.comment.text)}</p>
+        `;
+        actions = ['dismiss', 'edit', item.comment.hidden ? 'restore' : 'hide', 'delete'];
+    } else {
+        target = `
+            <a class="moderation-title" href="#/memory/${encodeURIComponent(item.memoryId)}">${escapeHtml(item.memory.title)}</a>
+            <p class="moderation-meta">Memory by ${escapeHtml(item.memory.authorName)}${item.memory.status === 'hidden' ? ' · Hidden' : ''}</p>
+            <p class="moderation-excerpt">${escapeHtml(truncateText(item.memory.story, 280))}</p>
+        `;
+        actions = ['dismiss', 'edit', item.memory.status === 'hidden' ? 'restore' : 'hide', 'delete'];
+    }
+
+    return `
+        <article class="moderation-item report">
+            <div class="moderation-body">
+                <p class="report-summary">${item.reports.length} report${item.reports.length === 1 ? '' : 's'}: ${escapeHtml(reasons)}</p>
+                ${target}
+                ${notes ? `<ul class="report-notes">${notes}</ul>` : ''}
+                ${renderModerationActions(actions, item.memoryId, item.commentId)}
+            </div>
+        </article>
+    `;
+}
+
+function renderModerationMembers() {
+    const query = elements.moderationMemberSearch.value.trim().toLowerCase();
+    const isAdmin = AuthModule.hasRole('admin');
+    const myId = firebase.auth().currentUser.uid;
+
+    const members = state.moderation.members.filter(member =>
+        !query ||
+        (member.displayName || '').toLowerCase().includes(query) ||
+        String(member.classYear || '').includes(query)
+    );
+
+    elements.moderationPanel.innerHTML = members.length === 0
+        ? '<p class="moderation-empty">No members match.</p>'
+        : `<ul class="moderation-members">${members.map(member => `
+            <li class="moderation-member" data-user-id="${escapeHtml(member.id)}">
+                ${renderAvatar(member.id, member.displayName, 'small', member.photoURL)}
+                <a class="member-name" href="#/profile/${encodeURIComponent(member.id)}">${escapeHtml(member.displayName)}</a>
+                <span class="member-year">${escapeHtml(formatClassYear(member.classYear))}</span>
+                ${member.verified ? '<span class="member-verified">✓ Verified</span>' : ''}
+                ${ModerationModule.canVerify(member) && member.id !== myId
+                    ? `<button type="button" class="btn-secondary" data-member-action="${member.verified ? 'unverify' : 'verify'}">${member.verified ? 'Unverify' : 'Verify'}</button>`
+                    : ''}
+                ${isAdmin
+                    ? `<select class="form-select member-role" aria-label="Role for ${escapeHtml(member.displayName)}"${member.id === myId ? ' disabled' : ''}>
+                        ${AuthModule.ROLES.map(role => `<option value="${role}"${role === member.role ? ' selected' : ''}>${AuthModule.ROLE_LABELS[role]}</option>`).join('')}
+                       </select>`
+                    : `<span class="member-role-label">${AuthModule.ROLE_LABELS[member.role] || AuthModule.ROLE_LABELS.member}</span>`}
+            </li>
+        `).join('')}</ul>`;
+}
+
+function renderAuditEntry(entry) {
+    const verb = AUDIT_ACTION_LABELS[entry.action] || entry.action;
+    const details = entry.details || {};
+
+    let target = '';
+    if (entry.targetType === 'memory') {
+        target = `memory “${escapeHtml(details.title || entry.targetId)}”`;
+    } else if (entry.targetType === 'comment') {
+        target = `a comment${details.text ? ` (“${escapeHtml(truncateText(details.text, 60))}”)` : ''}`;
+    } else if (entry.targetType === 'user') {
+        target = escapeHtml(details.name || entry.targetId);
+        if (entry.action === 'set_role') {
+            target += ` from ${escapeHtml(AuthModule.ROLE_LABELS[details.from] || details.from)} to ${escapeHtml(AuthModule.ROLE_LABELS[details.to] || details.to)}`;
+        }
+    } else if (entry.action === 'reactions_updated') {
+        target = `to ${escapeHtml(details.reactions)}`;
+    }
+
+    return `
+        <li class="audit-entry">
+            <span><strong>${escapeHtml(entry.actorName)}</strong> ${escapeHtml(verb)} ${target}${details.reason ? `: ${escapeHtml(details.reason)}` : ''}</span>
+            <span class="audit-time">${formatRelativeTime(entry.createdAt)}</span>
+        </li>
+    `;
+}
+
+async function handleModerationAction(button) {
+    const { modAction: action, memoryId, commentId } = button.dataset;
+
+    if (action === 'edit') {
+        openModerationEditor(memoryId, commentId);
+        return;
+    }
+
+    let reason = '';
+    if (action === 'delete' && !confirm(`Delete this ${commentId ? 'comment' : 'memory'} permanently? This can't be undone.`)) return;
+    if (action === 'hide' && !commentId) {
+        reason = prompt('Why is this memory being hidden? (optional)');
+        if (reason === null) return;
+    }
+
+    button.disabled = true;
+
+    try {
+        if (commentId) {
+            if (action === 'dismiss') await ModerationModule.dismissReports(memoryId, commentId);
+            else if (action === 'delete') await ModerationModule.deleteComment(memoryId, commentId);
+            else await ModerationModule.setCommentHidden(memoryId, commentId, action === 'hide');
+        } else if (action === 'approve' || action === 'restore') {
+            await ModerationModule.approveMemory(memoryId);
+        } else if (action === 'hide') {
+            await ModerationModule.hideMemory(memoryId, reason.trim());
+        } else if (action === 'delete') {
+            await ModerationModule.deleteMemory(memoryId);
+        } else if (action === 'dismiss') {
+            await ModerationModule.dismissReports(memoryId);
+        }
+
+        loadModerationTab();
+        refreshModerationCounts();
+        loadDecadeStats();
+    } catch (error) {
+        button.disabled = false;
+        showToast('Action Failed', error.message, '⚠️');
+    }
 }
 
-function updateCharCount() {
-    const count = elements.storyInput.value.length;
-    elements.charCount.textContent = `${count} / 2000`;
+async function handleMemberAction(target) {
+    const row = target.closest('.moderation-member');
+    const member = state.moderation.members.find(alumnus => alumnus.id === row.dataset.userId);
+    if (!member) return;
 
-    if (count > 2000) {
-        elements.charCount.style.color = '#dc3545';
-    } else if (count > 1800) {
-        elements.charCount.style.color = '#ffc107';
-    } else {
-        elements.charCount.style.color = '';
+    try {
+        if (target.matches('.member-role')) {
+            await ModerationModule.setUserRole(member, target.value);
+            member.role = target.value;
+            showToast('Role Updated', `${member.displayName} is now a ${AuthModule.ROLE_LABELS[member.role].toLowerCase()}.`, '✓');
+        } else {
+            const verified = target.dataset.memberAction === 'verify';
+            await ModerationModule.setVerified(member, verified);
+            member.verified = verified;
+        }
+    } catch (error) {
+        showToast('Action Failed', error.message, '⚠️');
     }
+
+    renderModerationMembers();
 }
 
-function handleContributeSubmit(e) {
-    e.preventDefault();
+async function openModerationEditor(memoryId, commentId = null) {
+    try {
+        let title = '';
+        let text;
 
-    const title = document.getElementById('title-input').value;
-    const decade = document.getElementById('decade-select').value;
-    const story = elements.storyInput.value;
+        if (commentId) {
+            const comments = await DatabaseModule.getComments(memoryId);
+            const comment = comments.find(item => item.id === commentId);
+            if (!comment) throw new Error('This comment no longer exists');
+            text = comment.text;
+        } else {
+            const memory = await DatabaseModule.getMemory(memoryId);
+            if (!memory) throw new Error('This memory no longer exists');
+            title = memory.title;
+            text = memory.story;
+        }
 
-    if (!title || !decade || !story) {
-        showToast('Missing Information', 'Please fill in all required fields.', '⚠️');
-        return;
+        state.moderation.edit = { memoryId, commentId };
+
+        const form = elements.moderationEditForm;
+        document.getElementById('moderation-edit-title').textContent = commentId ? 'Edit Comment' : 'Edit Memory';
+        document.getElementById('moderation-edit-title-section').hidden = Boolean(commentId);
+        document.getElementById('moderation-edit-text-label').textContent = commentId ? 'Comment' : 'Story';
+        form.elements.title.value = title;
+        form.elements.text.value = text;
+        form.elements.text.maxLength = commentId ? 1000 : 2000;
+
+        openModal('moderation-edit-modal');
+    } catch (error) {
+        showToast('Could Not Edit', error.message, '⚠️');
     }
+}
 
-    // Simulate submission
-    showToast('Memory Added!', 'Your contribution has been added to the archive.', '🎉');
+async function handleModerationEditSubmit(e) {
+    e.preventDefault();
 
-    // Reset form
-    e.target.reset();
-    state.uploadedFiles = [];
-    elements.uploadedPreview.innerHTML = '';
-    updateCharCount();
+    const edit = state.moderation.edit;
+    if (!edit || elements.moderationEditSave.disabled) return;
 
-    // Notify subscribers (simulation)
-    setTimeout(() => {
-        showToast('Notifications Sent', '247 alumni have been notified of your new memory.', '📧');
-    }, 2000);
-}
+    const form = elements.moderationEditForm;
+    const title = form.elements.title.value.trim();
+    const text = form.elements.text.value.trim();
 
-// ================================
-// Invite Functions
-// ================================
-function addInviteEmail() {
-    const email = elements.inviteEmail.value.trim();
+    elements.moderationEditSave.disabled = true;
 
-    if (!email) return;
+    try {
+        if (edit.commentId) {
+            await ModerationModule.editComment(edit.memoryId, edit.commentId, text);
+        } else {
+            await ModerationModule.editMemory(edit.memoryId, { title, story: text });
+        }
 
-    if (!isValidEmail(email)) {
-        showToast('Invalid Email', 'Please enter a valid email address.', '⚠️');
-        return;
+        state.moderation.edit = null;
+        closeModal('moderation-edit-modal');
+        showToast('Changes Saved', 'The edit has been recorded in the audit log.', '✓');
+        loadModerationTab();
+        refreshModerationCounts();
+    } catch (error) {
+        showToast('Could Not Save', error.message, '⚠️');
+    } finally {
+        elements.moderationEditSave.disabled = false;
     }
+}
 
-    if (state.inviteEmails.includes(email)) {
-        showToast('Duplicate Email', 'This email has already been added.', '⚠️');
-        return;
-    }
+async function handleReviewSettingChange() {
+    const enabled = elements.reviewSettingToggle.checked;
 
-    state.inviteEmails.push(email);
-    renderEmailList();
-    elements.inviteEmail.value = '';
-    updateSendButton();
+    try {
+        await ModerationModule.setReviewUnverifiedMembers(enabled);
+        showToast(
+            'Setting Saved',
+            enabled
+                ? 'New memories from unverified members will wait for review.'
+                : 'Memories from every member are published straight away.',
+            '✓'
+        );
+    } catch (error) {
+        elements.reviewSettingToggle.checked = !enabled;
+        showToast('Could Not Save', error.message, '⚠️');
+    }
 }
 
-function removeInviteEmail(email) {
-    state.inviteEmails = state.inviteEmails.filter(e => e !== email);
-    renderEmailList();
-    updateSendButton();
-}
+// ================================
+// Report Functions
+// ================================
+function openReportModal(target) {
+    if (!requireSignIn('Sign in to report content.')) return;
 
-function renderEmailList() {
-    elements.emailList.innerHTML = state.inviteEmails.map(email => `
-        <div class="email-item">
-            <span>${email}</span>
-            <button type="button" class="remove-email" data-email="${email}">&times;</button>
-        </div>
-    `).join('');
-}
+    state.reportTarget = target;
+    document.getElementById('report-modal-title').textContent = target.commentId ? 'Report Comment' : 'Report Memory';
 
-function updateSendButton() {
-    elements.sendInvitesBtn.disabled = state.inviteEmails.length === 0;
+    elements.reportReasons.querySelectorAll('.report-reason').forEach(option => option.remove());
+    elements.reportReasons.insertAdjacentHTML('beforeend', Object.entries(ModerationModule.REPORT_REASONS).map(([value, label]) => `
+        <label class="report-reason">
+            <input type="radio" name="reason" value="${value}">
+            <span>${escapeHtml(label)}</span>
+        </label>
+    `).join(''));
+    elements.reportForm.elements.details.value = '';
+
+    openModal('report-modal');
 }
 
-function handleInviteSubmit(e) {
+async function handleReportSubmit(e) {
     e.preventDefault();
 
-    if (state.inviteEmails.length === 0) return;
+    const target = state.reportTarget;
+    const reason = elements.reportForm.elements.reason.value;
+    if (!target || elements.reportSubmitBtn.disabled) return;
 
-    const message = document.getElementById('invite-message').value;
-
-    // Simulate sending invites
-    showToast('Invitations Sent!', `${state.inviteEmails.length} invitation(s) have been sent.`, '📧');
+    if (!reason) {
+        showToast('Choose a Reason', 'Let the moderators know what\'s wrong.', '⚠️');
+        return;
+    }
 
-    // Reset
-    state.inviteEmails = [];
-    renderEmailList();
-    document.getElementById('invite-message').value = '';
-    updateSendButton();
-}
+    elements.reportSubmitBtn.disabled = true;
 
-function isValidEmail(email) {
-    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+    try {
+        await ModerationModule.reportContent(target, reason, elements.reportForm.elements.details.value);
+        state.reportTarget = null;
+        closeModal('report-modal');
+        showToast('Report Sent', 'Thanks for looking out for the archive. A moderator will review it.', '✓');
+    } catch (error) {
+        showToast('Report Failed', error.message, '⚠️');
+    } finally {
+        elements.reportSubmitBtn.disabled = false;
+    }
 }
 
 // ================================
@@ -322,6 +6042,15 @@ function closeModal(modal) {
     if (modal) {
         modal.classList.remove('active');
         document.body.style.overflow = '';
+
+        if (modal.id === 'memory-modal') {
+            teardownMemoryDetail();
+            leaveMemoryRoute();
+        } else if (modal.id === 'profile-modal') {
+            resetProfileEditor();
+        } else if (modal.id === 'memory-edit-modal') {
+            resetMemoryEditor();
+        }
     }
 }
 
@@ -330,6 +6059,10 @@ function closeAllModals() {
         modal.classList.remove('active');
     });
     document.body.style.overflow = '';
+    teardownMemoryDetail();
+    leaveMemoryRoute();
+    resetProfileEditor();
+    resetMemoryEditor();
 }
 
 // ================================
@@ -339,14 +6072,19 @@ function showToast(title, message, icon = '✓') {
     const toast = document.createElement('div');
     toast.className = 'toast';
     toast.innerHTML = `
-        <span class="toast-icon">${icon}</span>
+        <span class="toast-icon"></span>
         <div class="toast-content">
-            <div class="toast-title">${title}</div>
-            <div class="toast-message">${message}</div>
+            <div class="toast-title"></div>
+            <div class="toast-message"></div>
         </div>
         <button class="toast-close">&times;</button>
     `;
 
+    // Messages often carry names, titles and error text from elsewhere
+    toast.querySelector('.toast-icon').textContent = icon;
+    toast.querySelector('.toast-title').textContent = title;
+    toast.querySelector('.toast-message').textContent = message;
+
     elements.toastContainer.appendChild(toast);
 
     // Auto remove after animation
@@ -366,12 +6104,12 @@ function showToast(title, message, icon = '✓') {
 function initEventListeners() {
     // Navigation
     elements.navBtns.forEach(btn => {
-        btn.addEventListener('click', () => switchView(btn.dataset.view));
+        btn.addEventListener('click', () => navigate(`#/${btn.dataset.view}`));
     });
 
     // Decade markers
     elements.decadeMarkers.forEach(marker => {
-        marker.addEventListener('click', () => switchDecade(marker.dataset.decade));
+        marker.addEventListener('click', () => navigate(`#/timeline/${marker.dataset.decade}`));
     });
 
     // Memory type buttons
@@ -403,6 +6141,16 @@ function initEventListeners() {
         });
     }
 
+    // Recording oral histories in the browser
+    if (elements.recorder) {
+        elements.recorderActions.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-record]');
+            if (button) startRecording(button.dataset.record);
+        });
+        document.getElementById('recorder-stop').addEventListener('click', () => stopRecording());
+        document.getElementById('recorder-cancel').addEventListener('click', () => stopRecording(true));
+    }
+
     // Preview remove buttons
     if (elements.uploadedPreview) {
         elements.uploadedPreview.addEventListener('click', (e) => {
@@ -412,9 +6160,60 @@ function initEventListeners() {
         });
     }
 
-    // Character count
+    if (elements.duplicateWarning) {
+        elements.duplicateWarning.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-duplicate-action]');
+            if (button) handleDuplicatePhotoAction(button);
+        });
+    }
+
+    // Character count and draft autosave
     if (elements.storyInput) {
-        elements.storyInput.addEventListener('input', updateCharCount);
+        elements.storyInput.addEventListener('input', () => {
+            updateCharCount();
+            scheduleDraftAutosave();
+        });
+    }
+
+    // Teammate tagging
+    if (elements.tagsInput) {
+        elements.tagsInput.addEventListener('input', updateTagSuggestions);
+        elements.tagsInput.addEventListener('keydown', handleTagsKeydown);
+        elements.tagsInput.addEventListener('focus', loadAlumniDirectory);
+        elements.tagsInput.addEventListener('blur', hideTagSuggestions);
+
+        // mousedown keeps focus in the input so blur doesn't close the list first
+        elements.tagSuggestions.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            const option = e.target.closest('.tag-suggestion');
+            if (option) {
+                addTaggedPerson(state.tagSuggestions[parseInt(option.dataset.index)]);
+            }
+        });
+
+        elements.tagsContainer.addEventListener('click', (e) => {
+            if (e.target.classList.contains('tag-remove')) {
+                removeTaggedPerson(parseInt(e.target.dataset.index));
+            }
+        });
+    }
+
+    // Drafts
+    if (elements.saveDraftBtn) {
+        elements.saveDraftBtn.addEventListener('click', () => saveDraft());
+    }
+
+    if (elements.draftsList) {
+        elements.draftsList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            if (button.dataset.action === 'resume-draft') {
+                resumeDraft(button.dataset.id);
+            } else if (button.dataset.action === 'delete-draft') {
+                removeDraft(button.dataset.id);
+            }
+        });
     }
 
     // Contribute form
@@ -422,6 +6221,19 @@ function initEventListeners() {
         elements.contributeForm.addEventListener('submit', handleContributeSubmit);
     }
 
+    // Failed upload retry
+    if (elements.uploadProgress) {
+        elements.uploadProgress.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-action]')?.dataset.action;
+            if (action === 'retry-uploads') {
+                e.target.closest('.upload-retry').remove();
+                retryFailedUploads();
+            } else if (action === 'dismiss-uploads') {
+                dismissFailedUploads();
+            }
+        });
+    }
+
     // Invite form
     if (elements.addEmailBtn) {
         elements.addEmailBtn.addEventListener('click', addInviteEmail);
@@ -448,15 +6260,66 @@ function initEventListeners() {
         elements.inviteForm.addEventListener('submit', handleInviteSubmit);
     }
 
+    if (elements.rosterFile) {
+        elements.rosterFile.addEventListener('change', () => handleRosterFile(elements.rosterFile.files[0]));
+        elements.rosterSendBtn.addEventListener('click', sendRosterInvites);
+        elements.rosterReportBtn.addEventListener('click', downloadRosterReport);
+        elements.rosterClearBtn.addEventListener('click', clearRoster);
+    }
+
+    if (elements.pendingList) {
+        elements.pendingList.addEventListener('click', (e) => {
+            const btn = e.target.closest('.pending-action');
+            if (btn) {
+                handlePendingInviteAction(btn.dataset.action, btn.closest('.pending-item').dataset.id);
+            }
+        });
+    }
+
     // Modal triggers
     if (elements.notificationBtn) {
-        elements.notificationBtn.addEventListener('click', () => openModal('notification-modal'));
+        elements.notificationBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            toggleNotificationPanel();
+        });
+
+        elements.notificationSettingsBtn.addEventListener('click', () => {
+            toggleNotificationPanel(false);
+            openNotificationPreferences();
+        });
+        elements.markAllReadBtn.addEventListener('click', markAllNotificationsRead);
+
+        elements.notificationList.addEventListener('click', (e) => {
+            const link = e.target.closest('.notification-item');
+            if (link) {
+                openInboxItem(link.dataset.id);
+            }
+        });
+
+        // Close the panel on clicks outside it
+        document.addEventListener('click', (e) => {
+            if (!elements.notificationPanel.hidden && !e.target.closest('.notification-center')) {
+                toggleNotificationPanel(false);
+            }
+        });
     }
 
-    // Memory card clicks
-    elements.memoryCards.forEach(card => {
-        card.addEventListener('click', () => openModal('memory-modal'));
-    });
+    // Memory card and card reaction clicks
+    if (elements.archiveGrid) {
+        elements.archiveGrid.addEventListener('click', handleMemoryGridClick);
+    }
+
+    // Timeline empty/error state actions
+    if (elements.archiveStatus) {
+        elements.archiveStatus.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-action]')?.dataset.action;
+            if (action === 'retry') {
+                loadDecadeMemories();
+            } else if (action === 'contribute') {
+                navigate('#/contribute');
+            }
+        });
+    }
 
     // Modal close buttons
     elements.modalCloses.forEach(btn => {
@@ -482,60 +6345,243 @@ function initEventListeners() {
 
     // Escape key to close modals
     document.addEventListener('keydown', (e) => {
+        // The lightbox sits above the memory and takes its keys first
+        if (state.lightbox) {
+            handleLightboxKeydown(e);
+            return;
+        }
+
         if (e.key === 'Escape') {
+            if (state.reactionPopover) {
+                closeReactionPopover();
+                return;
+            }
             closeAllModals();
+            toggleNotificationPanel(false);
         }
     });
 
-    // Reaction buttons
-    document.querySelectorAll('.reaction-btn').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            btn.classList.toggle('active');
-
-            // Update count (simulation)
-            const text = btn.textContent;
-            const emoji = text.match(/[^\d\s]+/)[0];
-            const count = parseInt(text.match(/\d+/)?.[0] || 0);
+    // Memory detail reactions and comments
+    if (elements.memoryDetailReactions) {
+        elements.memoryDetailReactions.addEventListener('click', (e) => {
+            const btn = e.target.closest('.reaction-btn, .reaction-who');
+            if (!btn) return;
 
-            if (btn.classList.contains('active')) {
-                btn.textContent = `${emoji} ${count + 1}`;
+            if (btn.classList.contains('add-reaction')) {
+                openReactionPicker(btn, toggleDetailReaction);
+            } else if (btn.classList.contains('reaction-who')) {
+                openWhoReacted(btn);
             } else {
-                btn.textContent = `${emoji} ${count - 1}`;
+                closeReactionPopover();
+                toggleDetailReaction(btn.dataset.reaction);
             }
         });
-    });
+    }
+
+    // Reaction popover: picks, and closing it on outside clicks or scrolling
+    if (elements.reactionPopover) {
+        elements.reactionPopover.addEventListener('click', handleReactionPopoverClick);
+        document.addEventListener('click', (e) => {
+            const popover = state.reactionPopover;
+            if (popover && !elements.reactionPopover.contains(e.target) && !popover.anchor.contains(e.target)) {
+                closeReactionPopover();
+            }
+        });
+        document.addEventListener('scroll', (e) => {
+            if (!elements.reactionPopover.contains(e.target)) closeReactionPopover();
+        }, true);
+        window.addEventListener('resize', closeReactionPopover);
+    }
+
+    if (elements.commentForm) {
+        elements.commentForm.addEventListener('submit', handleCommentSubmit);
+        elements.commentsList.addEventListener('submit', handleCommentFormSubmit);
+        elements.commentsList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-comment-action]');
+            if (button) {
+                const comment = button.closest('[data-comment-id]');
+                handleCommentAction(button.dataset.commentAction, comment ? comment.dataset.commentId : null);
+            }
+        });
+
+        // Drafts and @mention suggestions for every comment box in the memory
+        elements.memoryComments.addEventListener('input', (e) => {
+            if (!e.target.matches('.comment-input')) return;
+            recordCommentDraft(e.target);
+            updateMentionSuggestions(e.target);
+        });
+        elements.memoryComments.addEventListener('keydown', handleMentionKeydown);
+        elements.memoryComments.addEventListener('focusout', hideMentionSuggestions);
+        elements.mentionSuggestions.addEventListener('mousedown', (e) => {
+            // Keep focus in the comment box while choosing
+            e.preventDefault();
+            const option = e.target.closest('[data-index]');
+            if (option) pickMention(parseInt(option.dataset.index, 10));
+        });
+    }
+
+    // Search
+    if (elements.searchForm) {
+        elements.searchForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            clearTimeout(state.searchTimer);
+            runSearch();
+        });
+        elements.searchInput.addEventListener('input', scheduleSearch);
+        [elements.searchDecade, elements.searchType, elements.searchContributor].forEach(select => {
+            select.addEventListener('change', runSearch);
+        });
+        elements.searchYear.addEventListener('input', scheduleSearch);
+
+        elements.searchResults.addEventListener('click', (e) => {
+            if (e.target.closest('.search-result-link')) {
+                state.memoryOpenedInApp = true;
+            }
+        });
+    }
 
     // Load more button
-    const loadMoreBtn = document.querySelector('.load-more-btn');
-    if (loadMoreBtn) {
-        loadMoreBtn.addEventListener('click', () => {
-            showToast('Loading Memories', 'Fetching more stories from the archive...', '📚');
+    if (elements.loadMoreBtn) {
+        elements.loadMoreBtn.addEventListener('click', loadMoreMemories);
+    }
+
+    // Profile page and editor
+    if (elements.profileHeader) {
+        elements.profileHeader.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-action]')?.dataset.action;
+            if (action === 'edit-profile') {
+                openProfileEditor();
+            } else if (action === 'sign-out' && confirm('Sign out of the archive?')) {
+                AuthModule.logout();
+            }
+        });
+
+        [elements.profileContributed, elements.profileTagged].forEach(grid => {
+            grid.addEventListener('click', handleMemoryGridClick);
+        });
+
+        elements.profileForm.addEventListener('submit', handleProfileSubmit);
+        elements.profileForm.elements.displayName.addEventListener('input', () => {
+            if (state.profileEdit) renderProfilePhotoPreview();
+        });
+        elements.profilePhotoInput.addEventListener('change', (e) => handleProfilePhoto(e.target.files[0]));
+        elements.profilePhotoRemove.addEventListener('click', removeProfilePhoto);
+        elements.profileAddRole.addEventListener('click', () => {
+            addProfileRoleRow();
+            elements.profileRoles.lastElementChild?.querySelector('input').focus();
+        });
+        elements.profileRoles.addEventListener('click', (e) => {
+            const remove = e.target.closest('.profile-role-remove');
+            if (remove) {
+                remove.closest('.profile-role-row').remove();
+                elements.profileAddRole.hidden = false;
+            }
         });
     }
 
-    // Save notification preferences
-    const modalSave = document.querySelector('.modal-save');
-    if (modalSave) {
-        modalSave.addEventListener('click', () => {
-            showToast('Preferences Saved', 'Your notification settings have been updated.', '✓');
-            closeModal('notification-modal');
+    // Moderation dashboard
+    if (elements.moderationPanel) {
+        elements.moderationTabs.forEach(tab => {
+            tab.addEventListener('click', () => switchModerationTab(tab.dataset.tab));
+        });
+
+        elements.moderationPanel.addEventListener('click', (e) => {
+            const actionBtn = e.target.closest('[data-mod-action]');
+            const memberBtn = e.target.closest('[data-member-action]');
+            const paletteBtn = e.target.closest('[data-palette-action]');
+            const mergeBtn = e.target.closest('[data-merge-cluster]');
+            if (actionBtn) {
+                handleModerationAction(actionBtn);
+            } else if (mergeBtn) {
+                handleMergeCluster(mergeBtn);
+            } else if (memberBtn) {
+                handleMemberAction(memberBtn);
+            } else if (paletteBtn) {
+                handleReactionPaletteAction(paletteBtn);
+            } else if (e.target.closest('a[href^="#/memory/"]')) {
+                state.memoryOpenedInApp = true;
+            }
         });
+        elements.moderationPanel.addEventListener('change', (e) => {
+            if (e.target.matches('.member-role')) handleMemberAction(e.target);
+            if (e.target.matches('.duplicate-cluster input[type="radio"]')) handleDuplicateKeepChange(e.target);
+        });
+        elements.moderationPanel.addEventListener('submit', (e) => {
+            if (e.target.id === 'reaction-palette-form') handleReactionPaletteSubmit(e);
+        });
+
+        elements.moderationMemberSearch.addEventListener('input', renderModerationMembers);
+        elements.reviewSettingToggle.addEventListener('change', handleReviewSettingChange);
+        elements.moderationEditForm.addEventListener('submit', handleModerationEditSubmit);
     }
-}
 
-// ================================
-// Simulate New Content Notifications
-// ================================
-function simulateNewContent() {
-    // Simulate a new memory being added after 30 seconds
-    setTimeout(() => {
-        showToast(
-            'New Memory Added!',
-            'Tom Martinez \'08 added a photo from 2007.',
-            '📸'
-        );
-    }, 30000);
+    // Authors editing and deleting their memories
+    if (elements.memoryEditForm) {
+        elements.memoryEditBtn.addEventListener('click', openMemoryEditor);
+        elements.memoryHistoryBtn.addEventListener('click', toggleMemoryHistory);
+        elements.memoryHistory.addEventListener('click', handleHistoryClick);
+        elements.memoryDeleteBtn.addEventListener('click', deleteOwnMemory);
+        elements.memoryEditForm.addEventListener('submit', handleMemoryEditSubmit);
+        elements.memoryEditFiles.addEventListener('change', (e) => addMemoryEditFiles(e.target.files));
+        elements.memoryEditPhotos.addEventListener('click', (e) => {
+            const photoButton = e.target.closest('[data-photo-action]');
+            const button = e.target.closest('.preview-remove');
+            if (photoButton) {
+                handleEditPhotoAction(photoButton);
+            } else if (button) {
+                removeMemoryEditPhoto(button);
+            }
+        });
+        elements.memoryEditPhotos.addEventListener('input', (e) => {
+            if (e.target.classList.contains('edit-photo-caption')) {
+                state.memoryEdit.photos[parseInt(e.target.dataset.photoIndex, 10)].caption = e.target.value;
+            }
+        });
+    }
+
+    // Full-screen photos with zoom and pan
+    if (elements.lightbox) {
+        elements.lightbox.addEventListener('click', handleLightboxClick);
+        elements.lightboxStage.addEventListener('wheel', handleLightboxWheel, { passive: false });
+        elements.lightboxStage.addEventListener('dblclick', handleLightboxDoubleClick);
+        elements.lightboxStage.addEventListener('pointerdown', handleLightboxPointerDown);
+        elements.lightboxStage.addEventListener('pointermove', handleLightboxPointerMove);
+        elements.lightboxStage.addEventListener('pointerup', handleLightboxPointerUp);
+        elements.lightboxStage.addEventListener('pointercancel', handleLightboxPointerUp);
+    }
+
+    // Photo galleries, paging through documents and playing oral histories
+    if (elements.memoryDetailMedia) {
+        elements.memoryDetailMedia.addEventListener('click', handleDocumentViewerClick);
+        elements.memoryDetailMedia.addEventListener('keydown', handleDocumentViewerKeydown);
+        elements.memoryDetailMedia.addEventListener('click', handleMediaPlayerClick);
+        elements.memoryDetailMedia.addEventListener('click', handleGalleryClick);
+        elements.memoryDetailMedia.addEventListener('keydown', handlePhotoTagKeydown);
+        elements.memoryDetailMedia.addEventListener('input', (e) => {
+            if (e.target.matches('.photo-tag-input')) updatePhotoTagMatches(e.target);
+        });
+        elements.memoryDetailMedia.addEventListener('pointerdown', handlePhotoTagPointerDown);
+        elements.memoryDetailMedia.addEventListener('pointermove', handlePhotoTagPointerMove);
+        elements.memoryDetailMedia.addEventListener('pointerup', handlePhotoTagPointerUp);
+        elements.memoryDetailMedia.addEventListener('pointercancel', handlePhotoTagPointerUp);
+        window.addEventListener('resize', layoutPhotoTagLayer);
+    }
+
+    // Reporting memories and comments
+    if (elements.reportForm) {
+        elements.reportForm.addEventListener('submit', handleReportSubmit);
+        elements.memoryReportBtn.addEventListener('click', () => {
+            if (state.memoryDetail) openReportModal({ memoryId: state.memoryDetail.id });
+        });
+    }
+
+    // Notification preferences
+    if (elements.notificationForm) {
+        elements.notificationForm.addEventListener('submit', handleNotificationSubmit);
+        elements.notificationForm.addEventListener('change', () => {
+            renderPreferenceIssues(validateNotificationPreferences(getNotificationFormData(), AuthModule.userProfile));
+        });
+    }
 }
 
 // ================================
@@ -559,6 +6605,7 @@ function initAuthUI() {
             try {
                 if (typeof AuthModule !== 'undefined' && AuthModule.signInWithGoogle) {
                     await AuthModule.signInWithGoogle();
+                    await acceptPendingInvite();
                     closeModal('auth-modal');
                 } else {
                     showToast('Demo Mode', 'Firebase not configured. This is a demo.', 'ℹ️');
@@ -648,6 +6695,7 @@ function initAuthUI() {
             try {
                 if (typeof AuthModule !== 'undefined') {
                     await AuthModule.register(email, password, name, classYear);
+                    await acceptPendingInvite();
                     closeModal('auth-modal');
                     registerForm.reset();
                 } else {
@@ -678,14 +6726,12 @@ function initAuthUI() {
         });
     }
 
-    // Click on username to sign in/out
+    // Click on username to open your profile or sign in
     if (userName) {
         userName.addEventListener('click', () => {
             if (typeof firebase !== 'undefined' && firebase.auth().currentUser) {
-                // User is signed in - show logout option
-                if (confirm('Sign out of the archive?')) {
-                    AuthModule.logout();
-                }
+                // User is signed in - signing out lives on the profile page
+                navigate('#/profile');
             } else {
                 // User is not signed in - show auth modal
                 openModal('auth-modal');
@@ -698,62 +6744,131 @@ function initAuthUI() {
 // ================================
 // Firebase Integration Functions
 // ================================
-async function submitMemoryToFirebase(memoryData) {
+async function submitMemoryToFirebase(memoryData, files = [], onFileProgress = null) {
     if (typeof DatabaseModule === 'undefined' || typeof StorageModule === 'undefined') {
         // Demo mode
         return null;
     }
 
     try {
+        // Unverified members' memories may need a moderator's approval first
+        const status = await ModerationModule.getSubmissionStatus();
+
         // First, create a placeholder memory to get an ID
         const memoryId = await DatabaseModule.addMemory({
             ...memoryData,
-            images: []
+            images: [],
+            documents: [],
+            status
         });
 
-        // Upload files if any
-        if (state.uploadedFiles.length > 0) {
-            const uploadResults = await StorageModule.uploadMultipleFiles(
-                state.uploadedFiles,
-                memoryId,
-                (progress, current, total) => {
-                    showToast('Uploading', `Uploading image ${current} of ${total}...`, '📤');
-                }
-            );
+        // The memory is kept even if some files fail, so they can be retried
+        const failedFiles = await uploadMemoryFiles(memoryId, files, onFileProgress);
+
+        return { memoryId, failedFiles, status };
+    } catch (error) {
+        console.error('Error submitting memory:', error);
+        throw error;
+    }
+}
+
+/**
+ * A memory image from an upload result, with its smaller copies and
+ * perceptual hash if it has them
+ */
+function imageFromUpload(result) {
+    const image = { url: result.url, caption: '' };
+    if (result.variants) {
+        Object.assign(image, {
+            width: result.width,
+            height: result.height,
+            placeholder: result.placeholder,
+            variants: result.variants
+        });
+    }
+    if (result.hash) image.hash = result.hash;
+    return image;
+}
+
+/**
+ * Sort successful uploads into the memory's image URLs, document entries
+ * and recordings
+ * @returns {Object} - { images, documents, media }
+ */
+function splitUploadResults(results) {
+    const uploaded = results.filter(result => !result.error);
 
-            // Update memory with image URLs
-            const imageUrls = uploadResults
-                .filter(r => !r.error)
-                .map(r => r.url);
+    return {
+        images: uploaded
+            .filter(result => !DocumentsModule.isPdf(result) && !StorageModule.isMediaFile(result))
+            .map(imageFromUpload),
+        documents: uploaded.filter(result => DocumentsModule.isPdf(result)).map(result => ({
+            url: result.url,
+            name: result.name,
+            thumbnailUrl: result.thumbnailUrl,
+            pageCount: result.pageCount
+        })),
+        media: uploaded.filter(result => StorageModule.isMediaFile(result)).map(result => ({
+            url: result.url,
+            name: result.name,
+            type: result.type.split(';')[0],
+            kind: result.kind,
+            duration: result.duration
+        }))
+    };
+}
+
+/**
+ * Upload files for an existing memory and attach their URLs.
+ * Returns the files that failed so the caller can offer a retry.
+ */
+async function uploadMemoryFiles(memoryId, files, onFileProgress = null) {
+    if (files.length === 0) return [];
 
-            if (imageUrls.length > 0) {
-                await firebase.firestore().collection('memories').doc(memoryId).update({
-                    images: imageUrls
-                });
+    const uploadResults = await StorageModule.uploadMultipleFiles(
+        files,
+        memoryId,
+        (progress, current, total, fileProgress) => {
+            if (onFileProgress) {
+                onFileProgress(current - 1, fileProgress, 'uploading');
             }
         }
+    );
 
-        return memoryId;
+    try {
+        await DatabaseModule.addMemoryFiles(memoryId, splitUploadResults(uploadResults));
     } catch (error) {
-        console.error('Error submitting memory:', error);
-        throw error;
+        // Uploaded but not linked to the memory - treat as failed so a retry links them
+        uploadResults.forEach(r => {
+            if (!r.error) r.error = error.message;
+        });
     }
+
+    uploadResults.forEach((result, index) => {
+        if (onFileProgress) {
+            onFileProgress(index, result.error ? 0 : 100, result.error ? 'failed' : 'done', result.error);
+        }
+    });
+
+    return files.filter((file, index) => uploadResults[index].error);
 }
 
+/**
+ * Create an invite for each email
+ * @returns {Array} - { email, error } for each invite that couldn't be created
+ */
 async function sendInvitesToFirebase(emails, message) {
-    if (typeof DatabaseModule === 'undefined') {
-        return false;
-    }
+    const failed = [];
 
-    try {
-        for (const email of emails) {
+    for (const email of emails) {
+        try {
             await DatabaseModule.sendInvite(email, message);
+        } catch (error) {
+            failed.push({ email, error });
         }
-        return true;
-    } catch (error) {
-        console.error('Error sending invites:', error);
-        throw error;
     }
+
+    return failed;
 }
 
 // ================================
@@ -763,7 +6878,8 @@ function init() {
     initEventListeners();
     initAuthUI();
     updateCharCount();
-    animateMemoryCards();
+    loadDecadeStats();
+    initRouter();
 
     // Check if Firebase is configured
     const isFirebaseConfigured = typeof firebase !== 'undefined' &&
@@ -781,17 +6897,18 @@ function init() {
             );
         }, 1500);
     } else {
-        // Show welcome toast
-        setTimeout(() => {
-            showToast(
-                'Welcome Back!',
-                'There are 3 new memories since your last visit.',
-                '👋'
-            );
-        }, 1500);
+        // Live inbox and "since your last visit" greeting for signed-in users
+        AuthModule.onAuthChange(handleAuthInboxChange);
+
+        // Edit controls on a profile depend on who is signed in
+        AuthModule.onAuthChange(() => {
+            if (state.profile?.profile) renderProfile();
+        });
+
+        // Class reps and above get the moderation dashboard
+        AuthModule.onAuthChange(updateModerationNav);
 
-        // Start simulation
-        simulateNewContent();
+        loadReactionPalette();
     }
 }
 
@@ -5,24 +5,67 @@
 
 const AuthModule = {
     currentUser: null,
+    userProfile: null,
+    authResolved: false,
+    authListeners: [],
+
+    // Archive roles in increasing order of privilege. Stored as users/<uid>.role;
+    // accounts without one are members.
+    ROLES: ['member', 'classRep', 'moderator', 'admin'],
+
+    ROLE_LABELS: {
+        member: 'Member',
+        classRep: 'Class Rep',
+        moderator: 'Moderator',
+        admin: 'Admin'
+    },
+
+    // Written to new accounts; the notification worker falls back to the same values
+    DEFAULT_NOTIFICATION_PREFERENCES: {
+        newMemoriesFromEra: true,
+        taggedInMemory: true,
+        allNewUploads: false,
+        weeklyDigest: true,
+        emailFrequency: 'daily',
+        followedDecades: []
+    },
 
     /**
      * Initialize auth state listener
      */
     init() {
-        firebase.auth().onAuthStateChanged((user) => {
+        firebase.auth().onAuthStateChanged(async (user) => {
             this.currentUser = user;
             this.updateUI(user);
 
             if (user) {
                 console.log('User signed in:', user.email);
-                this.loadUserProfile(user.uid);
+                // Listeners can rely on the profile (and so the role) being loaded
+                await this.loadUserProfile(user.uid);
             } else {
                 console.log('No user signed in');
+                this.userProfile = null;
             }
+
+            // A newer auth change arrived while the profile was loading
+            if (this.currentUser !== user) return;
+
+            this.authResolved = true;
+            this.authListeners.forEach(callback => callback(user));
         });
     },
 
+    /**
+     * Register a callback for sign-in/sign-out. If the initial auth state
+     * is already known, the callback runs immediately with it.
+     */
+    onAuthChange(callback) {
+        this.authListeners.push(callback);
+        if (this.authResolved) {
+            callback(this.currentUser);
+        }
+    },
+
     /**
      * Register a new user
      */
@@ -35,20 +78,14 @@ const AuthModule = {
             await user.updateProfile({ displayName });
 
             // Create user profile in Firestore
-            await firebase.firestore().collection('users').doc(user.uid).set({
-                email: email,
+            await this.createProfile(user, {
                 displayName: displayName,
-                classYear: classYear,
-                createdAt: firebase.firestore.FieldValue.serverTimestamp(),
-                notificationPreferences: {
-                    newMemoriesFromEra: true,
-                    taggedInMemory: true,
-                    allNewUploads: false,
-                    weeklyDigest: true,
-                    emailFrequency: 'daily'
-                }
+                classYear: classYear
             });
 
+            // The auth listener ran before this profile existed
+            await this.loadUserProfile(user.uid);
+
             this.showToast('Welcome to the Archive!', `Account created successfully.`, '🎉');
             return user;
         } catch (error) {
@@ -86,20 +123,12 @@ const AuthModule = {
             const userDoc = await firebase.firestore().collection('users').doc(user.uid).get();
             if (!userDoc.exists) {
                 // New user - create profile
-                await firebase.firestore().collection('users').doc(user.uid).set({
-                    email: user.email,
+                await this.createProfile(user, {
                     displayName: user.displayName,
                     photoURL: user.photoURL,
-                    classYear: null, // Will need to be set later
-                    createdAt: firebase.firestore.FieldValue.serverTimestamp(),
-                    notificationPreferences: {
-                        newMemoriesFromEra: true,
-                        taggedInMemory: true,
-                        allNewUploads: false,
-                        weeklyDigest: true,
-                        emailFrequency: 'daily'
-                    }
+                    classYear: null // Will need to be set later
                 });
+                await this.loadUserProfile(user.uid);
                 this.showToast('Welcome to the Archive!', 'Account created with Google.', '🎉');
             } else {
                 this.showToast('Welcome Back!', `Signed in as ${user.displayName}`, '👋');
@@ -143,13 +172,52 @@ const AuthModule = {
     },
 
     /**
-     * Load user profile from Firestore
+     * The part of a user's profile only they can read: their email,
+     * notification preferences and when they were last seen
+     */
+    getAccountRef(uid) {
+        return firebase.firestore().collection('users').doc(uid).collection('private').doc('account');
+    },
+
+    /**
+     * Write a new account's public profile, its private account details and
+     * the registered email invite checks look it up by, together
+     * @param {Object} profile - Public fields such as displayName and classYear
+     */
+    async createProfile(user, profile) {
+        const db = firebase.firestore();
+        const batch = db.batch();
+
+        batch.set(db.collection('users').doc(user.uid), {
+            ...profile,
+            role: 'member',
+            verified: false,
+            createdAt: firebase.firestore.FieldValue.serverTimestamp()
+        });
+        batch.set(this.getAccountRef(user.uid), {
+            email: user.email,
+            notificationPreferences: { ...this.DEFAULT_NOTIFICATION_PREFERENCES }
+        });
+        if (user.email) {
+            batch.set(db.collection('registeredEmails').doc(user.email.toLowerCase()), { userId: user.uid });
+        }
+
+        await batch.commit();
+    },
+
+    /**
+     * Load user profile from Firestore, along with the private account
+     * details. Accounts made before those were split out still carry them
+     * on the profile until DatabaseModule.movePrivateProfileFields() runs.
      */
     async loadUserProfile(uid) {
         try {
-            const doc = await firebase.firestore().collection('users').doc(uid).get();
+            const [doc, account] = await Promise.all([
+                firebase.firestore().collection('users').doc(uid).get(),
+                this.getAccountRef(uid).get()
+            ]);
             if (doc.exists) {
-                this.userProfile = doc.data();
+                this.userProfile = { ...doc.data(), ...(account.exists ? account.data() : {}) };
                 return this.userProfile;
             }
             return null;
@@ -159,6 +227,22 @@ const AuthModule = {
         }
     },
 
+    /**
+     * The signed-in user's archive role
+     */
+    getRole() {
+        const role = this.userProfile && this.userProfile.role;
+        return this.ROLES.includes(role) ? role : 'member';
+    },
+
+    /**
+     * Whether the signed-in user holds a role or a more privileged one
+     */
+    hasRole(role) {
+        if (!this.currentUser) return false;
+        return this.ROLES.indexOf(this.getRole()) >= this.ROLES.indexOf(role);
+    },
+
     /**
      * Update notification preferences
      */
@@ -166,9 +250,12 @@ const AuthModule = {
         if (!this.currentUser) return;
 
         try {
-            await firebase.firestore().collection('users').doc(this.currentUser.uid).update({
+            await this.getAccountRef(this.currentUser.uid).set({
                 notificationPreferences: preferences
-            });
+            }, { merge: true });
+            if (this.userProfile) {
+                this.userProfile.notificationPreferences = preferences;
+            }
             this.showToast('Preferences Saved', 'Your notification settings have been updated.', '✓');
         } catch (error) {
             console.error('Error updating preferences:', error);
@@ -6,6 +6,8 @@
 const DatabaseModule = {
     /**
      * Add a new memory to the archive
+     * A status of 'pending' holds it for moderator review; counts, search and
+     * notifications then wait until it's approved
      */
     async addMemory(memoryData) {
         const user = firebase.auth().currentUser;
@@ -16,26 +18,21 @@ const DatabaseModule = {
         try {
             const memory = {
                 ...memoryData,
+                status: memoryData.status === 'pending' ? 'pending' : 'published',
                 authorId: user.uid,
                 authorName: user.displayName || user.email,
                 authorEmail: user.email,
                 createdAt: firebase.firestore.FieldValue.serverTimestamp(),
                 updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
-                reactions: {
-                    swim: 0,
-                    heart: 0,
-                    celebrate: 0
-                },
+                reactions: {},
                 commentCount: 0
             };
 
             const docRef = await firebase.firestore().collection('memories').add(memory);
 
-            // Update decade stats
-            await this.incrementDecadeCount(memoryData.decade);
-
-            // Trigger notifications for subscribers
-            await this.notifySubscribers(memory);
+            if (memory.status === 'published') {
+                await this.announceMemory(docRef.id, memory);
+            }
 
             return docRef.id;
         } catch (error) {
@@ -45,12 +42,39 @@ const DatabaseModule = {
     },
 
     /**
-     * Get memories for a specific decade
+     * Count, index and notify for a memory that has just become public
+     */
+    async announceMemory(memoryId, memory) {
+        // Update decade stats
+        await this.incrementDecadeCount(memory.decade, memory.authorId);
+
+        // Make the memory findable in search
+        await this.updateSearchIndex(memoryId, memory);
+
+        // Trigger notifications for subscribers
+        await this.notifySubscribers({ ...memory, id: memoryId });
+
+        // Let tagged teammates know they're in this memory
+        await this.notifyTaggedUsers(memoryId, memory);
+    },
+
+    /**
+     * Whether a memory is visible to everyone. Memories from before
+     * moderation have no status and count as published.
+     */
+    isPublished(memory) {
+        return !memory.status || memory.status === 'published';
+    },
+
+    /**
+     * Get published memories for a specific decade. Memories from before
+     * moderation only match once backfillMemoryStatus() has given them a status.
      */
     async getMemoriesByDecade(decade, limitCount = 20, lastDoc = null) {
         try {
             let query = firebase.firestore()
                 .collection('memories')
+                .where('status', '==', 'published')
                 .where('decade', '==', decade)
                 .orderBy('createdAt', 'desc')
                 .limit(limitCount);
@@ -60,14 +84,7 @@ const DatabaseModule = {
             }
 
             const snapshot = await query.get();
-            const memories = [];
-
-            snapshot.forEach(doc => {
-                memories.push({
-                    id: doc.id,
-                    ...doc.data()
-                });
-            });
+            const memories = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
 
             return {
                 memories,
@@ -81,7 +98,8 @@ const DatabaseModule = {
     },
 
     /**
-     * Get a single memory by ID
+     * Get a single memory by ID. One the rules withhold from this user comes
+     * back as null, or as { id, status: 'merged', mergedInto } if it was merged.
      */
     async getMemory(memoryId) {
         try {
@@ -91,342 +109,2315 @@ const DatabaseModule = {
             }
             return null;
         } catch (error) {
+            if (error.code === 'permission-denied') {
+                return this.getWithheldMemory(memoryId);
+            }
             console.error('Error fetching memory:', error);
             throw error;
         }
     },
 
     /**
-     * Add a reaction to a memory
+     * What visitors may know about a memory they can't read: only where a
+     * merged one went, from its search index tombstone
      */
-    async addReaction(memoryId, reactionType) {
-        const user = firebase.auth().currentUser;
-        if (!user) return;
+    async getWithheldMemory(memoryId) {
+        const entry = await firebase.firestore().collection('searchIndex').doc(memoryId).get();
+        const mergedInto = entry.exists ? entry.data().mergedInto : null;
+        return mergedInto ? { id: memoryId, status: 'merged', mergedInto } : null;
+    },
 
-        const reactionRef = firebase.firestore()
+    /**
+     * Listen for live changes to a memory (reaction counts, comment count, edits)
+     * @returns {function} - Unsubscribe function
+     */
+    subscribeToMemory(memoryId, callback) {
+        return firebase.firestore()
             .collection('memories')
             .doc(memoryId)
-            .collection('reactions')
-            .doc(user.uid);
+            .onSnapshot(
+                doc => callback(doc.exists ? { id: doc.id, ...doc.data() } : null),
+                error => console.error('Error watching memory:', error)
+            );
+    },
 
-        try {
-            const existingReaction = await reactionRef.get();
+    // Memory fields kept in each revision
+    REVISION_FIELDS: ['title', 'story', 'decade', 'year', 'tags', 'images', 'documents', 'media'],
 
-            if (existingReaction.exists && existingReaction.data().type === reactionType) {
-                // Remove reaction
-                await reactionRef.delete();
-                await firebase.firestore().collection('memories').doc(memoryId).update({
-                    [`reactions.${reactionType}`]: firebase.firestore.FieldValue.increment(-1)
-                });
-                return false;
-            } else {
-                // Add/change reaction
-                if (existingReaction.exists) {
-                    const oldType = existingReaction.data().type;
-                    await firebase.firestore().collection('memories').doc(memoryId).update({
-                        [`reactions.${oldType}`]: firebase.firestore.FieldValue.increment(-1)
-                    });
-                }
+    /**
+     * Update a memory the signed-in user wrote. Moving it to another decade
+     * moves it between the decade counters too.
+     * @param {Object} updates - Any of title, story, decade, year, tags, images, documents and media
+     * @returns {Object} - The updated memory
+     */
+    async updateMemory(memoryId, updates) {
+        const user = firebase.auth().currentUser;
+        if (!user) {
+            throw new Error('Must be signed in to edit memories');
+        }
 
-                await reactionRef.set({
-                    type: reactionType,
-                    userId: user.uid,
-                    createdAt: firebase.firestore.FieldValue.serverTimestamp()
-                });
+        const memory = await this.getMemory(memoryId);
+        if (!memory) {
+            throw new Error('This memory no longer exists');
+        }
+        if (memory.authorId !== user.uid) {
+            throw new Error('You can only edit your own memories');
+        }
 
-                await firebase.firestore().collection('memories').doc(memoryId).update({
-                    [`reactions.${reactionType}`]: firebase.firestore.FieldValue.increment(1)
-                });
-                return true;
-            }
+        const changes = {};
+        this.REVISION_FIELDS.forEach(field => {
+            if (updates[field] !== undefined) changes[field] = updates[field];
+        });
+
+        try {
+            return await this.saveMemoryChanges(memory, changes);
         } catch (error) {
-            console.error('Error adding reaction:', error);
+            console.error('Error updating memory:', error);
             throw error;
         }
     },
 
     /**
-     * Add a comment to a memory
+     * A memory's photos as { url, caption } in display order, the first
+     * being the cover. Memories shared before captions store bare URLs.
+     * Photos uploaded with smaller copies also carry width, height,
+     * placeholder, hash and variants: [{ width, url, path }].
+     */
+    normalizeImages(images) {
+        return (images || []).map(image => (typeof image === 'string'
+            ? { url: image, caption: '' }
+            : { ...image, caption: image.caption || '' }));
+    },
+
+    /**
+     * The revisioned fields of a memory, with missing ones filled in
+     */
+    revisionSnapshot(memory) {
+        return {
+            title: memory.title || '',
+            story: memory.story || '',
+            decade: memory.decade || null,
+            year: memory.year || null,
+            tags: memory.tags || [],
+            images: this.normalizeImages(memory.images),
+            documents: memory.documents || [],
+            media: memory.media || []
+        };
+    },
+
+    /**
+     * Write changes to a memory and record them as a revision in one batch.
+     * Memories shared before revisions existed get their original version
+     * recorded first so it can still be restored. Photos taken out lose
+     * their tags. Callers check permissions.
+     * @param {Object} memory - The memory as it is now
+     * @param {Object} changes - New values for revisioned fields
+     * @param {Object} options - { restoredFrom } when restoring an older revision
+     * @returns {Object} - The updated memory
      */
-    async addComment(memoryId, commentText) {
+    async saveMemoryChanges(memory, changes, { restoredFrom = null } = {}) {
         const user = firebase.auth().currentUser;
-        if (!user) {
-            throw new Error('Must be signed in to comment');
-        }
+        const before = this.revisionSnapshot(memory);
+        const after = this.revisionSnapshot({ ...memory, ...changes });
+        const changedFields = this.REVISION_FIELDS.filter(field =>
+            JSON.stringify(before[field]) !== JSON.stringify(after[field])
+        );
 
-        try {
-            const comment = {
-                memoryId,
-                authorId: user.uid,
-                authorName: user.displayName || user.email,
-                text: commentText,
-                createdAt: firebase.firestore.FieldValue.serverTimestamp()
-            };
+        if (!changedFields.length) return memory;
 
-            await firebase.firestore()
-                .collection('memories')
-                .doc(memoryId)
-                .collection('comments')
-                .add(comment);
+        const memoryRef = firebase.firestore().collection('memories').doc(memory.id);
+        const revisions = memoryRef.collection('revisions');
+        const existing = await revisions.limit(1).get();
+        const batch = firebase.firestore().batch();
 
-            // Update comment count
-            await firebase.firestore().collection('memories').doc(memoryId).update({
-                commentCount: firebase.firestore.FieldValue.increment(1)
+        if (existing.empty) {
+            batch.set(revisions.doc(), {
+                ...before,
+                changedFields: [],
+                editorId: memory.authorId,
+                editorName: memory.authorName,
+                restoredFrom: null,
+                createdAt: memory.createdAt || firebase.firestore.FieldValue.serverTimestamp()
             });
+        }
 
-            return comment;
-        } catch (error) {
-            console.error('Error adding comment:', error);
-            throw error;
+        batch.update(memoryRef, {
+            ...changes,
+            updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+            updatedBy: user.uid
+        });
+
+        batch.set(revisions.doc(), {
+            ...after,
+            changedFields,
+            editorId: user.uid,
+            editorName: user.displayName || user.email,
+            restoredFrom,
+            createdAt: firebase.firestore.FieldValue.serverTimestamp()
+        });
+
+        await batch.commit();
+
+        const updated = { ...memory, ...changes };
+
+        // Tags are kept per photo, so they go with it
+        const keptUrls = new Set(after.images.map(image => image.url));
+        const droppedUrls = before.images.map(image => image.url).filter(url => !keptUrls.has(url));
+        if (droppedUrls.length) {
+            updated.taggedUserIds = await this.removeTagsOnPhotos(updated, droppedUrls);
+        }
+
+        if (this.isPublished(memory)) {
+            if (updated.decade !== memory.decade) {
+                await this.removeFromDecade(memory.decade, memory.authorId, memory.id);
+                await this.incrementDecadeCount(updated.decade, memory.authorId);
+            }
+            await this.updateSearchIndex(memory.id, updated);
         }
+
+        return updated;
     },
 
     /**
-     * Get comments for a memory
+     * Get a memory's revisions, newest first
      */
-    async getComments(memoryId) {
+    async getRevisions(memoryId) {
         try {
             const snapshot = await firebase.firestore()
                 .collection('memories')
                 .doc(memoryId)
-                .collection('comments')
-                .orderBy('createdAt', 'asc')
+                .collection('revisions')
+                .orderBy('createdAt', 'desc')
                 .get();
 
-            const comments = [];
-            snapshot.forEach(doc => {
-                comments.push({ id: doc.id, ...doc.data() });
-            });
-
-            return comments;
+            return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
         } catch (error) {
-            console.error('Error fetching comments:', error);
+            console.error('Error fetching revisions:', error);
             throw error;
         }
     },
 
     /**
-     * Get decade statistics
+     * Put a memory back the way it was at an earlier revision. Restoring is
+     * itself recorded as a new revision, so it can be undone the same way.
+     * Authors can restore their own memories; moderators can restore any.
+     * @returns {Object} - The updated memory
      */
-    async getDecadeStats() {
-        try {
-            const snapshot = await firebase.firestore().collection('decades').get();
-            const stats = {};
-
-            snapshot.forEach(doc => {
-                stats[doc.id] = doc.data();
-            });
-
-            return stats;
-        } catch (error) {
-            console.error('Error fetching decade stats:', error);
-            // Return default stats if collection doesn't exist yet
-            return {
-                '1950s': { memoryCount: 0, contributorCount: 0, tagline: 'The Founding Years' },
-                '1960s': { memoryCount: 0, contributorCount: 0, tagline: 'Building Tradition' },
-                '1970s': { memoryCount: 0, contributorCount: 0, tagline: 'The Rise' },
-                '1980s': { memoryCount: 0, contributorCount: 0, tagline: 'Dynasty Beginnings' },
-                '1990s': { memoryCount: 0, contributorCount: 0, tagline: 'The Golden Era' },
-                '2000s': { memoryCount: 0, contributorCount: 0, tagline: 'New Millennium' },
-                '2010s': { memoryCount: 0, contributorCount: 0, tagline: 'Modern Excellence' },
-                '2020s': { memoryCount: 0, contributorCount: 0, tagline: 'The New Wave' }
-            };
+    async restoreRevision(memoryId, revisionId) {
+        const user = firebase.auth().currentUser;
+        if (!user) {
+            throw new Error('Must be signed in to restore a revision');
         }
-    },
 
-    /**
-     * Increment decade memory count
-     */
-    async incrementDecadeCount(decade) {
-        const decadeRef = firebase.firestore().collection('decades').doc(decade);
+        const memory = await this.getMemory(memoryId);
+        if (!memory) {
+            throw new Error('This memory no longer exists');
+        }
+        if (memory.authorId !== user.uid && !AuthModule.hasRole('moderator')) {
+            throw new Error('You can only restore your own memories');
+        }
 
         try {
-            await decadeRef.set({
-                memoryCount: firebase.firestore.FieldValue.increment(1),
-                lastUpdated: firebase.firestore.FieldValue.serverTimestamp()
-            }, { merge: true });
+            const doc = await firebase.firestore()
+                .collection('memories')
+                .doc(memoryId)
+                .collection('revisions')
+                .doc(revisionId)
+                .get();
+
+            if (!doc.exists) {
+                throw new Error('That revision no longer exists');
+            }
+
+            const revision = this.revisionSnapshot(doc.data());
+            return await this.saveMemoryChanges(memory, revision, { restoredFrom: revisionId });
         } catch (error) {
-            console.error('Error updating decade count:', error);
+            console.error('Error restoring revision:', error);
+            throw error;
         }
     },
 
     /**
-     * Send invite to join the archive
+     * Delete a memory with its comments, reactions, revisions, photo tags and uploaded files.
+     * Authors can delete their own memories; moderators can delete any.
+     * @returns {Object|null} - The deleted memory, or null if it was already gone
      */
-    async sendInvite(email, personalMessage = '') {
+    async deleteMemory(memoryId) {
         const user = firebase.auth().currentUser;
         if (!user) {
-            throw new Error('Must be signed in to send invites');
+            throw new Error('Must be signed in to delete memories');
         }
 
-        try {
-            const invite = {
-                email: email.toLowerCase(),
-                invitedBy: user.uid,
-                inviterName: user.displayName || user.email,
-                personalMessage,
-                status: 'pending',
-                createdAt: firebase.firestore.FieldValue.serverTimestamp()
-            };
+        const memory = await this.getMemory(memoryId);
+        if (!memory) return null;
 
-            // Check if already invited
-            const existing = await firebase.firestore()
-                .collection('invites')
-                .where('email', '==', email.toLowerCase())
-                .get();
+        if (memory.authorId !== user.uid && !AuthModule.hasRole('moderator')) {
+            throw new Error('You can only delete your own memories');
+        }
 
-            if (!existing.empty) {
-                throw new Error('This email has already been invited');
+        const memoryRef = firebase.firestore().collection('memories').doc(memoryId);
+
+        try {
+            for (const subcollection of ['comments', 'reactions', 'revisions', 'photoTags']) {
+                const snapshot = await memoryRef.collection(subcollection).get();
+                for (let i = 0; i < snapshot.docs.length; i += 500) {
+                    const batch = firebase.firestore().batch();
+                    snapshot.docs.slice(i, i + 500).forEach(doc => batch.delete(doc.ref));
+                    await batch.commit();
+                }
             }
 
-            await firebase.firestore().collection('invites').add(invite);
+            // Files go before the document so a failure leaves something to retry from
+            await StorageModule.deleteMemoryFiles(memoryId);
+            await memoryRef.delete();
 
-            // In production, this would trigger a Cloud Function to send the email
-            console.log('Invite created for:', email);
+            if (this.isPublished(memory)) {
+                await this.removeFromDecade(memory.decade, memory.authorId, memoryId);
+                await this.removeFromSearchIndex(memoryId);
+            }
 
-            return true;
+            return memory;
         } catch (error) {
-            console.error('Error sending invite:', error);
+            console.error('Error deleting memory:', error);
             throw error;
         }
     },
 
     /**
-     * Get pending invites sent by current user
+     * Append uploaded files to a memory
+     * @param {Object} files - { images: { url, caption, variants, hash }, documents: { url, name, thumbnailUrl, pageCount },
+     *                          media: { url, name, type, kind, duration } }
      */
-    async getMyInvites() {
-        const user = firebase.auth().currentUser;
-        if (!user) return [];
+    async addMemoryFiles(memoryId, { images = [], documents = [], media = [] }) {
+        if (!images.length && !documents.length && !media.length) return;
 
-        try {
-            const snapshot = await firebase.firestore()
-                .collection('invites')
-                .where('invitedBy', '==', user.uid)
-                .orderBy('createdAt', 'desc')
-                .get();
+        const updates = { updatedAt: firebase.firestore.FieldValue.serverTimestamp() };
+        if (images.length) {
+            updates.images = firebase.firestore.FieldValue.arrayUnion(...images);
+        }
+        if (documents.length) {
+            updates.documents = firebase.firestore.FieldValue.arrayUnion(...documents);
+        }
+        if (media.length) {
+            updates.media = firebase.firestore.FieldValue.arrayUnion(...media);
+        }
 
-            const invites = [];
-            snapshot.forEach(doc => {
-                invites.push({ id: doc.id, ...doc.data() });
-            });
+        try {
+            await firebase.firestore().collection('memories').doc(memoryId).update(updates);
 
-            return invites;
+            // New memories are indexed before their photos finish uploading
+            if (images.some(image => image.hash)) {
+                const memory = await this.getMemory(memoryId);
+                if (memory && this.isPublished(memory)) {
+                    await this.updateSearchIndex(memoryId, memory);
+                }
+            }
         } catch (error) {
-            console.error('Error fetching invites:', error);
-            return [];
+            console.error('Error adding memory files:', error);
+            throw error;
         }
     },
 
+    // Reactions offered until an admin saves settings/reactions
+    DEFAULT_REACTIONS: [
+        { type: 'swim', emoji: '🏊', label: 'Swim' },
+        { type: 'heart', emoji: '💚', label: 'Love' },
+        { type: 'celebrate', emoji: '🎉', label: 'Celebrate' },
+        { type: 'laugh', emoji: '😂', label: 'Funny' },
+        { type: 'miss', emoji: '😢', label: 'Miss this' },
+        { type: 'pasta', emoji: '🍝', label: 'Pasta party' }
+    ],
+
     /**
-     * Get recently joined users
+     * Get the reactions members can choose from, in display order
+     * @returns {Array} - { type, emoji, label } per reaction
      */
-    async getRecentJoins(limit = 5) {
+    async getReactionPalette() {
         try {
-            const snapshot = await firebase.firestore()
-                .collection('users')
-                .orderBy('createdAt', 'desc')
-                .limit(limit)
-                .get();
-
-            const users = [];
-            snapshot.forEach(doc => {
-                const data = doc.data();
-                users.push({
-                    id: doc.id,
-                    displayName: data.displayName,
-                    classYear: data.classYear,
-                    createdAt: data.createdAt
-                });
-            });
-
-            return users;
+            const doc = await firebase.firestore().collection('settings').doc('reactions').get();
+            const palette = doc.exists ? doc.data().palette : null;
+            return Array.isArray(palette) && palette.length ? palette : [...this.DEFAULT_REACTIONS];
         } catch (error) {
-            console.error('Error fetching recent joins:', error);
-            return [];
+            console.error('Error fetching reaction palette:', error);
+            return [...this.DEFAULT_REACTIONS];
         }
     },
 
     /**
-     * Get community statistics
+     * Toggle the signed-in user's reaction on a memory. Each member has one
+     * reaction per memory, so picking another type replaces it. Runs in a
+     * transaction so rapid or concurrent clicks can't double count.
+     * @returns {Object} - { type, previous }: the reaction now set (null if
+     *                     removed) and the one it replaced
      */
-    async getCommunityStats() {
+    async addReaction(memoryId, reactionType) {
+        const user = firebase.auth().currentUser;
+        if (!user) {
+            throw new Error('Must be signed in to react');
+        }
+
+        // Types become field paths on the memory, so keep them to simple keys
+        if (!/^[a-z0-9_]+$/.test(reactionType)) {
+            throw new Error('Unknown reaction');
+        }
+
+        const memoryRef = firebase.firestore().collection('memories').doc(memoryId);
+        const reactionRef = memoryRef.collection('reactions').doc(user.uid);
+        const increment = firebase.firestore.FieldValue.increment;
+
         try {
-            // Get user count
-            const usersSnapshot = await firebase.firestore().collection('users').get();
-            const userCount = usersSnapshot.size;
+            return await firebase.firestore().runTransaction(async (transaction) => {
+                const existing = await transaction.get(reactionRef);
+                const previous = existing.exists ? existing.data().type : null;
+                const counts = {};
 
-            // Get memory count
-            const memoriesSnapshot = await firebase.firestore().collection('memories').get();
-            const memoryCount = memoriesSnapshot.size;
+                if (previous) {
+                    counts[`reactions.${previous}`] = increment(-1);
+                }
 
-            // Get decades represented
-            const decadesSnapshot = await firebase.firestore().collection('decades').get();
-            const decadeCount = decadesSnapshot.size || 8;
+                if (previous === reactionType) {
+                    transaction.delete(reactionRef);
+                } else {
+                    counts[`reactions.${reactionType}`] = increment(1);
+                    transaction.set(reactionRef, {
+                        type: reactionType,
+                        userId: user.uid,
+                        userName: user.displayName || user.email,
+                        createdAt: firebase.firestore.FieldValue.serverTimestamp()
+                    });
+                }
 
-            return {
-                userCount,
-                memoryCount,
-                decadeCount
-            };
+                transaction.update(memoryRef, counts);
+
+                return { type: previous === reactionType ? null : reactionType, previous };
+            });
         } catch (error) {
-            console.error('Error fetching community stats:', error);
-            return { userCount: 0, memoryCount: 0, decadeCount: 8 };
+            console.error('Error adding reaction:', error);
+            throw error;
         }
     },
 
     /**
-     * Notify subscribers about new content
-     * In production, this would be handled by Cloud Functions
+     * Get everyone who has reacted to a memory, oldest first. Reactions saved
+     * before names were stored get them from the user's profile.
+     * @returns {Array} - { userId, userName, type } per reaction
      */
-    async notifySubscribers(memory) {
-        // This is a placeholder - actual implementation would use Cloud Functions
-        // to send emails to users who have subscribed to notifications
-        console.log('Would notify subscribers about new memory:', memory.title);
-
-        // Store notification record
+    async getReactions(memoryId) {
         try {
-            await firebase.firestore().collection('notifications').add({
-                type: 'new_memory',
-                memoryId: memory.id,
-                decade: memory.decade,
-                title: memory.title,
-                authorName: memory.authorName,
-                createdAt: firebase.firestore.FieldValue.serverTimestamp(),
-                processed: false
-            });
+            const snapshot = await firebase.firestore()
+                .collection('memories')
+                .doc(memoryId)
+                .collection('reactions')
+                .orderBy('createdAt', 'asc')
+                .get();
+
+            return await Promise.all(snapshot.docs.map(async (doc) => {
+                const reaction = { userId: doc.id, ...doc.data() };
+                if (!reaction.userName) {
+                    const profile = await this.getUserProfile(reaction.userId).catch(() => null);
+                    reaction.userName = profile ? profile.displayName : 'Former member';
+                }
+                return reaction;
+            }));
         } catch (error) {
-            console.error('Error creating notification record:', error);
+            console.error('Error fetching reactions:', error);
+            throw error;
         }
     },
 
     /**
-     * Search memories by title or content
+     * Get the current user's reaction type on a memory, if any
      */
-    async searchMemories(searchTerm, decade = null) {
-        // Note: Full-text search in Firestore is limited
-        // For production, consider using Algolia or Elasticsearch
+    async getMyReaction(memoryId) {
+        const user = firebase.auth().currentUser;
+        if (!user) return null;
+
         try {
-            let query = firebase.firestore().collection('memories');
+            const doc = await firebase.firestore()
+                .collection('memories')
+                .doc(memoryId)
+                .collection('reactions')
+                .doc(user.uid)
+                .get();
 
-            if (decade) {
-                query = query.where('decade', '==', decade);
-            }
+            return doc.exists ? doc.data().type : null;
+        } catch (error) {
+            console.error('Error fetching reaction:', error);
+            return null;
+        }
+    },
 
-            const snapshot = await query.orderBy('createdAt', 'desc').limit(100).get();
-            const memories = [];
-            const searchLower = searchTerm.toLowerCase();
+    // Replies nest this many levels under a top-level comment
+    COMMENT_MAX_DEPTH: 2,
 
-            snapshot.forEach(doc => {
-                const data = doc.data();
-                if (
-                    data.title?.toLowerCase().includes(searchLower) ||
-                    data.story?.toLowerCase().includes(searchLower)
-                ) {
-                    memories.push({ id: doc.id, ...data });
-                }
-            });
+    /**
+     * Mentions worth keeping on a comment: one per alumnus, never yourself
+     * @param {Array} mentions - { userId, name } per @mention
+     */
+    cleanMentions(mentions) {
+        const user = firebase.auth().currentUser;
+        const seen = new Set();
+
+        return mentions.filter(({ userId }) => {
+            if (!userId || userId === user.uid || seen.has(userId)) return false;
+            seen.add(userId);
+            return true;
+        }).map(({ userId, name }) => ({ userId, name }));
+    },
+
+    /**
+     * Add a comment to a memory, or a reply to another comment. Replies to
+     * the deepest level join that thread instead of nesting further.
+     * @param {Object} options - { parentId, mentions: [{ userId, name }] }
+     */
+    async addComment(memoryId, commentText, { parentId = null, mentions = [] } = {}) {
+        const user = firebase.auth().currentUser;
+        if (!user) {
+            throw new Error('Must be signed in to comment');
+        }
+
+        const memoryRef = firebase.firestore().collection('memories').doc(memoryId);
+        const commentsRef = memoryRef.collection('comments');
+
+        try {
+            let depth = 0;
+            if (parentId) {
+                const parentDoc = await commentsRef.doc(parentId).get();
+                if (!parentDoc.exists || parentDoc.data().deleted) {
+                    throw new Error('The comment you\'re replying to has been deleted');
+                }
+
+                const parent = parentDoc.data();
+                const parentDepth = parent.depth || 0;
+                if (parentDepth >= this.COMMENT_MAX_DEPTH) {
+                    parentId = parent.parentId;
+                    depth = parentDepth;
+                } else {
+                    depth = parentDepth + 1;
+                }
+            }
+
+            const cleaned = this.cleanMentions(mentions);
+            const comment = {
+                memoryId,
+                parentId,
+                depth,
+                authorId: user.uid,
+                authorName: user.displayName || user.email,
+                text: commentText,
+                mentions: cleaned,
+                mentionedUserIds: cleaned.map(({ userId }) => userId),
+                createdAt: firebase.firestore.FieldValue.serverTimestamp()
+            };
+
+            // The comment and the counts land together so they can't drift.
+            // Counting replies on the parent also means a delete of the parent
+            // under way in a transaction sees this reply.
+            const commentRef = commentsRef.doc();
+            const batch = firebase.firestore().batch();
+            batch.set(commentRef, comment);
+            batch.update(memoryRef, {
+                commentCount: firebase.firestore.FieldValue.increment(1)
+            });
+            if (parentId) {
+                batch.update(commentsRef.doc(parentId), {
+                    replyCount: firebase.firestore.FieldValue.increment(1)
+                });
+            }
+            await batch.commit();
+
+            // Let the memory's author, the rest of the thread and anyone mentioned know
+            await this.notifyCommentParticipants(memoryId, comment);
+
+            return { id: commentRef.id, ...comment };
+        } catch (error) {
+            console.error('Error adding comment:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Change the text of a comment. Authors can edit their own; moderators
+     * can edit any. People newly mentioned by the edit are notified.
+     * @param {Array|null} mentions - New mentions, or null to keep the current ones
+     * @returns {Object} - The comment as it was before the edit
+     */
+    async updateComment(memoryId, commentId, text, mentions = null) {
+        const user = firebase.auth().currentUser;
+        if (!user) {
+            throw new Error('Must be signed in to edit comments');
+        }
+
+        const commentRef = firebase.firestore()
+            .collection('memories')
+            .doc(memoryId)
+            .collection('comments')
+            .doc(commentId);
+
+        try {
+            const doc = await commentRef.get();
+            if (!doc.exists || doc.data().deleted) {
+                throw new Error('This comment no longer exists');
+            }
+
+            const comment = doc.data();
+            if (comment.authorId !== user.uid && !AuthModule.hasRole('moderator')) {
+                throw new Error('You can only edit your own comments');
+            }
+
+            const changes = {
+                text,
+                editedAt: firebase.firestore.FieldValue.serverTimestamp()
+            };
+
+            let added = [];
+            if (mentions) {
+                const cleaned = this.cleanMentions(mentions);
+                const previous = new Set(comment.mentionedUserIds || []);
+                added = cleaned.map(({ userId }) => userId).filter(userId => !previous.has(userId));
+                changes.mentions = cleaned;
+                changes.mentionedUserIds = cleaned.map(({ userId }) => userId);
+            }
+
+            await commentRef.update(changes);
+
+            if (added.length) {
+                await this.notifyCommentParticipants(memoryId, {
+                    ...comment,
+                    text,
+                    authorId: user.uid,
+                    authorName: user.displayName || user.email,
+                    mentionedUserIds: added
+                }, { mentionsOnly: true });
+            }
+
+            return comment;
+        } catch (error) {
+            console.error('Error editing comment:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Delete a comment. Authors can delete their own; moderators can delete
+     * any. A comment with replies is blanked instead so the thread keeps its
+     * shape, and is removed once its last reply goes.
+     * @returns {Object|null} - The deleted comment, or null if it was already gone
+     */
+    async deleteComment(memoryId, commentId) {
+        const user = firebase.auth().currentUser;
+        if (!user) {
+            throw new Error('Must be signed in to delete comments');
+        }
+
+        const memoryRef = firebase.firestore().collection('memories').doc(memoryId);
+        const commentsRef = memoryRef.collection('comments');
+        const commentRef = commentsRef.doc(commentId);
+
+        try {
+            // Replies from before replyCount was kept are only found by querying
+            const replies = await commentsRef.where('parentId', '==', commentId).limit(1).get();
+            let removed = false;
+
+            const comment = await firebase.firestore().runTransaction(async (transaction) => {
+                const doc = await transaction.get(commentRef);
+                if (!doc.exists || doc.data().deleted) return null;
+
+                const data = doc.data();
+                if (data.authorId !== user.uid && !AuthModule.hasRole('moderator')) {
+                    throw new Error('You can only delete your own comments');
+                }
+
+                // A reply added since the query above changed replyCount, which
+                // makes this transaction run again and see it
+                const parentDoc = data.parentId ? await transaction.get(commentsRef.doc(data.parentId)) : null;
+                removed = replies.empty && !(data.replyCount > 0);
+
+                if (removed) {
+                    transaction.delete(commentRef);
+                    if (parentDoc && parentDoc.exists && parentDoc.data().replyCount > 0) {
+                        transaction.update(parentDoc.ref, {
+                            replyCount: firebase.firestore.FieldValue.increment(-1)
+                        });
+                    }
+                } else {
+                    transaction.update(commentRef, {
+                        deleted: true,
+                        text: '',
+                        mentions: [],
+                        mentionedUserIds: [],
+                        deletedAt: firebase.firestore.FieldValue.serverTimestamp()
+                    });
+                }
+
+                // Hidden comments were already taken off the count
+                if (!data.hidden) {
+                    transaction.update(memoryRef, {
+                        commentCount: firebase.firestore.FieldValue.increment(-1)
+                    });
+                }
+
+                return data;
+            });
+
+            if (comment && removed && comment.parentId) {
+                await this.pruneDeletedComment(memoryId, comment.parentId);
+            }
+
+            return comment;
+        } catch (error) {
+            console.error('Error deleting comment:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Remove a blanked comment once nothing replies to it, then its blanked parents
+     */
+    async pruneDeletedComment(memoryId, commentId) {
+        const commentsRef = firebase.firestore().collection('memories').doc(memoryId).collection('comments');
+        const doc = await commentsRef.doc(commentId).get();
+        if (!doc.exists || !doc.data().deleted) return;
+
+        const replies = await commentsRef.where('parentId', '==', commentId).limit(1).get();
+        if (!replies.empty) return;
+
+        const parentId = doc.data().parentId;
+        const removed = await firebase.firestore().runTransaction(async (transaction) => {
+            const current = await transaction.get(doc.ref);
+            const parentDoc = parentId ? await transaction.get(commentsRef.doc(parentId)) : null;
+            if (!current.exists || !current.data().deleted || current.data().replyCount > 0) return false;
+
+            transaction.delete(doc.ref);
+            if (parentDoc && parentDoc.exists && parentDoc.data().replyCount > 0) {
+                transaction.update(parentDoc.ref, {
+                    replyCount: firebase.firestore.FieldValue.increment(-1)
+                });
+            }
+            return true;
+        });
+
+        if (removed && parentId) {
+            await this.pruneDeletedComment(memoryId, parentId);
+        }
+    },
+
+    /**
+     * Get comments for a memory
+     */
+    async getComments(memoryId) {
+        try {
+            const snapshot = await firebase.firestore()
+                .collection('memories')
+                .doc(memoryId)
+                .collection('comments')
+                .orderBy('createdAt', 'asc')
+                .get();
+
+            const comments = [];
+            snapshot.forEach(doc => {
+                comments.push({ id: doc.id, ...doc.data() });
+            });
+
+            return comments;
+        } catch (error) {
+            console.error('Error fetching comments:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Save (create or overwrite) a draft in the current user's drafts collection
+     * Files stay on the device; only their count is synced
+     */
+    async saveDraft(draft) {
+        const user = firebase.auth().currentUser;
+        if (!user) {
+            throw new Error('Must be signed in to sync drafts');
+        }
+
+        try {
+            await firebase.firestore()
+                .collection('users')
+                .doc(user.uid)
+                .collection('drafts')
+                .doc(draft.id)
+                .set({
+                    title: draft.title || '',
+                    decade: draft.decade || '',
+                    year: draft.year || null,
+                    type: draft.type || 'photo',
+                    story: draft.story || '',
+                    taggedPeople: draft.taggedPeople || [],
+                    fileCount: (draft.files || []).length,
+                    updatedAt: draft.updatedAt,
+                    syncedAt: firebase.firestore.FieldValue.serverTimestamp()
+                });
+        } catch (error) {
+            console.error('Error saving draft:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Get the current user's synced drafts, newest first
+     */
+    async getMyDrafts() {
+        const user = firebase.auth().currentUser;
+        if (!user) return [];
+
+        try {
+            const snapshot = await firebase.firestore()
+                .collection('users')
+                .doc(user.uid)
+                .collection('drafts')
+                .orderBy('updatedAt', 'desc')
+                .get();
+
+            const drafts = [];
+            snapshot.forEach(doc => {
+                drafts.push({ id: doc.id, ...doc.data() });
+            });
+
+            return drafts;
+        } catch (error) {
+            console.error('Error fetching drafts:', error);
+            return [];
+        }
+    },
+
+    /**
+     * Delete one of the current user's drafts
+     */
+    async deleteDraft(draftId) {
+        const user = firebase.auth().currentUser;
+        if (!user) return;
+
+        try {
+            await firebase.firestore()
+                .collection('users')
+                .doc(user.uid)
+                .collection('drafts')
+                .doc(draftId)
+                .delete();
+        } catch (error) {
+            console.error('Error deleting draft:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Listen for live changes to a memory's comments
+     * @returns {function} - Unsubscribe function
+     */
+    subscribeToComments(memoryId, callback) {
+        return firebase.firestore()
+            .collection('memories')
+            .doc(memoryId)
+            .collection('comments')
+            .orderBy('createdAt', 'asc')
+            .onSnapshot(
+                snapshot => {
+                    const comments = [];
+                    snapshot.forEach(doc => {
+                        // Estimate pending server timestamps so new comments sort and render right away
+                        comments.push({ id: doc.id, ...doc.data({ serverTimestamps: 'estimate' }) });
+                    });
+                    callback(comments);
+                },
+                error => console.error('Error watching comments:', error)
+            );
+    },
+
+    /**
+     * Watch the people tagged on a memory's photos. Each tag is a box on one
+     * photo, as fractions of its width and height, named by the contributor
+     * or waiting for suggestions from other alumni.
+     * @returns {Function} - Unsubscribe function
+     */
+    subscribeToPhotoTags(memoryId, callback) {
+        return firebase.firestore()
+            .collection('memories')
+            .doc(memoryId)
+            .collection('photoTags')
+            .orderBy('createdAt', 'asc')
+            .onSnapshot(
+                snapshot => {
+                    const tags = [];
+                    snapshot.forEach(doc => {
+                        tags.push({ id: doc.id, ...doc.data({ serverTimestamps: 'estimate' }) });
+                    });
+                    callback(tags);
+                },
+                error => console.error('Error watching photo tags:', error)
+            );
+    },
+
+    /**
+     * Whether the signed-in user confirms and removes tags on a memory:
+     * its contributor, or a moderator
+     */
+    canManagePhotoTags(memory) {
+        const user = firebase.auth().currentUser;
+        return !!user && (memory.authorId === user.uid || AuthModule.hasRole('moderator'));
+    },
+
+    /**
+     * Draw a box around someone on a photo. The contributor's tags are
+     * confirmed straight away; anyone else's naming is kept as a suggestion.
+     * @param {Object} tag - { imageUrl, box: { x, y, width, height }, person: { userId, name } | null }
+     * @returns {string} - The new tag's ID
+     */
+    async addPhotoTag(memoryId, { imageUrl, box, person = null }) {
+        const user = firebase.auth().currentUser;
+        if (!user) {
+            throw new Error('Must be signed in to tag people');
+        }
+
+        const memory = await this.getMemory(memoryId);
+        if (!memory) {
+            throw new Error('This memory no longer exists');
+        }
+
+        const tagRef = firebase.firestore().collection('memories').doc(memoryId).collection('photoTags').doc();
+        const round = value => Math.round(Math.min(Math.max(value, 0), 1) * 10000) / 10000;
+        const tag = {
+            imageUrl,
+            box: { x: round(box.x), y: round(box.y), width: round(box.width), height: round(box.height) },
+            userId: null,
+            name: '',
+            confirmed: false,
+            suggestions: {},
+            createdBy: user.uid,
+            createdByName: user.displayName || user.email,
+            createdAt: firebase.firestore.FieldValue.serverTimestamp()
+        };
+
+        if (person && this.canManagePhotoTags(memory)) {
+            await this.writeConfirmedTag(memory, tagRef, person, tag);
+            return tagRef.id;
+        }
+
+        try {
+            await tagRef.set(tag);
+        } catch (error) {
+            console.error('Error adding photo tag:', error);
+            throw error;
+        }
+
+        if (person) {
+            await this.suggestPhotoTag(memoryId, tagRef.id, person);
+        }
+
+        return tagRef.id;
+    },
+
+    /**
+     * Suggest who an unnamed face is. One suggestion per alumnus per face;
+     * suggesting again replaces it. The contributor hears about it.
+     * @param {Object} person - { userId, name }, userId null for someone not on the archive
+     */
+    async suggestPhotoTag(memoryId, tagId, person) {
+        const user = firebase.auth().currentUser;
+        if (!user) {
+            throw new Error('Must be signed in to suggest a name');
+        }
+
+        const memoryRef = firebase.firestore().collection('memories').doc(memoryId);
+        const tagRef = memoryRef.collection('photoTags').doc(tagId);
+
+        try {
+            const [memoryDoc, tagDoc] = await Promise.all([memoryRef.get(), tagRef.get()]);
+            if (!memoryDoc.exists || !tagDoc.exists) {
+                throw new Error('This tag has been removed');
+            }
+            if (tagDoc.data().confirmed) {
+                throw new Error('Someone has already been confirmed here');
+            }
+
+            const name = person.name.trim();
+            await tagRef.update({
+                [`suggestions.${user.uid}`]: {
+                    userId: person.userId || null,
+                    name,
+                    suggestedByName: user.displayName || user.email,
+                    suggestedAt: firebase.firestore.FieldValue.serverTimestamp()
+                }
+            });
+
+            const memory = memoryDoc.data();
+            if (memory.authorId && memory.authorId !== user.uid) {
+                await this.addInboxItem(memory.authorId, {
+                    type: 'tag_suggestion',
+                    memoryId,
+                    memoryTitle: memory.title,
+                    decade: memory.decade,
+                    actorId: user.uid,
+                    actorName: user.displayName || user.email,
+                    excerpt: name
+                });
+            }
+        } catch (error) {
+            console.error('Error suggesting photo tag:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Drop a suggestion. Managers can dismiss any; alumni can withdraw their own.
+     */
+    async dismissPhotoTagSuggestion(memoryId, tagId, suggesterId) {
+        const user = firebase.auth().currentUser;
+        if (!user) {
+            throw new Error('Must be signed in to change suggestions');
+        }
+
+        const memory = await this.getMemory(memoryId);
+        if (!memory) {
+            throw new Error('This memory no longer exists');
+        }
+        if (suggesterId !== user.uid && !this.canManagePhotoTags(memory)) {
+            throw new Error('Only the contributor can dismiss suggestions');
+        }
+
+        try {
+            await firebase.firestore()
+                .collection('memories')
+                .doc(memoryId)
+                .collection('photoTags')
+                .doc(tagId)
+                .update({ [`suggestions.${suggesterId}`]: firebase.firestore.FieldValue.delete() });
+        } catch (error) {
+            console.error('Error dismissing suggestion:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Name the person in a box, from a suggestion or directly. Alumni on the
+     * archive get the memory on their profile and a taggedInMemory notification.
+     * @param {Object} person - { userId, name }
+     */
+    async confirmPhotoTag(memoryId, tagId, person) {
+        const user = firebase.auth().currentUser;
+        if (!user) {
+            throw new Error('Must be signed in to confirm tags');
+        }
+
+        const memory = await this.getMemory(memoryId);
+        if (!memory) {
+            throw new Error('This memory no longer exists');
+        }
+        if (!this.canManagePhotoTags(memory)) {
+            throw new Error('Only the contributor can confirm who\'s in a photo');
+        }
+
+        const tagRef = firebase.firestore().collection('memories').doc(memoryId).collection('photoTags').doc(tagId);
+        await this.writeConfirmedTag(memory, tagRef, person);
+    },
+
+    /**
+     * Save a tag as naming someone, creating it from newTag if given, and add
+     * them to the memory's tagged alumni. Callers check permissions.
+     */
+    async writeConfirmedTag(memory, tagRef, person, newTag = null) {
+        const user = firebase.auth().currentUser;
+        const memoryRef = firebase.firestore().collection('memories').doc(memory.id);
+        const userId = person.userId || null;
+        const newlyTagged = userId && !(memory.taggedUserIds || []).includes(userId);
+        const confirmed = {
+            userId,
+            name: person.name.trim(),
+            confirmed: true,
+            suggestions: {},
+            confirmedBy: user.uid,
+            confirmedAt: firebase.firestore.FieldValue.serverTimestamp()
+        };
+
+        try {
+            const batch = firebase.firestore().batch();
+            if (newTag) {
+                batch.set(tagRef, { ...newTag, ...confirmed });
+            } else {
+                batch.update(tagRef, confirmed);
+            }
+            if (newlyTagged) {
+                batch.update(memoryRef, {
+                    taggedUserIds: firebase.firestore.FieldValue.arrayUnion(userId)
+                });
+            }
+            await batch.commit();
+        } catch (error) {
+            console.error('Error confirming photo tag:', error);
+            throw error;
+        }
+
+        // Pending memories notify everyone tagged when they're approved
+        if (newlyTagged && this.isPublished(memory)) {
+            await this.notifyTaggedUsers(memory.id, { ...memory, taggedUserIds: [userId] });
+        }
+    },
+
+    /**
+     * Remove a box. The alumnus leaves the memory's tagged list unless
+     * they're still tagged elsewhere in it, on another photo or by name.
+     */
+    async removePhotoTag(memoryId, tagId) {
+        const user = firebase.auth().currentUser;
+        if (!user) {
+            throw new Error('Must be signed in to remove tags');
+        }
+
+        const memory = await this.getMemory(memoryId);
+        if (!memory) {
+            throw new Error('This memory no longer exists');
+        }
+        if (!this.canManagePhotoTags(memory)) {
+            throw new Error('Only the contributor can remove tags');
+        }
+
+        const memoryRef = firebase.firestore().collection('memories').doc(memoryId);
+        const tagsRef = memoryRef.collection('photoTags');
+
+        try {
+            const tagDoc = await tagsRef.doc(tagId).get();
+            if (!tagDoc.exists) return;
+
+            const tag = tagDoc.data();
+            const batch = firebase.firestore().batch();
+            batch.delete(tagDoc.ref);
+
+            if (tag.confirmed && tag.userId) {
+                const others = await tagsRef.where('userId', '==', tag.userId).get();
+                const taggedElsewhere = others.docs.some(doc => doc.id !== tagId && doc.data().confirmed) ||
+                    (memory.tags || []).includes(tag.name);
+                if (!taggedElsewhere) {
+                    batch.update(memoryRef, {
+                        taggedUserIds: firebase.firestore.FieldValue.arrayRemove(tag.userId)
+                    });
+                }
+            }
+
+            await batch.commit();
+        } catch (error) {
+            console.error('Error removing photo tag:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Remove the tags on photos taken out of a memory. Alumni tagged only
+     * there leave the memory's tagged list, as in removePhotoTag.
+     * @param {Object} memory - The memory with its photos already updated
+     * @param {Array} imageUrls - URLs of the removed photos
+     * @returns {Array} - The memory's taggedUserIds afterwards
+     */
+    async removeTagsOnPhotos(memory, imageUrls) {
+        const memoryRef = firebase.firestore().collection('memories').doc(memory.id);
+        const taggedUserIds = memory.taggedUserIds || [];
+
+        try {
+            const snapshot = await memoryRef.collection('photoTags').get();
+            const removed = snapshot.docs.filter(doc => imageUrls.includes(doc.data().imageUrl));
+            if (!removed.length) return taggedUserIds;
+
+            const confirmedUserId = doc => (doc.data().confirmed ? doc.data().userId : null);
+            const stillTagged = new Set(snapshot.docs
+                .filter(doc => !removed.includes(doc))
+                .map(confirmedUserId)
+                .filter(Boolean));
+            const untagged = [...new Set(removed
+                .filter(doc => !(memory.tags || []).includes(doc.data().name))
+                .map(confirmedUserId)
+                .filter(userId => userId && !stillTagged.has(userId)))];
+
+            const batch = firebase.firestore().batch();
+            removed.forEach(doc => batch.delete(doc.ref));
+            if (untagged.length) {
+                batch.update(memoryRef, {
+                    taggedUserIds: firebase.firestore.FieldValue.arrayRemove(...untagged)
+                });
+            }
+            await batch.commit();
+
+            return taggedUserIds.filter(userId => !untagged.includes(userId));
+        } catch (error) {
+            console.error('Error removing photo tags:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Default taglines and counts for every decade on the timeline
+     */
+    DEFAULT_DECADE_STATS: {
+        '1950s': { memoryCount: 0, contributorCount: 0, tagline: 'The Founding Years' },
+        '1960s': { memoryCount: 0, contributorCount: 0, tagline: 'Building Tradition' },
+        '1970s': { memoryCount: 0, contributorCount: 0, tagline: 'The Rise' },
+        '1980s': { memoryCount: 0, contributorCount: 0, tagline: 'Dynasty Beginnings' },
+        '1990s': { memoryCount: 0, contributorCount: 0, tagline: 'The Golden Era' },
+        '2000s': { memoryCount: 0, contributorCount: 0, tagline: 'New Millennium' },
+        '2010s': { memoryCount: 0, contributorCount: 0, tagline: 'Modern Excellence' },
+        '2020s': { memoryCount: 0, contributorCount: 0, tagline: 'The New Wave' }
+    },
+
+    /**
+     * Get decade statistics, filling in defaults for decades with no document yet
+     */
+    async getDecadeStats() {
+        const stats = {};
+        Object.entries(this.DEFAULT_DECADE_STATS).forEach(([decade, defaults]) => {
+            stats[decade] = { ...defaults };
+        });
+
+        try {
+            const snapshot = await firebase.firestore().collection('decades').get();
+
+            snapshot.forEach(doc => {
+                const data = doc.data();
+                stats[doc.id] = {
+                    ...stats[doc.id],
+                    ...data,
+                    contributorCount: Array.isArray(data.contributors)
+                        ? data.contributors.length
+                        : (data.contributorCount || 0)
+                };
+            });
+
+            return stats;
+        } catch (error) {
+            console.error('Error fetching decade stats:', error);
+            // Return default stats if collection doesn't exist yet
+            return stats;
+        }
+    },
+
+    /**
+     * Increment decade memory count and record the contributor
+     */
+    async incrementDecadeCount(decade, contributorId = null) {
+        const decadeRef = firebase.firestore().collection('decades').doc(decade);
+        const update = {
+            memoryCount: firebase.firestore.FieldValue.increment(1),
+            lastUpdated: firebase.firestore.FieldValue.serverTimestamp()
+        };
+
+        if (contributorId) {
+            update.contributors = firebase.firestore.FieldValue.arrayUnion(contributorId);
+        }
+
+        try {
+            await decadeRef.set(update, { merge: true });
+        } catch (error) {
+            console.error('Error updating decade count:', error);
+        }
+    },
+
+    /**
+     * Decrement a decade's memory count when a memory leaves it, dropping the
+     * author from its contributors if that was their last memory there
+     */
+    async removeFromDecade(decade, authorId, memoryId) {
+        const decadeRef = firebase.firestore().collection('decades').doc(decade);
+        const update = {
+            memoryCount: firebase.firestore.FieldValue.increment(-1),
+            lastUpdated: firebase.firestore.FieldValue.serverTimestamp()
+        };
+
+        try {
+            if (authorId) {
+                const snapshot = await firebase.firestore()
+                    .collection('memories')
+                    .where('authorId', '==', authorId)
+                    .where('decade', '==', decade)
+                    .get();
+
+                const stillContributing = snapshot.docs.some(doc => doc.id !== memoryId && this.isPublished(doc.data()));
+                if (!stillContributing) {
+                    update.contributors = firebase.firestore.FieldValue.arrayRemove(authorId);
+                }
+            }
+
+            await decadeRef.set(update, { merge: true });
+        } catch (error) {
+            console.error('Error updating decade count:', error);
+        }
+    },
+
+    /**
+     * Rebuild every decade's memory count and contributors from the memories
+     * themselves, e.g. after counts drifted. Run from the console by an admin.
+     */
+    async recountDecades() {
+        const tallies = {};
+        Object.keys(this.DEFAULT_DECADE_STATS).forEach(decade => {
+            tallies[decade] = { memoryCount: 0, contributors: new Set() };
+        });
+
+        const snapshot = await firebase.firestore().collection('memories').get();
+        snapshot.forEach(doc => {
+            const memory = doc.data();
+            if (!memory.decade || !this.isPublished(memory)) return;
+
+            tallies[memory.decade] = tallies[memory.decade] || { memoryCount: 0, contributors: new Set() };
+            tallies[memory.decade].memoryCount++;
+            if (memory.authorId) tallies[memory.decade].contributors.add(memory.authorId);
+        });
+
+        const batch = firebase.firestore().batch();
+        Object.entries(tallies).forEach(([decade, tally]) => {
+            batch.set(firebase.firestore().collection('decades').doc(decade), {
+                memoryCount: tally.memoryCount,
+                contributors: [...tally.contributors],
+                lastUpdated: firebase.firestore.FieldValue.serverTimestamp()
+            }, { merge: true });
+        });
+        await batch.commit();
+
+        console.log(`Recounted ${snapshot.size} memories across ${Object.keys(tallies).length} decades`);
+        return tallies;
+    },
+
+    /**
+     * Give memories shared before moderation an explicit 'published' status,
+     * so queries that filter on status find them. Run once from the console
+     * by a moderator or admin.
+     */
+    async backfillMemoryStatus(batchSize = 100) {
+        let lastDoc = null;
+        let updated = 0;
+
+        do {
+            let query = firebase.firestore()
+                .collection('memories')
+                .orderBy('createdAt', 'asc')
+                .limit(batchSize);
+
+            if (lastDoc) {
+                query = query.startAfter(lastDoc);
+            }
+
+            const snapshot = await query.get();
+            const missing = snapshot.docs.filter(doc => !doc.data().status);
+            if (missing.length) {
+                const batch = firebase.firestore().batch();
+                missing.forEach(doc => batch.update(doc.ref, { status: 'published' }));
+                await batch.commit();
+                updated += missing.length;
+            }
+
+            lastDoc = snapshot.docs.length === batchSize ? snapshot.docs[snapshot.docs.length - 1] : null;
+        } while (lastDoc);
+
+        console.log(`Gave ${updated} memories a published status`);
+        return updated;
+    },
+
+    // Profile fields that only the member themselves may read
+    PRIVATE_PROFILE_FIELDS: ['email', 'emailLower', 'notificationPreferences', 'lastSeenAt'],
+
+    /**
+     * Move email addresses, notification preferences and visit times off
+     * profiles made before they were kept private, and register each email
+     * for invite checks. Run once from the console by an admin.
+     */
+    async movePrivateProfileFields(batchSize = 100) {
+        const db = firebase.firestore();
+        let lastDoc = null;
+        let moved = 0;
+
+        do {
+            let query = db.collection('users')
+                .orderBy(firebase.firestore.FieldPath.documentId())
+                .limit(batchSize);
+
+            if (lastDoc) {
+                query = query.startAfter(lastDoc);
+            }
+
+            const snapshot = await query.get();
+            for (const doc of snapshot.docs) {
+                const data = doc.data();
+                const fields = this.PRIVATE_PROFILE_FIELDS.filter(field => data[field] !== undefined);
+                if (!fields.length) continue;
+
+                // Anything the member has already saved privately is newer
+                const accountRef = AuthModule.getAccountRef(doc.id);
+                const account = await accountRef.get();
+                const existing = account.exists ? account.data() : {};
+                const details = {};
+                ['email', 'notificationPreferences', 'lastSeenAt'].forEach(field => {
+                    if (data[field] !== undefined && existing[field] === undefined) details[field] = data[field];
+                });
+
+                const batch = db.batch();
+                batch.set(accountRef, details, { merge: true });
+                if (data.email) {
+                    batch.set(db.collection('registeredEmails').doc(data.email.toLowerCase()), { userId: doc.id });
+                }
+                batch.update(doc.ref, Object.fromEntries(
+                    fields.map(field => [field, firebase.firestore.FieldValue.delete()])
+                ));
+                await batch.commit();
+                moved++;
+            }
+
+            lastDoc = snapshot.docs.length === batchSize ? snapshot.docs[snapshot.docs.length - 1] : null;
+        } while (lastDoc);
+
+        console.log(`Moved private details off ${moved} profiles`);
+        return moved;
+    },
+
+    // Invites expire this long after each send; the worker uses the same values
+    INVITE_EXPIRY_DAYS: 14,
+    INVITE_RESEND_COOLDOWN_HOURS: 24,
+
+    /**
+     * Send invite to join the archive. The notification worker signs an
+     * accept token for it and emails the link.
+     * @param {Object} invitee - Optional { name, classYear } to pre-fill registration
+     */
+    async sendInvite(email, personalMessage = '', invitee = {}) {
+        const user = firebase.auth().currentUser;
+        if (!user) {
+            throw new Error('Must be signed in to send invites');
+        }
+
+        try {
+            const normalizedEmail = email.toLowerCase();
+
+            // Check if already invited; revoked and expired invites can be replaced
+            const latest = await this.getLatestInvite(normalizedEmail);
+            const latestStatus = latest ? this.getInviteStatus(latest) : null;
+
+            if (latestStatus === 'pending' || latestStatus === 'accepted') {
+                throw new Error(latestStatus === 'accepted'
+                    ? 'This teammate has already joined'
+                    : 'This email has already been invited');
+            }
+
+            const invite = {
+                email: normalizedEmail,
+                invitedBy: user.uid,
+                inviterName: user.displayName || user.email,
+                inviteeName: invitee.name || null,
+                inviteeClassYear: invitee.classYear || null,
+                personalMessage,
+                status: 'pending',
+                sendRequested: true,
+                sendCount: 0,
+                lastSentAt: null,
+                expiresAt: firebase.firestore.Timestamp.fromMillis(
+                    Date.now() + this.INVITE_EXPIRY_DAYS * 24 * 60 * 60 * 1000
+                ),
+                createdAt: firebase.firestore.FieldValue.serverTimestamp()
+            };
+
+            // Members can only list their own invites, so the latest one for
+            // each email is recorded where anyone's next invite can find it
+            const db = firebase.firestore();
+            const inviteRef = db.collection('invites').doc();
+            const batch = db.batch();
+            batch.set(inviteRef, invite);
+            batch.set(db.collection('invitedEmails').doc(normalizedEmail), { inviteId: inviteRef.id });
+            await batch.commit();
+
+            return true;
+        } catch (error) {
+            console.error('Error sending invite:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Find which emails already have an active invite or an account
+     * @returns {Map} - email -> 'invited' | 'joined' | 'registered'
+     */
+    async checkInviteEmails(emails) {
+        const found = new Map();
+        const unique = [...new Set(emails.map(email => email.trim().toLowerCase()))];
+
+        try {
+            await Promise.all(unique.map(async (email) => {
+                const [invite, registered] = await Promise.all([
+                    this.getLatestInvite(email),
+                    firebase.firestore().collection('registeredEmails').doc(email).get()
+                ]);
+
+                const status = invite ? this.getInviteStatus(invite) : null;
+                if (registered.exists) {
+                    found.set(email, 'registered');
+                } else if (status === 'pending') {
+                    found.set(email, 'invited');
+                } else if (status === 'accepted') {
+                    found.set(email, 'joined');
+                }
+            }));
+
+            return found;
+        } catch (error) {
+            console.error('Error checking invite emails:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * The most recent invite sent to an email by anyone, through the
+     * invitedEmails record sendInvite keeps
+     * @returns {Object|null} - { id, ...invite }
+     */
+    async getLatestInvite(email) {
+        const record = await firebase.firestore().collection('invitedEmails').doc(email).get();
+        if (!record.exists) return null;
+
+        const doc = await firebase.firestore().collection('invites').doc(record.data().inviteId).get();
+        return doc.exists ? { id: doc.id, ...doc.data() } : null;
+    },
+
+    /**
+     * Record the latest invite to each email for invites sent before
+     * invitedEmails was kept. Run once from the console by an admin.
+     */
+    async backfillInvitedEmails() {
+        const snapshot = await firebase.firestore()
+            .collection('invites')
+            .orderBy('createdAt', 'asc')
+            .get();
+
+        // Later invites to the same email replace earlier ones
+        const latest = new Map();
+        snapshot.forEach(doc => latest.set(doc.data().email, doc.id));
+
+        const entries = [...latest.entries()];
+        for (let i = 0; i < entries.length; i += 500) {
+            const batch = firebase.firestore().batch();
+            entries.slice(i, i + 500).forEach(([email, inviteId]) => {
+                batch.set(firebase.firestore().collection('invitedEmails').doc(email), { inviteId });
+            });
+            await batch.commit();
+        }
+
+        console.log(`Recorded invites to ${entries.length} emails`);
+        return entries.length;
+    },
+
+    /**
+     * Effective status of an invite: pending, expired, accepted or revoked
+     */
+    getInviteStatus(invite) {
+        if (invite.status !== 'pending') return invite.status;
+        if (invite.expiresAt && invite.expiresAt.toMillis() < Date.now()) return 'expired';
+        return 'pending';
+    },
+
+    /**
+     * When an invite can next be resent, or null if it can be resent now
+     */
+    getInviteResendAvailableAt(invite) {
+        if (!invite.lastSentAt) return null;
+
+        const availableAt = invite.lastSentAt.toMillis() + this.INVITE_RESEND_COOLDOWN_HOURS * 60 * 60 * 1000;
+        return availableAt > Date.now() ? new Date(availableAt) : null;
+    },
+
+    /**
+     * Get invites sent by current user
+     */
+    async getMyInvites() {
+        const user = firebase.auth().currentUser;
+        if (!user) return [];
+
+        try {
+            const snapshot = await firebase.firestore()
+                .collection('invites')
+                .where('invitedBy', '==', user.uid)
+                .orderBy('createdAt', 'desc')
+                .get();
+
+            const invites = [];
+            snapshot.forEach(doc => {
+                invites.push({ id: doc.id, ...doc.data({ serverTimestamps: 'estimate' }) });
+            });
+
+            return invites;
+        } catch (error) {
+            console.error('Error fetching invites:', error);
+            return [];
+        }
+    },
+
+    /**
+     * Ask the worker to email a fresh link for an invite
+     */
+    async resendInvite(inviteId) {
+        const user = firebase.auth().currentUser;
+        if (!user) {
+            throw new Error('Must be signed in to resend invites');
+        }
+
+        try {
+            const inviteRef = firebase.firestore().collection('invites').doc(inviteId);
+            const inviteDoc = await inviteRef.get();
+
+            if (!inviteDoc.exists || inviteDoc.data().invitedBy !== user.uid) {
+                throw new Error('Invite not found');
+            }
+
+            const invite = inviteDoc.data();
+            const status = this.getInviteStatus(invite);
+            if (status !== 'pending' && status !== 'expired') {
+                throw new Error(`This invite has been ${status}`);
+            }
+
+            const availableAt = this.getInviteResendAvailableAt(invite);
+            if (availableAt) {
+                const hours = Math.ceil((availableAt.getTime() - Date.now()) / (60 * 60 * 1000));
+                throw new Error(`You can resend this invite in ${hours} ${hours === 1 ? 'hour' : 'hours'}`);
+            }
+
+            await inviteRef.update({
+                sendRequested: true,
+                resendRequestedAt: firebase.firestore.FieldValue.serverTimestamp()
+            });
+        } catch (error) {
+            console.error('Error resending invite:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Revoke a pending invite so its link stops working
+     */
+    async revokeInvite(inviteId) {
+        const user = firebase.auth().currentUser;
+        if (!user) {
+            throw new Error('Must be signed in to revoke invites');
+        }
+
+        try {
+            const inviteRef = firebase.firestore().collection('invites').doc(inviteId);
+            const inviteDoc = await inviteRef.get();
+
+            if (!inviteDoc.exists || inviteDoc.data().invitedBy !== user.uid) {
+                throw new Error('Invite not found');
+            }
+
+            if (inviteDoc.data().status === 'accepted') {
+                throw new Error('This invite has already been accepted');
+            }
+
+            await inviteRef.update({
+                status: 'revoked',
+                sendRequested: false,
+                revokedAt: firebase.firestore.FieldValue.serverTimestamp()
+            });
+        } catch (error) {
+            console.error('Error revoking invite:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Hex SHA-256 of an invite token, matching the tokenHash the worker stores
+     */
+    async hashInviteToken(token) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+        return Array.from(new Uint8Array(digest))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+    },
+
+    /**
+     * Look up and check the invite behind an accept link
+     * Tokens are "<payload>.<signature>" where the payload is base64url JSON
+     * ({ i: inviteId, e: email, x: expiry millis }) signed by the worker.
+     */
+    async getInviteByToken(token) {
+        let payload;
+        try {
+            const encoded = token.split('.')[0].replace(/-/g, '+').replace(/_/g, '/');
+            payload = JSON.parse(atob(encoded));
+        } catch (error) {
+            throw new Error('This invite link is invalid');
+        }
+
+        try {
+            const inviteDoc = await firebase.firestore().collection('invites').doc(payload.i).get();
+            const invite = inviteDoc.exists ? { id: inviteDoc.id, ...inviteDoc.data() } : null;
+
+            // Only the most recently emailed link for an invite is valid
+            if (!invite || invite.tokenHash !== await this.hashInviteToken(token)) {
+                throw new Error('This invite link is invalid or has been replaced by a newer one');
+            }
+
+            const status = this.getInviteStatus(invite);
+            if (status === 'expired') {
+                throw new Error('This invite has expired. Ask your teammate to resend it.');
+            }
+            if (status !== 'pending') {
+                throw new Error(`This invite has already been ${status}`);
+            }
+
+            return invite;
+        } catch (error) {
+            console.error('Error checking invite:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Ask to accept an invite for the signed-in user. The notification worker
+     * verifies the token's signature, marks the invite accepted and credits
+     * the inviter; the checks here just catch a wrong link early.
+     */
+    async acceptInvite(token) {
+        const user = firebase.auth().currentUser;
+        if (!user) {
+            throw new Error('Must be signed in to accept an invite');
+        }
+
+        try {
+            const invite = await this.getInviteByToken(token);
+            if ((user.email || '').toLowerCase() !== invite.email) {
+                throw new Error(`This invite was sent to ${invite.email}. Sign up with that address to accept it.`);
+            }
+
+            await firebase.firestore().collection('inviteAcceptances').doc(user.uid).set({
+                token,
+                userName: user.displayName || user.email,
+                processed: false,
+                createdAt: firebase.firestore.FieldValue.serverTimestamp()
+            });
+
+            return invite;
+        } catch (error) {
+            console.error('Error accepting invite:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Get recently joined users
+     */
+    async getRecentJoins(limit = 5) {
+        try {
+            const snapshot = await firebase.firestore()
+                .collection('users')
+                .orderBy('createdAt', 'desc')
+                .limit(limit)
+                .get();
+
+            const users = [];
+            snapshot.forEach(doc => {
+                const data = doc.data();
+                users.push({
+                    id: doc.id,
+                    displayName: data.displayName,
+                    classYear: data.classYear,
+                    createdAt: data.createdAt
+                });
+            });
+
+            return users;
+        } catch (error) {
+            console.error('Error fetching recent joins:', error);
+            return [];
+        }
+    },
+
+    /**
+     * Get every registered alumnus for teammate tagging
+     */
+    async getAlumniDirectory() {
+        try {
+            const snapshot = await firebase.firestore()
+                .collection('users')
+                .orderBy('displayName')
+                .get();
+
+            const alumni = [];
+            snapshot.forEach(doc => {
+                const data = doc.data();
+                alumni.push({
+                    id: doc.id,
+                    displayName: data.displayName || 'Alumnus',
+                    classYear: data.classYear || null,
+                    photoURL: data.photoURL || null,
+                    role: data.role || 'member',
+                    verified: Boolean(data.verified)
+                });
+            });
+
+            return alumni;
+        } catch (error) {
+            console.error('Error fetching alumni directory:', error);
+            return [];
+        }
+    },
+
+    /**
+     * Get the public profile for an alumnus
+     */
+    async getUserProfile(userId) {
+        try {
+            const doc = await firebase.firestore().collection('users').doc(userId).get();
+            if (!doc.exists) return null;
+
+            const data = doc.data();
+            return {
+                id: doc.id,
+                displayName: data.displayName || 'Alumnus',
+                classYear: data.classYear || null,
+                photoURL: data.photoURL || null,
+                photoPath: data.photoPath || null,
+                bio: data.bio || '',
+                events: data.events || [],
+                roles: data.roles || []
+            };
+        } catch (error) {
+            console.error('Error fetching profile:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Update the signed-in user's profile
+     * @param {Object} updates - Any of displayName, classYear, bio, events,
+     *   roles ([{ title, season }]), photoURL and photoPath
+     */
+    async updateMyProfile(updates) {
+        const user = firebase.auth().currentUser;
+        if (!user) {
+            throw new Error('Must be signed in to edit your profile');
+        }
+
+        const allowed = ['displayName', 'classYear', 'bio', 'events', 'roles', 'photoURL', 'photoPath'];
+        const profile = {};
+        allowed.forEach(field => {
+            if (updates[field] !== undefined) profile[field] = updates[field];
+        });
+
+        try {
+            await firebase.firestore().collection('users').doc(user.uid).update({
+                ...profile,
+                updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+            });
+
+            // Keep the auth profile in step so new memories and comments use the new name
+            if (profile.displayName !== undefined || profile.photoURL !== undefined) {
+                await user.updateProfile({
+                    displayName: profile.displayName ?? user.displayName,
+                    photoURL: profile.photoURL !== undefined ? profile.photoURL : user.photoURL
+                });
+            }
+        } catch (error) {
+            console.error('Error updating profile:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Get memories contributed by an alumnus. Authors also see their own
+     * memories that are awaiting review or hidden.
+     */
+    async getMemoriesByAuthor(userId, limitCount = 24) {
+        const user = firebase.auth().currentUser;
+
+        try {
+            let query = firebase.firestore()
+                .collection('memories')
+                .where('authorId', '==', userId);
+
+            // The rules only let others list the published ones
+            if (!user || user.uid !== userId) {
+                query = query.where('status', '==', 'published');
+            }
+
+            const snapshot = await query
+                .orderBy('createdAt', 'desc')
+                .limit(limitCount)
+                .get();
+
+            return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        } catch (error) {
+            console.error('Error fetching contributed memories:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Get memories an alumnus is tagged in
+     */
+    async getMemoriesTaggingUser(userId, limitCount = 24) {
+        try {
+            const snapshot = await firebase.firestore()
+                .collection('memories')
+                .where('status', '==', 'published')
+                .where('taggedUserIds', 'array-contains', userId)
+                .orderBy('createdAt', 'desc')
+                .limit(limitCount)
+                .get();
+
+            return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        } catch (error) {
+            console.error('Error fetching tagged memories:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Get community statistics
+     */
+    async getCommunityStats() {
+        try {
+            // Get user count
+            const usersSnapshot = await firebase.firestore().collection('users').get();
+            const userCount = usersSnapshot.size;
+
+            // Get memory count
+            const memoriesSnapshot = await firebase.firestore()
+                .collection('memories')
+                .where('status', '==', 'published')
+                .get();
+            const memoryCount = memoriesSnapshot.size;
+
+            // Get decades represented
+            const decadesSnapshot = await firebase.firestore().collection('decades').get();
+            const decadeCount = decadesSnapshot.size || 8;
+
+            return {
+                userCount,
+                memoryCount,
+                decadeCount
+            };
+        } catch (error) {
+            console.error('Error fetching community stats:', error);
+            return { userCount: 0, memoryCount: 0, decadeCount: 8 };
+        }
+    },
+
+    /**
+     * Queue a new-memory notification for subscribers
+     */
+    async notifySubscribers(memory) {
+        // The notification worker (see worker/) matches queued records against
+        // each user's notificationPreferences and delivers the emails
+        try {
+            await firebase.firestore().collection('notifications').add({
+                type: 'new_memory',
+                memoryId: memory.id,
+                decade: memory.decade,
+                title: memory.title,
+                authorId: memory.authorId,
+                authorName: memory.authorName,
+                createdAt: firebase.firestore.FieldValue.serverTimestamp(),
+                processed: false
+            });
+        } catch (error) {
+            console.error('Error creating notification record:', error);
+        }
+    },
+
+    /**
+     * Queue a notification for each tagged user. The notification worker
+     * skips those who don't want to hear about tags.
+     */
+    async notifyTaggedUsers(memoryId, memory) {
+        const taggedUserIds = (memory.taggedUserIds || []).filter(id => id !== memory.authorId);
+
+        for (const userId of taggedUserIds) {
+            try {
+                const userDoc = await firebase.firestore().collection('users').doc(userId).get();
+                if (!userDoc.exists) continue;
+
+                await firebase.firestore().collection('notifications').add({
+                    type: 'tagged',
+                    recipientId: userId,
+                    memoryId,
+                    decade: memory.decade,
+                    title: memory.title,
+                    authorName: memory.authorName,
+                    createdAt: firebase.firestore.FieldValue.serverTimestamp(),
+                    processed: false
+                });
+            } catch (error) {
+                console.error(`Error notifying tagged user ${userId}:`, error);
+            }
+        }
+    },
+
+    /**
+     * Add an item to a user's in-app notification inbox. The rules only
+     * accept items whose actorId is the signed-in user.
+     */
+    async addInboxItem(userId, item) {
+        try {
+            await firebase.firestore()
+                .collection('users')
+                .doc(userId)
+                .collection('inbox')
+                .add({
+                    ...item,
+                    read: false,
+                    createdAt: firebase.firestore.FieldValue.serverTimestamp()
+                });
+        } catch (error) {
+            console.error(`Error adding inbox item for ${userId}:`, error);
+        }
+    },
+
+    /**
+     * Tell a memory's author about a new comment, earlier commenters that
+     * the conversation they joined has a reply, and anyone @mentioned
+     * @param {Object} options - { mentionsOnly } to notify just the mentioned people
+     */
+    async notifyCommentParticipants(memoryId, comment, { mentionsOnly = false } = {}) {
+        try {
+            const memoryRef = firebase.firestore().collection('memories').doc(memoryId);
+            const memoryDoc = await memoryRef.get();
+            if (!memoryDoc.exists) return;
+
+            const memory = memoryDoc.data();
+            const item = {
+                memoryId,
+                memoryTitle: memory.title,
+                decade: memory.decade,
+                actorId: comment.authorId,
+                actorName: comment.authorName,
+                excerpt: comment.text.slice(0, 140)
+            };
+
+            // A mention is the most specific reason to hear about a comment,
+            // so mentioned people get only that
+            const mentioned = new Set((comment.mentionedUserIds || []).filter(userId => userId !== comment.authorId));
+            for (const userId of mentioned) {
+                await this.addInboxItem(userId, { type: 'mention', ...item });
+            }
+
+            if (mentionsOnly) return;
+
+            if (memory.authorId && memory.authorId !== comment.authorId && !mentioned.has(memory.authorId)) {
+                await this.addInboxItem(memory.authorId, { type: 'comment', ...item });
+            }
+
+            const snapshot = await memoryRef.collection('comments').get();
+            const participants = new Set();
+            snapshot.forEach(doc => {
+                const authorId = doc.data().authorId;
+                if (authorId && authorId !== comment.authorId && authorId !== memory.authorId && !mentioned.has(authorId)) {
+                    participants.add(authorId);
+                }
+            });
+
+            for (const userId of participants) {
+                await this.addInboxItem(userId, { type: 'reply', ...item });
+            }
+        } catch (error) {
+            console.error('Error notifying comment participants:', error);
+        }
+    },
+
+    /**
+     * Watch the current user's most recent inbox items
+     * @returns {Function} - Unsubscribe function
+     */
+    subscribeToInbox(callback, limitCount = 50) {
+        const user = firebase.auth().currentUser;
+        if (!user) return () => {};
+
+        return firebase.firestore()
+            .collection('users')
+            .doc(user.uid)
+            .collection('inbox')
+            .orderBy('createdAt', 'desc')
+            .limit(limitCount)
+            .onSnapshot(
+                snapshot => {
+                    const items = [];
+                    snapshot.forEach(doc => {
+                        items.push({ id: doc.id, ...doc.data({ serverTimestamps: 'estimate' }) });
+                    });
+                    callback(items);
+                },
+                error => console.error('Error watching inbox:', error)
+            );
+    },
+
+    /**
+     * Mark a single inbox item as read
+     */
+    async markInboxItemRead(itemId) {
+        const user = firebase.auth().currentUser;
+        if (!user) return;
+
+        try {
+            await firebase.firestore()
+                .collection('users')
+                .doc(user.uid)
+                .collection('inbox')
+                .doc(itemId)
+                .update({ read: true });
+        } catch (error) {
+            console.error('Error marking notification read:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Mark every unread inbox item as read
+     */
+    async markAllInboxRead() {
+        const user = firebase.auth().currentUser;
+        if (!user) return;
+
+        try {
+            const snapshot = await firebase.firestore()
+                .collection('users')
+                .doc(user.uid)
+                .collection('inbox')
+                .where('read', '==', false)
+                .get();
+
+            // Firestore batches are capped at 500 writes
+            for (let i = 0; i < snapshot.docs.length; i += 500) {
+                const batch = firebase.firestore().batch();
+                snapshot.docs.slice(i, i + 500).forEach(doc => batch.update(doc.ref, { read: true }));
+                await batch.commit();
+            }
+        } catch (error) {
+            console.error('Error marking notifications read:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Stamp the current user's lastSeenAt, and register the email that invite
+     * checks look accounts up by, for accounts made before it was stored.
+     * A brand new account is left alone: sign-up is still writing its
+     * profile, and a half-made account here would get in its way.
+     * @returns {Date|null} - When they were last seen before this visit
+     */
+    async recordVisit() {
+        const user = firebase.auth().currentUser;
+        if (!user) return null;
+
+        try {
+            const db = firebase.firestore();
+            const accountRef = AuthModule.getAccountRef(user.uid);
+            const [userDoc, account] = await Promise.all([
+                db.collection('users').doc(user.uid).get(),
+                accountRef.get()
+            ]);
+            if (!userDoc.exists) return null;
+
+            // Accounts from before private details were split out keep it on the profile
+            const lastSeenAt = account.exists && account.data().lastSeenAt
+                ? account.data().lastSeenAt
+                : userDoc.data().lastSeenAt;
+
+            const batch = db.batch();
+            batch.set(accountRef, {
+                email: user.email,
+                lastSeenAt: firebase.firestore.FieldValue.serverTimestamp()
+            }, { merge: true });
+            if (user.email) {
+                batch.set(db.collection('registeredEmails').doc(user.email.toLowerCase()), { userId: user.uid });
+            }
+            await batch.commit();
+
+            return lastSeenAt ? lastSeenAt.toDate() : null;
+        } catch (error) {
+            console.error('Error recording visit:', error);
+            return null;
+        }
+    },
+
+    /**
+     * Count memories added by others since a given time, up to a cap
+     */
+    async countMemoriesSince(since, cap = 100) {
+        const user = firebase.auth().currentUser;
+
+        try {
+            const snapshot = await firebase.firestore()
+                .collection('memories')
+                .where('status', '==', 'published')
+                .where('createdAt', '>', firebase.firestore.Timestamp.fromDate(since))
+                .orderBy('createdAt', 'desc')
+                .limit(cap)
+                .get();
+
+            return snapshot.docs.filter(doc => !user || doc.data().authorId !== user.uid).length;
+        } catch (error) {
+            console.error('Error counting new memories:', error);
+            return 0;
+        }
+    },
+
+    /**
+     * Write the searchable fields of a memory to its searchIndex entry,
+     * along with its photos' hashes for spotting duplicates
+     */
+    async updateSearchIndex(memoryId, memory) {
+        try {
+            await firebase.firestore().collection('searchIndex').doc(memoryId).set({
+                title: memory.title || '',
+                story: memory.story || '',
+                tags: memory.tags || [],
+                authorId: memory.authorId || null,
+                authorName: memory.authorName || '',
+                decade: memory.decade || null,
+                year: memory.year || null,
+                type: memory.type || 'photo',
+                imageHashes: this.normalizeImages(memory.images).map(image => image.hash).filter(Boolean),
+                createdAt: memory.createdAt || firebase.firestore.FieldValue.serverTimestamp(),
+                indexedAt: firebase.firestore.FieldValue.serverTimestamp(),
+                deleted: false
+            });
+        } catch (error) {
+            console.error('Error updating search index:', error);
+        }
+    },
+
+    /**
+     * Tombstone a memory's search index entry so clients drop it on their next
+     * sync. A merged memory's tombstone says where it went, since visitors
+     * can no longer read the memory itself.
+     */
+    async removeFromSearchIndex(memoryId, mergedInto = null) {
+        const tombstone = {
+            indexedAt: firebase.firestore.FieldValue.serverTimestamp(),
+            deleted: true
+        };
+        if (mergedInto) tombstone.mergedInto = mergedInto;
+
+        try {
+            await firebase.firestore().collection('searchIndex').doc(memoryId).set(tombstone);
+        } catch (error) {
+            console.error('Error removing from search index:', error);
+        }
+    },
+
+    /**
+     * Get search index entries changed after a point in time (all when null)
+     * @param {number|null} sinceMillis - Last indexedAt already seen
+     */
+    async getSearchIndexEntries(sinceMillis = null) {
+        try {
+            let query = firebase.firestore().collection('searchIndex');
+
+            if (sinceMillis) {
+                query = query.where('indexedAt', '>', firebase.firestore.Timestamp.fromMillis(sinceMillis));
+            }
+
+            const snapshot = await query.orderBy('indexedAt', 'asc').get();
+            const entries = [];
+            snapshot.forEach(doc => {
+                entries.push({ id: doc.id, ...doc.data() });
+            });
+
+            return entries;
+        } catch (error) {
+            console.error('Error fetching search index:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Re-create search index entries for every memory, e.g. for memories
+     * added before search existed. Run from the console by an admin.
+     */
+    async rebuildSearchIndex(batchSize = 100) {
+        let lastDoc = null;
+        let indexed = 0;
+
+        do {
+            let query = firebase.firestore()
+                .collection('memories')
+                .orderBy('createdAt', 'asc')
+                .limit(batchSize);
+
+            if (lastDoc) {
+                query = query.startAfter(lastDoc);
+            }
 
-            return memories;
+            const snapshot = await query.get();
+            for (const doc of snapshot.docs) {
+                if (this.isPublished(doc.data())) {
+                    await this.updateSearchIndex(doc.id, doc.data());
+                    indexed++;
+                } else {
+                    await this.removeFromSearchIndex(doc.id);
+                }
+            }
+
+            lastDoc = snapshot.docs.length === batchSize ? snapshot.docs[snapshot.docs.length - 1] : null;
+        } while (lastDoc);
+
+        console.log(`Search index rebuilt for ${indexed} memories`);
+        return indexed;
+    },
+
+    /**
+     * Work out the perceptual hashes missing from photos shared before
+     * duplicate detection, or whose hash couldn't be made at upload, and
+     * re-index their memories so they can be found as duplicates. Run from
+     * the console by a moderator once the bucket's CORS setup is applied.
+     */
+    async backfillImageHashes(batchSize = 100) {
+        let lastDoc = null;
+        let hashed = 0;
+
+        do {
+            let query = firebase.firestore()
+                .collection('memories')
+                .orderBy('createdAt', 'asc')
+                .limit(batchSize);
+
+            if (lastDoc) {
+                query = query.startAfter(lastDoc);
+            }
+
+            const snapshot = await query.get();
+            for (const doc of snapshot.docs) {
+                const memory = doc.data();
+                const images = this.normalizeImages(memory.images);
+                if (images.every(image => image.hash)) continue;
+
+                let added = 0;
+                for (const image of images) {
+                    if (image.hash) continue;
+                    const hash = await StorageModule.hashImageUrl(image);
+                    if (hash) {
+                        image.hash = hash;
+                        added++;
+                    }
+                }
+                if (!added) continue;
+
+                await doc.ref.update({ images });
+                if (this.isPublished(memory)) {
+                    await this.updateSearchIndex(doc.id, { ...memory, images });
+                }
+                hashed += added;
+            }
+
+            lastDoc = snapshot.docs.length === batchSize ? snapshot.docs[snapshot.docs.length - 1] : null;
+        } while (lastDoc);
+
+        console.log(`Hashed ${hashed} photos`);
+        return hashed;
+    },
+
+    /**
+     * Search memories by title, story, tags or contributor
+     * Delegates to SearchModule, which ranks against the full search index
+     */
+    async searchMemories(searchTerm, decade = null) {
+        try {
+            const results = await SearchModule.search(searchTerm, { decade });
+            return results.map(result => ({ id: result.memoryId, ...result.record }));
         } catch (error) {
             console.error('Error searching memories:', error);
             return [];
@@ -0,0 +1,164 @@
+/**
+ * Documents Module for Dartmouth Swimming Alumni Archive
+ * Loads PDF.js on demand to count pages, render pages for the viewer
+ * and make first-page thumbnails for document memories
+ */
+
+const DocumentsModule = {
+    PDFJS_URL: 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.min.js',
+    PDFJS_WORKER_URL: 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js',
+
+    // Subresource Integrity hashes of the files above, so a changed copy on
+    // the CDN is refused rather than run. Update them with the version.
+    PDFJS_INTEGRITY: 'sha512-q+4liFwdPC/bNdhUpZx6aXDx/h77yEQtn4I1slHydcbZK34nLaR3cAeYSJshoxIOq3mjEf7xJE8YWIUHMn+oCQ==',
+    PDFJS_WORKER_INTEGRITY: 'sha512-BbrZ76UNZq5BhH7LL7pn9A4TKQpQeNCHOo65/akfelcIBbcVvYWOFQKPXIrykE3qZxYjmDX573oa4Ywsc7rpTw==',
+
+    // Width in pixels of the card thumbnail made from a PDF's first page
+    THUMBNAIL_WIDTH: 800,
+
+    pdfJsPromise: null,
+
+    /**
+     * Whether a file is a PDF
+     */
+    isPdf(file) {
+        return file.type === 'application/pdf';
+    },
+
+    /**
+     * Load PDF.js the first time a document is opened. Most visitors
+     * never see a PDF, so it isn't part of the page's own scripts.
+     * @returns {Promise<Object>} - The pdfjsLib global
+     */
+    loadPdfJs() {
+        if (!this.pdfJsPromise) {
+            this.pdfJsPromise = this.loadPdfScript()
+                .then(async (pdfjsLib) => {
+                    pdfjsLib.GlobalWorkerOptions.workerSrc = await this.loadPdfWorker();
+                    return pdfjsLib;
+                })
+                .catch(error => {
+                    // Allow another attempt, e.g. after the connection comes back
+                    this.pdfJsPromise = null;
+                    console.error('Error loading PDF.js:', error);
+                    throw new Error('The PDF viewer could not be loaded');
+                });
+        }
+        return this.pdfJsPromise;
+    },
+
+    loadPdfScript() {
+        return new Promise((resolve, reject) => {
+            if (window.pdfjsLib) {
+                resolve(window.pdfjsLib);
+                return;
+            }
+
+            const script = document.createElement('script');
+            script.src = this.PDFJS_URL;
+            script.integrity = this.PDFJS_INTEGRITY;
+            script.crossOrigin = 'anonymous';
+            script.onload = () => resolve(window.pdfjsLib);
+            script.onerror = () => {
+                script.remove();
+                reject(new Error(`Could not load ${this.PDFJS_URL}`));
+            };
+            document.head.appendChild(script);
+        });
+    },
+
+    /**
+     * Fetch the PDF.js worker and check it against its hash. Workers can't
+     * be given an integrity attribute, so PDF.js runs the checked copy from
+     * a blob URL instead of the CDN address.
+     * @returns {Promise<string>} - URL for GlobalWorkerOptions.workerSrc
+     */
+    async loadPdfWorker() {
+        const response = await fetch(this.PDFJS_WORKER_URL, { integrity: this.PDFJS_WORKER_INTEGRITY });
+        if (!response.ok) {
+            throw new Error(`Could not load ${this.PDFJS_WORKER_URL}: ${response.status}`);
+        }
+
+        const source = await response.blob();
+        return URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+    },
+
+    /**
+     * Open a PDF from a download URL or a local File. PDF.js fetches URLs
+     * itself, which needs the Storage bucket's CORS setup (cors.json).
+     * @returns {Promise<Object>} - A PDF.js document proxy
+     */
+    async openPdf(source) {
+        try {
+            const pdfjsLib = await this.loadPdfJs();
+            const params = typeof source === 'string'
+                ? { url: source }
+                : { data: new Uint8Array(await source.arrayBuffer()) };
+            return await pdfjsLib.getDocument(params).promise;
+        } catch (error) {
+            console.error('Error opening PDF:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Draw one page of an open PDF onto a canvas, sharp on high-density screens
+     * @param {Object} pdf - Document proxy from openPdf
+     * @param {number} pageNumber - 1-based page number
+     * @param {HTMLCanvasElement} canvas - Canvas to draw on; it is resized to the page
+     * @param {number} width - Width to draw the page at, in CSS pixels
+     */
+    async renderPage(pdf, pageNumber, canvas, width) {
+        const page = await pdf.getPage(pageNumber);
+        const pixelRatio = window.devicePixelRatio || 1;
+        const scale = width / page.getViewport({ scale: 1 }).width;
+        const viewport = page.getViewport({ scale: scale * pixelRatio });
+
+        canvas.width = Math.floor(viewport.width);
+        canvas.height = Math.floor(viewport.height);
+        canvas.style.width = `${Math.floor(viewport.width / pixelRatio)}px`;
+        canvas.style.height = `${Math.floor(viewport.height / pixelRatio)}px`;
+
+        await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+        return page;
+    },
+
+    /**
+     * Render the first page of a local PDF as a JPEG for cards and previews
+     * @param {File} file - The PDF
+     * @returns {Promise<Object>} - { blob, pageCount }
+     */
+    async createThumbnail(file, width = this.THUMBNAIL_WIDTH) {
+        const pdf = await this.openPdf(file);
+
+        try {
+            const page = await pdf.getPage(1);
+            const viewport = page.getViewport({ scale: width / page.getViewport({ scale: 1 }).width });
+            const canvas = document.createElement('canvas');
+            const ctx = canvas.getContext('2d');
+
+            canvas.width = Math.floor(viewport.width);
+            canvas.height = Math.floor(viewport.height);
+
+            // PDFs are transparent where nothing is drawn; JPEG would turn that black
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+            await page.render({ canvasContext: ctx, viewport }).promise;
+
+            const blob = await new Promise((resolve, reject) => {
+                canvas.toBlob(
+                    result => (result ? resolve(result) : reject(new Error('Could not create a thumbnail'))),
+                    'image/jpeg',
+                    0.8
+                );
+            });
+
+            return { blob, pageCount: pdf.numPages };
+        } finally {
+            pdf.destroy();
+        }
+    }
+};
+
+// Export module
+window.DocumentsModule = DocumentsModule;
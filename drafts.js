@@ -0,0 +1,161 @@
+/**
+ * Drafts Module for Dartmouth Swimming Alumni Archive
+ * Keeps in-progress memories in IndexedDB (including selected files)
+ * and syncs their text to the signed-in user's drafts collection
+ */
+
+const DraftsModule = {
+    DB_NAME: 'dswimming-drafts',
+    STORE_NAME: 'drafts',
+    dbPromise: null,
+
+    /**
+     * Open (and create if needed) the local drafts database
+     */
+    openDb() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('Local draft storage is not available in this browser'));
+                return;
+            }
+
+            const request = indexedDB.open(this.DB_NAME, 1);
+
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(this.STORE_NAME, { keyPath: 'id' });
+                store.createIndex('ownerId', 'ownerId');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        return this.dbPromise;
+    },
+
+    /**
+     * Run a single request against the drafts object store
+     */
+    async runRequest(mode, callback) {
+        const db = await this.openDb();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.STORE_NAME, mode);
+            const request = callback(transaction.objectStore(this.STORE_NAME));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            // e.g. when the files don't fit in the browser's storage quota
+            transaction.onabort = () => reject(transaction.error || new Error('Draft storage request was aborted'));
+        });
+    },
+
+    /**
+     * Drafts are partitioned by user so a shared computer doesn't mix them up
+     */
+    getOwnerId() {
+        const user = typeof firebase !== 'undefined' ? firebase.auth().currentUser : null;
+        return user ? user.uid : 'anonymous';
+    },
+
+    createId() {
+        return `draft_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+    },
+
+    /**
+     * Save a draft locally and, when signed in, to Firestore
+     * @param {Object} draft - Draft fields; files is an array of File/Blob objects
+     * @returns {Promise<Object>} - The saved draft with id and updatedAt
+     */
+    async save(draft) {
+        const saved = {
+            ...draft,
+            id: draft.id || this.createId(),
+            ownerId: this.getOwnerId(),
+            files: (draft.files || []).map(file => ({
+                name: file.name,
+                type: file.type,
+                lastModified: file.lastModified,
+                blob: file
+            })),
+            updatedAt: Date.now()
+        };
+
+        await this.runRequest('readwrite', store => store.put(saved));
+
+        if (saved.ownerId !== 'anonymous' && typeof DatabaseModule !== 'undefined') {
+            try {
+                await DatabaseModule.saveDraft(saved);
+            } catch (error) {
+                // The local copy is enough to resume; sync will catch up on the next save
+                console.warn('Draft saved locally but not synced:', error);
+            }
+        }
+
+        return saved;
+    },
+
+    /**
+     * List the current user's drafts, newest first, merging local and synced copies
+     */
+    async list() {
+        const ownerId = this.getOwnerId();
+        const drafts = new Map();
+
+        try {
+            const local = await this.runRequest('readonly', store => store.index('ownerId').getAll(ownerId));
+            local.forEach(draft => drafts.set(draft.id, draft));
+        } catch (error) {
+            console.warn('Error reading local drafts:', error);
+        }
+
+        if (ownerId !== 'anonymous' && typeof DatabaseModule !== 'undefined') {
+            const remote = await DatabaseModule.getMyDrafts();
+            remote.forEach(draft => {
+                const local = drafts.get(draft.id);
+                if (!local || draft.updatedAt > local.updatedAt) {
+                    // Keep any files we still have locally for this draft
+                    drafts.set(draft.id, { ...draft, files: local ? local.files : [] });
+                }
+            });
+        }
+
+        return Array.from(drafts.values()).sort((a, b) => b.updatedAt - a.updatedAt);
+    },
+
+    /**
+     * Get a single draft with its files restored as File objects
+     */
+    async get(draftId) {
+        const drafts = await this.list();
+        const draft = drafts.find(d => d.id === draftId);
+        if (!draft) return null;
+
+        return {
+            ...draft,
+            files: (draft.files || []).map(f => new File([f.blob], f.name, {
+                type: f.type,
+                lastModified: f.lastModified
+            }))
+        };
+    },
+
+    /**
+     * Delete a draft everywhere it is stored
+     */
+    async remove(draftId) {
+        try {
+            await this.runRequest('readwrite', store => store.delete(draftId));
+        } catch (error) {
+            console.warn('Error deleting local draft:', error);
+        }
+
+        if (this.getOwnerId() !== 'anonymous' && typeof DatabaseModule !== 'undefined') {
+            await DatabaseModule.deleteDraft(draftId);
+        }
+    }
+};
+
+// Export module
+window.DraftsModule = DraftsModule;
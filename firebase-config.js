@@ -10,8 +10,26 @@
  * 6. Register the app with nickname "Dartmouth Swimming Archive"
  * 7. Copy the firebaseConfig object values below
  * 8. Enable Authentication: Build > Authentication > Get Started > Email/Password
- * 9. Enable Firestore: Build > Firestore Database > Create database > Start in test mode
- * 10. Enable Storage: Build > Storage > Get Started > Start in test mode
+ * 9. Enable Firestore: Build > Firestore Database > Create database > Start in production mode
+ * 10. Enable Storage: Build > Storage > Get Started > Start in production mode
+ * 11. Deploy the security rules and indexes in this folder with the Firebase CLI:
+ *     firebase deploy --only firestore,storage
+ *     The Storage rules look up who wrote each memory, so let them read
+ *     Firestore when the CLI asks. Never leave the database in test mode:
+ *     the rules are what keep members from changing their own role.
+ * 12. Let the site read uploaded files from script (the PDF viewer fetches
+ *     documents by their download URL) by applying cors.json to the bucket:
+ *     gsutil cors set cors.json gs://dartmouth-swimming.firebasestorage.app
+ *     Add any other address the site is served from to cors.json first.
+ * 13. Archives with memories from before moderation: sign in as an admin and
+ *     run DatabaseModule.backfillMemoryStatus() once from the browser console
+ * 14. Archives with photos from before duplicate detection: after step 12,
+ *     run DatabaseModule.backfillImageHashes() once as a moderator
+ * 15. Archives with accounts from before email addresses were kept private:
+ *     run DatabaseModule.movePrivateProfileFields() once as an admin. Invite
+ *     checks only see those accounts as registered after it has run.
+ * 16. Archives with invites from before members could only list their own:
+ *     run DatabaseModule.backfillInvitedEmails() once as an admin
  */
 
 // For Firebase JS SDK v7.20.0 and later, measurementId is optional
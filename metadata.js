@@ -0,0 +1,534 @@
+/**
+ * Metadata Module for Dartmouth Swimming Alumni Archive
+ * Reads when a photo was taken and which way up it goes from its EXIF
+ * data, and strips location and device details from files before upload
+ */
+
+const MetadataModule = {
+    // EXIF sits at the start of a JPEG; this is plenty to find it
+    HEADER_BYTES: 256 * 1024,
+
+    // EXIF tags read from photos
+    TAGS: {
+        orientation: 0x0112,
+        exifIfd: 0x8769,
+        dateTimeOriginal: 0x9003
+    },
+
+    // JPEG segments that can carry EXIF (including GPS), XMP, IPTC or
+    // comments: APP1, APP13 and COM
+    JPEG_METADATA_MARKERS: [0xE1, 0xED, 0xFE],
+
+    // PNG chunks with camera data or free text
+    PNG_METADATA_CHUNKS: ['eXIf', 'tEXt', 'zTXt', 'iTXt', 'tIME'],
+
+    // MP4 and QuickTime boxes holding the recording device and where it was
+    MP4_METADATA_BOXES: ['udta', 'meta'],
+
+    MP4_TYPES: ['video/mp4', 'video/quicktime', 'audio/mp4', 'audio/x-m4a'],
+
+    // GIF application extensions that change how the image plays or looks:
+    // looping and colour profiles. Any other, such as XMP, is dropped.
+    GIF_KEPT_APPLICATIONS: ['NETSCAPE2.0', 'ANIMEXTS1.0', 'ICCRGBG1012'],
+
+    /**
+     * Read a photo's orientation and when it was taken. Anything missing or
+     * unreadable comes back as the default, so callers never have to catch.
+     * @returns {Promise<Object>} - { orientation: 1-8, takenAt: Date | null }
+     */
+    async read(file) {
+        const result = { orientation: 1, takenAt: null };
+        if (file.type !== 'image/jpeg') return result;
+
+        try {
+            const view = new DataView(await file.slice(0, this.HEADER_BYTES).arrayBuffer());
+            const exif = this.findJpegExif(view);
+            if (!exif) return result;
+
+            const { tiff, little } = exif;
+            const ifd0 = this.readIfd(view, tiff, tiff + view.getUint32(tiff + 4, little), little);
+
+            const orientation = ifd0.get(this.TAGS.orientation);
+            if (orientation && orientation.value >= 1 && orientation.value <= 8) {
+                result.orientation = orientation.value;
+            }
+
+            const exifPointer = ifd0.get(this.TAGS.exifIfd);
+            if (exifPointer) {
+                const exifIfd = this.readIfd(view, tiff, tiff + exifPointer.value, little);
+                const taken = exifIfd.get(this.TAGS.dateTimeOriginal);
+                if (taken) result.takenAt = this.parseDate(taken.value);
+            }
+        } catch (error) {
+            console.warn(`Could not read the EXIF data in ${file.name}:`, error);
+        }
+
+        return result;
+    },
+
+    /**
+     * The segments of a JPEG up to the image data
+     * @returns {Array} - { marker, start, end } per segment, end exclusive
+     */
+    jpegSegments(view) {
+        const segments = [];
+        if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return segments;
+
+        let offset = 2;
+        while (offset + 4 <= view.byteLength && view.getUint8(offset) === 0xFF) {
+            const marker = view.getUint8(offset + 1);
+
+            // Fill bytes before a marker
+            if (marker === 0xFF) {
+                offset++;
+                continue;
+            }
+
+            // Start of scan: the image data follows
+            if (marker === 0xDA || marker === 0xD9) break;
+
+            const length = view.getUint16(offset + 2);
+            const end = offset + 2 + length;
+            // Damaged, or cut off by the header read
+            if (length < 2 || end > view.byteLength) break;
+
+            segments.push({ marker, start: offset, end });
+            offset = end;
+        }
+
+        return segments;
+    },
+
+    /**
+     * Locate the TIFF header inside a JPEG's EXIF segment
+     * @returns {Object|null} - { tiff, little } with the byte order
+     */
+    findJpegExif(view) {
+        const segment = this.jpegSegments(view).find(({ marker, start, end }) =>
+            marker === 0xE1 && end - start >= 18 &&
+            view.getUint32(start + 4) === 0x45786966 && view.getUint16(start + 8) === 0
+        );
+        if (!segment) return null;
+
+        const tiff = segment.start + 10;
+        return { tiff, little: view.getUint16(tiff) === 0x4949 };
+    },
+
+    /**
+     * Read the entries of one IFD that hold a number or a short string
+     * @returns {Map} - tag -> { value }
+     */
+    readIfd(view, tiff, offset, little) {
+        const entries = new Map();
+        const count = view.getUint16(offset, little);
+
+        for (let i = 0; i < count; i++) {
+            const entry = offset + 2 + i * 12;
+            const tag = view.getUint16(entry, little);
+            const type = view.getUint16(entry + 2, little);
+            const length = view.getUint32(entry + 4, little);
+
+            if (type === 3) {
+                entries.set(tag, { value: view.getUint16(entry + 8, little) });
+            } else if (type === 4) {
+                entries.set(tag, { value: view.getUint32(entry + 8, little) });
+            } else if (type === 2) {
+                const start = length > 4 ? tiff + view.getUint32(entry + 8, little) : entry + 8;
+                let text = '';
+                for (let j = 0; j < length - 1; j++) {
+                    text += String.fromCharCode(view.getUint8(start + j));
+                }
+                entries.set(tag, { value: text });
+            }
+        }
+
+        return entries;
+    },
+
+    /**
+     * Parse an EXIF date ("2001:06:15 14:22:01"). Cameras without a clock
+     * write zeros or spaces, which count as no date.
+     */
+    parseDate(text) {
+        const match = /^(\d{4}):(\d{2}):(\d{2})(?: (\d{2}):(\d{2}):(\d{2}))?/.exec(text || '');
+        if (!match) return null;
+
+        const [year, month, day, hours = 0, minutes = 0, seconds = 0] = match.slice(1).map(part => parseInt(part || 0, 10));
+        if (!year || !month || !day) return null;
+
+        return new Date(year, month - 1, day, hours, minutes, seconds);
+    },
+
+    /**
+     * A copy of a file without location and device metadata. Photos keep
+     * which way up they go unless keepOrientation is false. Files with
+     * nothing to strip, or in formats without it, come back unchanged.
+     * PDFs are the exception to stripping everything: see stripPdf.
+     * @returns {Promise<File>}
+     */
+    async stripMetadata(file, { keepOrientation = true } = {}) {
+        try {
+            let parts = null;
+            if (file.type === 'image/jpeg') {
+                parts = await this.stripJpeg(file, keepOrientation);
+            } else if (file.type === 'image/png') {
+                parts = await this.stripPng(file);
+            } else if (file.type === 'image/webp') {
+                parts = await this.stripWebp(file);
+            } else if (file.type === 'image/gif') {
+                parts = await this.stripGif(file);
+            } else if (file.type === 'application/pdf') {
+                parts = await this.stripPdf(file);
+            } else if (this.MP4_TYPES.includes(file.type.split(';')[0])) {
+                parts = await this.stripMp4(file);
+            }
+
+            return parts
+                ? new File(parts, file.name, { type: file.type, lastModified: file.lastModified })
+                : file;
+        } catch (error) {
+            console.warn(`Could not remove metadata from ${file.name}:`, error);
+            throw new Error(`"${file.name}" couldn't be prepared for upload. Try saving it again from a photo editor.`);
+        }
+    },
+
+    /**
+     * Drop EXIF, XMP, IPTC and comment segments, and anything after the
+     * image, where phones append previews with their own EXIF. The
+     * orientation goes back in on its own so the photo still displays upright.
+     * @returns {Promise<Array|null>} - Blob parts, or null if there was nothing to strip
+     */
+    async stripJpeg(file, keepOrientation) {
+        const buffer = await file.arrayBuffer();
+        const view = new DataView(buffer);
+        const segments = this.jpegSegments(view);
+        if (!segments.length) return null;
+
+        const { orientation } = keepOrientation ? await this.read(file) : { orientation: 1 };
+        const isMetadata = ({ marker, start, end }) => this.JPEG_METADATA_MARKERS.includes(marker) ||
+            // Multi-picture index pointing at the appended previews
+            (marker === 0xE2 && end - start >= 8 && view.getUint32(start + 4) === 0x4D504600);
+
+        const imageStart = segments[segments.length - 1].end;
+        const imageEnd = this.findJpegEnd(view, imageStart);
+        const removed = segments.filter(isMetadata);
+        if (!removed.length && imageEnd === buffer.byteLength) return null;
+
+        const parts = [buffer.slice(0, 2)];
+        segments.forEach((segment, index) => {
+            if (!isMetadata(segment)) parts.push(buffer.slice(segment.start, segment.end));
+            // After JFIF (or first), where EXIF normally sits
+            if (index === 0 && orientation !== 1) parts.push(this.orientationSegment(orientation));
+        });
+        parts.push(buffer.slice(imageStart, imageEnd));
+        return parts;
+    },
+
+    /**
+     * Where a JPEG's image data ends: just past its end-of-image marker,
+     * which compressed data never contains
+     */
+    findJpegEnd(view, offset) {
+        for (let i = offset; i < view.byteLength - 1; i++) {
+            if (view.getUint8(i) === 0xFF && view.getUint8(i + 1) === 0xD9) return i + 2;
+        }
+        return view.byteLength;
+    },
+
+    /**
+     * A minimal EXIF segment holding only the orientation tag
+     */
+    orientationSegment(orientation) {
+        const segment = new DataView(new ArrayBuffer(36));
+        segment.setUint16(0, 0xFFE1);
+        segment.setUint16(2, 34);
+        segment.setUint32(4, 0x45786966);   // "Exif"
+        segment.setUint16(8, 0);
+        segment.setUint16(10, 0x4D4D);      // Big-endian TIFF
+        segment.setUint16(12, 42);
+        segment.setUint32(14, 8);           // First IFD straight after the header
+        segment.setUint16(18, 1);           // One entry
+        segment.setUint16(20, this.TAGS.orientation);
+        segment.setUint16(22, 3);           // SHORT
+        segment.setUint32(24, 1);
+        segment.setUint16(28, orientation);
+        segment.setUint32(32, 0);           // No next IFD
+        return segment.buffer;
+    },
+
+    /**
+     * Drop PNG chunks with camera data or text
+     */
+    async stripPng(file) {
+        const buffer = await file.arrayBuffer();
+        const view = new DataView(buffer);
+        const parts = [buffer.slice(0, 8)];
+        let removed = false;
+        let offset = 8;
+
+        while (offset + 12 <= buffer.byteLength) {
+            const end = offset + 12 + view.getUint32(offset);
+            const type = String.fromCharCode(...new Uint8Array(buffer, offset + 4, 4));
+
+            if (this.PNG_METADATA_CHUNKS.includes(type)) {
+                removed = true;
+            } else {
+                parts.push(buffer.slice(offset, end));
+            }
+            offset = end;
+        }
+
+        return removed ? parts : null;
+    },
+
+    /**
+     * Drop WebP EXIF and XMP chunks, updating the header to match
+     */
+    async stripWebp(file) {
+        const buffer = await file.arrayBuffer();
+        const view = new DataView(buffer);
+        const chunks = [];
+        let removed = false;
+        let offset = 12;
+
+        while (offset + 8 <= buffer.byteLength) {
+            const size = view.getUint32(offset + 4, true);
+            const end = Math.min(offset + 8 + size + (size % 2), buffer.byteLength);
+            const type = String.fromCharCode(...new Uint8Array(buffer, offset, 4));
+
+            if (type === 'EXIF' || type === 'XMP ') {
+                removed = true;
+            } else {
+                chunks.push({ type, bytes: buffer.slice(offset, end) });
+            }
+            offset = end;
+        }
+
+        if (!removed) return null;
+
+        const extended = chunks.find(chunk => chunk.type === 'VP8X');
+        if (extended) {
+            // Clear the "has EXIF" and "has XMP" flags
+            const flags = new Uint8Array(extended.bytes, 8, 1);
+            flags[0] &= ~0x0C;
+        }
+
+        const header = buffer.slice(0, 12);
+        const bodySize = chunks.reduce((total, chunk) => total + chunk.bytes.byteLength, 0);
+        new DataView(header).setUint32(4, bodySize + 4, true);
+        return [header, ...chunks.map(chunk => chunk.bytes)];
+    },
+
+    /**
+     * Drop GIF comments, application extensions other than looping and
+     * colour profiles, and anything appended after the trailer
+     */
+    async stripGif(file) {
+        const buffer = await file.arrayBuffer();
+        const bytes = new Uint8Array(buffer);
+        if (bytes.length < 13) return null;
+
+        // Header and screen descriptor, then the global colour table if there is one
+        const colorTableSize = flags => ((flags & 0x80) ? 3 * 2 ** ((flags & 0x07) + 1) : 0);
+        let offset = 13 + colorTableSize(bytes[10]);
+
+        // Data sub-blocks run until a zero length
+        const skipSubBlocks = (start) => {
+            let i = start;
+            while (i < bytes.length && bytes[i] !== 0) i += bytes[i] + 1;
+            return i + 1;
+        };
+
+        const parts = [buffer.slice(0, offset)];
+        let removed = false;
+
+        while (offset < bytes.length) {
+            const introducer = bytes[offset];
+            let end;
+
+            if (introducer === 0x3B) {
+                // Trailer
+                parts.push(buffer.slice(offset, offset + 1));
+                removed = removed || offset + 1 < bytes.length;
+                break;
+            } else if (introducer === 0x21) {
+                const label = bytes[offset + 1];
+                end = skipSubBlocks(offset + 2);
+
+                const application = label === 0xFF
+                    ? String.fromCharCode(...bytes.subarray(offset + 3, offset + 14))
+                    : null;
+                if (label === 0xFE || (application !== null && !this.GIF_KEPT_APPLICATIONS.includes(application))) {
+                    removed = true;
+                    offset = end;
+                    continue;
+                }
+            } else if (introducer === 0x2C) {
+                // Image descriptor, local colour table, LZW code size, then the image data
+                end = skipSubBlocks(offset + 10 + colorTableSize(bytes[offset + 9]) + 1);
+            } else {
+                // Not a block this reader knows; keep the rest as it is
+                parts.push(buffer.slice(offset));
+                break;
+            }
+
+            parts.push(buffer.slice(offset, end));
+            offset = end;
+        }
+
+        return removed ? parts : null;
+    },
+
+    /**
+     * Blank a PDF's document info (author, creator tool, dates and the like)
+     * and its XMP metadata. The text is overwritten with spaces rather than
+     * removed, so the cross-reference offsets stay valid without rewriting
+     * the file. Info dictionaries and XMP stored compressed, inside object
+     * streams or with a filter, can't be reached this way and are kept.
+     */
+    async stripPdf(file) {
+        const buffer = await file.arrayBuffer();
+        const bytes = new Uint8Array(buffer);
+        // One character per byte, so string offsets are byte offsets
+        const text = new TextDecoder('latin1').decode(bytes);
+        let removed = false;
+
+        const blank = (start, end) => {
+            if (end > start) {
+                bytes.fill(0x20, start, end);
+                removed = true;
+            }
+        };
+
+        // Every trailer's /Info, including those added by incremental updates
+        const infoObjects = new Set();
+        for (const match of text.matchAll(/\/Info\s+(\d+)\s+(\d+)\s+R/g)) {
+            infoObjects.add(`${match[1]} ${match[2]}`);
+        }
+        infoObjects.forEach(reference => {
+            const [number, generation] = reference.split(' ');
+            const pattern = new RegExp(`(^|[^0-9])${number}\\s+${generation}\\s+obj\\s*<<`, 'g');
+            for (const match of text.matchAll(pattern)) {
+                this.blankPdfStrings(text, match.index + match[0].length - 2, blank);
+            }
+        });
+
+        for (const match of text.matchAll(/<\?xpacket begin=[\s\S]*?<\?xpacket end=[^>]*>|<x:xmpmeta[\s\S]*?<\/x:xmpmeta>/g)) {
+            blank(match.index, match.index + match[0].length);
+        }
+
+        return removed ? [buffer] : null;
+    },
+
+    /**
+     * Blank the literal and hex strings in the PDF dictionary starting at
+     * the "<<" at start, leaving the keys and the delimiters in place
+     */
+    blankPdfStrings(text, start, blank) {
+        let depth = 0;
+        let i = start;
+
+        while (i < text.length) {
+            if (text.startsWith('<<', i)) {
+                depth++;
+                i += 2;
+            } else if (text.startsWith('>>', i)) {
+                depth--;
+                i += 2;
+                if (depth === 0) return;
+            } else if (text[i] === '(') {
+                // Literal strings may hold escapes and balanced parentheses
+                let j = i + 1;
+                for (let nesting = 0; j < text.length; j++) {
+                    if (text[j] === '\\') {
+                        j++;
+                    } else if (text[j] === '(') {
+                        nesting++;
+                    } else if (text[j] === ')') {
+                        if (nesting === 0) break;
+                        nesting--;
+                    }
+                }
+                blank(i + 1, j);
+                i = j + 1;
+            } else if (text[i] === '<') {
+                const j = text.indexOf('>', i);
+                if (j === -1) return;
+                blank(i + 1, j);
+                i = j + 1;
+            } else {
+                i++;
+            }
+        }
+    },
+
+    /**
+     * Blank out user data and metadata boxes in an MP4 or QuickTime movie,
+     * where phones keep the device model and location. They're turned into
+     * free space of the same size so nothing else in the file moves; only
+     * the movie header is read, however large the recording.
+     */
+    async stripMp4(file) {
+        const readBox = async (offset) => {
+            const header = new DataView(await file.slice(offset, offset + 16).arrayBuffer());
+            if (header.byteLength < 8) return null;
+
+            let size = header.getUint32(0);
+            let headerSize = 8;
+            if (size === 1 && header.byteLength >= 16) {
+                size = header.getUint32(8) * 2 ** 32 + header.getUint32(12);
+                headerSize = 16;
+            } else if (size === 0) {
+                size = file.size - offset;
+            }
+            const type = String.fromCharCode(...new Uint8Array(header.buffer, 4, 4));
+            return size >= headerSize ? { offset, size, headerSize, type } : null;
+        };
+
+        let movie = null;
+        for (let offset = 0; offset < file.size;) {
+            const box = await readBox(offset);
+            if (!box) break;
+            if (box.type === 'moov') {
+                movie = box;
+                break;
+            }
+            offset += box.size;
+        }
+        if (!movie) return null;
+
+        const buffer = await file.slice(movie.offset, movie.offset + movie.size).arrayBuffer();
+        const view = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+        let removed = false;
+
+        // Boxes inside moov and each of its tracks
+        const blankChildren = (start, end) => {
+            for (let offset = start; offset + 8 <= end;) {
+                const size = view.getUint32(offset);
+                if (size < 8 || offset + size > end) break;
+                const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+
+                if (this.MP4_METADATA_BOXES.includes(type)) {
+                    bytes.set([0x66, 0x72, 0x65, 0x65], offset + 4); // "free"
+                    bytes.fill(0, offset + 8, offset + size);
+                    removed = true;
+                } else if (type === 'trak') {
+                    blankChildren(offset + 8, offset + size);
+                }
+                offset += size;
+            }
+        };
+        blankChildren(movie.headerSize, buffer.byteLength);
+
+        if (!removed) return null;
+        return [
+            file.slice(0, movie.offset),
+            buffer,
+            file.slice(movie.offset + movie.size)
+        ];
+    }
+};
+
+// Export module
+window.MetadataModule = MetadataModule;
@@ -0,0 +1,767 @@
+/**
+ * Moderation Module for Dartmouth Swimming Alumni Archive
+ * Review queue for new members' memories, content reports, duplicate
+ * photos, moderator actions on memories and comments, role management
+ * and the audit log
+ */
+
+const ModerationModule = {
+    // Reasons offered when reporting a memory or comment
+    REPORT_REASONS: {
+        inappropriate: 'Inappropriate or offensive',
+        inaccurate: 'Inaccurate or misattributed',
+        privacy: 'Shares private information',
+        spam: 'Spam or unrelated to the team',
+        other: 'Something else'
+    },
+
+    // Used until an admin saves settings/moderation
+    DEFAULT_SETTINGS: {
+        reviewUnverifiedMembers: false
+    },
+
+    /**
+     * Get the archive-wide moderation settings
+     */
+    async getSettings() {
+        try {
+            const doc = await firebase.firestore().collection('settings').doc('moderation').get();
+            return { ...this.DEFAULT_SETTINGS, ...(doc.exists ? doc.data() : {}) };
+        } catch (error) {
+            console.error('Error fetching moderation settings:', error);
+            return { ...this.DEFAULT_SETTINGS };
+        }
+    },
+
+    /**
+     * Turn the pre-publication review queue on or off (admins only)
+     */
+    async setReviewUnverifiedMembers(enabled) {
+        this.requireRole('admin');
+
+        try {
+            await firebase.firestore().collection('settings').doc('moderation').set({
+                reviewUnverifiedMembers: enabled,
+                updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+            }, { merge: true });
+
+            await this.logAction(enabled ? 'review_enabled' : 'review_disabled', { type: 'settings', id: 'moderation' });
+        } catch (error) {
+            console.error('Error updating moderation settings:', error);
+            throw error;
+        }
+    },
+
+    // Most reactions the palette can hold
+    MAX_REACTIONS: 12,
+
+    /**
+     * Replace the reaction palette (admins only). Counts are stored per type,
+     * so removing a reaction hides it without losing who used it.
+     * @param {Array} palette - { type, emoji, label } per reaction, in display order
+     */
+    async setReactionPalette(palette) {
+        this.requireRole('admin');
+
+        if (!palette.length || palette.length > this.MAX_REACTIONS) {
+            throw new Error(`The palette needs between 1 and ${this.MAX_REACTIONS} reactions`);
+        }
+
+        const types = new Set();
+        palette.forEach(({ type, emoji, label }) => {
+            if (!/^[a-z0-9_]+$/.test(type) || !emoji || !label) {
+                throw new Error('Every reaction needs an emoji and a label');
+            }
+            if (types.has(type)) {
+                throw new Error('Each reaction can only appear once');
+            }
+            types.add(type);
+        });
+
+        try {
+            await firebase.firestore().collection('settings').doc('reactions').set({
+                palette: palette.map(({ type, emoji, label }) => ({ type, emoji, label })),
+                updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+            });
+
+            await this.logAction('reactions_updated', { type: 'settings', id: 'reactions' }, {
+                reactions: palette.map(({ emoji }) => emoji).join(' ')
+            });
+        } catch (error) {
+            console.error('Error updating reaction palette:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Status for a memory the signed-in user is about to submit: 'pending'
+     * when review is on and they are a member nobody has verified yet.
+     * firestore.rules works this out the same way and refuses any other.
+     */
+    async getSubmissionStatus() {
+        if (AuthModule.hasRole('classRep') || (AuthModule.userProfile && AuthModule.userProfile.verified)) {
+            return 'published';
+        }
+
+        const settings = await this.getSettings();
+        return settings.reviewUnverifiedMembers ? 'pending' : 'published';
+    },
+
+    requireRole(role) {
+        if (!AuthModule.hasRole(role)) {
+            throw new Error(`Only a ${AuthModule.ROLE_LABELS[role].toLowerCase()} can do that`);
+        }
+    },
+
+    /**
+     * Record a moderator action in the audit log
+     * @param {string} action - e.g. 'approve', 'hide', 'delete', 'set_role'
+     * @param {Object} target - { type: 'memory' | 'comment' | 'user' | 'report' | 'settings', id, memoryId }
+     * @param {Object} details - Anything worth keeping, such as before/after text
+     */
+    async logAction(action, target, details = {}) {
+        const user = firebase.auth().currentUser;
+
+        try {
+            await firebase.firestore().collection('auditLog').add({
+                action,
+                targetType: target.type,
+                targetId: target.id,
+                memoryId: target.memoryId || (target.type === 'memory' ? target.id : null),
+                details,
+                actorId: user.uid,
+                actorName: user.displayName || user.email,
+                createdAt: firebase.firestore.FieldValue.serverTimestamp()
+            });
+        } catch (error) {
+            // The action itself has already happened, so don't fail it
+            console.error('Error writing audit log:', error);
+        }
+    },
+
+    /**
+     * Get the most recent audit log entries
+     */
+    async getAuditLog(limitCount = 50) {
+        this.requireRole('moderator');
+
+        try {
+            const snapshot = await firebase.firestore()
+                .collection('auditLog')
+                .orderBy('createdAt', 'desc')
+                .limit(limitCount)
+                .get();
+
+            return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        } catch (error) {
+            console.error('Error fetching audit log:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Report a memory, or a comment on it, to the moderators. Reporting the
+     * same thing again updates the earlier report.
+     */
+    async reportContent({ memoryId, commentId = null }, reason, details = '') {
+        const user = firebase.auth().currentUser;
+        if (!user) {
+            throw new Error('Must be signed in to report content');
+        }
+
+        if (!this.REPORT_REASONS[reason]) {
+            throw new Error('Please choose a reason for the report');
+        }
+
+        const reportId = `${memoryId}_${commentId || 'memory'}_${user.uid}`;
+
+        try {
+            await firebase.firestore().collection('reports').doc(reportId).set({
+                targetType: commentId ? 'comment' : 'memory',
+                memoryId,
+                commentId,
+                reason,
+                details: details.trim().slice(0, 500),
+                reporterId: user.uid,
+                reporterName: user.displayName || user.email,
+                status: 'open',
+                createdAt: firebase.firestore.FieldValue.serverTimestamp()
+            });
+        } catch (error) {
+            console.error('Error reporting content:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Get open reports grouped by the memory or comment they're about
+     * @returns {Array} - { memoryId, commentId, memory, comment, reports[] }, most reported first
+     */
+    async getOpenReports() {
+        this.requireRole('moderator');
+
+        try {
+            const snapshot = await firebase.firestore()
+                .collection('reports')
+                .where('status', '==', 'open')
+                .orderBy('createdAt', 'desc')
+                .get();
+
+            const groups = new Map();
+            snapshot.forEach(doc => {
+                const report = { id: doc.id, ...doc.data() };
+                const key = `${report.memoryId}/${report.commentId || ''}`;
+                if (!groups.has(key)) {
+                    groups.set(key, { memoryId: report.memoryId, commentId: report.commentId, reports: [] });
+                }
+                groups.get(key).reports.push(report);
+            });
+
+            const memoriesRef = firebase.firestore().collection('memories');
+            const items = await Promise.all([...groups.values()].map(async (group) => {
+                const memoryDoc = await memoriesRef.doc(group.memoryId).get();
+                const commentDoc = group.commentId
+                    ? await memoriesRef.doc(group.memoryId).collection('comments').doc(group.commentId).get()
+                    : null;
+
+                return {
+                    ...group,
+                    memory: memoryDoc.exists ? { id: memoryDoc.id, ...memoryDoc.data() } : null,
+                    comment: commentDoc && commentDoc.exists ? { id: commentDoc.id, ...commentDoc.data() } : null
+                };
+            }));
+
+            return items.sort((a, b) => b.reports.length - a.reports.length);
+        } catch (error) {
+            console.error('Error fetching reports:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Close the open reports about a memory or comment
+     * @param {string} resolution - The action taken, or 'dismissed'
+     */
+    async resolveReports(memoryId, commentId, resolution) {
+        const user = firebase.auth().currentUser;
+
+        const snapshot = await firebase.firestore()
+            .collection('reports')
+            .where('memoryId', '==', memoryId)
+            .where('status', '==', 'open')
+            .get();
+
+        const docs = snapshot.docs.filter(doc => (doc.data().commentId || null) === (commentId || null));
+        if (!docs.length) return 0;
+
+        const batch = firebase.firestore().batch();
+        docs.forEach(doc => batch.update(doc.ref, {
+            status: resolution === 'dismissed' ? 'dismissed' : 'resolved',
+            resolution,
+            resolvedBy: user.uid,
+            resolvedAt: firebase.firestore.FieldValue.serverTimestamp()
+        }));
+        await batch.commit();
+
+        return docs.length;
+    },
+
+    /**
+     * Dismiss the reports about a memory or comment without acting on it
+     */
+    async dismissReports(memoryId, commentId = null) {
+        this.requireRole('moderator');
+
+        try {
+            const count = await this.resolveReports(memoryId, commentId, 'dismissed');
+            await this.logAction('dismiss_reports', {
+                type: commentId ? 'comment' : 'memory',
+                id: commentId || memoryId,
+                memoryId
+            }, { reports: count });
+        } catch (error) {
+            console.error('Error dismissing reports:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Get memories waiting for review, oldest first
+     */
+    async getReviewQueue() {
+        this.requireRole('moderator');
+
+        try {
+            const snapshot = await firebase.firestore()
+                .collection('memories')
+                .where('status', '==', 'pending')
+                .orderBy('createdAt', 'asc')
+                .get();
+
+            return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        } catch (error) {
+            console.error('Error fetching review queue:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Get memories moderators have hidden, most recent first
+     */
+    async getHiddenMemories() {
+        this.requireRole('moderator');
+
+        try {
+            const snapshot = await firebase.firestore()
+                .collection('memories')
+                .where('status', '==', 'hidden')
+                .orderBy('moderatedAt', 'desc')
+                .get();
+
+            return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        } catch (error) {
+            console.error('Error fetching hidden memories:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Load a memory a moderator is about to act on
+     */
+    async getMemoryForAction(memoryId) {
+        const memory = await DatabaseModule.getMemory(memoryId);
+        if (!memory) {
+            throw new Error('This memory no longer exists');
+        }
+        return memory;
+    },
+
+    async setMemoryStatus(memoryId, status, extra = {}) {
+        const user = firebase.auth().currentUser;
+
+        await firebase.firestore().collection('memories').doc(memoryId).update({
+            status,
+            ...extra,
+            moderatedBy: user.uid,
+            moderatedAt: firebase.firestore.FieldValue.serverTimestamp()
+        });
+    },
+
+    /**
+     * Publish a memory from the review queue, or restore a hidden one
+     */
+    async approveMemory(memoryId) {
+        this.requireRole('moderator');
+
+        try {
+            const memory = await this.getMemoryForAction(memoryId);
+            if (DatabaseModule.isPublished(memory)) return;
+
+            await this.setMemoryStatus(memoryId, 'published', { hiddenReason: null });
+
+            if (memory.status === 'pending') {
+                // First time public: counts, search and notifications all happen now
+                await DatabaseModule.announceMemory(memoryId, memory);
+            } else {
+                await DatabaseModule.incrementDecadeCount(memory.decade, memory.authorId);
+                await DatabaseModule.updateSearchIndex(memoryId, memory);
+            }
+
+            await this.resolveReports(memoryId, null, memory.status === 'pending' ? 'approved' : 'restored');
+            await this.logAction(memory.status === 'pending' ? 'approve' : 'restore', { type: 'memory', id: memoryId }, {
+                title: memory.title
+            });
+        } catch (error) {
+            console.error('Error approving memory:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Take a memory off the timeline and out of search without deleting it
+     */
+    async hideMemory(memoryId, reason = '') {
+        this.requireRole('moderator');
+
+        try {
+            const memory = await this.getMemoryForAction(memoryId);
+            if (memory.status === 'hidden') return;
+
+            await this.setMemoryStatus(memoryId, 'hidden', { hiddenReason: reason || null });
+
+            if (DatabaseModule.isPublished(memory)) {
+                await DatabaseModule.removeFromDecade(memory.decade, memory.authorId, memoryId);
+                await DatabaseModule.removeFromSearchIndex(memoryId);
+            }
+
+            await this.resolveReports(memoryId, null, 'hidden');
+            await this.logAction('hide', { type: 'memory', id: memoryId }, {
+                title: memory.title,
+                reason: reason || null,
+                previousStatus: memory.status || 'published'
+            });
+        } catch (error) {
+            console.error('Error hiding memory:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Correct a memory's title or story
+     */
+    async editMemory(memoryId, { title, story }) {
+        this.requireRole('moderator');
+
+        if (!title || !story) {
+            throw new Error('A memory needs a title and a story');
+        }
+
+        try {
+            const memory = await this.getMemoryForAction(memoryId);
+            await DatabaseModule.saveMemoryChanges(memory, { title, story });
+
+            await this.resolveReports(memoryId, null, 'edited');
+            await this.logAction('edit', { type: 'memory', id: memoryId }, {
+                before: { title: memory.title, story: memory.story },
+                after: { title, story }
+            });
+        } catch (error) {
+            console.error('Error editing memory:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Restore an earlier revision of someone else's memory
+     */
+    async restoreRevision(memoryId, revisionId) {
+        this.requireRole('moderator');
+
+        try {
+            const memory = await this.getMemoryForAction(memoryId);
+            const updated = await DatabaseModule.restoreRevision(memoryId, revisionId);
+
+            await this.logAction('restore_revision', { type: 'memory', id: memoryId }, {
+                title: updated.title,
+                revisionId,
+                before: { title: memory.title, story: memory.story },
+                after: { title: updated.title, story: updated.story }
+            });
+
+            return updated;
+        } catch (error) {
+            console.error('Error restoring revision:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Delete a memory along with its comments, reactions and files
+     */
+    async deleteMemory(memoryId) {
+        this.requireRole('moderator');
+
+        try {
+            const memory = await DatabaseModule.deleteMemory(memoryId);
+            if (!memory) return;
+
+            await this.resolveReports(memoryId, null, 'deleted');
+            await this.logAction('delete', { type: 'memory', id: memoryId }, {
+                title: memory.title,
+                story: memory.story,
+                authorId: memory.authorId,
+                authorName: memory.authorName
+            });
+        } catch (error) {
+            console.error('Error deleting memory:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Groups of published memories that share a near-identical photo. Photos
+     * are linked when their hashes are close, and a group is everything
+     * linked together, so a chain of slightly different scans ends up as one.
+     * Only photos sharing a hash bucket are compared, which every close
+     * enough pair does.
+     * @returns {Promise<Array>} - Arrays of memories, oldest first; biggest groups first
+     */
+    async getDuplicateClusters() {
+        this.requireRole('moderator');
+
+        try {
+            await SearchModule.sync();
+
+            const buckets = new Map();
+            const parents = new Map();
+            SearchModule.docs.forEach(({ record }) => {
+                (record.imageHashes || []).forEach(hash => {
+                    parents.set(record.id, record.id);
+                    StorageModule.hashBucketKeys(hash).forEach(key => {
+                        if (!buckets.has(key)) buckets.set(key, []);
+                        buckets.get(key).push({ memoryId: record.id, hash });
+                    });
+                });
+            });
+
+            const find = (id) => {
+                while (parents.get(id) !== id) {
+                    parents.set(id, parents.get(parents.get(id)));
+                    id = parents.get(id);
+                }
+                return id;
+            };
+
+            buckets.forEach(photos => {
+                for (let i = 0; i < photos.length; i++) {
+                    for (let j = i + 1; j < photos.length; j++) {
+                        const [a, b] = [find(photos[i].memoryId), find(photos[j].memoryId)];
+                        if (a !== b &&
+                            StorageModule.hashDistance(photos[i].hash, photos[j].hash) <= StorageModule.DUPLICATE_DISTANCE) {
+                            parents.set(a, b);
+                        }
+                    }
+                }
+            });
+
+            const groups = new Map();
+            parents.forEach((parent, memoryId) => {
+                const root = find(memoryId);
+                groups.set(root, [...(groups.get(root) || []), memoryId]);
+            });
+
+            const candidates = [...groups.values()].filter(memoryIds => memoryIds.length > 1);
+            const memories = new Map();
+            await Promise.all(candidates.flat().map(async (memoryId) => {
+                memories.set(memoryId, await DatabaseModule.getMemory(memoryId));
+            }));
+
+            return candidates
+                .map(memoryIds => memoryIds
+                    .map(memoryId => memories.get(memoryId))
+                    // The index can lag behind a memory being hidden or deleted
+                    .filter(memory => memory && DatabaseModule.isPublished(memory))
+                    .sort((a, b) => SearchModule.createdMillis(a) - SearchModule.createdMillis(b)))
+                .filter(cluster => cluster.length > 1)
+                .sort((a, b) => b.length - a.length);
+        } catch (error) {
+            console.error('Error finding duplicate photos:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Fold duplicate memories into the one being kept. It gains their tagged
+     * teammates; the duplicates leave the timeline and search, and their
+     * pages send visitors on to it. Their comments and reactions stay with
+     * them, so their authors are asked to add their story there instead.
+     */
+    async mergeMemories(keepId, duplicateIds) {
+        this.requireRole('moderator');
+
+        const ids = duplicateIds.filter(id => id !== keepId);
+        if (!ids.length) {
+            throw new Error('Choose at least one other memory to merge');
+        }
+
+        try {
+            const keep = await this.getMemoryForAction(keepId);
+            const duplicates = await Promise.all(ids.map(id => this.getMemoryForAction(id)));
+
+            const tags = [...new Set([...(keep.tags || []), ...duplicates.flatMap(memory => memory.tags || [])])];
+            await DatabaseModule.saveMemoryChanges(keep, { tags });
+
+            const taggedUserIds = duplicates.flatMap(memory => memory.taggedUserIds || [])
+                .filter(userId => !(keep.taggedUserIds || []).includes(userId));
+            if (taggedUserIds.length) {
+                await firebase.firestore().collection('memories').doc(keepId).update({
+                    taggedUserIds: firebase.firestore.FieldValue.arrayUnion(...taggedUserIds)
+                });
+            }
+
+            const user = firebase.auth().currentUser;
+            for (const duplicate of duplicates) {
+                await this.setMemoryStatus(duplicate.id, 'merged', { mergedInto: keepId });
+
+                if (DatabaseModule.isPublished(duplicate)) {
+                    await DatabaseModule.removeFromDecade(duplicate.decade, duplicate.authorId, duplicate.id);
+                }
+                await DatabaseModule.removeFromSearchIndex(duplicate.id, keepId);
+                await this.resolveReports(duplicate.id, null, 'merged');
+
+                if (duplicate.authorId !== user.uid) {
+                    await DatabaseModule.addInboxItem(duplicate.authorId, {
+                        type: 'memory_merged',
+                        memoryId: keepId,
+                        memoryTitle: keep.title,
+                        decade: keep.decade,
+                        mergedTitle: duplicate.title,
+                        actorId: user.uid,
+                        actorName: user.displayName || user.email
+                    });
+                }
+            }
+
+            await this.logAction('merge', { type: 'memory', id: keepId }, {
+                title: keep.title,
+                merged: duplicates.map(memory => ({ id: memory.id, title: memory.title }))
+            });
+        } catch (error) {
+            console.error('Error merging memories:', error);
+            throw error;
+        }
+    },
+
+    commentRef(memoryId, commentId) {
+        return firebase.firestore()
+            .collection('memories')
+            .doc(memoryId)
+            .collection('comments')
+            .doc(commentId);
+    },
+
+    /**
+     * Hide or unhide a comment. Hidden comments stay visible to moderators.
+     */
+    async setCommentHidden(memoryId, commentId, hidden) {
+        this.requireRole('moderator');
+
+        try {
+            const doc = await this.commentRef(memoryId, commentId).get();
+            if (!doc.exists) {
+                throw new Error('This comment no longer exists');
+            }
+            if (Boolean(doc.data().hidden) === hidden) return;
+
+            await doc.ref.update({ hidden });
+
+            // Deleted comments are already off the count
+            if (!doc.data().deleted) {
+                await firebase.firestore().collection('memories').doc(memoryId).update({
+                    commentCount: firebase.firestore.FieldValue.increment(hidden ? -1 : 1)
+                });
+            }
+
+            if (hidden) {
+                await this.resolveReports(memoryId, commentId, 'hidden');
+            }
+            await this.logAction(hidden ? 'hide' : 'restore', { type: 'comment', id: commentId, memoryId }, {
+                text: doc.data().text
+            });
+        } catch (error) {
+            console.error('Error updating comment:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Correct the text of a comment
+     */
+    async editComment(memoryId, commentId, text) {
+        this.requireRole('moderator');
+
+        if (!text) {
+            throw new Error('A comment can\'t be empty');
+        }
+
+        try {
+            const before = await DatabaseModule.updateComment(memoryId, commentId, text);
+
+            await this.resolveReports(memoryId, commentId, 'edited');
+            await this.logAction('edit', { type: 'comment', id: commentId, memoryId }, {
+                before: { text: before.text },
+                after: { text }
+            });
+        } catch (error) {
+            console.error('Error editing comment:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Delete a comment. One with replies is blanked so the thread stays intact.
+     */
+    async deleteComment(memoryId, commentId) {
+        this.requireRole('moderator');
+
+        try {
+            const comment = await DatabaseModule.deleteComment(memoryId, commentId);
+            if (!comment) return;
+
+            await this.resolveReports(memoryId, commentId, 'deleted');
+            await this.logAction('delete', { type: 'comment', id: commentId, memoryId }, {
+                text: comment.text,
+                authorId: comment.authorId,
+                authorName: comment.authorName
+            });
+        } catch (error) {
+            console.error('Error deleting comment:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Whether the signed-in user may verify this alumnus. Class reps can
+     * verify their own class; moderators and admins can verify anyone.
+     */
+    canVerify(alumnus) {
+        if (AuthModule.hasRole('moderator')) return true;
+        if (!AuthModule.hasRole('classRep')) return false;
+
+        const myClass = AuthModule.userProfile && AuthModule.userProfile.classYear;
+        return Boolean(myClass) && String(myClass) === String(alumnus.classYear);
+    },
+
+    /**
+     * Mark an alumnus as verified (or not), so their memories skip review
+     */
+    async setVerified(alumnus, verified) {
+        if (!this.canVerify(alumnus)) {
+            throw new Error('You can only verify members of your own class');
+        }
+
+        try {
+            await firebase.firestore().collection('users').doc(alumnus.id).update({
+                verified,
+                verifiedBy: verified ? firebase.auth().currentUser.uid : null
+            });
+
+            await this.logAction(verified ? 'verify_user' : 'unverify_user', { type: 'user', id: alumnus.id }, {
+                name: alumnus.displayName
+            });
+        } catch (error) {
+            console.error('Error verifying user:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Change an alumnus's archive role (admins only)
+     */
+    async setUserRole(alumnus, role) {
+        this.requireRole('admin');
+
+        if (!AuthModule.ROLES.includes(role)) {
+            throw new Error(`Unknown role: ${role}`);
+        }
+        if (alumnus.id === firebase.auth().currentUser.uid && role !== 'admin') {
+            throw new Error('Ask another admin to change your own role');
+        }
+
+        try {
+            await firebase.firestore().collection('users').doc(alumnus.id).update({ role });
+
+            await this.logAction('set_role', { type: 'user', id: alumnus.id }, {
+                name: alumnus.displayName,
+                from: alumnus.role || 'member',
+                to: role
+            });
+        } catch (error) {
+            console.error('Error changing role:', error);
+            throw error;
+        }
+    }
+};
+
+// Export module
+window.ModerationModule = ModerationModule;
@@ -0,0 +1,184 @@
+/**
+ * Roster Module for Dartmouth Swimming Alumni Archive
+ * Parses CSV/TSV rosters for bulk invites, sends them in batches and
+ * builds downloadable result reports
+ */
+
+const RosterModule = {
+    // Largest roster accepted in one import
+    MAX_ROWS: 1000,
+
+    // Invites created in parallel per batch
+    BATCH_SIZE: 10,
+
+    // Header names recognised for each column, lowercased with spaces removed
+    HEADER_ALIASES: {
+        name: ['name', 'fullname', 'swimmer', 'alumnus', 'alumna'],
+        classYear: ['classyear', 'class', 'year', 'classof', 'gradyear'],
+        email: ['email', 'e-mail', 'emailaddress', 'mail']
+    },
+
+    /**
+     * Guess the delimiter from the first line: tab, semicolon or comma
+     */
+    detectDelimiter(text) {
+        const firstLine = text.split(/\r?\n/, 1)[0];
+        if (firstLine.includes('\t')) return '\t';
+        if (firstLine.includes(';') && !firstLine.includes(',')) return ';';
+        return ',';
+    },
+
+    /**
+     * Split delimited text into rows of cells, honouring quoted fields
+     * (including embedded delimiters, newlines and "" escapes)
+     */
+    parseDelimited(text, delimiter) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"' && cell === '') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        if (cell !== '' || row.length) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        return rows.filter(cells => cells.some(value => value.trim() !== ''));
+    },
+
+    /**
+     * Map column indexes from a header row, or null if the row isn't a header
+     */
+    matchHeader(cells) {
+        const normalized = cells.map(cell => cell.toLowerCase().replace(/[\s_]/g, ''));
+        const columns = {};
+
+        Object.entries(this.HEADER_ALIASES).forEach(([field, aliases]) => {
+            const index = normalized.findIndex(cell => aliases.includes(cell));
+            if (index !== -1) columns[field] = index;
+        });
+
+        return columns.email !== undefined ? columns : null;
+    },
+
+    /**
+     * Read a class year as reps write it: 1994, '94, ’94 or 94. Two-digit
+     * years are this century up to today's freshmen's class, otherwise last.
+     * @returns {number|null} - null if it isn't a year
+     */
+    parseClassYear(value, currentYear = new Date().getFullYear()) {
+        const digits = value.trim().replace(/^(class\s+of\s+)?['’]?/i, '');
+        if (/^\d{4}$/.test(digits)) return parseInt(digits, 10);
+        if (!/^\d{2}$/.test(digits)) return null;
+
+        const year = 2000 + parseInt(digits, 10);
+        return year <= currentYear + 4 ? year : year - 100;
+    },
+
+    /**
+     * Parse roster text into { line, name, classYear, classYearText, email } rows.
+     * classYearText keeps a class year that couldn't be read, so the preview can flag it.
+     * Without a recognisable header, columns are taken as name, class year, email.
+     * @returns {Object} - { rows, truncated }
+     */
+    parse(text) {
+        const cells = this.parseDelimited(text.replace(/^\uFEFF/, ''), this.detectDelimiter(text));
+        if (!cells.length) return { rows: [], truncated: false };
+
+        const header = this.matchHeader(cells[0]);
+        const columns = header || { name: 0, classYear: 1, email: 2 };
+        const body = header ? cells.slice(1) : cells;
+        const firstLine = header ? 2 : 1;
+
+        const rows = body.slice(0, this.MAX_ROWS).map((values, index) => {
+            const cell = (field) => (columns[field] !== undefined ? (values[columns[field]] || '').trim() : '');
+            const classYear = this.parseClassYear(cell('classYear'));
+
+            return {
+                line: firstLine + index,
+                name: cell('name'),
+                classYear,
+                classYearText: classYear === null && cell('classYear') ? cell('classYear') : null,
+                email: cell('email').toLowerCase()
+            };
+        });
+
+        return { rows, truncated: body.length > this.MAX_ROWS };
+    },
+
+    /**
+     * Create invites for rows in batches
+     * @param {Function} onProgress - Called with (completed, total) after each batch
+     * @returns {Array} - { row, status: 'sent' | 'failed', error } per row
+     */
+    async sendInvites(rows, personalMessage, onProgress = null) {
+        const results = [];
+
+        for (let i = 0; i < rows.length; i += this.BATCH_SIZE) {
+            const batch = rows.slice(i, i + this.BATCH_SIZE);
+            const settled = await Promise.allSettled(batch.map(row =>
+                DatabaseModule.sendInvite(row.email, personalMessage, {
+                    name: row.name,
+                    classYear: row.classYear
+                })
+            ));
+
+            settled.forEach((outcome, index) => {
+                results.push({
+                    row: batch[index],
+                    status: outcome.status === 'fulfilled' ? 'sent' : 'failed',
+                    error: outcome.status === 'rejected' ? outcome.reason : null
+                });
+            });
+
+            if (onProgress) {
+                onProgress(results.length, rows.length);
+            }
+        }
+
+        return results;
+    },
+
+    /**
+     * Serialise rows of values as CSV, quoting where needed. Cells that a
+     * spreadsheet would run as formulas get a leading apostrophe.
+     */
+    toCsv(rows) {
+        return rows.map(values => values.map(value => {
+            let text = String(value ?? '');
+            if (/^[=+\-@]/.test(text)) text = `'${text}`;
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        }).join(',')).join('\r\n');
+    }
+};
+
+// Export module
+window.RosterModule = RosterModule;
@@ -0,0 +1,440 @@
+/**
+ * Search Module for Dartmouth Swimming Alumni Archive
+ * Builds an in-memory inverted index from the searchIndex collection and
+ * answers ranked full-text queries with prefix and typo-tolerant matching,
+ * and finds memories with photos like a given one
+ */
+
+const SearchModule = {
+    // Relative importance of each indexed field when ranking
+    FIELD_WEIGHTS: {
+        title: 3,
+        tags: 2,
+        authorName: 2,
+        story: 1
+    },
+
+    // Score multipliers by how a query word matched an indexed word
+    MATCH_WEIGHTS: {
+        exact: 1,
+        prefix: 0.7,
+        fuzzy: 0.4
+    },
+
+    STOP_WORDS: new Set([
+        'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from',
+        'had', 'has', 'have', 'he', 'her', 'his', 'i', 'in', 'is', 'it', 'its',
+        'me', 'my', 'of', 'on', 'or', 'our', 'she', 'so', 'that', 'the', 'their',
+        'them', 'then', 'there', 'they', 'this', 'to', 'us', 'was', 'we', 'were',
+        'what', 'when', 'which', 'who', 'with', 'you', 'your'
+    ]),
+
+    docs: new Map(),       // memoryId -> { record, lengths }
+    postings: new Map(),   // stem -> Map(memoryId -> { field: termFrequency })
+    vocabulary: new Map(), // surface word -> stem, for prefix and fuzzy lookups
+    lastSync: null,
+    syncPromise: null,
+
+    /**
+     * Split text into lowercase words without accents or punctuation
+     */
+    tokenize(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .match(/[a-z0-9]+/g) || [];
+    },
+
+    /**
+     * Reduce a word to a stem so "swimming", "swims" and "swim" match.
+     * A light suffix stripper in the spirit of Porter's algorithm; the same
+     * function runs on the index and the query, so consistency matters more
+     * than linguistic precision.
+     */
+    stem(word) {
+        if (word.length <= 3 || /^\d+$/.test(word)) return word;
+
+        let stem = word;
+        const hasVowel = (s) => /[aeiouy]/.test(s);
+
+        // Plurals
+        if (stem.endsWith('sses')) stem = stem.slice(0, -2);
+        else if (stem.endsWith('ies')) stem = `${stem.slice(0, -3)}y`;
+        else if (stem.endsWith('s') && !stem.endsWith('ss') && !stem.endsWith('us')) stem = stem.slice(0, -1);
+
+        // Past tense and gerunds
+        const verbal = stem.match(/^(.+?)(eed|ed|ing)$/);
+        if (verbal && hasVowel(verbal[1]) && verbal[1].length >= 2) {
+            stem = verbal[2] === 'eed' ? `${verbal[1]}ee` : verbal[1];
+            if (/(at|bl|iz)$/.test(stem)) {
+                stem += 'e';
+            } else if (/([^aeiouylsz])\1$/.test(stem)) {
+                stem = stem.slice(0, -1);
+            }
+        }
+
+        // Common derivational suffixes
+        const suffixes = [
+            ['ational', 'ate'], ['ization', 'ize'], ['fulness', 'ful'],
+            ['ousness', 'ous'], ['iveness', 'ive'], ['ation', 'ate'],
+            ['ness', ''], ['ment', ''], ['ful', ''], ['ly', '']
+        ];
+        for (const [suffix, replacement] of suffixes) {
+            if (stem.endsWith(suffix) && stem.length - suffix.length >= 3) {
+                stem = stem.slice(0, -suffix.length) + replacement;
+                break;
+            }
+        }
+
+        return stem;
+    },
+
+    /**
+     * Words worth indexing or searching for
+     */
+    terms(text) {
+        return this.tokenize(text).filter(word => !this.STOP_WORDS.has(word));
+    },
+
+    /**
+     * Fetch new and changed index entries since the last sync
+     */
+    sync() {
+        if (this.syncPromise) return this.syncPromise;
+
+        this.syncPromise = (async () => {
+            try {
+                const entries = await DatabaseModule.getSearchIndexEntries(this.lastSync);
+                entries.forEach(entry => {
+                    if (entry.deleted) {
+                        this.remove(entry.id);
+                    } else {
+                        this.add(entry);
+                    }
+
+                    const indexedAt = entry.indexedAt && entry.indexedAt.toMillis
+                        ? entry.indexedAt.toMillis()
+                        : 0;
+                    if (indexedAt > (this.lastSync || 0)) {
+                        this.lastSync = indexedAt;
+                    }
+                });
+            } finally {
+                this.syncPromise = null;
+            }
+        })();
+
+        return this.syncPromise;
+    },
+
+    /**
+     * Add or replace one memory in the in-memory index
+     */
+    add(record) {
+        this.remove(record.id);
+
+        const lengths = {};
+        Object.keys(this.FIELD_WEIGHTS).forEach(field => {
+            const value = Array.isArray(record[field]) ? record[field].join(' ') : record[field];
+            const words = this.terms(value);
+            lengths[field] = words.length;
+
+            words.forEach(word => {
+                const stem = this.stem(word);
+                this.vocabulary.set(word, stem);
+
+                if (!this.postings.has(stem)) {
+                    this.postings.set(stem, new Map());
+                }
+                const posting = this.postings.get(stem);
+                const frequencies = posting.get(record.id) || {};
+                frequencies[field] = (frequencies[field] || 0) + 1;
+                posting.set(record.id, frequencies);
+            });
+        });
+
+        this.docs.set(record.id, { record, lengths });
+    },
+
+    /**
+     * Remove one memory from the in-memory index
+     */
+    remove(memoryId) {
+        if (!this.docs.has(memoryId)) return;
+
+        this.postings.forEach((posting, stem) => {
+            posting.delete(memoryId);
+            if (posting.size === 0) {
+                this.postings.delete(stem);
+            }
+        });
+        this.docs.delete(memoryId);
+    },
+
+    /**
+     * Optimal string alignment distance, stopping early past maxDistance
+     */
+    editDistance(a, b, maxDistance) {
+        if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+        let previousPrevious = null;
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+
+                // Transposed letters ("swmi" for "swim") count as one edit
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    current[j] = Math.min(current[j], previousPrevious[j - 2] + 1);
+                }
+                rowMin = Math.min(rowMin, current[j]);
+            }
+
+            if (rowMin > maxDistance) return maxDistance + 1;
+            previousPrevious = previous;
+            previous = current;
+        }
+
+        return previous[b.length];
+    },
+
+    /**
+     * Find indexed stems matching one query word, with how they matched
+     * @returns {Map<string, number>} - stem -> match weight
+     */
+    expandWord(word) {
+        const matches = new Map();
+        const exactStem = this.stem(word);
+        const maxDistance = word.length >= 8 ? 2 : (word.length >= 4 ? 1 : 0);
+
+        const consider = (stem, weight) => {
+            if ((matches.get(stem) || 0) < weight) {
+                matches.set(stem, weight);
+            }
+        };
+
+        if (this.postings.has(exactStem)) {
+            consider(exactStem, this.MATCH_WEIGHTS.exact);
+        }
+
+        this.vocabulary.forEach((stem, surface) => {
+            if (surface === word) {
+                consider(stem, this.MATCH_WEIGHTS.exact);
+            } else if (word.length >= 2 && surface.startsWith(word)) {
+                consider(stem, this.MATCH_WEIGHTS.prefix);
+            } else if (maxDistance > 0 && this.editDistance(word, surface, maxDistance) <= maxDistance) {
+                consider(stem, this.MATCH_WEIGHTS.fuzzy);
+            }
+        });
+
+        return matches;
+    },
+
+    /**
+     * Check a record against the decade/year/type/contributor filters
+     */
+    matchesFilters(record, filters) {
+        if (filters.decade && record.decade !== filters.decade) return false;
+        if (filters.year && record.year !== filters.year) return false;
+        if (filters.type && record.type !== filters.type) return false;
+        if (filters.contributor && record.authorId !== filters.contributor) return false;
+        return true;
+    },
+
+    /**
+     * Search the archive
+     * @param {string} query - Free text
+     * @param {Object} filters - Optional decade, year, type and contributor (author ID)
+     * @param {number} limit - Maximum number of results
+     * @returns {Promise<Array>} - [{ memoryId, score, record, matchedStems }] best first
+     */
+    async search(query, filters = {}, limit = 50) {
+        await this.sync();
+
+        const words = [...new Set(this.terms(query))];
+        const candidates = Array.from(this.docs.values())
+            .filter(doc => this.matchesFilters(doc.record, filters));
+
+        // Filters alone list the matching memories, newest first
+        if (words.length === 0) {
+            return candidates
+                .sort((a, b) => this.createdMillis(b.record) - this.createdMillis(a.record))
+                .slice(0, limit)
+                .map(doc => ({ memoryId: doc.record.id, score: 0, record: doc.record, matchedStems: new Set() }));
+        }
+
+        const candidateIds = new Set(candidates.map(doc => doc.record.id));
+        const averageLengths = this.averageFieldLengths();
+        const totalDocs = Math.max(this.docs.size, 1);
+        const scores = new Map(); // memoryId -> { score, wordsMatched, matchedStems }
+
+        words.forEach(word => {
+            const wordScores = new Map();
+
+            this.expandWord(word).forEach((matchWeight, stem) => {
+                const posting = this.postings.get(stem);
+                if (!posting) return;
+
+                const idf = Math.log(1 + (totalDocs - posting.size + 0.5) / (posting.size + 0.5));
+
+                posting.forEach((frequencies, memoryId) => {
+                    if (!candidateIds.has(memoryId)) return;
+
+                    const lengths = this.docs.get(memoryId).lengths;
+                    let termScore = 0;
+
+                    // BM25 per field, weighted by field importance
+                    Object.entries(frequencies).forEach(([field, tf]) => {
+                        const norm = 1 - 0.75 + 0.75 * (lengths[field] / (averageLengths[field] || 1));
+                        termScore += this.FIELD_WEIGHTS[field] * ((tf * 2.2) / (tf + 1.2 * norm));
+                    });
+
+                    const score = idf * termScore * matchWeight;
+                    const best = wordScores.get(memoryId);
+                    if (!best || best.score < score) {
+                        wordScores.set(memoryId, { score, stems: new Set([stem]) });
+                    } else {
+                        best.stems.add(stem);
+                    }
+                });
+            });
+
+            wordScores.forEach(({ score, stems }, memoryId) => {
+                const entry = scores.get(memoryId) || { score: 0, wordsMatched: 0, matchedStems: new Set() };
+                entry.score += score;
+                entry.wordsMatched += 1;
+                stems.forEach(stem => entry.matchedStems.add(stem));
+                scores.set(memoryId, entry);
+            });
+        });
+
+        // Prefer memories matching every word; fall back to any word
+        let results = Array.from(scores.entries());
+        const allWords = results.filter(([, entry]) => entry.wordsMatched === words.length);
+        if (allWords.length > 0) {
+            results = allWords;
+        }
+
+        return results
+            .sort((a, b) => b[1].score - a[1].score)
+            .slice(0, limit)
+            .map(([memoryId, entry]) => ({
+                memoryId,
+                score: entry.score,
+                record: this.docs.get(memoryId).record,
+                matchedStems: entry.matchedStems
+            }));
+    },
+
+    /**
+     * Memories with a photo that looks like the given one, closest first
+     * @param {string} hash - From StorageModule.imageHash
+     * @returns {Promise<Array>} - [{ memoryId, record, distance }]
+     */
+    async findSimilarPhotos(hash, maxDistance = StorageModule.DUPLICATE_DISTANCE) {
+        await this.sync();
+
+        const matches = [];
+        this.docs.forEach(({ record }) => {
+            const distance = Math.min(...(record.imageHashes || []).map(other => StorageModule.hashDistance(hash, other)));
+            if (distance <= maxDistance) {
+                matches.push({ memoryId: record.id, record, distance });
+            }
+        });
+
+        return matches.sort((a, b) => a.distance - b.distance);
+    },
+
+    averageFieldLengths() {
+        const totals = {};
+        this.docs.forEach(({ lengths }) => {
+            Object.entries(lengths).forEach(([field, length]) => {
+                totals[field] = (totals[field] || 0) + length;
+            });
+        });
+
+        Object.keys(totals).forEach(field => {
+            totals[field] /= Math.max(this.docs.size, 1);
+        });
+        return totals;
+    },
+
+    createdMillis(record) {
+        return record.createdAt && record.createdAt.toMillis ? record.createdAt.toMillis() : 0;
+    },
+
+    /**
+     * Contributors present in the index, for the contributor filter
+     */
+    getContributors() {
+        const contributors = new Map();
+        this.docs.forEach(({ record }) => {
+            if (record.authorId) {
+                contributors.set(record.authorId, record.authorName);
+            }
+        });
+
+        return Array.from(contributors, ([id, name]) => ({ id, name }))
+            .sort((a, b) => String(a.name).localeCompare(String(b.name)));
+    },
+
+    /**
+     * Split text into plain and highlighted segments for matched words
+     * @returns {Array<{text: string, match: boolean}>}
+     */
+    highlight(text, matchedStems) {
+        const value = String(text || '');
+        const segments = [];
+        const wordPattern = /[\p{L}\p{N}]+/gu;
+        let lastIndex = 0;
+        let found;
+
+        while ((found = wordPattern.exec(value)) !== null) {
+            const word = this.tokenize(found[0])[0];
+            if (word && matchedStems.has(this.stem(word))) {
+                if (found.index > lastIndex) {
+                    segments.push({ text: value.slice(lastIndex, found.index), match: false });
+                }
+                segments.push({ text: found[0], match: true });
+                lastIndex = found.index + found[0].length;
+            }
+        }
+
+        if (lastIndex < value.length) {
+            segments.push({ text: value.slice(lastIndex), match: false });
+        }
+        return segments;
+    },
+
+    /**
+     * Pick a window of the story around the first matched word
+     */
+    snippet(text, matchedStems, length = 200) {
+        const value = String(text || '');
+        if (value.length <= length) return value;
+
+        const segments = this.highlight(value, matchedStems);
+        let offset = 0;
+        for (const segment of segments) {
+            if (segment.match) break;
+            offset += segment.text.length;
+        }
+
+        if (offset >= value.length) {
+            return `${value.slice(0, length).trim()}...`;
+        }
+
+        const start = Math.max(0, offset - Math.floor(length / 3));
+        const end = Math.min(value.length, start + length);
+        return `${start > 0 ? '...' : ''}${value.slice(start, end).trim()}${end < value.length ? '...' : ''}`;
+    }
+};
+
+// Export module
+window.SearchModule = SearchModule;
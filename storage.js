@@ -4,6 +4,48 @@
  */
 
 const StorageModule = {
+    // What can be uploaded. Audio and video get their own, much larger limit
+    // so oral histories aren't held to the 10MB photo limit.
+    UPLOAD_POLICIES: {
+        standard: {
+            maxSize: 10 * 1024 * 1024,
+            sizeLabel: '10MB',
+            types: ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'application/pdf'],
+            typeLabel: 'images or PDFs'
+        },
+        media: {
+            maxSize: 500 * 1024 * 1024,
+            sizeLabel: '500MB',
+            types: [
+                'audio/mpeg', 'audio/mp4', 'audio/x-m4a', 'audio/aac', 'audio/wav', 'audio/x-wav',
+                'audio/webm', 'audio/ogg', 'video/mp4', 'video/quicktime', 'video/webm', 'video/ogg'
+            ],
+            typeLabel: 'MP3, M4A, WAV, MP4, MOV or WebM recordings'
+        }
+    },
+
+    // Widths of the smaller copies made of each photo, so pages showing it
+    // small don't download the full-size original
+    IMAGE_VARIANT_WIDTHS: [400, 800, 1600],
+
+    // Width of the tiny copy kept on the memory and shown blurred while a photo loads
+    PLACEHOLDER_WIDTH: 16,
+
+    // Photos are hashed at 9x8 pixels, giving 64 bits. Copies of the same
+    // photo that were resized, recompressed or scanned again differ in a
+    // handful of bits; different photos differ in about half of them.
+    HASH_WIDTH: 9,
+    HASH_HEIGHT: 8,
+    DUPLICATE_DISTANCE: 10,
+
+    /**
+     * Whether a file is audio or video, ignoring codec parameters such as
+     * "audio/webm;codecs=opus" from MediaRecorder
+     */
+    isMediaFile(file) {
+        return /^(audio|video)\//.test(file.type);
+    },
+
     /**
      * Upload a single file to Firebase Storage
      * @param {File} file - The file to upload
@@ -23,19 +65,137 @@ const StorageModule = {
             throw new Error(validation.error);
         }
 
+        // Location and device details never leave the contributor's computer,
+        // short of PDF metadata stored compressed (see MetadataModule.stripPdf)
+        const stripped = await MetadataModule.stripMetadata(file);
+
         // Create unique filename
         const timestamp = Date.now();
         const sanitizedName = file.name.replace(/[^a-zA-Z0-9.-]/g, '_');
         const path = `memories/${memoryId}/${timestamp}_${sanitizedName}`;
 
-        const storageRef = firebase.storage().ref(path);
-        const uploadTask = storageRef.put(file, {
-            customMetadata: {
+        return this.putFile(path, stripped, {
+            uploadedBy: user.uid,
+            originalName: file.name,
+            memoryId: memoryId
+        }, onProgress);
+    },
+
+    /**
+     * Upload a PDF along with a JPEG of its first page for cards.
+     * A PDF that can't be rendered is still uploaded, without a thumbnail.
+     * @returns {Promise<Object>} - Upload result plus { thumbnailUrl, pageCount }
+     */
+    async uploadDocument(file, memoryId, onProgress = null) {
+        let thumbnail = null;
+        try {
+            thumbnail = await DocumentsModule.createThumbnail(file);
+        } catch (error) {
+            console.warn(`Could not create a thumbnail for ${file.name}:`, error);
+        }
+
+        const result = await this.uploadFile(file, memoryId, onProgress);
+        if (!thumbnail) {
+            return { ...result, thumbnailUrl: null, pageCount: null };
+        }
+
+        try {
+            const user = firebase.auth().currentUser;
+            const baseName = file.name.replace(/\.pdf$/i, '').replace(/[^a-zA-Z0-9.-]/g, '_');
+            const uploaded = await this.putFile(`memories/${memoryId}/${Date.now()}_${baseName}_thumb.jpg`, thumbnail.blob, {
                 uploadedBy: user.uid,
                 originalName: file.name,
                 memoryId: memoryId
-            }
+            });
+            return { ...result, thumbnailUrl: uploaded.url, pageCount: thumbnail.pageCount };
+        } catch (error) {
+            // The document itself made it, so don't fail the whole upload
+            console.warn(`Could not upload the thumbnail for ${file.name}:`, error);
+            return { ...result, thumbnailUrl: null, pageCount: thumbnail.pageCount };
+        }
+    },
+
+    /**
+     * Upload an audio or video recording with its length in seconds
+     * @returns {Promise<Object>} - Upload result plus { kind, duration }
+     */
+    async uploadMedia(file, memoryId, onProgress = null) {
+        let duration = null;
+        try {
+            duration = await this.getMediaDuration(file);
+        } catch (error) {
+            console.warn(`Could not read the length of ${file.name}:`, error);
+        }
+
+        const result = await this.uploadFile(file, memoryId, onProgress);
+        return {
+            ...result,
+            kind: file.type.startsWith('video/') ? 'video' : 'audio',
+            duration
+        };
+    },
+
+    /**
+     * Read the length of a local audio or video file in seconds, or null
+     * if the browser can't tell within a few seconds
+     */
+    getMediaDuration(file) {
+        return new Promise((resolve, reject) => {
+            const element = document.createElement(file.type.startsWith('video/') ? 'video' : 'audio');
+            const url = URL.createObjectURL(file);
+            let timer = null;
+
+            const finish = (duration) => {
+                clearTimeout(timer);
+                element.onloadedmetadata = null;
+                element.ondurationchange = null;
+                element.removeAttribute('src');
+                URL.revokeObjectURL(url);
+                resolve(duration);
+            };
+
+            timer = setTimeout(() => finish(null), 5000);
+            element.preload = 'metadata';
+            element.onloadedmetadata = () => {
+                if (Number.isFinite(element.duration)) {
+                    finish(element.duration);
+                    return;
+                }
+                // MediaRecorder files don't say how long they are; seeking
+                // past the end makes the browser work it out
+                element.ondurationchange = () => {
+                    if (Number.isFinite(element.duration)) finish(element.duration);
+                };
+                element.currentTime = Number.MAX_SAFE_INTEGER;
+            };
+            element.onerror = () => {
+                clearTimeout(timer);
+                URL.revokeObjectURL(url);
+                reject(new Error(`Could not read "${file.name}"`));
+            };
+            element.src = url;
         });
+    },
+
+    /**
+     * Upload a file to a storage path, reporting progress. Storage sends
+     * larger files in chunks over a resumable session, so the upload is
+     * paused while the browser is offline and carries on from the last
+     * chunk when the connection returns.
+     * @returns {Promise<Object>} - { url, path, name, size, type }
+     */
+    putFile(path, file, customMetadata, onProgress = null) {
+        const storageRef = firebase.storage().ref(path);
+        const uploadTask = storageRef.put(file, { customMetadata });
+
+        const pause = () => uploadTask.pause();
+        const resume = () => uploadTask.resume();
+        window.addEventListener('offline', pause);
+        window.addEventListener('online', resume);
+        const stopWatchingConnection = () => {
+            window.removeEventListener('offline', pause);
+            window.removeEventListener('online', resume);
+        };
 
         return new Promise((resolve, reject) => {
             uploadTask.on('state_changed',
@@ -48,11 +208,13 @@ const StorageModule = {
                 },
                 (error) => {
                     // Error
+                    stopWatchingConnection();
                     console.error('Upload error:', error);
                     reject(error);
                 },
                 async () => {
                     // Complete
+                    stopWatchingConnection();
                     try {
                         const downloadURL = await uploadTask.snapshot.ref.getDownloadURL();
                         resolve({
@@ -71,11 +233,48 @@ const StorageModule = {
     },
 
     /**
-     * Upload multiple files
+     * Upload a profile photo for the signed-in user, resized to at most 512px
+     * @returns {Promise<Object>} - { url, path, ... } of the uploaded avatar
+     */
+    async uploadAvatar(file, onProgress = null) {
+        const user = firebase.auth().currentUser;
+        if (!user) {
+            throw new Error('Must be signed in to upload a profile photo');
+        }
+
+        if (!file.type.startsWith('image/')) {
+            throw new Error('Profile photos must be images');
+        }
+
+        const validation = this.validateFile(file);
+        if (!validation.valid) {
+            throw new Error(validation.error);
+        }
+
+        let fileToUpload = file;
+        try {
+            fileToUpload = await this.compressImage(file, 512, 0.85);
+        } catch (error) {
+            console.warn('Avatar resize failed, uploading original:', error);
+        }
+        fileToUpload = await MetadataModule.stripMetadata(fileToUpload);
+
+        const path = `avatars/${user.uid}/${Date.now()}_avatar.jpg`;
+
+        return this.putFile(path, fileToUpload, {
+            uploadedBy: user.uid,
+            originalName: file.name
+        }, onProgress);
+    },
+
+    /**
+     * Upload multiple files. Photos go through uploadWithCompression so they
+     * get smaller copies, PDFs through uploadDocument so they get a
+     * thumbnail, and recordings through uploadMedia so their length is kept.
      * @param {FileList|Array} files - Files to upload
      * @param {string} memoryId - Memory ID
-     * @param {function} onProgress - Progress callback with overall progress
-     * @returns {Promise<Array>} - Array of upload results
+     * @param {function} onProgress - Progress callback (overallProgress, current, total, fileProgress)
+     * @returns {Promise<Array>} - Array of upload results, in the same order as files
      */
     async uploadMultipleFiles(files, memoryId, onProgress = null) {
         const fileArray = Array.from(files);
@@ -87,15 +286,19 @@ const StorageModule = {
             const file = fileArray[i];
 
             try {
-                const result = await this.uploadFile(file, memoryId, (fileProgress) => {
+                let upload = this.uploadFile;
+                if (file.type.startsWith('image/')) upload = this.uploadWithCompression;
+                if (DocumentsModule.isPdf(file)) upload = this.uploadDocument;
+                if (this.isMediaFile(file)) upload = this.uploadMedia;
+
+                const result = await upload.call(this, file, memoryId, (fileProgress) => {
                     if (onProgress) {
                         const fileBytes = (fileProgress / 100) * file.size;
                         const overallProgress = ((completedBytes + fileBytes) / totalBytes) * 100;
-                        onProgress(overallProgress, i + 1, fileArray.length);
+                        onProgress(overallProgress, i + 1, fileArray.length, fileProgress);
                     }
                 });
 
-                completedBytes += file.size;
                 results.push(result);
             } catch (error) {
                 console.error(`Error uploading file ${file.name}:`, error);
@@ -104,35 +307,32 @@ const StorageModule = {
                     name: file.name
                 });
             }
+
+            // Count failed files as done so overall progress still reaches 100
+            completedBytes += file.size;
         }
 
         return results;
     },
 
     /**
-     * Validate file before upload
+     * Validate file before upload against the policy for its kind
      */
     validateFile(file) {
-        const maxSize = 10 * 1024 * 1024; // 10MB
-        const allowedTypes = [
-            'image/jpeg',
-            'image/png',
-            'image/gif',
-            'image/webp',
-            'application/pdf'
-        ];
-
-        if (file.size > maxSize) {
+        const policy = this.isMediaFile(file) ? this.UPLOAD_POLICIES.media : this.UPLOAD_POLICIES.standard;
+        const type = file.type.split(';')[0];
+
+        if (file.size > policy.maxSize) {
             return {
                 valid: false,
-                error: `File "${file.name}" exceeds 10MB limit`
+                error: `File "${file.name}" exceeds ${policy.sizeLabel} limit`
             };
         }
 
-        if (!allowedTypes.includes(file.type)) {
+        if (!policy.types.includes(type)) {
             return {
                 valid: false,
-                error: `File type "${file.type}" is not allowed. Please upload images or PDFs.`
+                error: `File type "${file.type}" is not allowed. Please upload ${policy.typeLabel}.`
             };
         }
 
@@ -154,18 +354,131 @@ const StorageModule = {
     },
 
     /**
-     * Get a thumbnail URL for an image
-     * Note: For production, you'd want to use Cloud Functions to generate actual thumbnails
-     * This uses Firebase Storage's built-in image resizing if using the resize images extension
+     * Delete a file given its download URL. A file that's already gone counts as deleted.
      */
-    getThumbnailUrl(originalUrl, width = 400) {
-        // If using Firebase Extensions - Resize Images, thumbnails are auto-generated
-        // This is a simple approach that works with the extension
-        if (originalUrl.includes('firebasestorage.googleapis.com')) {
-            // Attempt to get resized version (if extension is installed)
-            return originalUrl.replace(/(\.[^.]+)$/, `_${width}x${width}$1`);
+    async deleteFileByUrl(url) {
+        try {
+            await firebase.storage().refFromURL(url).delete();
+            return true;
+        } catch (error) {
+            if (error.code === 'storage/object-not-found') return true;
+            console.error('Error deleting file:', error);
+            throw error;
         }
-        return originalUrl;
+    },
+
+    /**
+     * Delete every file stored under memories/<memoryId>/
+     * @returns {Promise<number>} - Number of files deleted
+     */
+    async deleteMemoryFiles(memoryId) {
+        try {
+            const listing = await firebase.storage().ref(`memories/${memoryId}`).listAll();
+            await Promise.all(listing.items.map(item => item.delete()));
+            return listing.items.length;
+        } catch (error) {
+            console.error('Error deleting memory files:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * URL of the smallest copy of a photo at least `width` pixels wide, or of
+     * the original for photos shared before copies were made
+     * @param {Object|string} image - A memory image { url, variants }, or a bare URL
+     */
+    getThumbnailUrl(image, width = 400) {
+        if (typeof image === 'string') return image;
+
+        const variant = (image.variants || []).find(copy => copy.width >= width);
+        return variant ? variant.url : image.url;
+    },
+
+    /**
+     * Decode an image file so it can be drawn on a canvas
+     * @returns {Promise<HTMLImageElement>}
+     */
+    loadImage(file) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            const url = URL.createObjectURL(file);
+
+            img.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(img);
+            };
+            img.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error(`Could not read "${file.name}" as an image`));
+            };
+
+            img.src = url;
+        });
+    },
+
+    /**
+     * Decode a photo along with its EXIF orientation. A rotated photo is
+     * decoded without its orientation tag so that drawImage turns it the
+     * same way in every browser, whether or not the browser would have.
+     * @returns {Promise<Object>} - { img, orientation }
+     */
+    async readImage(file) {
+        const { orientation } = await MetadataModule.read(file);
+        const source = orientation === 1
+            ? file
+            : await MetadataModule.stripMetadata(file, { keepOrientation: false });
+        return { img: await this.loadImage(source), orientation };
+    },
+
+    /**
+     * Draw an image onto a new canvas no wider than maxWidth, turned
+     * upright for its EXIF orientation
+     * @returns {HTMLCanvasElement}
+     */
+    drawImage(img, maxWidth, orientation = 1) {
+        const canvas = document.createElement('canvas');
+        const ctx = canvas.getContext('2d');
+        // Orientations 5-8 are rotated a quarter turn
+        const turned = orientation >= 5;
+        let width = turned ? img.naturalHeight : img.naturalWidth;
+        let height = turned ? img.naturalWidth : img.naturalHeight;
+
+        // Calculate new dimensions
+        if (width > maxWidth) {
+            height = (height * maxWidth) / width;
+            width = maxWidth;
+        }
+
+        canvas.width = Math.round(width);
+        canvas.height = Math.round(height);
+
+        // Transparent areas would turn black as JPEG
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        const w = canvas.width;
+        const h = canvas.height;
+        const transforms = {
+            2: [-1, 0, 0, 1, w, 0],
+            3: [-1, 0, 0, -1, w, h],
+            4: [1, 0, 0, -1, 0, h],
+            5: [0, 1, 1, 0, 0, 0],
+            6: [0, 1, -1, 0, w, 0],
+            7: [0, -1, -1, 0, w, h],
+            8: [0, -1, 1, 0, 0, h]
+        };
+        if (transforms[orientation]) ctx.transform(...transforms[orientation]);
+
+        ctx.drawImage(img, 0, 0, turned ? h : w, turned ? w : h);
+        return canvas;
+    },
+
+    /**
+     * Encode a canvas as JPEG
+     * @returns {Promise<Blob|null>} - null if the browser couldn't encode it
+     */
+    canvasToBlob(canvas, quality) {
+        return new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', quality));
     },
 
     /**
@@ -176,60 +489,153 @@ const StorageModule = {
      * @returns {Promise<Blob>}
      */
     async compressImage(file, maxWidth = 1920, quality = 0.8) {
-        return new Promise((resolve, reject) => {
-            // Only compress images
-            if (!file.type.startsWith('image/')) {
-                resolve(file);
-                return;
-            }
+        // Only compress images
+        if (!file.type.startsWith('image/')) {
+            return file;
+        }
 
-            const img = new Image();
-            const canvas = document.createElement('canvas');
-            const ctx = canvas.getContext('2d');
+        const { img, orientation } = await this.readImage(file);
+        const blob = await this.canvasToBlob(this.drawImage(img, maxWidth, orientation), quality);
+        if (!blob) return file;
 
-            img.onload = () => {
-                let { width, height } = img;
+        // Create new file with same name
+        return new File([blob], file.name, {
+            type: 'image/jpeg',
+            lastModified: Date.now()
+        });
+    },
 
-                // Calculate new dimensions
-                if (width > maxWidth) {
-                    height = (height * maxWidth) / width;
-                    width = maxWidth;
-                }
+    /**
+     * Make the smaller copies of a photo, its blurred-placeholder data URL
+     * and its perceptual hash
+     * @returns {Promise<Object>} - { width, height, placeholder, hash, variants: [{ width, blob }] }
+     */
+    async createImageVariants(file) {
+        const { img, orientation } = await this.readImage(file);
+        const turned = orientation >= 5;
+        const fullWidth = turned ? img.naturalHeight : img.naturalWidth;
+        const fullHeight = turned ? img.naturalWidth : img.naturalHeight;
+        const variants = [];
 
-                canvas.width = width;
-                canvas.height = height;
-
-                // Draw and compress
-                ctx.drawImage(img, 0, 0, width, height);
-
-                canvas.toBlob(
-                    (blob) => {
-                        if (blob) {
-                            // Create new file with same name
-                            const compressedFile = new File([blob], file.name, {
-                                type: 'image/jpeg',
-                                lastModified: Date.now()
-                            });
-                            resolve(compressedFile);
-                        } else {
-                            resolve(file);
-                        }
-                    },
-                    'image/jpeg',
-                    quality
-                );
-            };
+        for (const width of this.IMAGE_VARIANT_WIDTHS) {
+            if (width >= fullWidth) break;
+            const blob = await this.canvasToBlob(this.drawImage(img, width, orientation), 0.8);
+            if (blob) variants.push({ width, blob });
+        }
 
-            img.onerror = () => {
-                reject(new Error('Failed to load image for compression'));
-            };
+        return {
+            width: fullWidth,
+            height: fullHeight,
+            placeholder: this.drawImage(img, this.PLACEHOLDER_WIDTH, orientation).toDataURL('image/jpeg', 0.6),
+            hash: this.imageHash(img, orientation),
+            variants
+        };
+    },
 
-            img.src = URL.createObjectURL(file);
+    /**
+     * A perceptual (difference) hash of a decoded photo as 16 hex digits.
+     * Each bit says whether a pixel is brighter than the one to its right,
+     * which survives resizing, recompression and small colour shifts.
+     */
+    imageHash(img, orientation = 1) {
+        // Shrinking in one step would sample only a few of the original pixels
+        const small = this.drawImage(img, 64, orientation);
+        const canvas = document.createElement('canvas');
+        canvas.width = this.HASH_WIDTH;
+        canvas.height = this.HASH_HEIGHT;
+
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(small, 0, 0, canvas.width, canvas.height);
+        const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        const brightness = (x, y) => {
+            const i = (y * canvas.width + x) * 4;
+            return 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+        };
+
+        let hash = '';
+        for (let y = 0; y < canvas.height; y++) {
+            let row = 0;
+            for (let x = 0; x < canvas.width - 1; x++) {
+                row = (row << 1) | (brightness(x, y) > brightness(x + 1, y) ? 1 : 0);
+            }
+            hash += row.toString(16).padStart(2, '0');
+        }
+        return hash;
+    },
+
+    /**
+     * Hash a photo the contributor has picked but not yet uploaded
+     * @returns {Promise<string|null>} - null if it isn't a photo or can't be read
+     */
+    async hashImageFile(file) {
+        if (!file.type.startsWith('image/')) return null;
+
+        try {
+            const { img, orientation } = await this.readImage(file);
+            return this.imageHash(img, orientation);
+        } catch (error) {
+            console.warn(`Could not hash ${file.name}:`, error);
+            return null;
+        }
+    },
+
+    /**
+     * Hash a photo that's already uploaded, from its smallest copy where it
+     * has them. Needs the bucket's CORS setup (cors.json) to read the file.
+     * @param {Object|string} image - A memory image { url, variants }, or a bare URL
+     * @returns {Promise<string|null>} - null if it can't be downloaded or read
+     */
+    async hashImageUrl(image) {
+        const url = this.getThumbnailUrl(image, this.PLACEHOLDER_WIDTH);
+
+        try {
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const blob = await response.blob();
+            return await this.hashImageFile(new File([blob], 'photo', { type: blob.type }));
+        } catch (error) {
+            console.warn(`Could not hash ${url}:`, error);
+            return null;
+        }
+    },
+
+    /**
+     * Keys that let near-identical hashes find each other without comparing
+     * every pair. The hash is cut into count pieces: two hashes less than
+     * count bits apart must agree exactly on at least one piece, so they
+     * share that piece's key.
+     */
+    hashBucketKeys(hash, count = this.DUPLICATE_DISTANCE + 1) {
+        const bits = [...hash].map(digit => parseInt(digit, 16).toString(2).padStart(4, '0')).join('');
+        return Array.from({ length: count }, (_, index) => {
+            const start = Math.round(index * bits.length / count);
+            const end = Math.round((index + 1) * bits.length / count);
+            return `${index}:${bits.slice(start, end)}`;
         });
     },
 
     /**
-     * Upload with automatic compression
+     * How many bits two image hashes differ in; Infinity if either is missing
+     */
+    hashDistance(a, b) {
+        if (!a || !b || a.length !== b.length) return Infinity;
+
+        let distance = 0;
+        for (let i = 0; i < a.length; i++) {
+            let bits = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+            while (bits) {
+                distance += bits & 1;
+                bits >>= 1;
+            }
+        }
+        return distance;
+    },
+
+    /**
+     * Upload a photo, compressed if it's large, along with its smaller copies.
+     * A copy that fails to upload is left out; the photo still works without it.
+     * @returns {Promise<Object>} - Upload result plus { width, height, placeholder, hash,
+     *                              variants: [{ width, url, path }] } where they could be made
      */
     async uploadWithCompression(file, memoryId, onProgress = null) {
         let fileToUpload = file;
@@ -244,7 +650,48 @@ const StorageModule = {
             }
         }
 
-        return this.uploadFile(fileToUpload, memoryId, onProgress);
+        // Redrawing an animated GIF would keep only its first frame
+        let prepared = null;
+        if (fileToUpload.type.startsWith('image/') && fileToUpload.type !== 'image/gif') {
+            try {
+                prepared = await this.createImageVariants(fileToUpload);
+            } catch (error) {
+                console.warn(`Could not make smaller copies of ${file.name}:`, error);
+            }
+        }
+
+        const result = await this.uploadFile(fileToUpload, memoryId, onProgress);
+        if (!prepared) {
+            // GIFs and photos that couldn't be redrawn still need a hash to be found as duplicates
+            const hash = fileToUpload.type.startsWith('image/') ? await this.hashImageFile(fileToUpload) : null;
+            return hash ? { ...result, hash } : result;
+        }
+
+        const user = firebase.auth().currentUser;
+        const basePath = result.path.replace(/\.[^./]+$/, '');
+        const variants = [];
+
+        for (const { width, blob } of prepared.variants) {
+            try {
+                const uploaded = await this.putFile(`${basePath}_${width}w.jpg`, blob, {
+                    uploadedBy: user.uid,
+                    originalName: file.name,
+                    memoryId: memoryId
+                });
+                variants.push({ width, url: uploaded.url, path: uploaded.path });
+            } catch (error) {
+                console.warn(`Could not upload the ${width}px copy of ${file.name}:`, error);
+            }
+        }
+
+        return {
+            ...result,
+            width: prepared.width,
+            height: prepared.height,
+            placeholder: prepared.placeholder,
+            hash: prepared.hash,
+            variants
+        };
     }
 };
 
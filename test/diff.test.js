@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadAppFunction } = require('./helpers/load-browser-module');
+
+const diffWords = loadAppFunction('diffWords');
+
+// Put a diff back together as either side of it
+const before = runs => runs.filter(run => run.type !== 'added').map(run => run.text).join('');
+const after = runs => runs.filter(run => run.type !== 'removed').map(run => run.text).join('');
+
+test('diffWords marks added and removed words between unchanged runs', () => {
+    assert.deepEqual(diffWords('We swam the relay at Harvard', 'We swam the medley relay at Yale'), [
+        { type: 'same', text: 'We swam the ' },
+        { type: 'added', text: 'medley ' },
+        { type: 'same', text: 'relay at ' },
+        { type: 'removed', text: 'Harvard' },
+        { type: 'added', text: 'Yale' }
+    ]);
+});
+
+test('diffWords handles empty and missing text', () => {
+    assert.deepEqual(diffWords('', 'New story'), [{ type: 'added', text: 'New story' }]);
+    assert.deepEqual(diffWords('Old story', null), [{ type: 'removed', text: 'Old story' }]);
+    assert.deepEqual(diffWords(undefined, undefined), []);
+    assert.deepEqual(diffWords('Same\n\ntext', 'Same\n\ntext'), [{ type: 'same', text: 'Same\n\ntext' }]);
+});
+
+test('diffWords keeps whitespace changes', () => {
+    assert.deepEqual(diffWords('a  b', 'a b'), [
+        { type: 'same', text: 'a' },
+        { type: 'removed', text: '  ' },
+        { type: 'added', text: ' ' },
+        { type: 'same', text: 'b' }
+    ]);
+});
+
+test('diffWords rebuilds both versions exactly', () => {
+    const pairs = [
+        ['The 1994 team broke three records.\nCoach cried.', 'The 1995 team broke four records.\n\nCoach cried, then laughed.'],
+        ['one two three four', 'four three two one'],
+        ['  leading and trailing  ', 'leading and trailing']
+    ];
+
+    pairs.forEach(([original, revised]) => {
+        const runs = diffWords(original, revised);
+        assert.equal(before(runs), original);
+        assert.equal(after(runs), revised);
+        // Neighbouring runs are merged
+        runs.slice(1).forEach((run, index) => assert.notEqual(run.type, runs[index].type));
+    });
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-browser-module');
+
+// Flip the given bits of a hex hash, counting from the most significant
+function flip(hash, bits) {
+    const digits = [...hash].map(digit => parseInt(digit, 16));
+    bits.forEach(bit => {
+        digits[Math.floor(bit / 4)] ^= 8 >> (bit % 4);
+    });
+    return digits.map(digit => digit.toString(16)).join('');
+}
+
+function loadModules({ memories = [], role = 'moderator' } = {}) {
+    const byId = new Map(memories.map(memory => [memory.id, memory]));
+    return loadScripts(['storage.js', 'search.js', 'moderation.js'], {
+        AuthModule: {
+            ROLES: ['member', 'classRep', 'moderator', 'admin'],
+            ROLE_LABELS: { member: 'Member', classRep: 'Class Rep', moderator: 'Moderator', admin: 'Admin' },
+            hasRole(required) {
+                return this.ROLES.indexOf(role) >= this.ROLES.indexOf(required);
+            }
+        },
+        DatabaseModule: {
+            getSearchIndexEntries: async () => memories.map(({ id, imageHashes, createdAt }) => ({ id, imageHashes, createdAt })),
+            getMemory: async (memoryId) => byId.get(memoryId) || null,
+            isPublished: memory => !memory.status || memory.status === 'published'
+        }
+    });
+}
+
+const HASH = '0f1e2d3c4b5a6978';
+
+test('hashDistance counts differing bits', () => {
+    const { StorageModule } = loadModules();
+
+    assert.equal(StorageModule.hashDistance(HASH, HASH), 0);
+    assert.equal(StorageModule.hashDistance(HASH, flip(HASH, [0])), 1);
+    assert.equal(StorageModule.hashDistance(HASH, flip(HASH, [3, 17, 40, 63])), 4);
+    assert.equal(StorageModule.hashDistance('0000000000000000', 'ffffffffffffffff'), 64);
+});
+
+test('hashDistance is Infinity for missing or mismatched hashes', () => {
+    const { StorageModule } = loadModules();
+
+    assert.equal(StorageModule.hashDistance(HASH, null), Infinity);
+    assert.equal(StorageModule.hashDistance(undefined, HASH), Infinity);
+    assert.equal(StorageModule.hashDistance(HASH, HASH.slice(1)), Infinity);
+});
+
+test('hashBucketKeys cover the whole hash in DUPLICATE_DISTANCE + 1 pieces', () => {
+    const { StorageModule } = loadModules();
+    const keys = StorageModule.hashBucketKeys(HASH);
+
+    assert.equal(keys.length, StorageModule.DUPLICATE_DISTANCE + 1);
+    assert.equal(keys.map(key => key.split(':')[1]).join('').length, 64);
+    keys.forEach((key, index) => assert.ok(key.startsWith(`${index}:`)));
+});
+
+test('hashes within DUPLICATE_DISTANCE always share a bucket key', () => {
+    const { StorageModule } = loadModules();
+    const distance = StorageModule.DUPLICATE_DISTANCE;
+    const keys = new Set(StorageModule.hashBucketKeys(HASH));
+
+    // Spread the flipped bits out so every piece is hit
+    for (let offset = 0; offset < 64; offset++) {
+        const bits = Array.from({ length: distance }, (_, i) => (offset + i * 7) % 64);
+        const other = flip(HASH, bits);
+        assert.equal(StorageModule.hashDistance(HASH, other), distance);
+        assert.ok(StorageModule.hashBucketKeys(other).some(key => keys.has(key)), `offset ${offset}`);
+    }
+});
+
+test('getDuplicateClusters groups chains of close photos, oldest first and biggest group first', async () => {
+    const near = flip(HASH, [1, 9, 20, 33, 45, 60]);
+    const nearer = flip(near, [5, 14, 27, 38, 50, 58]);
+    const other = 'f0e1d2c3b4a59687';
+    const createdAt = millis => ({ toMillis: () => millis });
+    const memories = [
+        { id: 'scan', imageHashes: [near], createdAt: createdAt(2000), status: 'published' },
+        { id: 'original', imageHashes: ['ffffffffffffffff', HASH], createdAt: createdAt(1000) },
+        { id: 'rescan', imageHashes: [nearer], createdAt: createdAt(3000), status: 'published' },
+        { id: 'pair1', imageHashes: [other], createdAt: createdAt(4000), status: 'published' },
+        { id: 'pair2', imageHashes: [flip(other, [0])], createdAt: createdAt(5000), status: 'published' },
+        { id: 'hidden', imageHashes: [other], createdAt: createdAt(6000), status: 'hidden' },
+        { id: 'unrelated', imageHashes: ['00000000ffffffff'], createdAt: createdAt(7000), status: 'published' },
+        { id: 'text', createdAt: createdAt(8000), status: 'published' }
+    ];
+    const { ModerationModule, StorageModule } = loadModules({ memories });
+
+    // The ends of the chain are too far apart to match directly
+    assert.ok(StorageModule.hashDistance(HASH, nearer) > StorageModule.DUPLICATE_DISTANCE);
+
+    const clusters = await ModerationModule.getDuplicateClusters();
+
+    assert.deepEqual(clusters.map(cluster => cluster.map(memory => memory.id)), [
+        ['original', 'scan', 'rescan'],
+        ['pair1', 'pair2']
+    ]);
+});
+
+test('getDuplicateClusters leaves out groups left with one visible memory', async () => {
+    const memories = [
+        { id: 'kept', imageHashes: [HASH], status: 'published' },
+        { id: 'merged', imageHashes: [HASH], status: 'merged' }
+    ];
+    const { ModerationModule } = loadModules({ memories });
+
+    assert.deepEqual(await ModerationModule.getDuplicateClusters(), []);
+});
+
+test('getDuplicateClusters is for moderators', async () => {
+    const { ModerationModule } = loadModules({ role: 'classRep' });
+    await assert.rejects(ModerationModule.getDuplicateClusters(), /Only a moderator/);
+});
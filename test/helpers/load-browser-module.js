@@ -0,0 +1,46 @@
+/**
+ * Loads the site's browser scripts for Node tests.
+ * Each script exports its module on window; here window is a plain object
+ * that also stands in for the other globals a script expects.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * Run site scripts in order against a fresh window
+ * @param {Array<string>} files - Script names relative to the repo root, e.g. ['search.js']
+ * @param {Object} globals - Extra globals, such as stand-ins for other modules
+ * @returns {Object} - The window, holding each script's exported module
+ */
+function loadScripts(files, globals = {}) {
+    const window = { ...globals };
+
+    files.forEach(file => {
+        const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        // Names a script doesn't declare are looked up on window first, as in a browser
+        new Function('window', `with (window) {\n${source}\n}`)(window);
+    });
+
+    return window;
+}
+
+/**
+ * Pull one top-level function out of app.js, for the helpers that live
+ * there rather than in a module
+ */
+function loadAppFunction(name) {
+    const source = fs.readFileSync(path.join(ROOT, 'app.js'), 'utf8');
+    const start = source.indexOf(`\nfunction ${name}(`);
+    if (start === -1) throw new Error(`app.js has no function ${name}`);
+
+    const end = source.indexOf('\n}\n', start);
+    return new Function(`${source.slice(start, end + 2)}\nreturn ${name};`)();
+}
+
+module.exports = {
+    loadScripts,
+    loadAppFunction
+};
@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-browser-module');
+
+const { MetadataModule } = loadScripts(['metadata.js']);
+
+const ascii = text => [...text].map(char => char.charCodeAt(0));
+const bytesOf = async file => new Uint8Array(await file.arrayBuffer());
+
+/**
+ * An EXIF segment with an orientation and a date taken, big-endian
+ */
+function exifSegment(orientation, takenAt) {
+    const tiff = new DataView(new ArrayBuffer(76));
+    tiff.setUint16(0, 0x4D4D);
+    tiff.setUint16(2, 42);
+    tiff.setUint32(4, 8);
+    // IFD0: orientation and the pointer to the EXIF IFD
+    tiff.setUint16(8, 2);
+    tiff.setUint16(10, 0x0112);
+    tiff.setUint16(12, 3);
+    tiff.setUint32(14, 1);
+    tiff.setUint16(18, orientation);
+    tiff.setUint16(22, 0x8769);
+    tiff.setUint16(24, 4);
+    tiff.setUint32(26, 1);
+    tiff.setUint32(30, 38);
+    // EXIF IFD: when the photo was taken, stored after the IFD
+    tiff.setUint16(38, 1);
+    tiff.setUint16(40, 0x9003);
+    tiff.setUint16(42, 2);
+    tiff.setUint32(44, 20);
+    tiff.setUint32(48, 56);
+    ascii(`${takenAt}\0`).forEach((byte, i) => tiff.setUint8(56 + i, byte));
+
+    return [0xFF, 0xE1, 0, 84, ...ascii('Exif\0\0'), ...new Uint8Array(tiff.buffer)];
+}
+
+function jpeg(...segments) {
+    const jfif = [0xFF, 0xE0, 0, 16, ...ascii('JFIF\0'), 1, 1, 0, 0, 1, 0, 1, 0, 0];
+    const scan = [0xFF, 0xDA, 0, 8, 1, 1, 0, 0, 63, 0, 0x12, 0x34, 0x56, 0xFF, 0xD9];
+    return [0xFF, 0xD8, ...jfif, ...segments.flat(), ...scan];
+}
+
+const fileOf = (bytes, name, type) => new File([new Uint8Array(bytes)], name, { type });
+
+test('read finds a JPEG\'s orientation and when it was taken', async () => {
+    const file = fileOf(jpeg(exifSegment(6, '2001:06:15 14:22:01')), 'photo.jpg', 'image/jpeg');
+    const { orientation, takenAt } = await MetadataModule.read(file);
+
+    assert.equal(orientation, 6);
+    assert.equal(takenAt.getTime(), new Date(2001, 5, 15, 14, 22, 1).getTime());
+});
+
+test('read falls back to defaults for other files and cameras without a clock', async () => {
+    assert.deepEqual(await MetadataModule.read(fileOf([1, 2, 3], 'a.png', 'image/png')), { orientation: 1, takenAt: null });
+    assert.equal(MetadataModule.parseDate('0000:00:00 00:00:00'), null);
+    assert.equal(MetadataModule.parseDate('    :  :     :  :  '), null);
+});
+
+test('stripMetadata drops JPEG EXIF, comments and appended data but keeps the orientation', async () => {
+    const comment = [0xFF, 0xFE, 0, 9, ...ascii('secret\0')];
+    const original = [...jpeg(exifSegment(6, '2001:06:15 14:22:01'), comment), ...ascii('appended preview')];
+    const stripped = await MetadataModule.stripMetadata(fileOf(original, 'photo.jpg', 'image/jpeg'));
+    const bytes = await bytesOf(stripped);
+    const text = String.fromCharCode(...bytes);
+
+    assert.equal(stripped.name, 'photo.jpg');
+    assert.equal(stripped.type, 'image/jpeg');
+    assert.ok(!text.includes('2001:06:15'));
+    assert.ok(!text.includes('secret'));
+    assert.ok(!text.includes('appended'));
+    assert.deepEqual([...bytes.slice(-2)], [0xFF, 0xD9]);
+
+    const { orientation, takenAt } = await MetadataModule.read(stripped);
+    assert.equal(orientation, 6);
+    assert.equal(takenAt, null);
+
+    const upright = await MetadataModule.stripMetadata(fileOf(original, 'photo.jpg', 'image/jpeg'), { keepOrientation: false });
+    assert.equal((await MetadataModule.read(upright)).orientation, 1);
+});
+
+test('stripMetadata returns files with nothing to strip unchanged', async () => {
+    const clean = fileOf(jpeg(), 'clean.jpg', 'image/jpeg');
+    const text = fileOf(ascii('hello'), 'notes.txt', 'text/plain');
+
+    assert.equal(await MetadataModule.stripMetadata(clean), clean);
+    assert.equal(await MetadataModule.stripMetadata(text), text);
+});
+
+test('stripMetadata drops GIF comments and unknown application data but keeps looping', async () => {
+    const header = [...ascii('GIF89a'), 1, 0, 1, 0, 0, 0, 0];
+    const comment = [0x21, 0xFE, 5, ...ascii('hello'), 0];
+    const looping = [0x21, 0xFF, 11, ...ascii('NETSCAPE2.0'), 3, 1, 0, 0, 0];
+    const xmp = [0x21, 0xFF, 11, ...ascii('XMP DataXMP'), 2, ...ascii('ab'), 0];
+    const image = [0x2C, 0, 0, 0, 0, 1, 0, 1, 0, 0, 2, 2, 0x44, 0x01, 0];
+    const original = [...header, ...comment, ...looping, ...xmp, ...image, 0x3B, ...ascii('junk')];
+
+    const stripped = await MetadataModule.stripMetadata(fileOf(original, 'anim.gif', 'image/gif'));
+
+    assert.deepEqual([...await bytesOf(stripped)], [...header, ...looping, ...image, 0x3B]);
+});
+
+test('stripMetadata blanks PDF document info and XMP without moving anything', async () => {
+    const original = [
+        '%PDF-1.4',
+        '1 0 obj',
+        '<< /Author (Pat \\(Doe\\)) /Creator <FEFF0041> /Extra << /Note (nested) >> >>',
+        'endobj',
+        '2 0 obj',
+        '<< /Title (Keep me) >>',
+        'endobj',
+        '<?xpacket begin="" id="x"?><x:xmpmeta>Pat Doe</x:xmpmeta><?xpacket end="w"?>',
+        'trailer << /Info 1 0 R /Root 3 0 R >>',
+        '%%EOF'
+    ].join('\n');
+
+    const stripped = await MetadataModule.stripMetadata(fileOf(ascii(original), 'program.pdf', 'application/pdf'));
+    const text = String.fromCharCode(...await bytesOf(stripped));
+
+    assert.equal(text.length, original.length);
+    assert.ok(!text.includes('Pat'));
+    assert.ok(!text.includes('FEFF0041'));
+    assert.ok(!text.includes('nested'));
+    assert.ok(!text.includes('xmpmeta'));
+    assert.match(text, /\/Author \( +\) \/Creator < +> \/Extra << \/Note \( +\) >> >>/);
+    assert.ok(text.includes('/Title (Keep me)'));
+    assert.ok(text.endsWith('trailer << /Info 1 0 R /Root 3 0 R >>\n%%EOF'));
+});
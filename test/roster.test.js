@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-browser-module');
+
+function loadRoster(DatabaseModule = {}) {
+    return loadScripts(['roster.js'], { DatabaseModule }).RosterModule;
+}
+
+test('detectDelimiter picks tabs, then semicolons without commas, then commas', () => {
+    const roster = loadRoster();
+    assert.equal(roster.detectDelimiter('name\temail\npat,doe\tpat@example.com'), '\t');
+    assert.equal(roster.detectDelimiter('name;email'), ';');
+    assert.equal(roster.detectDelimiter('name;nickname,email'), ',');
+});
+
+test('parseDelimited honours quotes, escaped quotes, embedded newlines and blank lines', () => {
+    const roster = loadRoster();
+    const text = 'a,"b, c","say ""hi"""\r\n\r\n"multi\nline",x,\n';
+
+    assert.deepEqual(roster.parseDelimited(text, ','), [
+        ['a', 'b, c', 'say "hi"'],
+        ['multi\nline', 'x', '']
+    ]);
+});
+
+test('parseClassYear reads the ways reps write class years', () => {
+    const roster = loadRoster();
+    const read = value => roster.parseClassYear(value, 2024);
+
+    assert.equal(read('1994'), 1994);
+    assert.equal(read(" '94 "), 1994);
+    assert.equal(read('’94'), 1994);
+    assert.equal(read('Class of 2001'), 2001);
+    assert.equal(read('class of \'05'), 2005);
+    // Two-digit years run up to this year's freshmen, then belong to last century
+    assert.equal(read('28'), 2028);
+    assert.equal(read('29'), 1929);
+    assert.equal(read('00'), 2000);
+});
+
+test('parseClassYear returns null for anything that isn\'t a year', () => {
+    const roster = loadRoster();
+    ['', 'n/a', 'Fall 94', '199', '94a', '19940'].forEach(value => {
+        assert.equal(roster.parseClassYear(value, 2024), null, value);
+    });
+});
+
+test('parse maps columns by header and flags unreadable class years', () => {
+    const roster = loadRoster();
+    const text = '\uFEFFEmail Address,Full Name,Class Of\nPat@Example.com,Pat Doe,\'94\nsam@example.com,Sam Lee,unknown\nlee@example.com,Lee Kim,\n';
+
+    assert.deepEqual(roster.parse(text), {
+        rows: [
+            { line: 2, name: 'Pat Doe', classYear: 1994, classYearText: null, email: 'pat@example.com' },
+            { line: 3, name: 'Sam Lee', classYear: null, classYearText: 'unknown', email: 'sam@example.com' },
+            { line: 4, name: 'Lee Kim', classYear: null, classYearText: null, email: 'lee@example.com' }
+        ],
+        truncated: false
+    });
+});
+
+test('parse takes name, class year, email in order without a header', () => {
+    const roster = loadRoster();
+    const { rows } = roster.parse('Pat Doe\t1994\tpat@example.com');
+
+    assert.deepEqual(rows, [{ line: 1, name: 'Pat Doe', classYear: 1994, classYearText: null, email: 'pat@example.com' }]);
+});
+
+test('parse stops at MAX_ROWS', () => {
+    const roster = loadRoster();
+    roster.MAX_ROWS = 2;
+    const result = roster.parse('email\na@example.com\nb@example.com\nc@example.com');
+
+    assert.equal(result.rows.length, 2);
+    assert.equal(result.truncated, true);
+});
+
+test('sendInvites sends in batches and reports each row', async () => {
+    const sent = [];
+    const roster = loadRoster({
+        sendInvite: async (email, message, details) => {
+            sent.push({ email, message, details });
+            if (email === 'bad@example.com') throw new Error('already invited');
+        }
+    });
+    roster.BATCH_SIZE = 2;
+    const rows = [
+        { name: 'Pat', classYear: 1994, email: 'pat@example.com' },
+        { name: 'Bad', classYear: null, email: 'bad@example.com' },
+        { name: 'Sam', classYear: 2001, email: 'sam@example.com' }
+    ];
+    const progress = [];
+
+    const results = await roster.sendInvites(rows, 'Join us', (done, total) => progress.push([done, total]));
+
+    assert.deepEqual(results.map(result => result.status), ['sent', 'failed', 'sent']);
+    assert.equal(results[1].error.message, 'already invited');
+    assert.deepEqual(progress, [[2, 3], [3, 3]]);
+    assert.deepEqual(sent[0], { email: 'pat@example.com', message: 'Join us', details: { name: 'Pat', classYear: 1994 } });
+});
+
+test('toCsv quotes where needed and defuses formulas', () => {
+    const roster = loadRoster();
+    assert.equal(
+        roster.toCsv([['name', 'note'], ['Doe, Pat', 'said "hi"'], ['=SUM(A1)', null]]),
+        'name,note\r\n"Doe, Pat","said ""hi"""\r\n\'=SUM(A1),'
+    );
+});
@@ -0,0 +1,153 @@
+/**
+ * Firestore rules tests. These need the Firestore emulator, so run them
+ * with `npm run test:rules` rather than `npm test`.
+ */
+
+const test = require('node:test');
+const fs = require('fs');
+const path = require('path');
+const firebase = require('firebase/compat/app');
+require('firebase/compat/firestore');
+const {
+    initializeTestEnvironment,
+    assertSucceeds,
+    assertFails
+} = require('@firebase/rules-unit-testing');
+
+const { serverTimestamp } = firebase.firestore.FieldValue;
+
+let testEnv;
+
+const as = (uid) => testEnv.authenticatedContext(uid, { email: `${uid}@example.com` }).firestore();
+
+test.before(async () => {
+    testEnv = await initializeTestEnvironment({
+        projectId: 'dswimming-rules-test',
+        firestore: { rules: fs.readFileSync(path.join(__dirname, '..', '..', 'firestore.rules'), 'utf8') }
+    });
+});
+
+test.after(async () => {
+    if (testEnv) await testEnv.cleanup();
+});
+
+test.beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+        const db = context.firestore();
+        await Promise.all([
+            db.doc('users/alice').set({ displayName: 'Alice', role: 'member' }),
+            db.doc('users/alice/private/account').set({ email: 'alice@example.com' }),
+            db.doc('users/bob').set({ displayName: 'Bob', role: 'member' }),
+            db.doc('users/mod').set({ displayName: 'Mod', role: 'moderator' }),
+            db.doc('memories/published').set({ authorId: 'alice', status: 'published', commentCount: 1, reactions: { like: 1 } }),
+            db.doc('memories/published/comments/c1').set({ authorId: 'alice', text: 'First' }),
+            db.doc('memories/pending').set({ authorId: 'alice', status: 'pending', commentCount: 0, reactions: {} }),
+            db.doc('memories/pending/comments/c1').set({ authorId: 'alice', text: 'Hello' }),
+            db.doc('memories/legacy').set({ authorId: 'alice', commentCount: 0, reactions: {} })
+        ]);
+    });
+});
+
+test('memories outside the timeline are only seen by their contributor and moderators', async () => {
+    await assertSucceeds(as('bob').doc('memories/published').get());
+    await assertSucceeds(as('bob').doc('memories/legacy').get());
+    await assertFails(as('bob').doc('memories/pending').get());
+    await assertFails(testEnv.unauthenticatedContext().firestore().doc('memories/pending').get());
+
+    await assertSucceeds(as('alice').doc('memories/pending').get());
+    await assertSucceeds(as('mod').doc('memories/pending').get());
+
+    // Missing memories can be looked up, so pages can say they're gone
+    await assertSucceeds(as('bob').doc('memories/missing').get());
+});
+
+test('comments, reactions, revisions and photo tags follow their memory', async () => {
+    await assertSucceeds(as('bob').collection('memories/published/comments').get());
+    await assertFails(as('bob').collection('memories/pending/comments').get());
+    await assertFails(as('bob').collection('memories/pending/reactions').get());
+    await assertFails(as('bob').collection('memories/pending/revisions').get());
+    await assertFails(as('bob').collection('memories/pending/photoTags').get());
+
+    await assertSucceeds(as('alice').collection('memories/pending/comments').get());
+    await assertSucceeds(as('mod').collection('memories/pending/comments').get());
+});
+
+test('anyone may move a memory\'s comment count by one, and only that', async () => {
+    const memory = as('bob').doc('memories/published');
+
+    await assertSucceeds(memory.update({ commentCount: 2 }));
+    await assertSucceeds(memory.update({ commentCount: 1 }));
+    await assertFails(memory.update({ commentCount: 10 }));
+    await assertFails(memory.update({ commentCount: 2, title: 'Mine now' }));
+});
+
+test('reaction counts change only as the user\'s own reaction does', async () => {
+    const db = as('bob');
+    const memory = db.doc('memories/published');
+    const reaction = db.doc('memories/published/reactions/bob');
+
+    // Adding a reaction with its count
+    const add = db.batch();
+    add.set(reaction, { userId: 'bob', type: 'heart' });
+    add.update(memory, { reactions: { like: 1, heart: 1 } });
+    await assertSucceeds(add.commit());
+
+    // Changing it moves one count to the other
+    const change = db.batch();
+    change.set(reaction, { userId: 'bob', type: 'like' });
+    change.update(memory, { reactions: { like: 2, heart: 0 } });
+    await assertSucceeds(change.commit());
+
+    // Counts that don't match the reaction written with them
+    const inflate = db.batch();
+    inflate.set(reaction, { userId: 'bob', type: 'heart' });
+    inflate.update(memory, { reactions: { like: 50, heart: 1 } });
+    await assertFails(inflate.commit());
+
+    // Counts without a reaction at all
+    await assertFails(memory.update({ reactions: { like: 2, heart: 5 } }));
+});
+
+test('search entries are written by whoever manages the memory, and only tombstoned once it\'s gone', async () => {
+    const entry = { title: 'Relay', story: 'We won', indexedAt: serverTimestamp() };
+
+    await assertSucceeds(as('alice').doc('searchIndex/published').set(entry));
+    await assertSucceeds(as('mod').doc('searchIndex/published').set(entry));
+    await assertFails(as('bob').doc('searchIndex/published').set(entry));
+
+    await assertFails(as('bob').doc('searchIndex/missing').set(entry));
+    await assertFails(as('bob').doc('searchIndex/missing').set({ deleted: true, indexedAt: serverTimestamp(), title: 'Spam' }));
+    await assertFails(as('bob').doc('searchIndex/missing').set({ deleted: false, indexedAt: serverTimestamp() }));
+    await assertSucceeds(as('bob').doc('searchIndex/missing').set({ deleted: true, indexedAt: serverTimestamp() }));
+});
+
+test('profiles never hold private fields, which only their owner can read', async () => {
+    await assertFails(as('carol').doc('users/carol').set({ displayName: 'Carol', email: 'carol@example.com' }));
+    await assertSucceeds(as('carol').doc('users/carol').set({ displayName: 'Carol', role: 'member', verified: false }));
+    await assertFails(as('alice').doc('users/alice').update({ notificationPreferences: { weeklyDigest: false } }));
+    await assertFails(as('alice').doc('users/alice').update({ role: 'admin' }));
+
+    await assertSucceeds(as('alice').doc('users/alice/private/account').get());
+    await assertFails(as('bob').doc('users/alice/private/account').get());
+});
+
+test('members keep their own account details, under their own email', async () => {
+    const account = as('alice').doc('users/alice/private/account');
+
+    await assertSucceeds(account.set({ notificationPreferences: { weeklyDigest: false } }, { merge: true }));
+    await assertSucceeds(account.set({ email: 'Alice@Example.com' }, { merge: true }));
+    await assertFails(account.set({ email: 'someone@example.com' }, { merge: true }));
+    await assertFails(account.set({ role: 'admin' }, { merge: true }));
+    await assertFails(as('alice').doc('users/alice/private/other').set({ email: 'alice@example.com' }));
+    await assertFails(as('bob').doc('users/alice/private/account').set({ notificationPreferences: {} }, { merge: true }));
+});
+
+test('each member registers only their own email', async () => {
+    await assertSucceeds(as('bob').doc('registeredEmails/bob@example.com').set({ userId: 'bob' }));
+    await assertFails(as('bob').doc('registeredEmails/alice@example.com').set({ userId: 'bob' }));
+    await assertFails(as('bob').doc('registeredEmails/bob@example.com').set({ userId: 'alice' }));
+
+    await assertSucceeds(as('alice').doc('registeredEmails/bob@example.com').get());
+    await assertFails(as('alice').collection('registeredEmails').get());
+});
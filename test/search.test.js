@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-browser-module');
+
+const MEMORIES = [
+    {
+        id: 'relay',
+        title: 'Winning the relay at Harvard',
+        story: 'We swam the 400 free relay and touched out Harvard by a fingernail.',
+        tags: ['relays', 'harvard'],
+        authorName: 'Pat Doe',
+        decade: '1990s',
+        createdAt: { toMillis: () => 1000 }
+    },
+    {
+        id: 'pool',
+        title: 'The old Alumni Gym pool',
+        story: 'Swimming laps in the basement pool before dawn practice.',
+        tags: ['pool'],
+        authorName: 'Sam Lee',
+        decade: '1970s',
+        createdAt: { toMillis: () => 2000 }
+    },
+    {
+        id: 'trip',
+        title: 'Training trip to Florida',
+        story: 'Two practices a day in the sun; the relay teams were picked there.',
+        tags: ['training'],
+        authorName: 'Pat Doe',
+        decade: '1990s',
+        createdAt: { toMillis: () => 3000 }
+    }
+];
+
+function loadSearch(entries = MEMORIES) {
+    const window = loadScripts(['search.js'], {
+        DatabaseModule: { getSearchIndexEntries: async () => entries }
+    });
+    return window.SearchModule;
+}
+
+test('tokenize lowercases and drops accents and punctuation', () => {
+    const search = loadSearch();
+    assert.deepEqual(search.tokenize('Café Relay—1994, "Big Green"!'), ['cafe', 'relay', '1994', 'big', 'green']);
+    assert.deepEqual(search.tokenize(null), []);
+});
+
+test('terms leave out stop words', () => {
+    const search = loadSearch();
+    assert.deepEqual(search.terms('The pool at the Alumni Gym'), ['pool', 'alumni', 'gym']);
+});
+
+test('stem brings word forms together', () => {
+    const search = loadSearch();
+    ['swimming', 'swims', 'swim'].forEach(word => assert.equal(search.stem(word), 'swim'));
+    assert.equal(search.stem('relays'), 'relay');
+    assert.equal(search.stem('hopping'), 'hop');
+    assert.equal(search.stem('agreed'), 'agree');
+    assert.equal(search.stem('relational'), 'relate');
+    // Short words and numbers are left alone
+    assert.equal(search.stem('ies'), 'ies');
+    assert.equal(search.stem('1994'), '1994');
+});
+
+test('editDistance counts a transposition as one edit and stops past the limit', () => {
+    const search = loadSearch();
+    assert.equal(search.editDistance('swmi', 'swim', 2), 1);
+    assert.equal(search.editDistance('kitten', 'sitting', 3), 3);
+    assert.equal(search.editDistance('kitten', 'sitting', 1), 2);
+    assert.equal(search.editDistance('abc', 'abcdef', 1), 2);
+});
+
+test('expandWord weighs exact, prefix and fuzzy matches', async () => {
+    const search = loadSearch();
+    await search.sync();
+
+    assert.equal(search.expandWord('relay').get('relay'), search.MATCH_WEIGHTS.exact);
+    assert.equal(search.expandWord('harv').get('harvard'), search.MATCH_WEIGHTS.prefix);
+    assert.equal(search.expandWord('harvrad').get('harvard'), search.MATCH_WEIGHTS.fuzzy);
+    // Too short to allow a typo
+    assert.equal(search.expandWord('pol').has('pool'), false);
+});
+
+test('search ranks title and tag matches above story matches', async () => {
+    const search = loadSearch();
+    const results = await search.search('relay');
+
+    assert.deepEqual(results.map(result => result.memoryId), ['relay', 'trip']);
+    assert.ok(results[0].score > results[1].score);
+    assert.ok(results[0].matchedStems.has('relay'));
+});
+
+test('search matches other word forms and typos', async () => {
+    const search = loadSearch();
+
+    // "Swimming" stems to swim; "swam" is a typo's distance away, so ranks below it
+    assert.deepEqual((await search.search('swim')).map(result => result.memoryId), ['pool', 'relay']);
+    assert.deepEqual((await search.search('practise')).map(result => result.memoryId).sort(), ['pool', 'trip']);
+});
+
+test('search prefers memories matching every word', async () => {
+    const search = loadSearch();
+    const results = await search.search('relay florida');
+    assert.deepEqual(results.map(result => result.memoryId), ['trip']);
+});
+
+test('search applies filters, and lists filtered memories newest first without a query', async () => {
+    const search = loadSearch();
+
+    assert.deepEqual((await search.search('relay', { decade: '1970s' })).map(result => result.memoryId), []);
+    assert.deepEqual((await search.search('', { decade: '1990s' })).map(result => result.memoryId), ['trip', 'relay']);
+});
+
+test('sync drops memories whose index entry was deleted', async () => {
+    const entries = [...MEMORIES];
+    const search = loadSearch(entries);
+    await search.sync();
+
+    entries.splice(0, entries.length, { id: 'relay', deleted: true, indexedAt: { toMillis: () => 5000 } });
+    await search.sync();
+
+    assert.equal(search.docs.has('relay'), false);
+    assert.equal(search.lastSync, 5000);
+    assert.deepEqual((await search.search('harvard')).map(result => result.memoryId), []);
+});
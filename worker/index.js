@@ -0,0 +1,92 @@
+/**
+ * Entry point for the Dartmouth Swimming notification worker
+ * Usage: node index.js [--once]
+ */
+
+const admin = require('firebase-admin');
+const { createMailer, createTransportFromEnv } = require('./mailer');
+const { createNotificationWorker } = require('./notification-worker');
+const { createInviteWorker } = require('./invite-worker');
+
+// Uses Application Default Credentials, or the emulator when
+// FIRESTORE_EMULATOR_HOST is set
+admin.initializeApp({
+    projectId: process.env.FIREBASE_PROJECT_ID || 'dartmouth-swimming'
+});
+
+const mailer = createMailer({
+    transport: createTransportFromEnv(),
+    from: process.env.MAIL_FROM || 'Dartmouth Swimming Archive <archive@dartmouthswimming.org>',
+    archiveUrl: process.env.ARCHIVE_URL || 'http://localhost:5000'
+});
+
+const worker = createNotificationWorker({
+    db: admin.firestore(),
+    FieldValue: admin.firestore.FieldValue,
+    Timestamp: admin.firestore.Timestamp,
+    mailer
+});
+
+// Invite links can't be signed without a secret, so invites wait until one is set
+const inviteWorker = process.env.INVITE_SECRET
+    ? createInviteWorker({
+        db: admin.firestore(),
+        auth: admin.auth(),
+        FieldValue: admin.firestore.FieldValue,
+        Timestamp: admin.firestore.Timestamp,
+        mailer,
+        secret: process.env.INVITE_SECRET
+    })
+    : null;
+
+if (!inviteWorker) {
+    console.warn('INVITE_SECRET is not set - invites will not be sent or accepted');
+}
+
+const pollInterval = parseInt(process.env.POLL_INTERVAL_MS || '60000', 10);
+let stopping = false;
+let timer = null;
+
+async function pass() {
+    try {
+        const result = await worker.runOnce();
+        if (result.processed || result.digests || result.summaries) {
+            console.log(`Processed ${result.processed} notifications, sent ${result.digests} digests and ${result.summaries} weekly summaries`);
+        }
+
+        const invites = inviteWorker ? await inviteWorker.processInvites() : 0;
+        if (invites) {
+            console.log(`Sent ${invites} invites`);
+        }
+
+        const acceptances = inviteWorker ? await inviteWorker.processAcceptances() : 0;
+        if (acceptances) {
+            console.log(`Accepted ${acceptances} invites`);
+        }
+    } catch (error) {
+        console.error('Error running notification pass:', error);
+        process.exitCode = 1;
+    }
+}
+
+async function loop() {
+    await pass();
+    if (!stopping) {
+        timer = setTimeout(loop, pollInterval);
+    }
+}
+
+function stop() {
+    stopping = true;
+    clearTimeout(timer);
+}
+
+process.on('SIGINT', stop);
+process.on('SIGTERM', stop);
+
+if (process.argv.includes('--once')) {
+    pass();
+} else {
+    console.log(`Notification worker polling every ${pollInterval / 1000}s`);
+    loop();
+}
@@ -0,0 +1,214 @@
+/**
+ * Invite Worker for Dartmouth Swimming Alumni Archive
+ * Signs accept tokens for requested invites, emails the links and
+ * accepts invites for the accounts that followed them
+ */
+
+const crypto = require('crypto');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Must match DatabaseModule.INVITE_EXPIRY_DAYS / INVITE_RESEND_COOLDOWN_HOURS
+const INVITE_EXPIRY_MS = 14 * 24 * HOUR_MS;
+const RESEND_COOLDOWN_MS = 24 * HOUR_MS;
+
+const base64url = (buffer) => Buffer.from(buffer).toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+
+/**
+ * Sign an invite token: "<base64url JSON payload>.<base64url HMAC-SHA256>"
+ */
+function signInviteToken(secret, inviteId, email, expiresAtMillis) {
+    const payload = base64url(JSON.stringify({ i: inviteId, e: email, x: expiresAtMillis }));
+    const signature = base64url(crypto.createHmac('sha256', secret).update(payload).digest());
+    return `${payload}.${signature}`;
+}
+
+/**
+ * Check a token's signature and expiry
+ * @returns {Object|null} The payload, or null if the token isn't valid
+ */
+function verifyInviteToken(secret, token, nowMillis = Date.now()) {
+    const [payload, signature] = String(token).split('.');
+    if (!payload || !signature) return null;
+
+    const expected = base64url(crypto.createHmac('sha256', secret).update(payload).digest());
+    if (expected.length !== signature.length ||
+        !crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature))) {
+        return null;
+    }
+
+    try {
+        const data = JSON.parse(Buffer.from(payload, 'base64').toString('utf8'));
+        return data.x > nowMillis ? data : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Hex SHA-256, matching DatabaseModule.hashInviteToken in the browser
+ */
+function hashInviteToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Create an invite worker
+ * @param {Object} options
+ * @param {Object} options.db - firebase-admin Firestore instance
+ * @param {Object} options.auth - firebase-admin Auth instance
+ * @param {Object} options.FieldValue - admin.firestore.FieldValue
+ * @param {Object} options.Timestamp - admin.firestore.Timestamp
+ * @param {Object} options.mailer - Mailer from createMailer()
+ * @param {string} options.secret - HMAC key for invite tokens
+ * @param {Function} [options.now] - Clock, overridable for testing
+ * @param {Object} [options.logger] - Console-like logger
+ */
+function createInviteWorker({ db, auth, FieldValue, Timestamp, mailer, secret, now = () => new Date(), logger = console }) {
+    return {
+        /**
+         * Email every invite that has a send or resend requested
+         * @returns {number} Number of invites emailed
+         */
+        async processInvites(batchSize = 50) {
+            const snapshot = await db.collection('invites')
+                .where('sendRequested', '==', true)
+                .limit(batchSize)
+                .get();
+
+            let sent = 0;
+
+            for (const doc of snapshot.docs) {
+                const invite = doc.data();
+                const currentMillis = now().getTime();
+
+                if (invite.status !== 'pending') {
+                    await doc.ref.update({ sendRequested: false });
+                    continue;
+                }
+
+                // The client enforces the cooldown too; this catches stale or forged requests
+                const lastSent = invite.lastSentAt ? invite.lastSentAt.toMillis() : null;
+                if (lastSent && currentMillis - lastSent < RESEND_COOLDOWN_MS) {
+                    logger.warn(`Ignoring resend of invite ${doc.id} during cooldown`);
+                    await doc.ref.update({ sendRequested: false });
+                    continue;
+                }
+
+                const expiresAtMillis = currentMillis + INVITE_EXPIRY_MS;
+                const token = signInviteToken(secret, doc.id, invite.email, expiresAtMillis);
+
+                try {
+                    // Store the hash first so the emailed link is valid the moment it lands
+                    await doc.ref.update({
+                        tokenHash: hashInviteToken(token),
+                        expiresAt: Timestamp.fromMillis(expiresAtMillis)
+                    });
+
+                    await mailer.sendInvite(invite, mailer.inviteUrl(token));
+
+                    await doc.ref.update({
+                        sendRequested: false,
+                        sendCount: FieldValue.increment(1),
+                        lastSentAt: FieldValue.serverTimestamp()
+                    });
+                    sent++;
+                } catch (error) {
+                    // sendRequested stays set, so the next pass retries with a new token
+                    logger.error(`Error sending invite ${doc.id}:`, error);
+                }
+            }
+
+            return sent;
+        },
+
+        /**
+         * Why a request to accept an invite can't be honoured, or null if it can
+         */
+        async checkAcceptance(request, invite, payload) {
+            if (!payload || !invite) return 'invalid';
+            if (invite.tokenHash !== hashInviteToken(request.token)) return 'replaced';
+            if (invite.status !== 'pending') return invite.status;
+
+            // The account must be the one the invite was emailed to
+            const account = await auth.getUser(request.userId);
+            const email = (account.email || '').toLowerCase();
+            if (email !== invite.email || email !== payload.e) return 'wrong_email';
+
+            return null;
+        },
+
+        /**
+         * Accept the invites new members have asked to accept. The site writes
+         * inviteAcceptances/<uid> with the token from their link; the token is
+         * verified here, where the secret is, before the invite is marked
+         * accepted and the inviter credited.
+         * @returns {number} Number of invites accepted
+         */
+        async processAcceptances(batchSize = 50) {
+            const snapshot = await db.collection('inviteAcceptances')
+                .where('processed', '==', false)
+                .limit(batchSize)
+                .get();
+
+            let accepted = 0;
+
+            for (const doc of snapshot.docs) {
+                const request = { ...doc.data(), userId: doc.id };
+
+                try {
+                    const payload = verifyInviteToken(secret, request.token, now().getTime());
+                    const inviteRef = payload ? db.collection('invites').doc(String(payload.i)) : null;
+                    const inviteDoc = inviteRef ? await inviteRef.get() : null;
+                    const invite = inviteDoc && inviteDoc.exists ? inviteDoc.data() : null;
+
+                    const problem = await this.checkAcceptance(request, invite, payload);
+                    if (problem) {
+                        logger.warn(`Not accepting invite for ${request.userId}: ${problem}`);
+                        await doc.ref.update({ processed: true, result: problem, processedAt: FieldValue.serverTimestamp() });
+                        continue;
+                    }
+
+                    const batch = db.batch();
+                    batch.update(inviteRef, {
+                        status: 'accepted',
+                        acceptedBy: request.userId,
+                        acceptedAt: FieldValue.serverTimestamp(),
+                        sendRequested: false
+                    });
+                    batch.set(db.collection('users').doc(request.userId), {
+                        invitedBy: invite.invitedBy
+                    }, { merge: true });
+                    batch.set(db.collection('users').doc(invite.invitedBy), {
+                        invitesAccepted: FieldValue.increment(1)
+                    }, { merge: true });
+                    batch.set(db.collection('users').doc(invite.invitedBy).collection('inbox').doc(inviteDoc.id), {
+                        type: 'invite_accepted',
+                        actorId: request.userId,
+                        actorName: request.userName || invite.email,
+                        read: false,
+                        createdAt: FieldValue.serverTimestamp()
+                    });
+                    batch.update(doc.ref, { processed: true, result: 'accepted', processedAt: FieldValue.serverTimestamp() });
+                    await batch.commit();
+                    accepted++;
+                } catch (error) {
+                    // Left unprocessed, so the next pass retries
+                    logger.error(`Error accepting invite for ${request.userId}:`, error);
+                }
+            }
+
+            return accepted;
+        }
+    };
+}
+
+module.exports = {
+    createInviteWorker,
+    signInviteToken,
+    verifyInviteToken,
+    hashInviteToken
+};
@@ -0,0 +1,141 @@
+/**
+ * Mailer for the Dartmouth Swimming notification worker
+ * Wraps a nodemailer transport and renders notification emails
+ */
+
+const nodemailer = require('nodemailer');
+
+/**
+ * Build an SMTP transport from environment variables.
+ * Point SMTP_HOST/SMTP_PORT at a local mail catcher (e.g. Mailpit on
+ * localhost:1025) to test without sending real mail.
+ */
+function createTransportFromEnv(env = process.env) {
+    return nodemailer.createTransport({
+        host: env.SMTP_HOST || 'localhost',
+        port: parseInt(env.SMTP_PORT || '1025', 10),
+        secure: env.SMTP_SECURE === 'true',
+        auth: env.SMTP_USER
+            ? { user: env.SMTP_USER, pass: env.SMTP_PASS }
+            : undefined
+    });
+}
+
+/**
+ * Create a mailer around any nodemailer-compatible transport
+ * @param {Object} options
+ * @param {Object} options.transport - Object with sendMail(message)
+ * @param {string} options.from - Sender address
+ * @param {string} options.archiveUrl - Base URL used for memory links
+ */
+function createMailer({ transport, from, archiveUrl }) {
+    const baseUrl = archiveUrl.replace(/\/$/, '');
+
+    const memoryUrl = (memoryId) => `${baseUrl}/#/memory/${encodeURIComponent(memoryId)}`;
+
+    const inviteUrl = (token) => `${baseUrl}/#/join/${token}`;
+
+    const escapeHtml = (value) => String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+
+    /**
+     * One line describing a notification event
+     */
+    const describe = (event) => {
+        if (event.type === 'tagged') {
+            return `${event.authorName} tagged you in "${event.title}" (${event.decade})`;
+        }
+        return `${event.authorName} added "${event.title}" to the ${event.decade}`;
+    };
+
+    const layout = (heading, itemsHtml) => `
+        <div style="font-family: Georgia, serif; max-width: 560px; margin: 0 auto; color: #1a1a1a;">
+            <h2 style="color: #00693E;">${escapeHtml(heading)}</h2>
+            ${itemsHtml}
+            <p style="font-size: 12px; color: #7a7a7a; margin-top: 32px;">
+                You're receiving this because of your notification preferences on the
+                <a href="${escapeHtml(baseUrl)}" style="color: #00693E;">Dartmouth Swimming Alumni Archive</a>.
+            </p>
+        </div>
+    `;
+
+    const itemHtml = (event) => `
+        <p style="margin: 0 0 12px;">
+            <a href="${escapeHtml(memoryUrl(event.memoryId))}" style="color: #00693E;">${escapeHtml(describe(event))}</a>
+        </p>
+    `;
+
+    return {
+        memoryUrl,
+        inviteUrl,
+
+        /**
+         * Send a single notification as soon as it happens
+         */
+        async sendInstant(user, event) {
+            const subject = event.type === 'tagged'
+                ? `You were tagged in "${event.title}"`
+                : `New memory from the ${event.decade}: ${event.title}`;
+
+            await transport.sendMail({
+                from,
+                to: user.email,
+                subject,
+                text: `${describe(event)}\n\n${memoryUrl(event.memoryId)}\n`,
+                html: layout(subject, itemHtml(event))
+            });
+        },
+
+        /**
+         * Send a batch of notifications as one daily or weekly email
+         * @param {string} period - 'daily', 'weekly' or 'sunday' for the weekly summary
+         */
+        async sendDigest(user, events, period) {
+            const headings = {
+                daily: 'Your daily archive digest',
+                weekly: 'Your weekly archive digest',
+                sunday: 'This week in the archive'
+            };
+            const heading = headings[period] || headings.daily;
+            const count = `${events.length} new ${events.length === 1 ? 'update' : 'updates'}`;
+
+            await transport.sendMail({
+                from,
+                to: user.email,
+                subject: `${heading} - ${count}`,
+                text: `${heading}\n\n${events.map(event => `- ${describe(event)}\n  ${memoryUrl(event.memoryId)}`).join('\n')}\n`,
+                html: layout(heading, events.map(itemHtml).join(''))
+            });
+        },
+
+        /**
+         * Send an invitation with its accept link
+         */
+        async sendInvite(invite, url) {
+            const subject = `${invite.inviterName} invited you to the Dartmouth Swimming Alumni Archive`;
+            const note = invite.personalMessage ? `"${invite.personalMessage}"\n\n` : '';
+            const greeting = invite.inviteeName ? `Hi ${invite.inviteeName},\n\n` : '';
+
+            await transport.sendMail({
+                from,
+                to: invite.email,
+                subject,
+                text: `${greeting}${subject}.\n\n${note}Create your account here:\n${url}\n\nThis link expires in 14 days.\n`,
+                html: layout(subject, `
+                    ${invite.inviteeName ? `<p>Hi ${escapeHtml(invite.inviteeName)},</p>` : ''}
+                    ${invite.personalMessage ? `<blockquote style="border-left: 3px solid #00693E; margin: 0 0 16px; padding-left: 12px;">${escapeHtml(invite.personalMessage)}</blockquote>` : ''}
+                    <p><a href="${escapeHtml(url)}" style="color: #00693E;">Accept the invitation</a></p>
+                    <p style="font-size: 12px; color: #7a7a7a;">This link expires in 14 days.</p>
+                `)
+            });
+        }
+    };
+}
+
+module.exports = {
+    createMailer,
+    createTransportFromEnv
+};
@@ -0,0 +1,361 @@
+/**
+ * Notification Worker for Dartmouth Swimming Alumni Archive
+ * Consumes the notifications queue written by DatabaseModule and delivers
+ * emails according to each user's notificationPreferences
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DIGEST_PERIODS = {
+    daily: DAY_MS,
+    weekly: 7 * DAY_MS
+};
+
+// Matches the defaults written by AuthModule for new accounts
+const DEFAULT_PREFERENCES = {
+    newMemoriesFromEra: true,
+    taggedInMemory: true,
+    allNewUploads: false,
+    weeklyDigest: true,
+    emailFrequency: 'daily',
+    followedDecades: []
+};
+
+// Give up on a queued notification after this many failed passes
+const MAX_ATTEMPTS = 5;
+
+/**
+ * Decades a swimmer was on the team, e.g. class of 1984 swam 1980-1983
+ */
+function getEraDecades(classYear) {
+    const year = parseInt(classYear, 10);
+    if (!year) return [];
+
+    const decades = new Set();
+    for (let y = year - 4; y <= year - 1; y++) {
+        decades.add(`${Math.floor(y / 10) * 10}s`);
+    }
+    return [...decades];
+}
+
+function getPreferences(user) {
+    return { ...DEFAULT_PREFERENCES, ...(user.notificationPreferences || {}) };
+}
+
+function toMillis(value) {
+    if (!value) return null;
+    if (typeof value.toMillis === 'function') return value.toMillis();
+    if (value instanceof Date) return value.getTime();
+    return typeof value === 'number' ? value : null;
+}
+
+/**
+ * Create a worker bound to a Firestore instance and a mailer
+ * @param {Object} options
+ * @param {Object} options.db - firebase-admin Firestore instance
+ * @param {Object} options.FieldValue - admin.firestore.FieldValue
+ * @param {Object} options.Timestamp - admin.firestore.Timestamp
+ * @param {Object} options.mailer - Mailer from createMailer()
+ * @param {Function} [options.now] - Clock, overridable for testing
+ * @param {Object} [options.logger] - Console-like logger
+ */
+function createNotificationWorker({ db, FieldValue, Timestamp, mailer, now = () => new Date(), logger = console }) {
+    const worker = {
+        /**
+         * Load every user with an email address, keyed by uid. Email and
+         * preferences come from users/<uid>/private/account, or from the
+         * profile itself for accounts that haven't been moved over yet.
+         */
+        async loadUsers() {
+            const [snapshot, accounts] = await Promise.all([
+                db.collection('users').get(),
+                db.collectionGroup('private').get()
+            ]);
+
+            const details = new Map();
+            accounts.forEach(doc => {
+                if (doc.id === 'account') {
+                    details.set(doc.ref.parent.parent.id, doc.data());
+                }
+            });
+
+            const users = new Map();
+            snapshot.forEach(doc => {
+                const data = { ...doc.data(), ...(details.get(doc.id) || {}) };
+                if (data.email) {
+                    users.set(doc.id, { id: doc.id, ...data });
+                }
+            });
+
+            return users;
+        },
+
+        /**
+         * Work out who should hear about a queued notification
+         */
+        getRecipients(notification, users) {
+            if (notification.type === 'tagged') {
+                const user = users.get(notification.recipientId);
+                if (!user || !getPreferences(user).taggedInMemory) return [];
+                return [user];
+            }
+
+            if (notification.type === 'new_memory') {
+                return [...users.values()].filter(user => {
+                    if (user.id === notification.authorId) return false;
+
+                    const preferences = getPreferences(user);
+                    if (preferences.allNewUploads) return true;
+                    if ((preferences.followedDecades || []).includes(notification.decade)) return true;
+
+                    return preferences.newMemoriesFromEra &&
+                        getEraDecades(user.classYear).includes(notification.decade);
+                });
+            }
+
+            logger.warn(`Unknown notification type "${notification.type}"`);
+            return [];
+        },
+
+        /**
+         * Add the event to the recipient's in-app inbox. Keyed by notification
+         * so a retried pass leaves an already-read item alone.
+         */
+        async addInboxItem(notificationId, notification, user) {
+            try {
+                await db.collection('users').doc(user.id).collection('inbox').doc(notificationId).create({
+                    type: notification.type,
+                    memoryId: notification.memoryId,
+                    memoryTitle: notification.title,
+                    decade: notification.decade,
+                    actorId: notification.authorId || null,
+                    actorName: notification.authorName,
+                    read: false,
+                    createdAt: notification.createdAt || Timestamp.fromDate(now())
+                });
+            } catch (error) {
+                // ALREADY_EXISTS
+                if (error.code !== 6) throw error;
+            }
+        },
+
+        /**
+         * Send instantly or hold the event for the recipient's next digest
+         */
+        async deliver(notificationId, notification, user) {
+            const frequency = getPreferences(user).emailFrequency;
+            const event = {
+                type: notification.type,
+                memoryId: notification.memoryId,
+                decade: notification.decade,
+                title: notification.title,
+                authorName: notification.authorName
+            };
+
+            if (!DIGEST_PERIODS[frequency]) {
+                await mailer.sendInstant(user, event);
+                return;
+            }
+
+            // Keyed by notification and recipient so a retried pass can't queue twice
+            await db.collection('digestItems').doc(`${notificationId}_${user.id}`).set({
+                ...event,
+                recipientId: user.id,
+                createdAt: notification.createdAt || Timestamp.fromDate(now())
+            });
+        },
+
+        /**
+         * Process one batch of unprocessed notifications
+         * @returns {Object} { fetched, completed } counts for the batch
+         */
+        async processQueue(batchSize = 50) {
+            const snapshot = await db.collection('notifications')
+                .where('processed', '==', false)
+                .orderBy('createdAt', 'asc')
+                .limit(batchSize)
+                .get();
+
+            if (snapshot.empty) return { fetched: 0, completed: 0 };
+
+            const users = await this.loadUsers();
+            let completed = 0;
+
+            for (const doc of snapshot.docs) {
+                const notification = doc.data();
+                const delivered = new Set(notification.deliveredTo || []);
+                const recipients = this.getRecipients(notification, users);
+                let failures = 0;
+
+                for (const user of recipients) {
+                    if (delivered.has(user.id)) continue;
+
+                    try {
+                        await this.addInboxItem(doc.id, notification, user);
+                        await this.deliver(doc.id, notification, user);
+                        delivered.add(user.id);
+                        await doc.ref.update({ deliveredTo: FieldValue.arrayUnion(user.id) });
+                    } catch (error) {
+                        failures++;
+                        logger.error(`Error delivering notification ${doc.id} to ${user.id}:`, error);
+                    }
+                }
+
+                const attempts = (notification.attempts || 0) + 1;
+
+                if (failures && attempts < MAX_ATTEMPTS) {
+                    await doc.ref.update({ attempts });
+                    continue;
+                }
+
+                await doc.ref.update({
+                    processed: true,
+                    processedAt: FieldValue.serverTimestamp(),
+                    recipientCount: delivered.size,
+                    attempts,
+                    ...(failures ? { failedCount: failures } : {})
+                });
+                completed++;
+            }
+
+            return { fetched: snapshot.size, completed };
+        },
+
+        /**
+         * Send any daily or weekly digests that have come due
+         */
+        async flushDigests() {
+            const snapshot = await db.collection('digestItems').orderBy('createdAt', 'asc').get();
+            if (snapshot.empty) return 0;
+
+            const byRecipient = new Map();
+            snapshot.forEach(doc => {
+                const item = doc.data();
+                if (!byRecipient.has(item.recipientId)) {
+                    byRecipient.set(item.recipientId, []);
+                }
+                byRecipient.get(item.recipientId).push({ ref: doc.ref, ...item });
+            });
+
+            const users = await this.loadUsers();
+            const currentMillis = now().getTime();
+            let sent = 0;
+
+            for (const [recipientId, items] of byRecipient) {
+                const user = users.get(recipientId);
+
+                // Account removed since the event was queued
+                if (!user) {
+                    await this.deleteItems(items);
+                    continue;
+                }
+
+                const frequency = getPreferences(user).emailFrequency;
+                const period = DIGEST_PERIODS[frequency] || 0;
+
+                // The first digest goes out one period after its oldest item
+                const since = toMillis(user.lastDigestAt) ?? toMillis(items[0].createdAt) ?? currentMillis;
+                if (currentMillis - since < period) continue;
+
+                try {
+                    await mailer.sendDigest(user, items, frequency);
+                    await this.deleteItems(items);
+                    await db.collection('users').doc(recipientId).update({
+                        lastDigestAt: FieldValue.serverTimestamp()
+                    });
+                    sent++;
+                } catch (error) {
+                    logger.error(`Error sending digest to ${recipientId}:`, error);
+                }
+            }
+
+            return sent;
+        },
+
+        async deleteItems(items) {
+            // Firestore batches are capped at 500 writes
+            for (let i = 0; i < items.length; i += 500) {
+                const batch = db.batch();
+                items.slice(i, i + 500).forEach(item => batch.delete(item.ref));
+                await batch.commit();
+            }
+        },
+
+        /**
+         * On Sundays, send weeklyDigest subscribers a summary of the past week
+         */
+        async sendWeeklySummaries() {
+            const current = now();
+            if (current.getDay() !== 0) return 0;
+
+            const users = await this.loadUsers();
+            const due = [...users.values()].filter(user => {
+                if (!getPreferences(user).weeklyDigest) return false;
+                const last = toMillis(user.lastWeeklyDigestAt);
+                // Six days so a slightly early run next Sunday still counts
+                return !last || current.getTime() - last >= 6 * DAY_MS;
+            });
+
+            if (!due.length) return 0;
+
+            const weekAgo = Timestamp.fromMillis(current.getTime() - 7 * DAY_MS);
+            const snapshot = await db.collection('memories')
+                .where('createdAt', '>=', weekAgo)
+                .orderBy('createdAt', 'desc')
+                .get();
+
+            // Memories awaiting review or hidden by a moderator stay out of summaries
+            const events = snapshot.docs
+                .filter(doc => !doc.data().status || doc.data().status === 'published')
+                .map(doc => ({
+                    type: 'new_memory',
+                    memoryId: doc.id,
+                    ...doc.data()
+                }));
+
+            let sent = 0;
+
+            for (const user of due) {
+                try {
+                    if (events.length) {
+                        await mailer.sendDigest(user, events, 'sunday');
+                        sent++;
+                    }
+                    await db.collection('users').doc(user.id).update({
+                        lastWeeklyDigestAt: FieldValue.serverTimestamp()
+                    });
+                } catch (error) {
+                    logger.error(`Error sending weekly summary to ${user.id}:`, error);
+                }
+            }
+
+            return sent;
+        },
+
+        /**
+         * Drain the queue, then send whatever digests are due
+         */
+        async runOnce(batchSize = 50) {
+            let processed = 0;
+            let batch;
+
+            // Stop once a batch leaves retries behind so they wait for the next pass
+            do {
+                batch = await this.processQueue(batchSize);
+                processed += batch.completed;
+            } while (batch.fetched === batchSize && batch.completed === batch.fetched);
+
+            const digests = await this.flushDigests();
+            const summaries = await this.sendWeeklySummaries();
+
+            return { processed, digests, summaries };
+        }
+    };
+
+    return worker;
+}
+
+module.exports = {
+    createNotificationWorker,
+    getEraDecades
+};
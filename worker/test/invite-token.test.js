@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    createInviteWorker,
+    signInviteToken,
+    verifyInviteToken,
+    hashInviteToken
+} = require('../invite-worker');
+
+const SECRET = 'test-secret';
+const NOW = Date.UTC(2024, 0, 1);
+const EXPIRES = NOW + 14 * 24 * 60 * 60 * 1000;
+
+test('a signed token verifies to its payload', () => {
+    const token = signInviteToken(SECRET, 'invite1', 'pat@example.com', EXPIRES);
+
+    assert.match(token, /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/);
+    assert.deepEqual(verifyInviteToken(SECRET, token, NOW), { i: 'invite1', e: 'pat@example.com', x: EXPIRES });
+});
+
+test('a token signed with another secret is rejected', () => {
+    const token = signInviteToken('other-secret', 'invite1', 'pat@example.com', EXPIRES);
+    assert.equal(verifyInviteToken(SECRET, token, NOW), null);
+});
+
+test('a token with a changed payload is rejected', () => {
+    const token = signInviteToken(SECRET, 'invite1', 'pat@example.com', EXPIRES);
+    const [, signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ i: 'invite1', e: 'sam@example.com', x: EXPIRES })).toString('base64url');
+
+    assert.equal(verifyInviteToken(SECRET, `${forged}.${signature}`, NOW), null);
+});
+
+test('an expired token is rejected', () => {
+    const token = signInviteToken(SECRET, 'invite1', 'pat@example.com', EXPIRES);
+    assert.equal(verifyInviteToken(SECRET, token, EXPIRES), null);
+});
+
+test('malformed tokens are rejected', () => {
+    ['', 'abc', 'abc.', '.abc', 'not.a.token', undefined].forEach(token => {
+        assert.equal(verifyInviteToken(SECRET, token, NOW), null);
+    });
+});
+
+test('hashInviteToken is hex SHA-256, as the browser computes it', () => {
+    assert.equal(hashInviteToken('abc'), 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+});
+
+test('checkAcceptance only accepts the current token for the invited account', async () => {
+    const token = signInviteToken(SECRET, 'invite1', 'pat@example.com', EXPIRES);
+    const payload = verifyInviteToken(SECRET, token, NOW);
+    const invite = { email: 'pat@example.com', status: 'pending', tokenHash: hashInviteToken(token) };
+    const emails = { pat: 'Pat@Example.com', sam: 'sam@example.com' };
+    const worker = createInviteWorker({
+        auth: { getUser: async (uid) => ({ email: emails[uid] }) },
+        secret: SECRET,
+        now: () => new Date(NOW)
+    });
+
+    assert.equal(await worker.checkAcceptance({ token, userId: 'pat' }, invite, payload), null);
+    assert.equal(await worker.checkAcceptance({ token, userId: 'sam' }, invite, payload), 'wrong_email');
+    assert.equal(await worker.checkAcceptance({ token, userId: 'pat' }, null, payload), 'invalid');
+    assert.equal(await worker.checkAcceptance({ token, userId: 'pat' }, invite, null), 'invalid');
+    assert.equal(await worker.checkAcceptance({ token, userId: 'pat' }, { ...invite, tokenHash: 'old' }, payload), 'replaced');
+    assert.equal(await worker.checkAcceptance({ token, userId: 'pat' }, { ...invite, status: 'revoked' }, payload), 'revoked');
+});